@@ -0,0 +1,228 @@
+/**
+ * CoupledChain – analytic solver for an undamped chain of N masses.
+ *
+ * Physical model (displacements xᵢ from equilibrium, N+1 springs):
+ *
+ *   End ──[k₀]── m₁ ──[k₁]── m₂ ── … ── m_N ──[k_N]── End
+ *
+ * Each end is either 'fixed' (a wall) or 'free' (its end spring is
+ * left unattached and contributes nothing).  The equations of motion are
+ *
+ *   M ẍ + K x = 0,   M = diag(m₁ … m_N),   K tridiagonal,
+ *
+ * and are solved through the generalized eigenproblem K φ = ω² M φ.
+ * With mass-normalised mode shapes φⱼ the general solution is
+ *
+ *   x(t) = Σⱼ φⱼ [ Aⱼ cos(ωⱼt) + Bⱼ sin(ωⱼt) ]
+ *
+ * A zero-frequency (rigid-body) mode – present when both ends are free –
+ * drifts as φⱼ [ Aⱼ + Bⱼ t ] instead, and a mode with λⱼ = ωⱼ² < 0 (from
+ * negative stiffness) grows as φⱼ [ Aⱼ cosh(μⱼt) + Bⱼ sinh(μⱼt) ], μⱼ = √−λⱼ.
+ *
+ * The public interface mirrors CoupledOscillator, with `mass` ranging
+ * over 1 … N.
+ */
+
+import { generalizedSymmetricEigen } from './linalg.js';
+import { mechanicalEnergy } from './energy.js';
+import { firstTimeTo } from './first-time.js';
+
+/** Eigenvalues ω² below this (relative to the largest) count as rigid-body. */
+const ZERO_FREQ_TOL = 1e-10;
+
+export class CoupledChain {
+  /**
+   * @param {{
+   *   masses: number[],
+   *   springs: number[],
+   *   leftEnd?: 'fixed'|'free',
+   *   rightEnd?: 'fixed'|'free',
+   *   x0?: number[],
+   *   v0?: number[]
+   * }} params
+   *   `springs` has N+1 entries: springs[0] joins the left end to m₁ and
+   *   springs[N] joins m_N to the right end.
+   */
+  constructor(params) {
+    const {
+      masses, springs,
+      leftEnd = 'fixed', rightEnd = 'fixed',
+      x0 = [], v0 = [],
+    } = params;
+
+    const n = masses.length;
+    if (n < 1) throw new Error('CoupledChain needs at least one mass');
+    if (springs.length !== n + 1) {
+      throw new Error(`CoupledChain with ${n} masses needs ${n + 1} springs`);
+    }
+
+    this.n = n;
+    this.masses  = masses.slice();
+    this.springs = springs.slice();
+    this.leftEnd = leftEnd;
+    this.rightEnd = rightEnd;
+    this.x0 = Array.from({ length: n }, (_, i) => x0[i] || 0);
+    this.v0 = Array.from({ length: n }, (_, i) => v0[i] || 0);
+    this._compute();
+  }
+
+  /** Spring constants actually attached (free ends contribute zero). */
+  effectiveSprings() {
+    const k = this.springs.slice();
+    if (this.leftEnd === 'free') k[0] = 0;
+    if (this.rightEnd === 'free') k[this.n] = 0;
+    return k;
+  }
+
+  /** Diagonal mass matrix M. */
+  massMatrix() {
+    const { n, masses } = this;
+    return Array.from({ length: n }, (_, i) =>
+      Array.from({ length: n }, (_, j) => (i === j ? masses[i] : 0)));
+  }
+
+  /** Tridiagonal stiffness matrix K. */
+  stiffnessMatrix() {
+    const { n } = this;
+    const k = this.effectiveSprings();
+    const K = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+      K[i][i] = k[i] + k[i + 1];
+      if (i + 1 < n) {
+        K[i][i + 1] = -k[i + 1];
+        K[i + 1][i] = -k[i + 1];
+      }
+    }
+    return K;
+  }
+
+  _compute() {
+    const { n, masses, x0, v0 } = this;
+    const { values, vectors } = generalizedSymmetricEigen(this.stiffnessMatrix(), this.massMatrix());
+
+    const lamScale = Math.max(1, ...values.map(Math.abs));
+
+    // Fix the sign of each mode shape so its first non-zero entry is positive
+    this.modeShapes = vectors.map(phi => {
+      const lead = phi.find(p => Math.abs(p) > 1e-12) || 1;
+      return lead < 0 ? phi.map(p => -p) : phi;
+    });
+    this.lambdas = values.map(l => (Math.abs(l) < ZERO_FREQ_TOL * lamScale ? 0 : l));
+    this.omegas  = this.lambdas.map(l => Math.sqrt(Math.max(0, l)));
+    this.growthRates = this.lambdas.map(l => Math.sqrt(Math.max(0, -l)));
+    /** True when some mode grows without bound (λⱼ < 0). */
+    this.unstable = this.lambdas.some(l => l < 0);
+
+    // Modal initial conditions via M-orthogonality: qⱼ(0) = φⱼᵀ M x(0)
+    this.A = this.modeShapes.map(phi => phi.reduce((s, p, i) => s + p * masses[i] * x0[i], 0));
+    const qdot0 = this.modeShapes.map(phi => phi.reduce((s, p, i) => s + p * masses[i] * v0[i], 0));
+    this.B = qdot0.map((qd, j) => qd / (this.omegas[j] || this.growthRates[j] || 1));
+
+    // Compatibility with the two-mass interface
+    this.omega1 = this.omegas[0];
+    this.omega2 = n > 1 ? this.omegas[1] : 0;
+  }
+
+  // ── modal evaluation ──────────────────────────────────────────────────────
+
+  /**
+   * d-th time derivative (d = 0, 1, 2) of the modal coordinate qⱼ(t).
+   * @param {number} j
+   * @param {number} t
+   * @param {0|1|2} d
+   */
+  modalCoordinate(j, t, d = 0) {
+    const w = this.omegas[j], mu = this.growthRates[j];
+    const A = this.A[j], B = this.B[j];
+    if (mu > 0) {
+      // Unstable: q = A cosh μt + B sinh μt
+      const ch = Math.cosh(mu * t), sh = Math.sinh(mu * t);
+      if (d === 1) return mu * (A * sh + B * ch);
+      return (d === 0 ? 1 : mu * mu) * (A * ch + B * sh);
+    }
+    if (w === 0) {
+      // Rigid-body drift: q = A + B t
+      return d === 0 ? A + B * t : d === 1 ? B : 0;
+    }
+    const c = Math.cos(w * t), s = Math.sin(w * t);
+    if (d === 0) return A * c + B * s;
+    if (d === 1) return w * (-A * s + B * c);
+    return -w * w * (A * c + B * s);
+  }
+
+  _evaluate(mass, t, d) {
+    const i = mass - 1;
+    let sum = 0;
+    for (let j = 0; j < this.n; j++) {
+      const phi = this.modeShapes[j][i];
+      if (phi !== 0) sum += phi * this.modalCoordinate(j, t, d);
+    }
+    return sum;
+  }
+
+  // ── evaluation helpers ────────────────────────────────────────────────────
+
+  /** Position of mass `mass` (1 … N) at time `t`. */
+  position(mass, t) {
+    return this._evaluate(mass, t, 0);
+  }
+
+  /** Velocity of mass `mass` at time `t`. */
+  velocity(mass, t) {
+    return this._evaluate(mass, t, 1);
+  }
+
+  /** Acceleration of mass `mass` at time `t`. */
+  acceleration(mass, t) {
+    return this._evaluate(mass, t, 2);
+  }
+
+  /**
+   * Position, velocity, and acceleration of every mass at time `t`,
+   * keyed x1, v1, a1, x2, … in the same style as CoupledOscillator.
+   * @param {number} t
+   * @returns {Object<string, number>}
+   */
+  valueAtTime(t) {
+    const out = {};
+    for (let m = 1; m <= this.n; m++) {
+      out[`x${m}`] = this.position(m, t);
+      out[`v${m}`] = this.velocity(m, t);
+      out[`a${m}`] = this.acceleration(m, t);
+    }
+    return out;
+  }
+
+  /**
+   * Energy at time `t`: kinetic energy of each mass, potential energy of
+   * each spring (k₁ … k_{N+1}, zero for a free end), energy in each normal
+   * mode and the (conserved) total.
+   * @param {number} t
+   * @returns {{ kinetic: number[], potential: number[], modes: number[], total: number }}
+   */
+  energy(t) {
+    const x = [], v = [];
+    for (let m = 1; m <= this.n; m++) {
+      x.push(this.position(m, t));
+      v.push(this.velocity(m, t));
+    }
+    return mechanicalEnergy(this.masses, this.effectiveSprings(),
+      { shapes: this.modeShapes, lambdas: this.lambdas }, x, v);
+  }
+
+  /**
+   * Find the first time t ∈ [tMin, tMax] where the specified quantity of
+   * the specified mass equals `target` (within `tolerance`).
+   *
+   * Coarse scan followed by bisection refinement (see first-time.js).
+   *
+   * @param {number} mass  – 1 … N
+   * @param {'x'|'v'|'a'} quantity
+   * @param {number} target
+   * @param {{ tMin?: number, tMax?: number, dt?: number, tolerance?: number }} [opts]
+   * @returns {number|null}
+   */
+  firstTimeTo(mass, quantity, target, opts = {}) {
+    return firstTimeTo(this, mass, quantity, target, opts);
+  }
+}
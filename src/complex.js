@@ -0,0 +1,160 @@
+/**
+ * Minimal complex arithmetic for the damped and frequency-domain solvers.
+ *
+ * Complex numbers are plain { re, im } objects; every helper returns a new
+ * object and never mutates its arguments.
+ */
+
+// ── construction & arithmetic ──────────────────────────────────────────────
+
+/** @returns {{re:number, im:number}} */
+export function complex(re, im = 0) {
+  return { re, im };
+}
+
+export function cAdd(a, b) {
+  return { re: a.re + b.re, im: a.im + b.im };
+}
+
+export function cSub(a, b) {
+  return { re: a.re - b.re, im: a.im - b.im };
+}
+
+export function cMul(a, b) {
+  return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re };
+}
+
+export function cDiv(a, b) {
+  const d = b.re * b.re + b.im * b.im;
+  return { re: (a.re * b.re + a.im * b.im) / d, im: (a.im * b.re - a.re * b.im) / d };
+}
+
+export function cScale(a, k) {
+  return { re: a.re * k, im: a.im * k };
+}
+
+export function cConj(a) {
+  return { re: a.re, im: -a.im };
+}
+
+/** Modulus |a|. */
+export function cAbs(a) {
+  return Math.hypot(a.re, a.im);
+}
+
+/** Argument arg(a) ∈ (−π, π]. */
+export function cArg(a) {
+  return Math.atan2(a.im, a.re);
+}
+
+/** e^a */
+export function cExp(a) {
+  const r = Math.exp(a.re);
+  return { re: r * Math.cos(a.im), im: r * Math.sin(a.im) };
+}
+
+// ── linear systems ─────────────────────────────────────────────────────────
+
+/**
+ * Solve the complex linear system A·x = b by Gaussian elimination with
+ * partial pivoting.
+ *
+ * @param {{re:number,im:number}[][]} A
+ * @param {{re:number,im:number}[]} b
+ * @returns {{re:number,im:number}[]}
+ * @throws {Error} when A is (numerically) singular
+ */
+export function solveComplex(A, b) {
+  const n = A.length;
+  const a = A.map((row, i) => [...row, b[i]]);
+
+  let scale = 0;
+  for (const row of A) for (const z of row) scale = Math.max(scale, cAbs(z));
+  const tiny = 1e-13 * (scale || 1);
+
+  for (let col = 0; col < n; col++) {
+    let piv = col;
+    for (let r = col + 1; r < n; r++) {
+      if (cAbs(a[r][col]) > cAbs(a[piv][col])) piv = r;
+    }
+    if (cAbs(a[piv][col]) <= tiny) throw new Error('Singular system');
+    [a[col], a[piv]] = [a[piv], a[col]];
+
+    for (let r = col + 1; r < n; r++) {
+      const f = cDiv(a[r][col], a[col][col]);
+      for (let c = col; c <= n; c++) a[r][c] = cSub(a[r][c], cMul(f, a[col][c]));
+    }
+  }
+
+  const x = new Array(n);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = a[r][n];
+    for (let c = r + 1; c < n; c++) s = cSub(s, cMul(a[r][c], x[c]));
+    x[r] = cDiv(s, a[r][r]);
+  }
+  return x;
+}
+
+// ── polynomial roots ───────────────────────────────────────────────────────
+
+/**
+ * All complex roots of the real polynomial
+ *   coeffs[0]·zⁿ + coeffs[1]·zⁿ⁻¹ + … + coeffs[n]
+ * by Durand–Kerner iteration followed by Newton polishing.
+ *
+ * Roots whose imaginary part is negligible are snapped to the real axis,
+ * and the result is sorted by real part, then imaginary part.
+ *
+ * @param {number[]} coeffs  – leading coefficient first (must be non-zero)
+ * @returns {{re:number,im:number}[]}
+ */
+export function polynomialRoots(coeffs) {
+  const lead = coeffs[0];
+  if (lead === 0) throw new Error('Leading coefficient must be non-zero');
+  const p = coeffs.map(c => c / lead);
+  const n = p.length - 1;
+  if (n === 0) return [];
+
+  const evalPoly = (z) => {
+    let v = complex(1);
+    for (let i = 1; i <= n; i++) v = cAdd(cMul(v, z), complex(p[i]));
+    return v;
+  };
+  const evalDeriv = (z) => {
+    let v = complex(n);
+    for (let i = 1; i < n; i++) v = cAdd(cMul(v, z), complex((n - i) * p[i]));
+    return v;
+  };
+
+  // Cauchy bound for the initial circle
+  const radius = 1 + Math.max(...p.slice(1).map(Math.abs));
+  let z = Array.from({ length: n }, (_, k) =>
+    cScale(cExp(complex(0, (2 * Math.PI * k) / n + 0.4)), radius));
+
+  for (let iter = 0; iter < 500; iter++) {
+    let maxStep = 0;
+    z = z.map((zi, i) => {
+      let den = complex(1);
+      z.forEach((zj, j) => { if (j !== i) den = cMul(den, cSub(zi, zj)); });
+      if (cAbs(den) === 0) return zi;
+      const step = cDiv(evalPoly(zi), den);
+      maxStep = Math.max(maxStep, cAbs(step));
+      return cSub(zi, step);
+    });
+    if (maxStep < 1e-15 * radius) break;
+  }
+
+  // Newton polishing of each root on the original polynomial
+  z = z.map((zi) => {
+    for (let k = 0; k < 5; k++) {
+      const d = evalDeriv(zi);
+      if (cAbs(d) === 0) break;
+      zi = cSub(zi, cDiv(evalPoly(zi), d));
+    }
+    return zi;
+  });
+
+  return z
+    .map(zi => (Math.abs(zi.im) <= 1e-10 * Math.max(1, cAbs(zi)) ? complex(zi.re) : zi))
+    .sort((a, b) => a.re - b.re || a.im - b.im);
+}
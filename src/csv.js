@@ -0,0 +1,79 @@
+/**
+ * Reading measured trajectories from CSV text.
+ *
+ * Accepted layout: one sample per line, fields separated by commas,
+ * semicolons, tabs or spaces.  An optional header row names the columns
+ * (t or time, x1, x2, case-insensitive, x₁/x₂ allowed); without one the
+ * columns are taken as t, x1[, x2].  Blank lines and lines starting with
+ * '#' are skipped, and an empty field is a missing sample.
+ */
+
+const HEADER_NAMES = {
+  t: 't', time: 't',
+  x1: 'x1', 'x₁': 'x1',
+  x2: 'x2', 'x₂': 'x2',
+};
+
+function splitFields(line) {
+  const sep = /[,;\t]/.test(line) ? /\s*[,;\t]\s*/ : /\s+/;
+  return line.trim().split(sep);
+}
+
+/**
+ * Parse measured (t, x₁, x₂) samples.
+ *
+ * @param {string} text
+ * @returns {{ t: number[], x1: (number|null)[], x2: (number|null)[] }}
+ *   samples in file order; a column missing from the file is all null
+ * @throws {Error} naming the line for unreadable numbers, unknown header
+ *   names, non-increasing times or too few samples
+ */
+export function parseTrajectoryCsv(text) {
+  const lines = text.split(/\r?\n/)
+    .map((line, i) => ({ line, number: i + 1 }))
+    .filter(({ line }) => line.trim() !== '' && !line.trim().startsWith('#'));
+  if (lines.length === 0) throw new Error('The file contains no data');
+
+  // A first row with any non-numeric field is a header
+  let columns = ['t', 'x1', 'x2'];
+  const first = splitFields(lines[0].line);
+  if (first.some(f => f !== '' && !Number.isFinite(Number(f)))) {
+    columns = first.map(name => {
+      const key = HEADER_NAMES[name.toLowerCase().replace(/["']/g, '').replace(/\s*\(.*\)$/, '')];
+      if (!key) throw new Error(`Line ${lines[0].number}: unknown column '${name}' (expected t, x1, x2)`);
+      return key;
+    });
+    if (!columns.includes('t')) throw new Error(`Line ${lines[0].number}: no time column`);
+    if (!columns.includes('x1') && !columns.includes('x2')) {
+      throw new Error(`Line ${lines[0].number}: no x1 or x2 column`);
+    }
+    lines.shift();
+  }
+
+  const out = { t: [], x1: [], x2: [] };
+  lines.forEach(({ line, number }) => {
+    const fields = splitFields(line);
+    if (fields.length > columns.length) {
+      throw new Error(`Line ${number}: ${fields.length} fields, expected at most ${columns.length}`);
+    }
+    const row = { t: null, x1: null, x2: null };
+    columns.forEach((key, j) => {
+      const field = fields[j] === undefined ? '' : fields[j];
+      if (field === '') return;
+      const value = Number(field);
+      if (!Number.isFinite(value)) throw new Error(`Line ${number}: '${field}' is not a number`);
+      row[key] = value;
+    });
+    if (row.t === null) throw new Error(`Line ${number}: missing time`);
+    const prev = out.t[out.t.length - 1];
+    if (prev !== undefined && !(row.t > prev)) {
+      throw new Error(`Line ${number}: time ${row.t} does not increase`);
+    }
+    out.t.push(row.t);
+    out.x1.push(row.x1);
+    out.x2.push(row.x2);
+  });
+
+  if (out.t.length < 2) throw new Error('At least two samples are needed');
+  return out;
+}
@@ -0,0 +1,62 @@
+/**
+ * Energy bookkeeping shared by the oscillator classes.
+ *
+ * For masses m₁ … m_N joined in a line by springs k₁ … k_{N+1} (the first
+ * and last attached to walls, or zero for a free end):
+ *
+ *   kinetic    Tᵢ = ½ mᵢ vᵢ²
+ *   potential  Vⱼ = ½ kⱼ (xⱼ − xⱼ₋₁)²,   x₀ = x_{N+1} = 0
+ *   mode       Eⱼ = ½ (q̇ⱼ² + λⱼ qⱼ²),   qⱼ = φⱼᵀ M x
+ *
+ * where φⱼ are the mass-normalised undamped mode shapes and λⱼ = ωⱼ².
+ * Because those shapes diagonalise both M and K, the modal energies add up
+ * to the same total T + V.
+ */
+
+import { integrateProduct } from './solution-terms.js';
+
+/**
+ * Instantaneous mechanical energy of a spring–mass line.
+ *
+ * @param {number[]} masses
+ * @param {number[]} springs  – N+1 spring constants, end springs to the walls
+ * @param {{ shapes: number[][], lambdas: number[] }} modes
+ * @param {number[]} x  – displacements
+ * @param {number[]} v  – velocities
+ * @returns {{ kinetic: number[], potential: number[], modes: number[], total: number }}
+ */
+export function mechanicalEnergy(masses, springs, modes, x, v) {
+  const n = masses.length;
+  const kinetic = masses.map((m, i) => 0.5 * m * v[i] * v[i]);
+  const potential = springs.map((k, j) => {
+    const stretch = (j < n ? x[j] : 0) - (j > 0 ? x[j - 1] : 0);
+    return 0.5 * k * stretch * stretch;
+  });
+  const modal = modes.shapes.map((phi, j) => {
+    let q = 0, qd = 0;
+    for (let i = 0; i < n; i++) {
+      q  += phi[i] * masses[i] * x[i];
+      qd += phi[i] * masses[i] * v[i];
+    }
+    return 0.5 * (qd * qd + modes.lambdas[j] * q * q);
+  });
+  const total = kinetic.reduce((s, e) => s + e, 0) + potential.reduce((s, e) => s + e, 0);
+  return { kinetic, potential, modes: modal, total };
+}
+
+/**
+ * Energy dissipated by viscous dampers over [0, t]: ∫₀ᵗ vᵀ C v ds, with
+ * the velocities given as a solution-term list.
+ *
+ * @param {Array<{gamma:number, omega:number, power:number, c:number[], s:number[]}>} velTerms
+ * @param {number[][]} C
+ * @param {number} t
+ * @returns {number}
+ */
+export function dissipatedEnergy(velTerms, C, t) {
+  let sum = 0;
+  C.forEach((row, i) => row.forEach((cij, j) => {
+    if (cij !== 0) sum += cij * integrateProduct(velTerms, i, velTerms, j, t);
+  }));
+  return sum;
+}
@@ -0,0 +1,163 @@
+/**
+ * Event detection on a computed trajectory: every crossing of a target
+ * level, every local maximum and minimum, and the turning points where a
+ * mass stops and reverses (vᵢ = 0).
+ *
+ * Works with any oscillator exposing position, velocity and acceleration
+ * (and m₁, m₂, k₁ … k₃ for the energy quantities).  The interval is scanned
+ * in steps of dt; each sign change of f − target (crossings) or of f′
+ * (extrema) is refined by bisection to `tolerance` in time.  Two events of
+ * one kind closer than dt apart can therefore be missed, as can a level
+ * that is touched without being crossed.
+ *
+ * Quantities, beyond the six xᵢ, vᵢ, aᵢ:
+ *   gap        x₂ − x₁, e.g. for "the masses come within d of each other"
+ *   E1, E2     energy held by each mass: its kinetic energy, its wall
+ *              spring and half the coupling spring,
+ *                E₁ = ½m₁v₁² + ½k₁(x₁ − u_L)² + ¼k₂(x₂ − x₁)²
+ *              with u_L, u_R the wall displacements under support motion,
+ *              and ¼βΔ⁴ more per spring when it has cubic stiffness
+ *   transfer   E₁ / (E₁ + E₂): 1 with all the energy at mass 1, 0 when it
+ *              has moved to mass 2; crossing ½ is half-way through a beat
+ */
+
+/** Event kinds in the order they are reported at equal times. */
+export const EVENT_KINDS = ['crossing', 'maximum', 'minimum', 'turning'];
+
+function wallsOf(osc, t) {
+  return typeof osc.wallDisplacement === 'function' ? osc.wallDisplacement(t) : [0, 0];
+}
+
+/** ½kΔ² + ¼βΔ⁴ for a spring with optional cubic stiffness β. */
+function springEnergy(k, beta, stretch) {
+  return 0.5 * k * stretch ** 2 + (beta ? 0.25 * beta * stretch ** 4 : 0);
+}
+
+function massEnergy(osc, mass, t) {
+  const [uL, uR] = wallsOf(osc, t);
+  const x1 = osc.position(1, t), x2 = osc.position(2, t);
+  const coupling = 0.5 * springEnergy(osc.k2, osc.beta2, x2 - x1);
+  if (mass === 1) return 0.5 * osc.m1 * osc.velocity(1, t) ** 2 + springEnergy(osc.k1, osc.beta1, x1 - uL) + coupling;
+  return 0.5 * osc.m2 * osc.velocity(2, t) ** 2 + springEnergy(osc.k3, osc.beta3, x2 - uR) + coupling;
+}
+
+/**
+ * quantity → [label, value f(osc, t), derivative f′(osc, t) or null]
+ * A null derivative is taken by central differences.
+ */
+export const EVENT_QUANTITIES = {
+  x1: ['x₁', (o, t) => o.position(1, t), (o, t) => o.velocity(1, t)],
+  x2: ['x₂', (o, t) => o.position(2, t), (o, t) => o.velocity(2, t)],
+  v1: ['v₁', (o, t) => o.velocity(1, t), (o, t) => o.acceleration(1, t)],
+  v2: ['v₂', (o, t) => o.velocity(2, t), (o, t) => o.acceleration(2, t)],
+  a1: ['a₁', (o, t) => o.acceleration(1, t), null],
+  a2: ['a₂', (o, t) => o.acceleration(2, t), null],
+  gap: ['x₂ − x₁', (o, t) => o.position(2, t) - o.position(1, t), (o, t) => o.velocity(2, t) - o.velocity(1, t)],
+  E1: ['E₁', (o, t) => massEnergy(o, 1, t), null],
+  E2: ['E₂', (o, t) => massEnergy(o, 2, t), null],
+  transfer: ['E₁ / (E₁ + E₂)', (o, t) => {
+    const e1 = massEnergy(o, 1, t), e2 = massEnergy(o, 2, t);
+    return e1 + e2 > 0 ? e1 / (e1 + e2) : 0.5;
+  }, null],
+};
+
+function centralDifference(f) {
+  return t => {
+    const h = 1e-5 * Math.max(1, Math.abs(t));
+    return (f(t + h) - f(t - h)) / (2 * h);
+  };
+}
+
+/**
+ * Every root of g in [tMin, tMax], with the sign of g just after it: +1
+ * rising, −1 falling (0 for a grid point where g is exactly zero and does
+ * not change sign).
+ */
+function roots(g, tMin, tMax, dt, tolerance) {
+  const out = [];
+  let prevT = tMin, prevG = g(tMin);
+  if (prevG === 0) out.push({ t: tMin, rising: 0 });
+  for (let i = 1; prevT < tMax; i++) {
+    const t = Math.min(tMin + i * dt, tMax);
+    const cur = g(t);
+    if (cur === 0) {
+      out.push({ t, rising: Math.sign(g(Math.min(t + dt / 2, tMax)) - g(Math.max(t - dt / 2, tMin))) });
+    } else if (prevG !== 0 && Math.sign(prevG) !== Math.sign(cur)) {
+      let lo = prevT, hi = t, gLo = prevG;
+      while (hi - lo > tolerance) {
+        const mid = (lo + hi) / 2;
+        const gMid = g(mid);
+        if (gMid === 0) { lo = hi = mid; break; }
+        if (Math.sign(gMid) === Math.sign(gLo)) { lo = mid; gLo = gMid; } else hi = mid;
+      }
+      out.push({ t: (lo + hi) / 2, rising: Math.sign(cur) });
+    }
+    prevT = t;
+    prevG = cur;
+  }
+  return out;
+}
+
+/**
+ * List the events of one quantity in [tMin, tMax].
+ *
+ * @param {object} osc  oscillator (CoupledOscillator, ForcedOscillator, …)
+ * @param {{
+ *   quantity?: string, target?: number, kinds?: string[],
+ *   tMin?: number, tMax: number, dt?: number, tolerance?: number
+ * }} opts
+ *   quantity (default 'x1') is a key of EVENT_QUANTITIES; crossings are of
+ *   `target` (default 0); kinds defaults to all of EVENT_KINDS; dt
+ *   (default 0.01) is the scan step and tolerance (default 1e-10) the
+ *   accuracy in time
+ * @returns {Array<{ t: number, kind: string, quantity: string, value: number,
+ *                   direction?: 'up'|'down', mass?: 1|2 }>}
+ *   sorted by time.  Crossings carry their direction; turning points are
+ *   reported for both masses, with `value` the position where each stops.
+ * @throws {Error} for an unknown quantity or kind, or a bad interval
+ */
+export function findEvents(osc, opts) {
+  const {
+    quantity = 'x1', target = 0, kinds = EVENT_KINDS,
+    tMin = 0, tMax, dt = 0.01, tolerance = 1e-10,
+  } = opts;
+  if (!Object.prototype.hasOwnProperty.call(EVENT_QUANTITIES, quantity)) {
+    throw new Error(`Unknown quantity '${quantity}'`);
+  }
+  const unknown = kinds.find(k => !EVENT_KINDS.includes(k));
+  if (unknown) throw new Error(`Unknown event kind '${unknown}'`);
+  if (!Number.isFinite(tMin) || !Number.isFinite(tMax) || !(tMax > tMin)) {
+    throw new Error('The search interval needs finite tMin < tMax');
+  }
+  if (!(dt > 0)) throw new Error('The scan step dt must be positive');
+  if (!Number.isFinite(target)) throw new Error('The target must be a finite number');
+
+  const [, fn, dfn] = EVENT_QUANTITIES[quantity];
+  const f = t => fn(osc, t);
+  const df = dfn ? t => dfn(osc, t) : centralDifference(f);
+  const events = [];
+
+  if (kinds.includes('crossing')) {
+    roots(t => f(t) - target, tMin, tMax, dt, tolerance).forEach(({ t, rising }) => {
+      const event = { t, kind: 'crossing', quantity, value: f(t) };
+      if (rising) event.direction = rising > 0 ? 'up' : 'down';
+      events.push(event);
+    });
+  }
+  if (kinds.includes('maximum') || kinds.includes('minimum')) {
+    roots(df, tMin, tMax, dt, tolerance).forEach(({ t, rising }) => {
+      // f′ falling through zero is a maximum of f
+      const kind = rising < 0 ? 'maximum' : rising > 0 ? 'minimum' : null;
+      if (kind && kinds.includes(kind)) events.push({ t, kind, quantity, value: f(t) });
+    });
+  }
+  if (kinds.includes('turning')) {
+    [1, 2].forEach(mass => {
+      roots(t => osc.velocity(mass, t), tMin, tMax, dt, tolerance).forEach(({ t, rising }) => {
+        if (rising) events.push({ t, kind: 'turning', quantity: `x${mass}`, value: osc.position(mass, t), mass });
+      });
+    });
+  }
+
+  return events.sort((a, b) => a.t - b.t || EVENT_KINDS.indexOf(a.kind) - EVENT_KINDS.indexOf(b.kind));
+}
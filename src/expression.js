@@ -0,0 +1,278 @@
+/**
+ * Safe arithmetic expressions in t, for user-defined forcing functions.
+ *
+ * The source is tokenised and parsed by recursive descent into a tree of
+ * closures; nothing is passed to eval or Function, and only the names
+ * below are reachable.
+ *
+ * Grammar, loosest binding first:
+ *   compare := sum (('<' | '<=' | '>' | '>=') sum)?
+ *   sum     := product (('+' | '-') product)*
+ *   product := unary (('*' | '/') unary)*
+ *   unary   := ('+' | '-') unary | power
+ *   power   := atom ('^' unary)?              right-associative, −t^2 = −(t^2)
+ *   atom    := number | name | name '(' compare (',' compare)* ')' | '(' compare ')'
+ *
+ * Comparisons give 1 or 0.  Names are the variable t, the constants pi and
+ * e, the usual Math functions and these forcing shapes:
+ *   step(x)                  1 for x ≥ 0, else 0
+ *   impulse(x, w)            rectangular pulse of unit area on 0 ≤ x < w
+ *   square(x, duty = 0.5)    ±1 square wave with period 2π, in phase with sin x
+ *   chirp(t, w0, w1, T)      sin(w0·t + (w1 − w0)·t²/(2T)): frequency w0 → w1 over [0, T]
+ *   piecewise(c1, v1, c2, v2, …, otherwise)   the first vᵢ whose cᵢ ≠ 0
+ */
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * name → [implementation, minimum arity, maximum arity, partial derivatives]
+ *
+ * The partials take the argument values and return ∂f/∂argₖ for each
+ * argument.  The jumps of the piecewise-constant shapes (step, impulse,
+ * square, sign, floor, ceil, piecewise branches) have zero derivative.
+ */
+const FUNCTIONS = {
+  sin: [Math.sin, 1, 1, x => [Math.cos(x)]],
+  cos: [Math.cos, 1, 1, x => [-Math.sin(x)]],
+  tan: [Math.tan, 1, 1, x => [1 / Math.cos(x) ** 2]],
+  asin: [Math.asin, 1, 1, x => [1 / Math.sqrt(1 - x * x)]],
+  acos: [Math.acos, 1, 1, x => [-1 / Math.sqrt(1 - x * x)]],
+  atan: [Math.atan, 1, 1, x => [1 / (1 + x * x)]],
+  sinh: [Math.sinh, 1, 1, x => [Math.cosh(x)]],
+  cosh: [Math.cosh, 1, 1, x => [Math.sinh(x)]],
+  tanh: [Math.tanh, 1, 1, x => [1 / Math.cosh(x) ** 2]],
+  exp: [Math.exp, 1, 1, x => [Math.exp(x)]],
+  log: [Math.log, 1, 1, x => [1 / x]],
+  sqrt: [Math.sqrt, 1, 1, x => [0.5 / Math.sqrt(x)]],
+  abs: [Math.abs, 1, 1, x => [Math.sign(x)]],
+  sign: [Math.sign, 1, 1, () => [0]],
+  floor: [Math.floor, 1, 1, () => [0]],
+  ceil: [Math.ceil, 1, 1, () => [0]],
+  min: [Math.min, 1, Infinity, (...xs) => selected(xs, xs.indexOf(Math.min(...xs)))],
+  max: [Math.max, 1, Infinity, (...xs) => selected(xs, xs.indexOf(Math.max(...xs)))],
+  step: [x => (x >= 0 ? 1 : 0), 1, 1, () => [0]],
+  impulse: [(x, w) => (x >= 0 && x < w ? 1 / w : 0), 2, 2, () => [0, 0]],
+  square: [squareWave, 1, 2, (...xs) => xs.map(() => 0)],
+  chirp: [chirp, 4, 4, chirpPartials],
+  piecewise: [piecewise, 1, Infinity, (...xs) => selected(xs, piecewiseBranch(xs))],
+};
+
+function squareWave(x, duty = 0.5) {
+  const phase = x / (2 * Math.PI);
+  return phase - Math.floor(phase) < duty ? 1 : -1;
+}
+
+function chirpPhase(t, w0, w1, T) {
+  return w0 * t + (w1 - w0) * t * t / (2 * T);
+}
+
+function chirp(t, w0, w1, T) {
+  return Math.sin(chirpPhase(t, w0, w1, T));
+}
+
+function chirpPartials(t, w0, w1, T) {
+  const c = Math.cos(chirpPhase(t, w0, w1, T));
+  const q = t * t / (2 * T);
+  return [c * (w0 + (w1 - w0) * t / T), c * (t - q), c * q, -c * (w1 - w0) * q / T];
+}
+
+/** Index of the argument piecewise() returns, or −1 for the implicit 0. */
+function piecewiseBranch(args) {
+  for (let i = 0; i + 1 < args.length; i += 2) {
+    if (args[i] !== 0) return i + 1;
+  }
+  return args.length % 2 ? args.length - 1 : -1;
+}
+
+function piecewise(...args) {
+  const i = piecewiseBranch(args);
+  return i < 0 ? 0 : args[i];
+}
+
+/** Partials of a function that returns its i-th argument. */
+function selected(args, i) {
+  return args.map((_, k) => (k === i ? 1 : 0));
+}
+
+const has = (table, name) => Object.prototype.hasOwnProperty.call(table, name);
+
+/** operator → [value, derivative from the operand values and derivatives] */
+const BINARY = {
+  '+': [(a, b) => a + b, (a, da, b, db) => da + db],
+  '-': [(a, b) => a - b, (a, da, b, db) => da - db],
+  '*': [(a, b) => a * b, (a, da, b, db) => da * b + a * db],
+  '/': [(a, b) => a / b, (a, da, b, db) => (da * b - a * db) / (b * b)],
+  '^': [(a, b) => a ** b, powerDerivative],
+  '<': [(a, b) => +(a < b), () => 0],
+  '<=': [(a, b) => +(a <= b), () => 0],
+  '>': [(a, b) => +(a > b), () => 0],
+  '>=': [(a, b) => +(a >= b), () => 0],
+};
+
+function powerDerivative(a, da, b, db) {
+  // A constant exponent keeps negative bases differentiable: b a^(b−1) a'
+  const base = da === 0 ? 0 : b * a ** (b - 1) * da;
+  return db === 0 ? base : base + a ** b * Math.log(a) * db;
+}
+
+// ── tokeniser ───────────────────────────────────────────────────────────────
+
+const TOKEN = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(<=|>=|[-+*/^(),<>]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (/\S/.test(source.slice(i))) {
+    TOKEN.lastIndex = i;
+    const m = TOKEN.exec(source);
+    if (!m) {
+      const col = i + source.slice(i).search(/\S/);
+      throw new Error(`Unexpected character '${source[col]}' at column ${col + 1}`);
+    }
+    i = TOKEN.lastIndex;
+    const text = m[1] ?? m[2] ?? m[3];
+    const col = i - text.length + 1;
+    if (m[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(text), text, col });
+    else if (m[2] !== undefined) tokens.push({ type: 'name', text, col });
+    else tokens.push({ type: 'op', text, col });
+  }
+  return tokens;
+}
+
+// ── parser ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parse an expression into a node { f, df }: its value and its derivative
+ * with respect to t, both as functions of t.
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  if (tokens.length === 0) throw new Error('Empty expression');
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const describe = tok => (tok ? `'${tok.text}' at column ${tok.col}` : 'end of expression');
+  const unexpected = tok => new Error(`Unexpected ${describe(tok)}`);
+  const accept = text => {
+    const tok = tokens[pos];
+    if (tok && tok.type === 'op' && tok.text === text) { pos++; return tok; }
+    return null;
+  };
+  const expect = text => {
+    if (!accept(text)) throw new Error(`Expected '${text}' but found ${describe(peek())}`);
+  };
+  const constant = c => ({ f: () => c, df: () => 0 });
+
+  function apply(op, a, b) {
+    const [fn, dfn] = BINARY[op];
+    return {
+      f: t => fn(a.f(t), b.f(t)),
+      df: t => dfn(a.f(t), a.df(t), b.f(t), b.df(t)),
+    };
+  }
+
+  function binary(next, ops) {
+    let left = next();
+    for (let tok = peek(); tok && tok.type === 'op' && ops.includes(tok.text); tok = peek()) {
+      pos++;
+      left = apply(tok.text, left, next());
+    }
+    return left;
+  }
+
+  function compare() {
+    const left = sum();
+    const tok = peek();
+    if (!tok || tok.type !== 'op' || !['<', '<=', '>', '>='].includes(tok.text)) return left;
+    pos++;
+    return apply(tok.text, left, sum());
+  }
+
+  const sum = () => binary(product, ['+', '-']);
+  const product = () => binary(unary, ['*', '/']);
+
+  function unary() {
+    if (accept('-')) { const a = unary(); return { f: t => -a.f(t), df: t => -a.df(t) }; }
+    if (accept('+')) return unary();
+    return power();
+  }
+
+  function power() {
+    const base = atom();
+    if (!accept('^')) return base;
+    return apply('^', base, unary());
+  }
+
+  function atom() {
+    const tok = tokens[pos++];
+    if (!tok) throw unexpected(tok);
+    if (tok.type === 'number') return constant(tok.value);
+    if (tok.type === 'op') {
+      if (tok.text !== '(') throw unexpected(tok);
+      const inner = compare();
+      expect(')');
+      return inner;
+    }
+    if (accept('(')) return call(tok);
+    if (tok.text === 't') return { f: t => t, df: () => 1 };
+    if (has(CONSTANTS, tok.text)) return constant(CONSTANTS[tok.text]);
+    if (has(FUNCTIONS, tok.text)) throw new Error(`'${tok.text}' at column ${tok.col} is a function: write ${tok.text}(…)`);
+    throw new Error(`Unknown name '${tok.text}' at column ${tok.col}`);
+  }
+
+  function call(tok) {
+    if (!has(FUNCTIONS, tok.text)) {
+      throw new Error(`Unknown function '${tok.text}' at column ${tok.col}`);
+    }
+    const [fn, min, max, partials] = FUNCTIONS[tok.text];
+    const args = [compare()];
+    while (accept(',')) args.push(compare());
+    expect(')');
+    if (args.length < min || args.length > max) {
+      const range = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} or ${max}`;
+      throw new Error(`${tok.text}() at column ${tok.col} takes ${range} argument${min === 1 && max === 1 ? '' : 's'}, got ${args.length}`);
+    }
+    return {
+      f: t => fn(...args.map(a => a.f(t))),
+      // Chain rule: Σ ∂f/∂argₖ · d argₖ/dt, skipping arguments constant in t
+      df: t => partials(...args.map(a => a.f(t))).reduce((sum, p, k) => {
+        const d = args[k].df(t);
+        return d === 0 ? sum : sum + p * d;
+      }, 0),
+    };
+  }
+
+  const root = compare();
+  if (pos < tokens.length) {
+    const tok = peek();
+    const hint = tok.type !== 'op' || tok.text === '(' ? " (missing '*'?)" : '';
+    throw new Error(`Unexpected ${describe(tok)}${hint}`);
+  }
+  return root;
+}
+
+/**
+ * Compile an expression in t into a function of t.
+ *
+ * @param {string} source
+ * @returns {(t: number) => number}
+ * @throws {Error} with the column of the offending token for syntax errors,
+ *   unknown names and wrong argument counts
+ */
+export function compileExpression(source) {
+  return parse(source).f;
+}
+
+/**
+ * Compile an expression in t and its exact derivative d/dt, e.g. to get a
+ * prescribed velocity from a prescribed displacement.  Jumps in
+ * piecewise-constant shapes contribute nothing to the derivative.
+ *
+ * @param {string} source
+ * @returns {{ f: (t: number) => number, df: (t: number) => number }}
+ * @throws {Error} as compileExpression
+ */
+export function compileWithDerivative(source) {
+  const { f, df } = parse(source);
+  return { f, df };
+}
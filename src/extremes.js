@@ -0,0 +1,79 @@
+/**
+ * Extreme values of one mass's motion over a time window, and the
+ * envelope that bounds it.
+ *
+ * The global maximum and minimum are taken over the window's end points
+ * and every interior local extremum (see events.js), so they are exact to
+ * the event search's accuracy rather than to the plot grid.  The RMS value
+ *   √( (1 / (t₁ − t₀)) ∫ f² dt )
+ * is integrated by Simpson's rule on the scan step.
+ */
+
+import { findEvents } from './events.js';
+import { envelopeOfTerms } from './solution-terms.js';
+
+const QUANTITY_METHODS = { x: 'position', v: 'velocity', a: 'acceleration' };
+
+/**
+ * Global maximum and minimum, RMS and peak-to-peak value of one quantity
+ * of one mass over [tMin, tMax].
+ *
+ * @param {object} osc  any two-mass oscillator (closed form or numerical)
+ * @param {1|2} mass
+ * @param {'x'|'v'|'a'} quantity
+ * @param {{ tMin?: number, tMax: number, dt?: number }} opts
+ *   dt (default 0.01) is the scan step for extrema and the Simpson step
+ * @returns {{ max: { t: number, value: number }, min: { t: number, value: number },
+ *             rms: number, peakToPeak: number }}
+ *   max and min give the earliest time the value is attained
+ * @throws {Error} for an unknown mass or quantity, or a bad interval
+ */
+export function extremeValues(osc, mass, quantity, { tMin = 0, tMax, dt = 0.01 } = {}) {
+  if (mass !== 1 && mass !== 2) throw new Error(`Unknown mass ${mass}`);
+  const method = QUANTITY_METHODS[quantity];
+  if (!method) throw new Error(`Unknown quantity '${quantity}'`);
+  const f = t => osc[method](mass, t);
+
+  const extrema = findEvents(osc, { quantity: `${quantity}${mass}`, kinds: ['maximum', 'minimum'], tMin, tMax, dt });
+  const candidates = [{ t: tMin, value: f(tMin) }, ...extrema, { t: tMax, value: f(tMax) }];
+  let max = candidates[0], min = candidates[0];
+  candidates.forEach(c => {
+    if (c.value > max.value) max = c;
+    if (c.value < min.value) min = c;
+  });
+
+  // Simpson's rule on an even number of steps no longer than dt
+  const n = 2 * Math.ceil((tMax - tMin) / (2 * dt));
+  const h = (tMax - tMin) / n;
+  let sum = f(tMin) ** 2 + f(tMax) ** 2;
+  for (let i = 1; i < n; i++) sum += (i % 2 ? 4 : 2) * f(tMin + i * h) ** 2;
+  const rms = Math.sqrt(Math.max(0, sum * h / 3 / (tMax - tMin)));
+
+  return {
+    max: { t: max.t, value: max.value },
+    min: { t: min.t, value: min.value },
+    rms,
+    peakToPeak: max.value - min.value,
+  };
+}
+
+/**
+ * Envelope of a mass's position: center ± amplitude, with the amplitude
+ * the modulus of the analytic signal (see envelopeOfTerms).  Needs a
+ * closed-form solution (CoupledOscillator or ForcedOscillator).
+ *
+ * @param {{ terms: object[] }} osc
+ * @param {1|2} mass
+ * @param {number[]} tArr
+ * @returns {{ upper: number[], lower: number[], amplitude: number[] }}
+ * @throws {Error} for a solution without closed-form terms
+ */
+export function beatEnvelope(osc, mass, tArr) {
+  if (!Array.isArray(osc.terms)) throw new Error('The envelope needs a closed-form solution');
+  const points = tArr.map(t => envelopeOfTerms(osc.terms, mass - 1, t));
+  return {
+    upper: points.map(p => p.center + p.amplitude),
+    lower: points.map(p => p.center - p.amplitude),
+    amplitude: points.map(p => p.amplitude),
+  };
+}
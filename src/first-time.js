@@ -0,0 +1,81 @@
+/**
+ * First time a sampled quantity reaches a target level, shared by every
+ * model's `firstTimeTo`.
+ *
+ * [tMin, tMax] is scanned in steps of dt and the first sign change of
+ * f − target is refined by bisection.  A level that is touched without
+ * being crossed, or crossed twice within one step, can be missed; the
+ * closed-form models also offer `guaranteedTimeTo`, which cannot.
+ */
+
+const METHODS = { x: 'position', v: 'velocity', a: 'acceleration' };
+
+/** Bisection halvings of a bracketing step. */
+const BISECTIONS = 60;
+
+/**
+ * First t ∈ [tMin, tMax] where f(t) = target (within `tolerance`).
+ *
+ * @param {(t: number) => number} f
+ * @param {number} target
+ * @param {{ tMin?: number, tMax?: number, dt?: number, tolerance?: number }} [opts]
+ *   defaults 0, 100, 0.01 and 1e-9
+ * @returns {number|null}  The first time, or null if not found.
+ */
+export function firstCrossing(f, target, opts = {}) {
+  const {
+    tMin = 0,
+    tMax = 100,
+    dt = 0.01,
+    tolerance = 1e-9,
+  } = opts;
+
+  let prevT = tMin;
+  let prevF = f(tMin) - target;
+
+  // Quick exact-hit check
+  if (Math.abs(prevF) < tolerance) return tMin;
+
+  for (let t = tMin + dt; t <= tMax + dt * 0.5; t += dt) {
+    const curT = Math.min(t, tMax);
+    const curF = f(curT) - target;
+
+    if (Math.abs(curF) < tolerance) return curT;
+
+    if (prevF * curF < 0) {
+      // Sign change – refine with bisection
+      let lo = prevT, hi = curT;
+      for (let i = 0; i < BISECTIONS; i++) {
+        const mid = (lo + hi) / 2;
+        const mf = f(mid) - target;
+        if (Math.abs(mf) < tolerance) return mid;
+        if (prevF * mf <= 0) hi = mid;
+        else { lo = mid; prevF = mf; }
+      }
+      return (lo + hi) / 2;
+    }
+
+    prevT = curT;
+    prevF = curF;
+    if (curT >= tMax) break;
+  }
+
+  return null;
+}
+
+/**
+ * First time the position, velocity or acceleration of one mass equals
+ * `target`, for any model exposing those three methods.
+ *
+ * @param {{ position: Function, velocity: Function, acceleration: Function }} osc
+ * @param {number} mass  – 1 … N
+ * @param {'x'|'v'|'a'} quantity  – position, velocity, or acceleration
+ * @param {number} target
+ * @param {{ tMin?: number, tMax?: number, dt?: number, tolerance?: number }} [opts]
+ *   as for firstCrossing
+ * @returns {number|null}
+ */
+export function firstTimeTo(osc, mass, quantity, target, opts = {}) {
+  const method = METHODS[quantity] || 'acceleration';
+  return firstCrossing(t => osc[method](mass, t), target, opts);
+}
@@ -0,0 +1,265 @@
+/**
+ * Parameter identification for the two-mass system from measured
+ * trajectories, by Levenberg–Marquardt nonlinear least squares with
+ * CoupledOscillator as the forward model.
+ *
+ * Positions alone fix the stiffness-to-mass ratios but not the overall
+ * scale: multiplying every mᵢ, kⱼ and cⱼ by the same factor gives the same
+ * motion.  So m₁ is held at its given value and m₂ is fitted through the
+ * ratio m₂/m₁; the dampers are held fixed.
+ *
+ * Uncertainties are one standard deviation from the linearised covariance
+ *   Cov = s² (JᵀJ)⁻¹,   s² = Σ rᵢ² / (n − p)
+ * at the solution, with J the Jacobian of the residuals r.  The natural
+ * frequencies inherit theirs through ∂ω/∂θ.
+ */
+
+import { CoupledOscillator } from './oscillator.js';
+import { solveSPD, inverseSPD } from './linalg.js';
+
+/** Names of the quantities fitTrajectory can adjust, in a fixed order. */
+export const FIT_PARAMETERS = ['massRatio', 'k1', 'k2', 'k3', 'x10', 'x20', 'v10', 'v20'];
+
+/** Full system parameters for the fitted values θ of the named quantities. */
+function applyParameters(base, names, theta) {
+  const p = { ...base, massRatio: base.m2 / base.m1 };
+  names.forEach((name, i) => { p[name] = theta[i]; });
+  p.m2 = p.massRatio * p.m1;
+  delete p.massRatio;
+  return p;
+}
+
+/** Model minus measurement over every present sample, or null if the model fails. */
+function residualsFor(params, data) {
+  let osc;
+  try {
+    osc = new CoupledOscillator(params);
+  } catch (e) {
+    return null;
+  }
+  const r = [];
+  [data.x1, data.x2].forEach((xs, m) => xs.forEach((x, i) => {
+    if (x !== null) r.push(osc.position(m + 1, data.t[i]) - x);
+  }));
+  return r.every(Number.isFinite) ? r : null;
+}
+
+const sumSquares = r => r.reduce((s, v) => s + v * v, 0);
+
+/** Forward-difference Jacobian of the residuals with respect to θ. */
+function jacobian(residual, theta, r0) {
+  const columns = theta.map((v, j) => {
+    const h = 1e-7 * Math.max(1, Math.abs(v));
+    const shifted = theta.slice();
+    shifted[j] += h;
+    const r = residual(shifted);
+    return r ? r.map((ri, i) => (ri - r0[i]) / h) : r0.map(() => 0);
+  });
+  return r0.map((_, i) => columns.map(col => col[i]));
+}
+
+/** JᵀJ and Jᵀr. */
+function normalEquations(J, r) {
+  const p = J[0].length;
+  const A = Array.from({ length: p }, () => new Array(p).fill(0));
+  const g = new Array(p).fill(0);
+  J.forEach((row, i) => {
+    for (let a = 0; a < p; a++) {
+      g[a] += row[a] * r[i];
+      for (let b = 0; b <= a; b++) A[a][b] += row[a] * row[b];
+    }
+  });
+  for (let a = 0; a < p; a++) for (let b = 0; b < a; b++) A[b][a] = A[a][b];
+  return { A, g };
+}
+
+/**
+ * Initial conditions read off samples that start at t = 0: the first
+ * position and a forward-difference velocity.
+ */
+function initialConditionsFromData(data) {
+  const out = {};
+  if (data.t[0] !== 0) return out;
+  [data.x1, data.x2].forEach((xs, m) => {
+    if (xs[0] === null) return;
+    out[`x${m + 1}0`] = xs[0];
+    if (xs[1] !== null) out[`v${m + 1}0`] = (xs[1] - xs[0]) / (data.t[1] - data.t[0]);
+  });
+  return out;
+}
+
+/** The samples with t ≤ tEnd. */
+function leadingSamples(data, tEnd) {
+  const n = data.t.filter(t => t <= tEnd).length;
+  return { t: data.t.slice(0, n), x1: data.x1.slice(0, n), x2: data.x2.slice(0, n) };
+}
+
+/**
+ * Levenberg–Marquardt with Marquardt's diagonal scaling, from θ with
+ * residuals r.  Stops when a step no longer lowers the cost by a relative
+ * `tolerance`, when the step itself is negligible, or when no damping
+ * gives a downhill step (a local minimum).
+ */
+function levenbergMarquardt(residual, theta, r, { maxIterations, tolerance }) {
+  let cost = sumSquares(r);
+  let lambda = 1e-3;
+  let iterations = 0;
+  let converged = false;
+  while (!converged && iterations < maxIterations) {
+    iterations++;
+    const J = jacobian(residual, theta, r);
+    const { A, g } = normalEquations(J, r);
+    let accepted = false;
+    while (!accepted && lambda < 1e12) {
+      const N = A.map((row, a) => row.map((v, b) => (a === b ? v + lambda * (v || 1) : v)));
+      let delta;
+      try {
+        delta = solveSPD(N, g.map(v => -v));
+      } catch (e) {
+        lambda *= 10;
+        continue;
+      }
+      const trial = theta.map((v, j) => v + delta[j]);
+      const rTrial = residual(trial);
+      const costTrial = rTrial ? sumSquares(rTrial) : Infinity;
+      if (costTrial < cost) {
+        const gain = cost - costTrial;
+        theta = trial; r = rTrial; cost = costTrial;
+        lambda = Math.max(lambda / 10, 1e-12);
+        accepted = true;
+        const step = Math.max(...delta.map((d, j) => Math.abs(d) / Math.max(1, Math.abs(theta[j]))));
+        if (gain <= tolerance * Math.max(cost, 1e-300) || step < 1e-10) converged = true;
+      } else {
+        lambda *= 10;
+      }
+    }
+    if (!accepted) converged = true;
+  }
+  return { theta, r, cost, iterations, converged };
+}
+
+/**
+ * Fit the two-mass model to measured positions.
+ *
+ * @param {{ t: number[], x1: (number|null)[], x2: (number|null)[] }} data
+ *   samples as returned by parseTrajectoryCsv
+ * @param {{ m1: number, m2: number, k1: number, k2: number, k3: number,
+ *           c1?: number, c2?: number, c3?: number,
+ *           x10?: number, x20?: number, v10?: number, v20?: number }} initial
+ *   starting guess; m₁ and the dampers stay at these values
+ * @param {{ fit?: string[], guessInitialConditions?: boolean,
+ *           maxIterations?: number, tolerance?: number }} [opts]
+ *   `fit` lists the quantities to adjust (default FIT_PARAMETERS);
+ *   `guessInitialConditions` (default true) starts x₀, v₀ from the data
+ *   when the samples start at t = 0
+ * @returns {{
+ *   params: object,
+ *   values: Object<string, number>,
+ *   uncertainties: Object<string, number>|null,
+ *   omegas: [number, number],
+ *   omegaUncertainties: [number, number]|null,
+ *   residuals: { t: number[], x1: (number|null)[], x2: (number|null)[] },
+ *   rms: number,
+ *   iterations: number,
+ *   converged: boolean
+ * }}  uncertainties are null when the data do not determine every fitted
+ *   quantity (JᵀJ singular) or there are no more samples than unknowns
+ * @throws {Error} if the starting guess cannot be evaluated
+ */
+export function fitTrajectory(data, initial, opts = {}) {
+  const {
+    fit = FIT_PARAMETERS,
+    guessInitialConditions = true,
+    maxIterations = 200,
+    tolerance = 1e-12,
+  } = opts;
+  const names = FIT_PARAMETERS.filter(n => fit.includes(n));
+
+  const start = { c1: 0, c2: 0, c3: 0, x10: 0, x20: 0, v10: 0, v20: 0, ...initial };
+  if (guessInitialConditions) {
+    const guessed = initialConditionsFromData(data);
+    names.forEach(n => { if (n in guessed) start[n] = guessed[n]; });
+  }
+  const startValues = { ...start, massRatio: start.m2 / start.m1 };
+  const residualOver = samples => theta => residualsFor(applyParameters(start, names, theta), samples);
+  const residual = residualOver(data);
+
+  let theta = names.map(n => startValues[n]);
+  const startOsc = (() => {
+    try { return new CoupledOscillator(start); } catch (e) { return null; }
+  })();
+  if (!startOsc || !residual(theta)) throw new Error('The starting parameters do not give a valid model');
+
+  // A long record against a poor guess has many local minima, each a few
+  // cycles of phase slip.  So fit the first two periods of the slower mode,
+  // then keep doubling the window, each fit starting from the last.
+  const t0 = data.t[0], tLast = data.t[data.t.length - 1];
+  const slowest = Math.min(...[startOsc.omega1, startOsc.omega2].filter(w => w > 0));
+  const first = Number.isFinite(slowest) ? 4 * Math.PI / slowest : Infinity;
+  let iterations = 0;
+  let result;
+  for (let span = first; ; span *= 2) {
+    const full = t0 + span >= tLast || iterations >= maxIterations;
+    const f = full ? residual : residualOver(leadingSamples(data, t0 + span));
+    const r0 = f(theta);
+    if (!full && r0.length <= names.length) continue;
+    result = names.length === 0
+      ? { theta, r: r0, cost: sumSquares(r0), iterations: 0, converged: true }
+      : levenbergMarquardt(f, theta, r0, { maxIterations: maxIterations - iterations, tolerance });
+    theta = result.theta;
+    iterations += result.iterations;
+    if (full) break;
+  }
+  const { r, cost, converged } = result;
+
+  const params = applyParameters(start, names, theta);
+  const osc = new CoupledOscillator(params);
+  const values = {};
+  names.forEach((n, i) => { values[n] = theta[i]; });
+
+  // Linearised covariance at the solution
+  const n = r.length, p = names.length;
+  let uncertainties = null, omegaUncertainties = null;
+  if (n > p && p > 0) {
+    const J = jacobian(residual, theta, r);
+    const { A } = normalEquations(J, r);
+    let cov = null;
+    try {
+      const s2 = cost / (n - p);
+      cov = inverseSPD(A).map(row => row.map(v => v * s2));
+    } catch (e) {
+      cov = null;
+    }
+    if (cov && cov.every((row, i) => row[i] >= 0)) {
+      uncertainties = {};
+      names.forEach((name, i) => { uncertainties[name] = Math.sqrt(cov[i][i]); });
+      omegaUncertainties = [0, 1].map(k => {
+        const key = k === 0 ? 'omega1' : 'omega2';
+        const grad = theta.map((v, j) => {
+          const h = 1e-7 * Math.max(1, Math.abs(v));
+          const shifted = theta.slice();
+          shifted[j] += h;
+          return (new CoupledOscillator(applyParameters(start, names, shifted))[key] - osc[key]) / h;
+        });
+        let variance = 0;
+        grad.forEach((ga, a) => grad.forEach((gb, b) => { variance += ga * cov[a][b] * gb; }));
+        return Math.sqrt(Math.max(0, variance));
+      });
+    }
+  }
+
+  // Residuals laid out like the data
+  const residuals = { t: data.t.slice(), x1: [], x2: [] };
+  let k = 0;
+  [data.x1, data.x2].forEach((xs, m) => xs.forEach(x => {
+    residuals[m === 0 ? 'x1' : 'x2'].push(x === null ? null : r[k++]);
+  }));
+
+  return {
+    params, values, uncertainties,
+    omegas: [osc.omega1, osc.omega2], omegaUncertainties,
+    residuals,
+    rms: Math.sqrt(cost / n),
+    iterations, converged,
+  };
+}
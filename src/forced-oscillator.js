@@ -1,123 +1,193 @@
+import { CoupledOscillator } from './oscillator.js';
+import { complex, solveComplex } from './complex.js';
+import { evaluateTerms, mergeTerms, differentiateTerms, integrateProduct, firstRootOfTerms } from './solution-terms.js';
+import { mechanicalEnergy, dissipatedEnergy } from './energy.js';
+import { firstTimeTo } from './first-time.js';
+import { rungeKutta4, switchedRungeKutta4, dormandPrince, velocityVerlet, yoshida4 } from './ode.js';
+import { compileExpression, compileWithDerivative } from './expression.js';
+
+/** Relative tolerance for treating the drive frequency as a natural frequency. */
+const RESONANCE_TOL = 1e-9;
+
+/**
+ * Prescribed motion of the left and right walls, each as { u, du }: the
+ * displacement u(t) and velocity u̇(t).  Walls not in baseTarget stay put.
+ */
+function wallMotion({ baseType = 'none', baseTarget = 'left', baseU = 1, baseOmega = 1, basePhi = 0, baseExpr = '' }) {
+  const still = { u: () => 0, du: () => 0 };
+  if (baseType === 'none') return [still, still];
+  let motion;
+  if (baseType === 'expr') {
+    const { f, df } = compileWithDerivative(baseExpr);
+    motion = { u: f, du: df };
+  } else if (baseType === 'sin') {
+    motion = { u: t => baseU * Math.sin(baseOmega * t - basePhi),
+               du: t => baseU * baseOmega * Math.cos(baseOmega * t - basePhi) };
+  } else {
+    motion = { u: t => baseU * Math.cos(baseOmega * t - basePhi),
+               du: t => -baseU * baseOmega * Math.sin(baseOmega * t - basePhi) };
+  }
+  return [
+    baseTarget === 'left' || baseTarget === 'both' ? motion : still,
+    baseTarget === 'right' || baseTarget === 'both' ? motion : still,
+  ];
+}
+
 /**
- * ForcedOscillatorRK4 – numerical (RK4) solver for a driven two-mass spring system.
+ * Numerical solvers for a driven two-mass spring system.
  *
- * Equations of motion with external forcing:
- *   m₁ ẍ₁ = -(k₁+k₂) x₁ + k₂ x₂ + F₁(t)
- *   m₂ ẍ₂ =  k₂ x₁  - (k₂+k₃) x₂ + F₂(t)
+ * Equations of motion with external forcing (dampers c₁, c₂, c₃ are
+ * optional and sit in parallel with the springs):
+ *   m₁ ẍ₁ = -(k₁+k₂) x₁ + k₂ x₂ - (c₁+c₂) ẋ₁ + c₂ ẋ₂ + F₁(t)
+ *   m₂ ẍ₂ =  k₂ x₁  - (k₂+k₃) x₂ + c₂ ẋ₁ - (c₂+c₃) ẋ₂ + F₂(t)
  *
  * Supported force shapes (forceType):
- *   'cos'  →  F(t) = A · cos(ωt − φ)
- *   'sin'  →  F(t) = A · sin(ωt − φ)
+ *   'cos'   →  F(t) = A · cos(ωt − φ)
+ *   'sin'   →  F(t) = A · sin(ωt − φ)
+ *   'expr'  →  Fᵢ(t) given by forceExpr[i − 1], an expression in t (see
+ *              expression.js); a blank expression means no force
  *
- * forceTarget controls which mass receives the force:
+ * For 'cos' and 'sin', forceTarget controls which mass receives the force:
  *   'mass1' | 'mass2' | 'both'
  *
- * The public interface is intentionally identical to CoupledOscillator so
- * the rest of the application can treat both classes uniformly.
+ * Support motion (base excitation) moves the walls in baseTarget
+ * ('left' | 'right' | 'both') by u(t) = U cos(Ωt − φ), U sin(Ωt − φ) or an
+ * expression (baseType 'cos' | 'sin' | 'expr', default 'none').  The wall
+ * springs and dampers pass it on as the extra forces
+ *   k₁ u_L + c₁ u̇_L  on mass 1,   k₃ u_R + c₃ u̇_R  on mass 2
+ * with x measured from the walls' rest positions.
+ *
+ * Each spring may also carry a cubic (Duffing) term β: its tension is
+ * kΔ + βΔ³ for a stretch Δ (x₁ − u_L, x₂ − x₁ and u_R − x₂).  β > 0
+ * stiffens the spring, β < 0 softens it.  The cubic force is split into
+ * the part with the walls at rest, which has the potential ¼βΔ⁴, and the
+ * change due to wall motion, which is counted with the applied forces in
+ * the work done so the energy balance below still holds.  With any β ≠ 0
+ * the natural frequencies and modes are those of the linearised system.
+ *
+ * The integrated state is [x₁, v₁, x₂, v₂, W₁, W₂, D]: besides x and v it
+ * carries the work done by each force (∫F·v dt) and the energy dissipated
+ * (∫vᵀCv dt).  Subclasses choose the integrator through _integrate(); the
+ * public interface is intentionally identical to CoupledOscillator so the
+ * rest of the application can treat every class uniformly.  `stats`
+ * reports the integrator's step counts and error estimate (see ode.js).
  */
-export class ForcedOscillatorRK4 {
+class NumericalOscillator {
   /**
    * @param {{
    *   m1: number, m2: number,
    *   k1: number, k2: number, k3: number,
+   *   c1?: number, c2?: number, c3?: number,
+   *   beta1?: number, beta2?: number, beta3?: number,
    *   x10?: number, x20?: number,
    *   v10?: number, v20?: number,
-   *   tMax?: number, steps?: number,
-   *   forceType?: 'cos'|'sin',
+   *   tMax?: number,
+   *   forceType?: 'cos'|'sin'|'expr',
    *   forceTarget?: 'mass1'|'mass2'|'both',
    *   forceA?: number,
    *   forceOmega?: number,
-   *   forcePhi?: number
-   * }} params
+   *   forcePhi?: number,
+   *   forceExpr?: [string, string],
+   *   baseType?: 'none'|'cos'|'sin'|'expr',
+   *   baseTarget?: 'left'|'right'|'both',
+   *   baseU?: number, baseOmega?: number, basePhi?: number,
+   *   baseExpr?: string
+   * }} params  – plus the integrator settings of the subclass
+   * @throws {Error} if a force or support-motion expression does not parse
    */
   constructor(params) {
     const {
       m1, m2, k1, k2, k3,
+      c1 = 0, c2 = 0, c3 = 0,
+      beta1 = 0, beta2 = 0, beta3 = 0,
       x10 = 0, x20 = 0, v10 = 0, v20 = 0,
-      tMax = 30, steps = 600,
+      tMax = 30,
       forceType = 'cos',
       forceTarget = 'mass1',
       forceA = 1, forceOmega = 1, forcePhi = 0,
+      forceExpr = ['', ''],
     } = params;
 
     this.m1 = m1; this.m2 = m2;
     this.k1 = k1; this.k2 = k2; this.k3 = k3;
+    this.c1 = c1; this.c2 = c2; this.c3 = c3;
+    this.beta1 = beta1; this.beta2 = beta2; this.beta3 = beta3;
+
+    // Natural frequencies and modes of the unforced system
+    const unforced = new CoupledOscillator({ m1, m2, k1, k2, k3, c1, c2, c3, x10, x20, v10, v20 });
+    const { omega1, omega2, _lamSum, _discSq, isDamped, modes, lambdas, modeShapes, unstable } = unforced;
+    Object.assign(this, { omega1, omega2, _lamSum, _discSq, isDamped, modes, lambdas, modeShapes, unstable });
 
     // Build per-mass force functions
-    const trigFn = forceType === 'sin'
-      ? (t) => forceA * Math.sin(forceOmega * t - forcePhi)
-      : (t) => forceA * Math.cos(forceOmega * t - forcePhi);
-
-    this._F1 = (forceTarget === 'mass1' || forceTarget === 'both') ? trigFn : () => 0;
-    this._F2 = (forceTarget === 'mass2' || forceTarget === 'both') ? trigFn : () => 0;
-
-    // RK4 integration
-    const h = tMax / steps;
-    const ts  = new Float64Array(steps + 1);
-    const x1s = new Float64Array(steps + 1);
-    const v1s = new Float64Array(steps + 1);
-    const x2s = new Float64Array(steps + 1);
-    const v2s = new Float64Array(steps + 1);
-
-    ts[0]  = 0;
-    x1s[0] = x10; v1s[0] = v10;
-    x2s[0] = x20; v2s[0] = v20;
-
-    const deriv = (t, x1, v1, x2, v2) => {
-      const acc1 = (-(k1 + k2) * x1 + k2 * x2 + this._F1(t)) / m1;
-      const acc2 = (k2 * x1 - (k2 + k3) * x2 + this._F2(t)) / m2;
-      return [v1, acc1, v2, acc2];
-    };
+    if (forceType === 'expr') {
+      [this._F1, this._F2] = forceExpr.map(src => (src.trim() ? compileExpression(src) : () => 0));
+    } else {
+      const trigFn = forceType === 'sin'
+        ? (t) => forceA * Math.sin(forceOmega * t - forcePhi)
+        : (t) => forceA * Math.cos(forceOmega * t - forcePhi);
+
+      this._F1 = (forceTarget === 'mass1' || forceTarget === 'both') ? trigFn : () => 0;
+      this._F2 = (forceTarget === 'mass2' || forceTarget === 'both') ? trigFn : () => 0;
+    }
 
-    let cx1 = x10, cv1 = v10, cx2 = x20, cv2 = v20;
-    for (let i = 0; i < steps; i++) {
-      const t = i * h;
-      const [dv1k1, da1k1, dv2k1, da2k1] = deriv(t,       cx1,                 cv1,                 cx2,                 cv2);
-      const [dv1k2, da1k2, dv2k2, da2k2] = deriv(t + h/2, cx1 + h/2 * dv1k1,  cv1 + h/2 * da1k1,  cx2 + h/2 * dv2k1,  cv2 + h/2 * da2k1);
-      const [dv1k3, da1k3, dv2k3, da2k3] = deriv(t + h/2, cx1 + h/2 * dv1k2,  cv1 + h/2 * da1k2,  cx2 + h/2 * dv2k2,  cv2 + h/2 * da2k2);
-      const [dv1k4, da1k4, dv2k4, da2k4] = deriv(t + h,   cx1 + h   * dv1k3,  cv1 + h   * da1k3,  cx2 + h   * dv2k3,  cv2 + h   * da2k3);
-
-      cx1 += h / 6 * (dv1k1 + 2 * dv1k2 + 2 * dv1k3 + dv1k4);
-      cv1 += h / 6 * (da1k1 + 2 * da1k2 + 2 * da1k3 + da1k4);
-      cx2 += h / 6 * (dv2k1 + 2 * dv2k2 + 2 * dv2k3 + dv2k4);
-      cv2 += h / 6 * (da2k1 + 2 * da2k2 + 2 * da2k3 + da2k4);
-
-      ts[i + 1]  = (i + 1) * h;
-      x1s[i + 1] = cx1; v1s[i + 1] = cv1;
-      x2s[i + 1] = cx2; v2s[i + 1] = cv2;
+    // Moving walls act through the end springs and dampers
+    this._walls = wallMotion(params);
+    if ((params.baseType || 'none') !== 'none') {
+      const [left, right] = this._walls, F1 = this._F1, F2 = this._F2;
+      this._F1 = t => F1(t) + k1 * left.u(t) + c1 * left.du(t);
+      this._F2 = t => F2(t) + k3 * right.u(t) + c3 * right.du(t);
     }
 
-    this._ts  = ts;
-    this._x1s = x1s; this._v1s = v1s;
-    this._x2s = x2s; this._v2s = v2s;
-    this._h     = h;
-    this._steps = steps;
-    this._tMax  = tMax;
+    const deriv = (t, [x1, v1, x2, v2]) => {
+      const [N1, N2, U1, U2] = this._cubicForces(t, x1, x2);
+      const F1 = this._F1(t) + U1, F2 = this._F2(t) + U2;
+      const acc1 = (-(k1 + k2) * x1 + k2 * x2 - (c1 + c2) * v1 + c2 * v2 + N1 + F1) / m1;
+      const acc2 = (k2 * x1 - (k2 + k3) * x2 + c2 * v1 - (c2 + c3) * v2 + N2 + F2) / m2;
+      const loss = (c1 + c2) * v1 * v1 - 2 * c2 * v1 * v2 + (c2 + c3) * v2 * v2;
+      return [v1, acc1, v2, acc2, F1 * v1, F2 * v2, loss];
+    };
 
-    // omega1 / omega2 are not meaningful for the forced system but
-    // are kept to maintain interface compatibility.
-    this.omega1 = 0;
-    this.omega2 = 0;
+    this._tMax = tMax;
+    this._solution = this._integrate(deriv, [x10, v10, x20, v20, 0, 0, 0], tMax, params);
+    this.stats = this._solution.stats;
+  }
+
+  /**
+   * Cubic spring forces [N₁, N₂, U₁, U₂] on the masses: N with the walls at
+   * rest and U the change from moving them.
+   */
+  _cubicForces(t, x1, x2) {
+    const { beta1, beta2, beta3 } = this;
+    if (!beta1 && !beta2 && !beta3) return [0, 0, 0, 0];
+    const coupling = beta2 * (x2 - x1) ** 3;
+    let U1 = 0, U2 = 0;
+    if (beta1 || beta3) {
+      const [uL, uR] = this.wallDisplacement(t);
+      U1 = -beta1 * ((x1 - uL) ** 3 - x1 ** 3);
+      U2 = beta3 * ((uR - x2) ** 3 + x2 ** 3);
+    }
+    return [-beta1 * x1 ** 3 + coupling, -coupling - beta3 * x2 ** 3, U1, U2];
   }
 
   // ── Interpolation helper ──────────────────────────────────────────────────
 
-  _interpolate(arr, t) {
-    if (t <= 0) return arr[0];
-    if (t >= this._tMax) return arr[this._steps];
-    const idx  = Math.floor(t / this._h);
-    const frac = (t - idx * this._h) / this._h;
-    return arr[idx] * (1 - frac) + arr[idx + 1] * frac;
+  /** Integrated state at time t, cached for repeated queries at one t. */
+  _state(t) {
+    if (this._cacheT !== t) {
+      this._cacheT = t;
+      this._cacheY = this._solution.at(t);
+    }
+    return this._cacheY;
   }
 
   // ── Public interface (mirrors CoupledOscillator) ──────────────────────────
 
   position(mass, t) {
-    return this._interpolate(mass === 1 ? this._x1s : this._x2s, t);
+    return this._state(t)[mass === 1 ? 0 : 2];
   }
 
   velocity(mass, t) {
-    return this._interpolate(mass === 1 ? this._v1s : this._v2s, t);
+    return this._state(t)[mass === 1 ? 1 : 3];
   }
 
   /**
@@ -127,11 +197,14 @@ export class ForcedOscillatorRK4 {
   acceleration(mass, t) {
     const x1 = this.position(1, t);
     const x2 = this.position(2, t);
-    const { k1, k2, k3, m1, m2 } = this;
+    const v1 = this.velocity(1, t);
+    const v2 = this.velocity(2, t);
+    const { k1, k2, k3, c1, c2, c3, m1, m2 } = this;
+    const [N1, N2, U1, U2] = this._cubicForces(t, x1, x2);
     if (mass === 1) {
-      return (-(k1 + k2) * x1 + k2 * x2 + this._F1(t)) / m1;
+      return (-(k1 + k2) * x1 + k2 * x2 - (c1 + c2) * v1 + c2 * v2 + N1 + U1 + this._F1(t)) / m1;
     }
-    return (k2 * x1 - (k2 + k3) * x2 + this._F2(t)) / m2;
+    return (k2 * x1 - (k2 + k3) * x2 + c2 * v1 - (c2 + c3) * v2 + N2 + U2 + this._F2(t)) / m2;
   }
 
   /** Position, velocity, and acceleration of both masses at time t. */
@@ -142,10 +215,61 @@ export class ForcedOscillatorRK4 {
     };
   }
 
+  /** Displacements [u_L, u_R] of the left and right walls at time t. */
+  wallDisplacement(t) {
+    return this._walls.map(w => w.u(t));
+  }
+
+  /**
+   * Energy at time t: kinetic energy of each mass, potential energy of each
+   * spring (k₁, k₂, k₃), energy in each normal mode (ascending frequency),
+   * the total, the energy dissipated by the dampers and the work done by
+   * each force since t = 0, wall forces from support motion included.
+   * Cubic springs add ¼βΔ⁴ to their potential energy; the modal energies
+   * are those of the linearised system.  The balance
+   *   total(t) + dissipated(t) − work₁(t) − work₂(t) = total(0)
+   * holds up to the integration error.
+   * @param {number} t
+   * @returns {{ kinetic: number[], potential: number[], modes: number[],
+   *             total: number, dissipated: number, work: number[] }}
+   */
+  energy(t) {
+    const { m1, m2, k1, k2, k3 } = this;
+    const y = this._state(t);
+    const e = mechanicalEnergy(
+      [m1, m2], [k1, k2, k3], { shapes: this.modeShapes, lambdas: this.lambdas },
+      [y[0], y[2]], [y[1], y[3]],
+    );
+    [this.beta1, this.beta2, this.beta3].forEach((beta, j) => {
+      if (!beta) return;
+      const stretch = [y[0], y[2] - y[0], -y[2]][j];
+      const quartic = 0.25 * beta * stretch ** 4;
+      e.potential[j] += quartic;
+      e.total += quartic;
+    });
+    e.dissipated = y[6];
+    e.work = [y[4], y[5]];
+    return e;
+  }
+
+  /**
+   * Relative error in the energy balance at the end of the run:
+   *   (total(tMax) + dissipated(tMax) − work(tMax) − total(0)) / total(0)
+   * which the exact solution keeps at zero.  With forcing off this is the
+   * integrator's energy drift.  null when the initial energy is zero.
+   * @returns {number|null}
+   */
+  energyDrift() {
+    const e0 = this.energy(0).total;
+    if (e0 === 0) return null;
+    const e = this.energy(this._tMax);
+    return (e.total + e.dissipated - e.work[0] - e.work[1] - e0) / e0;
+  }
+
   /**
    * Find the first time t ∈ [tMin, tMax] where the specified quantity of
    * the specified mass equals `target` (within `tolerance`).
-   * Search is capped at the integration range (_tMax).
+   * Search is capped at the integration range (_tMax); see first-time.js.
    *
    * @param {1|2} mass
    * @param {'x'|'v'|'a'} quantity
@@ -154,48 +278,755 @@ export class ForcedOscillatorRK4 {
    * @returns {number|null}
    */
   firstTimeTo(mass, quantity, target, opts = {}) {
+    const { tMax = this._tMax } = opts;
+    return firstTimeTo(this, mass, quantity, target, { ...opts, tMax: Math.min(tMax, this._tMax) });
+  }
+}
+
+/**
+ * ForcedOscillatorRK4 – fixed-step classical Runge–Kutta with `steps`
+ * steps over [0, tMax], linearly interpolated between steps.
+ */
+export class ForcedOscillatorRK4 extends NumericalOscillator {
+  _integrate(deriv, y0, tMax, { steps = 600 }) {
+    return rungeKutta4(deriv, 0, y0, tMax, steps);
+  }
+}
+
+/** Positions and velocities within the integrated state [x₁, v₁, x₂, v₂, W₁, W₂, D]. */
+const STATE_LAYOUT = { positions: [0, 2], velocities: [1, 3] };
+
+/**
+ * ForcedOscillatorVerlet – fixed-step velocity Verlet, symplectic for the
+ * undamped system: its energy error oscillates but does not drift.  Takes
+ * the same parameters as ForcedOscillatorRK4.
+ */
+export class ForcedOscillatorVerlet extends NumericalOscillator {
+  _integrate(deriv, y0, tMax, { steps = 600 }) {
+    return velocityVerlet(deriv, 0, y0, tMax, steps, STATE_LAYOUT);
+  }
+}
+
+/**
+ * ForcedOscillatorYoshida – fixed-step 4th-order Yoshida composition of
+ * velocity Verlet; symplectic like ForcedOscillatorVerlet.  Takes the same
+ * parameters as ForcedOscillatorRK4.
+ */
+export class ForcedOscillatorYoshida extends NumericalOscillator {
+  _integrate(deriv, y0, tMax, { steps = 600 }) {
+    return yoshida4(deriv, 0, y0, tMax, steps, STATE_LAYOUT);
+  }
+}
+
+/**
+ * Energy drift of each fixed-step scheme on the unforced system, for
+ * showing why integrator choice matters on long runs.
+ *
+ * @param {object} params  – system and initial conditions, as for ForcedOscillatorRK4
+ * @param {{ tMax?: number, steps?: number }} [opts]
+ * @returns {{ method: string, drift: number|null, evaluations: number }[]}
+ */
+export function compareIntegrators(params, { tMax = 30, steps = 600 } = {}) {
+  const unforced = { ...params, forceType: 'cos', forceA: 0, baseType: 'none', tMax, steps };
+  return [ForcedOscillatorRK4, ForcedOscillatorVerlet, ForcedOscillatorYoshida].map(Solver => {
+    const osc = new Solver(unforced);
+    return { method: osc.stats.method, drift: osc.energyDrift(), evaluations: osc.stats.evaluations };
+  });
+}
+
+/**
+ * ForcedOscillatorDP – adaptive Dormand–Prince 5(4) with dense output, so
+ * position and velocity are accurate at any t in [0, tMax].  Takes the
+ * same parameters as ForcedOscillatorRK4 with `atol` and `rtol` (default
+ * 1e-8 and 1e-6) in place of `steps`.
+ */
+export class ForcedOscillatorDP extends NumericalOscillator {
+  _integrate(deriv, y0, tMax, { atol = 1e-8, rtol = 1e-6 }) {
+    return dormandPrince(deriv, 0, y0, tMax, { atol, rtol });
+  }
+}
+
+/**
+ * ForcedOscillatorFriction – RK4 with dry (Coulomb) friction between each
+ * mass and the ground.  Mass i carries a normal force Nᵢ and static and
+ * kinetic coefficients μsᵢ ≥ μkᵢ ≥ 0 (params muS1, muK1, normal1, …; all
+ * default 0, which leaves that mass frictionless).
+ *
+ * A sliding mass feels −μk N sign(v).  A mass at rest sticks while the
+ * other forces on it, G, stay within |G| < μs N, and breaks away in the
+ * direction of G once they do not.  The friction force jumps at these
+ * switches, so they are found as events (see switchedRungeKutta4) rather
+ * than stepped over:
+ *   sliding, v reaches 0   stick if |G| < μs N, otherwise slide back
+ *   stuck, |G| reaches μs N   start to slide along G
+ * The work μk N|v| of kinetic friction is counted with the dissipated
+ * energy, so the energy balance of NumericalOscillator still holds.
+ *
+ * `transitions` lists the switches as { t, mass, kind: 'stick'|'slip', x };
+ * stuck() and restPositions() report where masses are held.  Takes the
+ * parameters of ForcedOscillatorRK4 besides the friction ones.
+ */
+export class ForcedOscillatorFriction extends NumericalOscillator {
+  _integrate(deriv, y0, tMax, params) {
+    const { steps = 600 } = params;
+    this._deriv = deriv;
+    // Per mass: { static: μs N, kinetic: μk N } or null without friction
+    this._dry = [1, 2].map(i => {
+      const muS = params[`muS${i}`] || 0, muK = params[`muK${i}`] || 0, normal = params[`normal${i}`] || 0;
+      if (!(muK >= 0) || !(muS >= muK)) throw new Error(`Mass ${i} needs 0 ≤ μk ≤ μs`);
+      if (!(normal >= 0)) throw new Error(`The normal force on mass ${i} must be ≥ 0`);
+      return muS * normal > 0 ? { static: muS * normal, kinetic: muK * normal } : null;
+    });
+
+    // Mode per mass: ±1 sliding in that direction, 0 stuck, null frictionless
+    this._modes = [0, 1].map(i => this._frictionMode(i, 0, y0));
+    this._segments = [{ t: 0, modes: this._modes.slice() }];
+    this.transitions = [];
+
+    return switchedRungeKutta4((t, y) => this._derivative(t, y), 0, y0, tMax, steps, {
+      guards: (t, y) => this._guards(t, y),
+      onEvent: (t, y, i) => this._onEvent(t, y, i),
+    });
+  }
+
+  /** State derivative with each mass's current friction mode applied. */
+  _derivative(t, y) {
+    const d = this._deriv(t, y);
+    const masses = [this.m1, this.m2];
+    this._modes.forEach((mode, i) => {
+      if (mode === 0) {
+        d[2 * i] = 0;
+        d[2 * i + 1] = 0;
+      } else if (mode !== null) {
+        const { kinetic } = this._dry[i];
+        d[2 * i + 1] -= mode * kinetic / masses[i];
+        d[6] += kinetic * Math.abs(y[2 * i + 1]);
+      }
+    });
+    return d;
+  }
+
+  /** Forces [G₁, G₂] on the masses from everything but dry friction. */
+  _otherForces(t, y) {
+    const d = this._deriv(t, y);
+    return [this.m1 * d[1], this.m2 * d[3]];
+  }
+
+  /** Friction mode of mass i + 1 in state y: along v if moving, else stuck if it can hold. */
+  _frictionMode(i, t, y) {
+    if (!this._dry[i]) return null;
+    const v = y[2 * i + 1];
+    if (v !== 0) return Math.sign(v);
+    const G = this._otherForces(t, y)[i];
+    return Math.abs(G) < this._dry[i].static ? 0 : Math.sign(G);
+  }
+
+  /** Switch mass i + 1 to `mode`, listing a change between stuck and moving. */
+  _setMode(i, mode, t, y) {
+    const was = this._modes[i];
+    this._modes[i] = mode;
+    if (was !== 0 && mode === 0) this.transitions.push({ t, mass: i + 1, kind: 'stick', x: y[2 * i] });
+    if (was === 0 && mode !== 0) this.transitions.push({ t, mass: i + 1, kind: 'slip', x: y[2 * i] });
+  }
+
+  /** Event guards: one per mass, positive while its friction mode holds. */
+  _guards(t, y) {
+    const G = this._modes.some(mode => mode === 0) ? this._otherForces(t, y) : null;
+    return this._modes.map((mode, i) => {
+      if (mode === null) return 1;
+      if (mode === 0) return this._dry[i].static - Math.abs(G[i]);
+      return mode * y[2 * i + 1];
+    });
+  }
+
+  /** Mass i + 1 stops sliding, or static friction lets go of it. */
+  _onEvent(t, y, i) {
+    const next = y.slice();
+    if (this._modes[i] === 0) {
+      this._setMode(i, Math.sign(this._otherForces(t, y)[i]), t, y);
+    } else {
+      next[2 * i + 1] = 0;
+      this._setMode(i, this._frictionMode(i, t, next), t, y);
+    }
+    this._segments.push({ t, modes: this._modes.slice() });
+    return next;
+  }
+
+  /** Friction modes [mode₁, mode₂] in force at time t. */
+  _modesAt(t) {
+    const segments = this._segments;
+    let i = segments.length - 1;
+    while (i > 0 && segments[i].t > t) i--;
+    return segments[i].modes;
+  }
+
+  acceleration(mass, t) {
+    const mode = this._modesAt(t)[mass - 1];
+    if (mode === 0) return 0;
+    const a = super.acceleration(mass, t);
+    if (mode === null) return a;
+    return a - mode * this._dry[mass - 1].kinetic / (mass === 1 ? this.m1 : this.m2);
+  }
+
+  /**
+   * Whether static friction holds the mass at time t.
+   * @param {1|2} mass
+   * @param {number} t
+   * @returns {boolean}
+   */
+  stuck(mass, t) {
+    return this._modesAt(t)[mass - 1] === 0;
+  }
+
+  /**
+   * Where each mass has come to rest: its position if it is stuck at tMax,
+   * otherwise null.
+   * @returns {[number|null, number|null]}
+   */
+  restPositions() {
+    return [1, 2].map(mass => (this.stuck(mass, this._tMax) ? this.position(mass, this._tMax) : null));
+  }
+}
+
+/** Contacts in order from the left: wall–mass 1, mass 1–mass 2, mass 2–wall. */
+export const CONTACTS = ['wall-1', '1-2', '2-wall'];
+
+/** Acceleration of a moving wall, by central differences of its velocity. */
+function wallAcceleration(wall, t) {
+  const h = 1e-5 * Math.max(1, Math.abs(t));
+  return (wall.du(t + h) - wall.du(t - h)) / (2 * h);
+}
+
+/**
+ * ForcedOscillatorImpact – ForcedOscillatorFriction with the masses, and
+ * the walls, as solid bodies that collide instead of passing through each
+ * other.
+ *
+ * Each spring spans the free gap between the bodies it joins, so its rest
+ * length is the gap at equilibrium (params length1, length2, length3; an
+ * infinite length never closes, e.g. the missing right wall of the
+ * two-spring model).  The gaps are
+ *   L₁ + x₁ − u_L,   L₂ + x₂ − x₁,   L₃ + u_R − x₂
+ * and one reaching zero is an impact, resolved with Newton's coefficient
+ * of restitution e (param restitution, 0 … 1, default 1): the closing speed
+ * reverses and shrinks by e and momentum is conserved, a wall – or a mass
+ * resting against one – counting as infinitely heavy.  The kinetic energy
+ * lost goes to the dissipated energy and the work of a moving wall's
+ * impulse to that wall's force, so the energy balance still holds.
+ *
+ * With e < 1 and a load pressing a contact shut, the bounces shrink and
+ * crowd together without end (Zeno chattering).  An impact whose rebound
+ * speed is below ½·a·h·(1 − e), for a pressing relative acceleration a and
+ * step h = tMax / steps, would bounce on for less than a step in all; it
+ * is made perfectly plastic instead and the contact rests: the gap is held
+ * shut (a mass follows its wall, two masses move as one) for as long as
+ * the contact force stays compressive, and opens again when it changes
+ * sign.  e = 0 under a pressing load rests at the first impact.  Dry
+ * friction still acts on each mass as if the contact were not there.
+ *
+ * `collisions` lists the impacts as { t, contact, impulse, velocities }:
+ * contact a key of CONTACTS, impulse the momentum passed rightwards across
+ * it and velocities [v₁, v₂] just after.  `rests` lists the switches of
+ * resting contact as { t, contact, kind: 'rest'|'release' }, and
+ * resting(contact, t) tells whether a contact is held shut.
+ */
+export class ForcedOscillatorImpact extends ForcedOscillatorFriction {
+  _integrate(deriv, y0, tMax, params) {
+    const { length1 = Infinity, length2 = Infinity, length3 = Infinity, restitution = 1, steps = 600 } = params;
+    this._lengths = [length1, length2, length3];
+    this._lengths.forEach((L, j) => {
+      if (!(L > 0)) throw new Error(`The rest length L${j + 1} must be positive`);
+    });
+    if (!(restitution >= 0 && restitution <= 1)) throw new Error('The restitution e must be between 0 and 1');
+    this.restitution = restitution;
+    this.collisions = [];
+    this.rests = [];
+    this._step = tMax / steps;
+    this._resting = [false, false, false];
+    this._restSegments = [{ t: 0, resting: this._resting.slice() }];
+    const gaps = this._gaps(0, y0);
+    const closed = gaps.findIndex(g => g <= 0);
+    if (closed >= 0) throw new Error(`The initial positions leave no gap at contact '${CONTACTS[closed]}'`);
+    return super._integrate(deriv, y0, tMax, params);
+  }
+
+  /** Free gaps [wall–1, 1–2, 2–wall] in state y (Infinity for an infinite rest length). */
+  _gaps(t, y) {
+    const [uL, uR] = this.wallDisplacement(t);
+    const [L1, L2, L3] = this._lengths;
+    return [L1 + y[0] - uL, L2 + y[2] - y[0], L3 + uR - y[2]];
+  }
+
+  /**
+   * Accelerations [a₁, a₂] with the resting contacts held shut, given the
+   * free ones, and the contact forces [N_wall–1, N_1–2, N_2–wall] that
+   * hold them (positive while compressive; 0 for an open contact).
+   */
+  _constrain(t, acc, resting) {
+    const { m1, m2 } = this;
+    const [left, right] = this._walls;
+    const [heldL, lock, heldR] = resting;
+    let a;
+    if (lock) {
+      const common = heldL ? wallAcceleration(left, t) : heldR ? wallAcceleration(right, t)
+                   : (m1 * acc[0] + m2 * acc[1]) / (m1 + m2);
+      a = [common, common];
+    } else {
+      a = [heldL ? wallAcceleration(left, t) : acc[0], heldR ? wallAcceleration(right, t) : acc[1]];
+    }
+    // Force each mass takes from its contacts
+    const [R1, R2] = [m1 * (a[0] - acc[0]), m2 * (a[1] - acc[1])];
+    let normal;
+    if (!lock) normal = [heldL ? R1 : 0, 0, heldR ? -R2 : 0];
+    else if (heldL && heldR) normal = [R1, 1, -R2];      // pinned between the walls
+    else if (heldL) normal = [R1 + R2, R2, 0];
+    else if (heldR) normal = [0, -R1, -(R1 + R2)];
+    else normal = [0, -R1, 0];
+    return { acc: a, normal };
+  }
+
+  _derivative(t, y) {
+    const d = super._derivative(t, y);
+    if (!this._resting.some(Boolean)) return d;
+    const { acc, normal } = this._constrain(t, [d[1], d[3]], this._resting);
+    [0, 1].forEach(k => {
+      d[2 * k] = y[2 * k + 1];
+      d[2 * k + 1] = acc[k];
+    });
+    // A moving wall does work on the mass resting against it
+    if (this._resting[0]) d[4] += normal[0] * y[1];
+    if (this._resting[2]) d[5] -= normal[2] * y[3];
+    return d;
+  }
+
+  /** Gap guards for open contacts, contact-force guards for resting ones. */
+  _guards(t, y) {
+    const gaps = this._gaps(t, y).map(g => (Number.isFinite(g) ? g : 1));
+    if (this._resting.some(Boolean)) {
+      const d = super._derivative(t, y);
+      const { normal } = this._constrain(t, [d[1], d[3]], this._resting);
+      this._resting.forEach((held, c) => { if (held) gaps[c] = normal[c]; });
+    }
+    return [...super._guards(t, y), ...gaps];
+  }
+
+  /**
+   * Masses moving as one body with mass `mass`, and its inertia: Infinity
+   * when a resting contact holds it to wall `holder` (0 left, 1 right).
+   */
+  _body(mass) {
+    const members = this._resting[1] ? [0, 1] : [mass];
+    const holder = members.includes(0) && this._resting[0] ? 0
+                 : members.includes(1) && this._resting[2] ? 1 : null;
+    const inertia = holder === null ? members.reduce((s, k) => s + [this.m1, this.m2][k], 0) : Infinity;
+    return { members, inertia, holder };
+  }
+
+  /**
+   * Resolve an impact at `contact` with restitution e: the state just
+   * after, and the momentum J passed rightwards across the contact.
+   */
+  _impact(t, y, contact, e) {
+    const [left, right] = this._walls;
+    const wall = w => ({ members: [], inertia: Infinity, holder: null, v: w.du(t) });
+    const body = mass => ({ ...this._body(mass), v: y[2 * mass + 1] });
+    const [A, B] = contact === 0 ? [wall(left), body(0)]
+                 : contact === 1 ? [body(0), body(1)]
+                 : [body(1), wall(right)];
+    const closing = A.v - B.v;
+    const reduced = 1 / A.inertia + 1 / B.inertia;
+    const impulse = reduced > 0 ? (1 + e) * closing / reduced : 0;
+    const next = y.slice();
+    const masses = [this.m1, this.m2];
+    // A wall keeps its velocity u̇ and does work u̇·J on the mass it hits,
+    // or takes the impulse J on a body it holds
+    const kick = (bodyOf, J) => {
+      if (bodyOf.holder !== null) next[4 + bodyOf.holder] -= J * this._walls[bodyOf.holder].du(t);
+      else if (bodyOf.inertia < Infinity) bodyOf.members.forEach(k => { next[2 * k + 1] += J / bodyOf.inertia; });
+    };
+    kick(A, -impulse);
+    kick(B, impulse);
+    if (contact === 0) next[4] += impulse * left.du(t);
+    if (contact === 2) next[5] -= impulse * right.du(t);
+    const kinetic = (a, b) => 0.5 * (masses[0] * a * a + masses[1] * b * b);
+    next[6] += next[4] - y[4] + next[5] - y[5] - (kinetic(next[1], next[3]) - kinetic(y[1], y[3]));
+    return { next, impulse };
+  }
+
+  /** Whether a contact just hit, leaving state `next`, should rest (see the class comment). */
+  _comesToRest(t, next, contact) {
+    const d = this._deriv(t, next);
+    const { acc } = this._constrain(t, [d[1], d[3]], this._resting);
+    const [left, right] = this._walls;
+    const [separating, relative] = contact === 0 ? [next[1] - left.du(t), acc[0] - wallAcceleration(left, t)]
+                                 : contact === 1 ? [next[3] - next[1], acc[1] - acc[0]]
+                                 : [right.du(t) - next[3], wallAcceleration(right, t) - acc[1]];
+    const pressing = -relative;
+    return pressing > 0 && separating <= 0.5 * pressing * this._step * (1 - this.restitution);
+  }
+
+  _setResting(contact, held, t) {
+    this._resting[contact] = held;
+    this.rests.push({ t, contact: CONTACTS[contact], kind: held ? 'rest' : 'release' });
+    this._restSegments.push({ t, resting: this._resting.slice() });
+  }
+
+  _onEvent(t, y, i) {
+    if (i < 2) return super._onEvent(t, y, i);
+    const contact = i - 2;
+    let next = y;
+    const released = this._resting[contact];
+    if (released) {
+      // The contact force has reached zero: the gap may open
+      this._setResting(contact, false, t);
+    } else {
+      let { next: after, impulse } = this._impact(t, y, contact, this.restitution);
+      if (this._comesToRest(t, after, contact)) {
+        ({ next: after, impulse } = this._impact(t, y, contact, 0));
+        this._setResting(contact, true, t);
+      }
+      next = after;
+      this.collisions.push({ t, contact: CONTACTS[contact], impulse, velocities: [next[1], next[3]] });
+    }
+
+    // The masses that were hit or let go slide, or stick, afresh
+    [0, 1].forEach(k => {
+      if (released || next[2 * k + 1] !== y[2 * k + 1]) {
+        this._setMode(k, this._frictionMode(k, t, next), t, next);
+      }
+    });
+    this._segments.push({ t, modes: this._modes.slice() });
+    return next;
+  }
+
+  /** Resting contacts [wall–1, 1–2, 2–wall] at time t. */
+  _restingAt(t) {
+    const segments = this._restSegments;
+    let i = segments.length - 1;
+    while (i > 0 && segments[i].t > t) i--;
+    return segments[i].resting;
+  }
+
+  acceleration(mass, t) {
+    const resting = this._restingAt(t);
+    if (!resting.some(Boolean)) return super.acceleration(mass, t);
+    const free = [super.acceleration(1, t), super.acceleration(2, t)];
+    return this._constrain(t, free, resting).acc[mass - 1];
+  }
+
+  /**
+   * Whether a contact is held shut at time t.
+   * @param {'wall-1'|'1-2'|'2-wall'} contact
+   * @param {number} t
+   * @returns {boolean}
+   */
+  resting(contact, t) {
+    return this._restingAt(t)[CONTACTS.indexOf(contact)];
+  }
+}
+
+/**
+ * ForcedOscillator – closed-form solution of the harmonically driven
+ * two-mass system (same equations of motion as ForcedOscillatorRK4).
+ *
+ * The force is rewritten as F(t) = f_c cos Ωt + f_s sin Ωt, with one such
+ * harmonic load for the applied force and one for harmonic support motion
+ * (see NumericalOscillator for the wall forces).  The solution is split as
+ *
+ *   x(t) = x_p(t) + x_h(t)
+ *
+ * where x_p is the sum of the particular (steady-state) solutions of the
+ * loads and x_h is the free (transient) motion of CoupledOscillator fitted
+ * to x(0) − x_p(0) and ẋ(0) − ẋ_p(0).
+ *
+ * With undamped or proportionally damped systems x_p is built mode by mode:
+ *
+ *   q̈ⱼ + 2γⱼq̇ⱼ + ωⱼ²qⱼ = aⱼ cos Ωt + bⱼ sin Ωt,   aⱼ = φⱼᵀ f_c,  bⱼ = φⱼᵀ f_s
+ *
+ * which has the bounded response Re[(aⱼ − ibⱼ) e^{iΩt} / (ωⱼ² − Ω² + 2iγⱼΩ)]
+ * except at exact resonance (γⱼ = 0, Ω = ωⱼ), where the response grows
+ * secularly as  t (aⱼ sin Ωt − bⱼ cos Ωt) / (2ωⱼ).  Non-proportional
+ * damping uses the complex frequency response (K − Ω²M + iΩC)⁻¹ (f_c − i f_s),
+ * except for a static load on a free system, which drifts at a terminal
+ * velocity.
+ *
+ * All parts are stored as solution terms (see solution-terms.js), so values
+ * are exact at any t and generateLatex() can render the full solution.
+ * The public interface mirrors CoupledOscillator.
+ */
+export class ForcedOscillator {
+  /**
+   * @param {{
+   *   m1: number, m2: number,
+   *   k1: number, k2: number, k3: number,
+   *   c1?: number, c2?: number, c3?: number,
+   *   x10?: number, x20?: number,
+   *   v10?: number, v20?: number,
+   *   forceType?: 'cos'|'sin',
+   *   forceTarget?: 'mass1'|'mass2'|'both',
+   *   forceA?: number,
+   *   forceOmega?: number,
+   *   forcePhi?: number,
+   *   baseType?: 'none'|'cos'|'sin',
+   *   baseTarget?: 'left'|'right'|'both',
+   *   baseU?: number, baseOmega?: number, basePhi?: number
+   * }} params
+   * @throws {Error} for expression support motion, which has no closed form
+   */
+  constructor(params) {
     const {
-      tMin = 0,
-      tMax = this._tMax,
-      dt = 0.01,
-      tolerance = 1e-9,
-    } = opts;
-
-    const searchMax = Math.min(tMax, this._tMax);
-
-    const fn =
-      quantity === 'x' ? (t) => this.position(mass, t)
-      : quantity === 'v' ? (t) => this.velocity(mass, t)
-      : (t) => this.acceleration(mass, t);
-
-    let prevT = tMin;
-    let prevF = fn(tMin) - target;
-
-    if (Math.abs(prevF) < tolerance) return tMin;
-
-    for (let t = tMin + dt; t <= searchMax + dt * 0.5; t += dt) {
-      const curT = Math.min(t, searchMax);
-      const curF = fn(curT) - target;
-
-      if (Math.abs(curF) < tolerance) return curT;
-
-      if (prevF * curF < 0) {
-        let lo = prevT, hi = curT;
-        for (let i = 0; i < 60; i++) {
-          const mid = (lo + hi) / 2;
-          const mf = fn(mid) - target;
-          if (Math.abs(mf) < tolerance) return mid;
-          if (prevF * mf <= 0) hi = mid;
-          else { lo = mid; prevF = mf; }
+      m1, m2, k1, k2, k3,
+      c1 = 0, c2 = 0, c3 = 0,
+      x10 = 0, x20 = 0, v10 = 0, v20 = 0,
+      forceType = 'cos',
+      forceTarget = 'mass1',
+      forceA = 1, forceOmega = 1, forcePhi = 0,
+      baseType = 'none', baseTarget = 'left',
+      baseU = 1, baseOmega = 1, basePhi = 0,
+    } = params;
+    if (baseType === 'expr') throw new Error('Support motion given by an expression needs a numerical solver');
+
+    this.m1 = m1; this.m2 = m2;
+    this.k1 = k1; this.k2 = k2; this.k3 = k3;
+    this.c1 = c1; this.c2 = c2; this.c3 = c3;
+    this.x10 = x10; this.x20 = x20;
+    this.v10 = v10; this.v20 = v20;
+    this.forceType = forceType;
+    this.forceTarget = forceTarget;
+    this.forceA = forceA;
+    this.forceOmega = forceOmega;
+    this.forcePhi = forcePhi;
+    this.baseType = baseType;
+    this.baseTarget = baseTarget;
+    this.baseU = baseU;
+    this.baseOmega = baseOmega;
+    this.basePhi = basePhi;
+    this._walls = wallMotion(params);
+
+    // Unforced system: natural frequencies, modes and damping regimes
+    const system = { m1, m2, k1, k2, k3, c1, c2, c3 };
+    this.unforced = new CoupledOscillator({ ...system, x10, x20, v10, v20 });
+    const {
+      omega1, omega2, _lamSum, _discSq, isDamped, modes, proportionalDamping, lambdas, modeShapes,
+      unstable,
+    } = this.unforced;
+    Object.assign(this, {
+      omega1, omega2, _lamSum, _discSq, isDamped, modes, proportionalDamping, lambdas, modeShapes,
+      unstable,
+    });
+
+    // cos(Ωt − φ) = cos φ cos Ωt + sin φ sin Ωt,  sin(Ωt − φ) = cos φ sin Ωt − sin φ cos Ωt
+    const unitWave = (type, phi) => (type === 'sin'
+      ? [-Math.sin(phi), Math.cos(phi)]
+      : [Math.cos(phi), Math.sin(phi)]);
+
+    const [a, b] = unitWave(forceType, forcePhi);
+    const f = [
+      forceTarget === 'mass1' || forceTarget === 'both' ? forceA : 0,
+      forceTarget === 'mass2' || forceTarget === 'both' ? forceA : 0,
+    ];
+    const loads = [{ omega: forceOmega, c: f.map(v => v * a), s: f.map(v => v * b) }];
+
+    if (baseType !== 'none') {
+      // u = U (a cos Ωt + b sin Ωt) pushes with k u + c u̇ through each moving wall
+      const [ua, ub] = unitWave(baseType, basePhi).map(v => v * baseU);
+      const W = baseOmega;
+      const walls = [
+        baseTarget === 'left' || baseTarget === 'both' ? [k1, c1] : [0, 0],
+        baseTarget === 'right' || baseTarget === 'both' ? [k3, c3] : [0, 0],
+      ];
+      loads.push({
+        omega: W,
+        c: walls.map(([k, c]) => k * ua + c * W * ub),
+        s: walls.map(([k, c]) => k * ub - c * W * ua),
+      });
+    }
+
+    // F(t) as solution terms, for the work integrals in energy()
+    this.forceTerms = mergeTerms(loads.map(({ omega, c, s }) => ({ gamma: 0, omega, power: 0, c, s })));
+
+    /** Natural-frequency indices (1 | 2) the applied force is exactly resonant with. */
+    this.resonance = [];
+    /** Natural-frequency indices (1 | 2) the support motion is exactly resonant with. */
+    this.baseResonance = [];
+    this.steadyTerms = mergeTerms(loads.flatMap((load, i) => {
+      const resonance = i === 0 ? this.resonance : this.baseResonance;
+      return proportionalDamping
+        ? this._modalResponse(load, resonance)
+        : this._complexResponse(load, resonance);
+    }));
+
+    // Transient: free motion carrying whatever the particular solution misses at t = 0
+    const pVel = differentiateTerms(this.steadyTerms);
+    this.transient = new CoupledOscillator({
+      ...system,
+      x10: x10 - evaluateTerms(this.steadyTerms, 0, 0),
+      x20: x20 - evaluateTerms(this.steadyTerms, 1, 0),
+      v10: v10 - evaluateTerms(pVel, 0, 0),
+      v20: v20 - evaluateTerms(pVel, 1, 0),
+    });
+    this.transientTerms = this.transient.terms;
+
+    this.terms = mergeTerms([...this.transientTerms, ...this.steadyTerms]);
+    this._velTerms = differentiateTerms(this.terms);
+    this._accTerms = differentiateTerms(this._velTerms);
+  }
+
+  /**
+   * Particular solution for undamped / proportionally damped systems,
+   * recording the natural-frequency indices hit exactly in `resonance`.
+   */
+  _modalResponse({ omega: W, c: fc, s: fs }, resonance) {
+    const { C } = this.unforced.matrices();
+    const terms = [];
+
+    this.lambdas.forEach((lam, j) => {
+      const phi = this.modeShapes[j];
+      const w = Math.sqrt(Math.max(0, lam));
+      const a = phi[0] * fc[0] + phi[1] * fc[1];
+      const b = phi[0] * fs[0] + phi[1] * fs[1];
+      const gamma = (phi[0] * (C[0][0] * phi[0] + C[0][1] * phi[1]) +
+                     phi[1] * (C[1][0] * phi[0] + C[1][1] * phi[1])) / 2;
+      if (a === 0 && b === 0) return;
+
+      const tol = RESONANCE_TOL * Math.max(1, w);
+      if (lam >= 0 && Math.abs(gamma) <= tol && Math.abs(W - w) <= tol) {
+        resonance.push(j + 1);
+        if (w === 0) {
+          // Static load on a rigid-body mode: q = a t² / 2
+          terms.push({ gamma: 0, omega: 0, power: 2, c: phi.map(p => p * a / 2), s: [0, 0] });
+        } else {
+          // q = t (a sin ωt − b cos ωt) / (2ω)
+          const k = 1 / (2 * w);
+          terms.push({ gamma: 0, omega: W, power: 1, c: phi.map(p => -p * k * b), s: phi.map(p => p * k * a) });
         }
-        return (lo + hi) / 2;
+        return;
+      }
+      if (lam === 0 && W === 0) {
+        // Static load on a damped rigid-body mode: terminal drift q = a t / (2γ)
+        resonance.push(j + 1);
+        terms.push({ gamma: 0, omega: 0, power: 1, c: phi.map(p => p * a / (2 * gamma)), s: [0, 0] });
+        return;
       }
 
-      prevT = curT;
-      prevF = curF;
-      if (curT >= searchMax) break;
+      // G = (a − ib) / (ω² − Ω² + 2iγΩ);  q = Re(G) cos Ωt − Im(G) sin Ωt
+      const dr = lam - W * W, di = 2 * gamma * W;
+      const d = dr * dr + di * di;
+      const Gr = (a * dr - b * di) / d;
+      const Gi = (-b * dr - a * di) / d;
+      terms.push({ gamma: 0, omega: W, power: 0, c: phi.map(p => p * Gr), s: phi.map(p => -p * Gi) });
+    });
+
+    return mergeTerms(terms);
+  }
+
+  /**
+   * Particular solution from the complex frequency response (K − Ω²M + iΩC)⁻¹.
+   * A static load on a rigid-body mode φ (Kφ = 0), where that is singular,
+   * is recorded in `resonance` and drifts: x = αφt + b with the terminal
+   * rate α = φᵀf / φᵀCφ, and K b = f − αCφ solved with b ⊥ φ.
+   */
+  _complexResponse({ omega: W, c: fc, s: fs }, resonance) {
+    const { M, K, C } = this.unforced.matrices();
+    const rigid = W === 0 ? this.lambdas.indexOf(0) : -1;
+    if (rigid >= 0) {
+      const phi = this.modeShapes[rigid];
+      const dot = (u, v) => u[0] * v[0] + u[1] * v[1];
+      const Cphi = [0, 1].map(i => dot(C[i], phi));
+      const alpha = dot(phi, fc) / dot(phi, Cphi);
+      // K + φφᵀ is regular and maps b ⊥ φ onto K b
+      const Kb = fc.map((f, i) => complex(f - alpha * Cphi[i]));
+      const b = solveComplex([0, 1].map(i => [0, 1].map(j => complex(K[i][j] + phi[i] * phi[j]))), Kb);
+      resonance.push(rigid + 1);
+      return mergeTerms([
+        { gamma: 0, omega: 0, power: 0, c: b.map(z => z.re), s: [0, 0] },
+        { gamma: 0, omega: 0, power: 1, c: phi.map(p => alpha * p), s: [0, 0] },
+      ]);
     }
+    const Z = [0, 1].map(i => [0, 1].map(j => complex(K[i][j] - W * W * M[i][j], W * C[i][j])));
+    const X = solveComplex(Z, fc.map((v, i) => complex(v, -fs[i])));
+    return mergeTerms([{ gamma: 0, omega: W, power: 0, c: X.map(z => z.re), s: X.map(z => -z.im) }]);
+  }
+
+  /** Displacements [u_L, u_R] of the left and right walls at time t. */
+  wallDisplacement(t) {
+    return this._walls.map(w => w.u(t));
+  }
+
+  // ── evaluation helpers ────────────────────────────────────────────────────
+
+  /** Position of mass 1 or 2 at time t. */
+  position(mass, t) {
+    return evaluateTerms(this.terms, mass - 1, t);
+  }
+
+  /** Velocity of mass 1 or 2 at time t. */
+  velocity(mass, t) {
+    return evaluateTerms(this._velTerms, mass - 1, t);
+  }
+
+  /** Acceleration of mass 1 or 2 at time t. */
+  acceleration(mass, t) {
+    return evaluateTerms(this._accTerms, mass - 1, t);
+  }
+
+  /** Position, velocity, and acceleration of both masses at time t. */
+  valueAtTime(t) {
+    return {
+      x1: this.position(1, t), v1: this.velocity(1, t), a1: this.acceleration(1, t),
+      x2: this.position(2, t), v2: this.velocity(2, t), a2: this.acceleration(2, t),
+    };
+  }
+
+  /**
+   * Energy at time `t`, as CoupledOscillator.energy(), plus the work done
+   * by each force since t = 0, work = [∫F₁v₁ dt, ∫F₂v₂ dt], wall forces
+   * from support motion included.  The balance
+   * total(t) + dissipated(t) − work₁ − work₂ equals total(0).
+   * @param {number} t
+   * @returns {{ kinetic: number[], potential: number[], modes: number[],
+   *             total: number, dissipated: number, work: number[] }}
+   */
+  energy(t) {
+    const e = mechanicalEnergy(
+      [this.m1, this.m2], [this.k1, this.k2, this.k3],
+      { shapes: this.modeShapes, lambdas: this.lambdas },
+      [this.position(1, t), this.position(2, t)],
+      [this.velocity(1, t), this.velocity(2, t)],
+    );
+    e.dissipated = this.isDamped ? dissipatedEnergy(this._velTerms, this.unforced.matrices().C, t) : 0;
+    e.work = [0, 1].map(i => integrateProduct(this.forceTerms, i, this._velTerms, i, t));
+    return e;
+  }
 
-    return null;
+  /**
+   * Find the first time t ∈ [tMin, tMax] where the specified quantity of
+   * the specified mass equals `target` (within `tolerance`).
+   *
+   * Coarse scan followed by bisection refinement (see first-time.js).
+   *
+   * @param {1|2} mass
+   * @param {'x'|'v'|'a'} quantity
+   * @param {number} target
+   * @param {{ tMin?: number, tMax?: number, dt?: number, tolerance?: number }} [opts]
+   * @returns {number|null}
+   */
+  firstTimeTo(mass, quantity, target, opts = {}) {
+    return firstTimeTo(this, mass, quantity, target, opts);
+  }
+
+  /**
+   * First time to `target` with no root missed, from bounds on the closed
+   * form (see CoupledOscillator#guaranteedTimeTo).
+   *
+   * @param {1|2} mass
+   * @param {'x'|'v'|'a'} quantity
+   * @param {number} target
+   * @param {{ tMin?: number, tMax?: number, tolerance?: number, maxIterations?: number }} [opts]
+   * @returns {{ t: number, bracket: [number, number], iterations: number } | null}
+   */
+  guaranteedTimeTo(mass, quantity, target, opts = {}) {
+    const terms = quantity === 'x' ? this.terms : quantity === 'v' ? this._velTerms : this._accTerms;
+    return firstRootOfTerms(terms, mass - 1, target, opts);
   }
 }
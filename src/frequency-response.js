@@ -0,0 +1,194 @@
+/**
+ * Frequency response of the two-mass system.
+ *
+ * For a unit harmonic force F(t) = f cos(Ωt) the steady state is
+ *
+ *   x(t) = Re[ X(Ω) e^{iΩt} ],   X(Ω) = (K − Ω²M + iΩC)⁻¹ f
+ *
+ * so mass i moves with amplitude |Xᵢ| and phase arg Xᵢ relative to the
+ * force.  f follows the same forceTarget choices as the forced solvers:
+ * 'mass1' → [1, 0], 'mass2' → [0, 1], 'both' → [1, 1].
+ *
+ * Anti-resonances are the drive frequencies at which a mass would stand
+ * still in the undamped system, i.e. the zeros of the numerator
+ * adj(K − Ω²M) f.  With damping they mark the bottom of the dip.
+ *
+ * Support motion u(t) = U e^{iΩt} of a wall acts through the spring and
+ * damper attached to it as the force (k + iΩc) U, so the same formula
+ * with f = [(k₁ + iΩc₁)·left, (k₃ + iΩc₃)·right] gives the
+ * transmissibility Xᵢ / U.
+ */
+
+import { CoupledOscillator } from './oscillator.js';
+import { complex, cArg, cAbs, solveComplex } from './complex.js';
+
+/** Unit force vector for a forceTarget choice. */
+function forceVector(forceTarget) {
+  return [
+    forceTarget === 'mass1' || forceTarget === 'both' ? 1 : 0,
+    forceTarget === 'mass2' || forceTarget === 'both' ? 1 : 0,
+  ];
+}
+
+/** Force of a unit displacement of the chosen walls at frequency Ω. */
+function supportVector(params, support, W) {
+  const { k1, k3, c1 = 0, c3 = 0 } = params;
+  return [
+    support === 'left' || support === 'both' ? complex(k1, W * c1) : complex(0),
+    support === 'right' || support === 'both' ? complex(k3, W * c3) : complex(0),
+  ];
+}
+
+/**
+ * Complex steady-state amplitudes [X₁, X₂] for a unit force at drive
+ * frequency Ω.  Entries are Infinity at an undamped resonance.
+ *
+ * @param {{ m1:number, m2:number, k1:number, k2:number, k3:number,
+ *           c1?:number, c2?:number, c3?:number }} params
+ * @param {'mass1'|'mass2'|'both'} forceTarget
+ * @param {number} omega
+ * @returns {{re:number, im:number}[]}
+ */
+export function receptance(params, forceTarget, omega) {
+  const { M, K, C } = systemMatrices(params);
+  return receptanceOf(M, K, C, forceVector(forceTarget).map(fi => complex(fi)), omega);
+}
+
+/**
+ * Complex transmissibility [X₁/U, X₂/U] from harmonic motion U of the
+ * chosen walls at frequency Ω to the masses.  Entries are Infinity at an
+ * undamped resonance.
+ *
+ * @param {{ m1:number, m2:number, k1:number, k2:number, k3:number,
+ *           c1?:number, c2?:number, c3?:number }} params
+ * @param {'left'|'right'|'both'} support
+ * @param {number} omega
+ * @returns {{re:number, im:number}[]}
+ */
+export function transmissibility(params, support, omega) {
+  const { M, K, C } = systemMatrices(params);
+  return receptanceOf(M, K, C, supportVector(params, support, omega), omega);
+}
+
+/** (K − Ω²M + iΩC)⁻¹ f for a complex input vector f. */
+function receptanceOf(M, K, C, f, W) {
+  const Z = [0, 1].map(i => [0, 1].map(j => complex(K[i][j] - W * W * M[i][j], W * C[i][j])));
+  try {
+    return solveComplex(Z, f);
+  } catch (e) {
+    return [complex(Infinity), complex(Infinity)];
+  }
+}
+
+function systemMatrices(params) {
+  const { m1, m2, k1, k2, k3, c1 = 0, c2 = 0, c3 = 0 } = params;
+  return new CoupledOscillator({ m1, m2, k1, k2, k3, c1, c2, c3, x10: 0, x20: 0, v10: 0, v20: 0 })
+    .matrices();
+}
+
+/**
+ * Undamped anti-resonance frequencies of each mass for a given force
+ * pattern, sorted by frequency.
+ *
+ * @param {{ m1:number, m2:number, k1:number, k2:number, k3:number }} params
+ * @param {'mass1'|'mass2'|'both'} forceTarget
+ * @returns {{ mass: 1|2, omega: number }[]}
+ */
+export function antiResonances(params, forceTarget) {
+  const { M, K } = systemMatrices(params);
+  return antiResonancesOf(M, K, forceVector(forceTarget));
+}
+
+function antiResonancesOf(M, K, f) {
+  // adj(K − Ω²M) f = [ f₁(K₂₂ − Ω²m₂) − K₁₂f₂,  f₂(K₁₁ − Ω²m₁) − K₂₁f₁ ]
+  const numerators = [
+    { stiff: f[0] * K[1][1] - K[0][1] * f[1], mass: f[0] * M[1][1] },
+    { stiff: f[1] * K[0][0] - K[1][0] * f[0], mass: f[1] * M[0][0] },
+  ];
+  const out = [];
+  numerators.forEach(({ stiff, mass }, i) => {
+    if (mass === 0) return;
+    const lam = stiff / mass;
+    if (lam > 0) out.push({ mass: i + 1, omega: Math.sqrt(lam) });
+  });
+  return out.sort((a, b) => a.omega - b.omega);
+}
+
+/**
+ * Amplitude and phase of both masses over a grid of drive frequencies.
+ *
+ * Phase is unwrapped along the grid, starting from arg X at the first
+ * frequency, so it decreases by π through each resonance and recovers
+ * through each anti-resonance.  Grid points exactly on an undamped
+ * resonance have infinite amplitude and NaN phase.
+ *
+ * @param {{ m1:number, m2:number, k1:number, k2:number, k3:number,
+ *           c1?:number, c2?:number, c3?:number }} params
+ * @param {{ forceTarget?: 'mass1'|'mass2'|'both', support?: 'left'|'right'|'both',
+ *           omegaMin?: number, omegaMax?: number, points?: number }} [opts]
+ *   With `support` the input is motion of those walls instead of a force
+ *   and the amplitudes are transmissibilities.  omegaMax defaults to twice
+ *   the highest natural or anti-resonance frequency.
+ * @returns {{
+ *   omega: number[],
+ *   amplitude: [number[], number[]],
+ *   phase: [number[], number[]],
+ *   naturalFrequencies: [number, number],
+ *   antiResonances: { mass: 1|2, omega: number }[]
+ * }}
+ */
+export function frequencyResponse(params, opts = {}) {
+  const { m1, m2, k1, k2, k3, c1 = 0, c2 = 0, c3 = 0 } = params;
+  const osc = new CoupledOscillator({ m1, m2, k1, k2, k3, c1, c2, c3, x10: 0, x20: 0, v10: 0, v20: 0 });
+  const { M, K, C } = osc.matrices();
+  const { forceTarget = 'mass1', support } = opts;
+  const naturalFrequencies = [osc.omega1, osc.omega2];
+  const input = support
+    ? W => supportVector(params, support, W)
+    : W => forceVector(forceTarget).map(fi => complex(fi));
+  const anti = antiResonancesOf(M, K, input(0).map(z => z.re));
+
+  const top = Math.max(...naturalFrequencies, ...anti.map(a => a.omega));
+  const {
+    omegaMin = 0,
+    omegaMax = top > 0 ? 2 * top : 1,
+    points = 400,
+  } = opts;
+
+  const omega = Array.from({ length: points + 1 }, (_, i) => omegaMin + (omegaMax - omegaMin) * i / points);
+  const amplitude = [[], []];
+  const phase = [[], []];
+
+  // An undamped sign flip between two grid points is a lag of π through a
+  // resonance and a lead of π through an anti-resonance.
+  const crossesResonance = (lo, hi) => naturalFrequencies.some(w => w > lo && w <= hi);
+
+  // Index of the last grid point with a finite phase, per mass
+  const last = [-1, -1];
+
+  omega.forEach((W, k) => {
+    const X = receptanceOf(M, K, C, input(W), W);
+    X.forEach((z, i) => {
+      amplitude[i].push(cAbs(z));
+      if (!Number.isFinite(z.re)) {
+        phase[i].push(NaN);   // exactly on an undamped resonance
+        return;
+      }
+      const raw = cArg(z);
+      const j = last[i];
+      last[i] = k;
+      if (j < 0) {
+        phase[i].push(raw);
+        return;
+      }
+      let d = raw - phase[i][j];
+      d -= 2 * Math.PI * Math.round(d / (2 * Math.PI));
+      if (Math.abs(Math.abs(d) - Math.PI) < 1e-9) {
+        d = crossesResonance(omega[j], W) ? -Math.PI : Math.PI;
+      }
+      phase[i].push(phase[i][j] + d);
+    });
+  });
+
+  return { omega, amplitude, phase, naturalFrequencies, antiResonances: anti };
+}
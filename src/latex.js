@@ -11,7 +11,7 @@
  * All numeric coefficients are displayed as fully-reduced fractions.
  */
 
-import { decimalToFraction, fracToLatex } from './fraction.js';
+import { gcd, decimalToFraction, fracToLatex } from './fraction.js';
 
 // ── internal helpers ────────────────────────────────────────────────────────
 
@@ -86,20 +86,25 @@ function omegaLatex(omega) {
  *   C₁ cos(ω₁ t) + C₂ sin(ω₁ t) + C₃ cos(ω₂ t) + C₄ sin(ω₂ t)
  *
  * `terms` is an array of { coeff, trigFn, omega, omegaLabel } objects.
+ * A term may instead carry a literal `factor` string (e.g. 't'); an empty
+ * factor marks a constant term.
  */
 function buildExpression(terms) {
   const parts = [];
   let firstWritten = false;
 
-  for (const { coeff, trigFn, omegaLabel } of terms) {
-    const { latex: cLat, isZero } = coeffLatex(coeff, !firstWritten);
+  for (const { coeff, trigFn, omegaLabel, factor } of terms) {
+    const isConstant = factor === '';
+    const { latex: cLat, isZero } = coeffLatex(coeff, !firstWritten, !isConstant);
     if (isZero) continue;
 
-    const trig = `${trigFn}\\!\\left(${omegaLabel}\\, t\\right)`;
+    const trig = factor !== undefined
+      ? factor
+      : `${trigFn}\\!\\left(${omegaLabel}\\, t\\right)`;
 
     // If the coefficient magnitude is 1, we only wrote sign (or nothing).
     const { num: cn, den: cd } = decimalToFraction(coeff);
-    const magIsOne = Math.abs(cn) === Math.abs(cd);
+    const magIsOne = !isConstant && Math.abs(cn) === Math.abs(cd);
 
     if (magIsOne && cn !== 0) {
       // cLat is '' (first, positive one) or '+' or '-'
@@ -119,9 +124,123 @@ function buildExpression(terms) {
 
 // ── public API ──────────────────────────────────────────────────────────────
 
+/**
+ * Return a KaTeX-ready string for a rate or angular frequency w.
+ *  - If w is rational with denominator ≤ 100, return an exact fraction.
+ *  - If w² is rational with denominator ≤ 1000, return √(p/q) radical form.
+ *  - If w² = (lamSum ± √discSq)/2 with rational lamSum and discSq (the
+ *    two-mass eigenvalue formula), return the nested radical.
+ *  - Otherwise fall back to a 5-significant-figure decimal string.
+ *
+ * @param {number} w
+ * @param {number} [lamSum]  – trace of M⁻¹K
+ * @param {number} [discSq]  – discriminant of the characteristic polynomial
+ * @returns {string}
+ */
+export function omegaExactLatex(w, lamSum, discSq) {
+  if (Math.abs(w) < 1e-14) return '0';
+  // Check if w itself is rational with a small denominator (≤ 100)
+  const { num: on, den: od } = decimalToFraction(w, 100, 1e-9);
+  if (Math.abs(on / od - w) < 1e-9) return fracToLatex(on, od);
+  // Try simple radical form  ω = √(p/q)  where p/q has denominator ≤ 1000
+  const lam = w * w;
+  // (fractions with denominator ≤ 1000 are ~1e-6 apart, so the tolerance
+  // must be far tighter than that to avoid spurious matches)
+  const { num: ln, den: ld } = decimalToFraction(lam, 1000, 1e-10);
+  if (Math.abs(ln / ld - lam) < 1e-10 * Math.max(1, lam)) {
+    return ld === 1 ? `\\sqrt{${ln}}` : `\\sqrt{\\frac{${ln}}{${ld}}}`;
+  }
+  // Try nested radical form: ω = √((lamSum ± √discSq) / 2)
+  if (lamSum !== null && lamSum !== undefined && discSq !== null && discSq !== undefined && discSq > 1e-14) {
+    const { num: sn, den: sd } = decimalToFraction(lamSum, 2000, 1e-9);
+    const { num: dn, den: dd } = decimalToFraction(discSq, 2000, 1e-9);
+    if (Math.abs(sn / sd - lamSum) < 1e-9 && Math.abs(dn / dd - discSq) < 1e-9) {
+      // Check if dd is a perfect integer square so √(dn/dd) = √dn / sqrtDen
+      const sqrtDen = Math.round(Math.sqrt(dd));
+      if (Math.abs(sqrtDen * sqrtDen - dd) < 0.5) {
+        // lam = (sn/sd ± √dn/sqrtDen) / 2 = (sn·sqrtDen ± sd·√dn) / (2·sd·sqrtDen)
+        const numInt = sn * sqrtDen;
+        const numRadCoeff = sd;
+        const den = 2 * sd * sqrtDen;
+        const g = gcd(gcd(numInt, numRadCoeff), den);
+        const A = numInt / g;
+        const B = numRadCoeff / g;
+        const D = den / g;
+        const dnFinal = B * B * dn;  // absorb coefficient into radicand
+        const rad = `\\sqrt{${dnFinal}}`;
+        // Only use the radical if it really is this w (e.g. not a damped ω_d).
+        // An eigenvalue λ = (A ± √d)/D < 0 instead gives a growth rate
+        // w = √−λ = √((−A ∓ √d)/D).
+        for (const sign of [1, -1]) {
+          const value = (A + sign * Math.sqrt(dnFinal)) / D;
+          if (Math.abs(value - lam) < 1e-9 * Math.max(1, lam)) {
+            return `\\sqrt{\\dfrac{${A} ${sign > 0 ? '+' : '-'} ${rad}}{${D}}}`;
+          }
+          if (Math.abs(value + lam) < 1e-9 * Math.max(1, lam)) {
+            const numer = sign > 0 ? `${-A} - ${rad}`
+                        : A === 0 ? rad
+                        : `${rad} ${A > 0 ? '-' : '+'} ${Math.abs(A)}`;
+            return `\\sqrt{\\dfrac{${numer}}{${D}}}`;
+          }
+        }
+      }
+    }
+  }
+  // Fallback to 5-significant-figure decimal
+  return w.toPrecision(5).replace(/\.?0+$/, '');
+}
+
+/**
+ * LaTeX for Σ terms of component `index` of a solution-term list
+ * (see solution-terms.js): tᵖ e^{−γt} [c cos(ωt) + s sin(ωt)].
+ *
+ * @param {Array<{gamma:number, omega:number, power:number, c:number[], s:number[]}>} terms
+ * @param {number} index
+ * @param {(v: number) => string} fmt  – formats γ and ω values
+ * @returns {string}
+ */
+export function termsToLatex(terms, index, fmt = omegaExactLatex) {
+  const parts = [];
+  for (const { gamma, omega, power, c, s } of terms) {
+    let prefix = power === 1 ? 't\\,' : power > 1 ? `t^{${power}}\\,` : '';
+    const rate = gamma === 0 ? '' : fmt(Math.abs(gamma));
+    if (rate) prefix += `e^{${gamma > 0 ? '-' : ''}${rate === '1' ? '' : rate}t}`;
+
+    if (omega === 0) {
+      parts.push({ coeff: c[index], factor: prefix });
+    } else {
+      const w = fmt(omega);
+      parts.push({ coeff: c[index], factor: `${prefix}\\cos\\!\\left(${w}\\, t\\right)` });
+      parts.push({ coeff: s[index], factor: `${prefix}\\sin\\!\\left(${w}\\, t\\right)` });
+    }
+  }
+  return buildExpression(parts);
+}
+
+/**
+ * LaTeX for the natural frequency of mode j (0-based) of a two-mass
+ * oscillator: √λⱼ, 0 for a rigid-body mode, or i μⱼ (μⱼ = √−λⱼ) for an
+ * unstable one.
+ *
+ * @param {import('./oscillator.js').CoupledOscillator} osc
+ * @param {number} j
+ * @returns {string}
+ */
+export function modeFrequencyLatex(osc, j) {
+  const fmt = (w) => omegaExactLatex(w, osc._lamSum, osc._discSq);
+  const lam = osc.lambdas[j];
+  if (lam >= 0) return fmt(Math.sqrt(lam));
+  const mu = fmt(Math.sqrt(-lam));
+  return mu === '1' ? 'i' : `i\\,${mu}`;
+}
+
 /**
  * Generate all six analytic LaTeX expression strings from an oscillator.
  *
+ * Frequencies and decay rates are substituted numerically, in exact
+ * radical form where possible; damped solutions carry e^{−γt} factors,
+ * unstable modes e^{μt} ones and rigid-body modes a polynomial in t.
+ *
  * @param {import('./oscillator.js').CoupledOscillator} osc
  * @returns {{
  *   omega1: string, omega2: string,
@@ -130,55 +249,174 @@ function buildExpression(terms) {
  * }}
  */
 export function generateLatex(osc) {
-  const { omega1: w1, omega2: w2, coeffs1: c1, coeffs2: c2 } = osc;
-
-  const wl1 = `\\omega_1`; // label used inside trig
-  const wl2 = `\\omega_2`;
-
-  /** Build terms for position, velocity, acceleration for one mass. */
-  function massSolution(c) {
-    // Position terms
-    const posParts = [
-      { coeff: c.cw1, trigFn: '\\cos', omegaLabel: wl1 },
-      { coeff: c.sw1, trigFn: '\\sin', omegaLabel: wl1 },
-      { coeff: c.cw2, trigFn: '\\cos', omegaLabel: wl2 },
-      { coeff: c.sw2, trigFn: '\\sin', omegaLabel: wl2 },
-    ];
-
-    // Velocity terms  (derivative: cos → -ω sin,  sin → ω cos)
-    const velParts = [
-      { coeff: -c.cw1 * w1, trigFn: '\\sin', omegaLabel: wl1 },
-      { coeff:  c.sw1 * w1, trigFn: '\\cos', omegaLabel: wl1 },
-      { coeff: -c.cw2 * w2, trigFn: '\\sin', omegaLabel: wl2 },
-      { coeff:  c.sw2 * w2, trigFn: '\\cos', omegaLabel: wl2 },
-    ];
-
-    // Acceleration terms  (2nd derivative: cos → -ω² cos,  sin → -ω² sin)
-    const accParts = [
-      { coeff: -c.cw1 * w1 * w1, trigFn: '\\cos', omegaLabel: wl1 },
-      { coeff: -c.sw1 * w1 * w1, trigFn: '\\sin', omegaLabel: wl1 },
-      { coeff: -c.cw2 * w2 * w2, trigFn: '\\cos', omegaLabel: wl2 },
-      { coeff: -c.sw2 * w2 * w2, trigFn: '\\sin', omegaLabel: wl2 },
-    ];
-
-    return {
-      x: buildExpression(posParts),
-      v: buildExpression(velParts),
-      a: buildExpression(accParts),
-    };
+  const fmt = (w) => omegaExactLatex(w, osc._lamSum, osc._discSq);
+  const expr = (terms, i) => termsToLatex(terms, i, fmt);
+
+  return {
+    omega1: modeFrequencyLatex(osc, 0),
+    omega2: modeFrequencyLatex(osc, 1),
+    x1: expr(osc.terms, 0),
+    v1: expr(osc._velTerms, 0),
+    a1: expr(osc._accTerms, 0),
+    x2: expr(osc.terms, 1),
+    v2: expr(osc._velTerms, 1),
+    a2: expr(osc._accTerms, 1),
+  };
+}
+
+/**
+ * LaTeX for the outcome of periodicity() on a two-mass oscillator: the
+ * rational ratio ω₂/ω₁ = q/p and the exact period T = 2πp/ω₁ when the
+ * motion repeats, otherwise the ratio marked quasi-periodic.
+ *
+ * @param {import('./oscillator.js').CoupledOscillator} osc
+ * @param {ReturnType<import('./periodicity.js').periodicity>} period
+ * @returns {string}
+ */
+export function generatePeriodLatex(osc, period) {
+  if (!period.periodic) {
+    return `\\frac{\\omega_2}{\\omega_1} \\approx ${period.ratio.toPrecision(7)}\\ (\\text{quasi-periodic})`;
+  }
+  const p = period.den;
+  const general = p === 1 ? '\\frac{2\\pi}{\\omega_1}' : `\\frac{2\\pi \\cdot ${p}}{\\omega_1}`;
+  // T/π = 2p/ω₁ is a plain fraction when ω₁ is rational
+  const { num: wn, den: wd } = decimalToFraction(osc.omega1, 100, 1e-9);
+  let exact;
+  if (Math.abs(wn / wd - osc.omega1) < 1e-9) {
+    const g = gcd(2 * p * wd, wn);
+    exact = `${fracToLatex(2 * p * wd / g, wn / g, { skipOne: true })}\\pi`;
+  } else {
+    exact = `\\frac{${2 * p}\\pi}{${modeFrequencyLatex(osc, 0)}}`;
   }
+  return `\\frac{\\omega_2}{\\omega_1} = ${fracToLatex(period.num, period.den)},\\quad T = ${general} = ${exact}`;
+}
+
+/** Display names of the mode regimes. */
+const REGIME_TEXT = { rigid: 'rigid body' };
+
+/**
+ * One LaTeX line per mode of a two-mass oscillator, giving its decay rate
+ * γ, damped frequency ω_d (underdamped modes only), growth rate μ
+ * (unstable modes only) and regime.  Oscillating modes of an undamped
+ * oscillator are left out, so a stable undamped system gives [].
+ *
+ * @param {import('./oscillator.js').CoupledOscillator} osc
+ * @returns {string[]}
+ */
+export function generateDampingLatex(osc) {
+  const fmt = (w) => omegaExactLatex(w, osc._lamSum, osc._discSq);
+  const lines = [];
+  osc.modes.forEach(({ gamma, omegaD, regime, growthRate }, j) => {
+    if (!osc.isDamped && regime === 'undamped') return;
+    const k = j + 1;
+    const parts = [];
+    if (osc.isDamped) parts.push(`\\gamma_{${k}} = ${fmt(gamma)}`);
+    if (regime === 'underdamped') parts.push(`\\omega_{d,${k}} = ${fmt(omegaD)}`);
+    if (regime === 'unstable') parts.push(`\\mu_{${k}} = ${fmt(growthRate)}`);
+    const line = parts.length ? parts.join(',\\ ') : `\\text{mode ${k}}`;
+    lines.push(`${line}\\ (\\text{${REGIME_TEXT[regime] || regime}})`);
+  });
+  return lines;
+}
+
+/**
+ * LaTeX for the drive frequency Ω of a ForcedOscillator, and Ω_u of its
+ * harmonic support motion, flagging exact resonance with a natural
+ * frequency.  The Ω part is left out when only the walls drive.
+ *
+ * @param {import('./forced-oscillator.js').ForcedOscillator} osc
+ * @returns {string}
+ */
+export function generateForcingLatex(osc) {
+  const drive = (label, omega, resonance) => {
+    const line = `${label} = ${omegaExactLatex(omega, osc._lamSum, osc._discSq)}`;
+    if (!resonance.length) return line;
+    const modes = resonance.map(i => `\\omega_{${i}}`).join(',\\ ');
+    return `${line}\\ (\\text{resonant with } ${modes})`;
+  };
+  const parts = [];
+  if (osc.forceA !== 0 || osc.baseType === 'none') parts.push(drive('\\Omega', osc.forceOmega, osc.resonance));
+  if (osc.baseType !== 'none') parts.push(drive('\\Omega_u', osc.baseOmega, osc.baseResonance));
+  return parts.join(',\\quad ');
+}
+
+/**
+ * Generate the position expressions xᵢ(t) of an N-mass chain in terms of
+ * its normal-mode frequencies ω₁ … ω_N, plus the numeric value of each ωⱼ.
+ * An unstable mode is written with cosh/sinh of its growth rate μⱼ, and
+ * its ωⱼ as i μⱼ.
+ *
+ * @param {import('./chain.js').CoupledChain} chain
+ * @returns {{ omegas: string[], x: string[] }}
+ */
+export function generateChainLatex(chain) {
+  const { n, omegas, growthRates, modeShapes, A, B } = chain;
+
+  const x = [];
+  for (let i = 0; i < n; i++) {
+    const terms = [];
+    for (let j = 0; j < n; j++) {
+      const phi = modeShapes[j][i];
+      if (growthRates[j] > 0) {
+        // Unstable mode: φ (A cosh μt + B sinh μt)
+        const ml = `\\mu_{${j + 1}}`;
+        terms.push({ coeff: phi * A[j], trigFn: '\\cosh', omegaLabel: ml });
+        terms.push({ coeff: phi * B[j], trigFn: '\\sinh', omegaLabel: ml });
+      } else if (omegas[j] === 0) {
+        // Rigid-body mode: φ (A + B t)
+        terms.push({ coeff: phi * A[j], factor: '' });
+        terms.push({ coeff: phi * B[j], factor: 't' });
+      } else {
+        const wl = `\\omega_{${j + 1}}`;
+        terms.push({ coeff: phi * A[j], trigFn: '\\cos', omegaLabel: wl });
+        terms.push({ coeff: phi * B[j], trigFn: '\\sin', omegaLabel: wl });
+      }
+    }
+    x.push(buildExpression(terms));
+  }
+
+  return {
+    omegas: omegas.map((w, j) => (growthRates[j] > 0
+      ? `i\\mu_{${j + 1}},\\ \\mu_{${j + 1}} = ${omegaLatex(growthRates[j])}`
+      : omegaLatex(w))),
+    x,
+  };
+}
 
-  const sol1 = massSolution(c1);
-  const sol2 = massSolution(c2);
+/**
+ * LaTeX for a MatrixOscillator: one line per distinct eigenvalue, a
+ * conjugate pair s = −γ ± iω_d on one line and a repeated root under all
+ * of its indices, with its regime, and the six solution
+ * expressions with their rates and frequencies as exact values where
+ * possible (see omegaExactLatex).
+ *
+ * @param {import('./matrix-oscillator.js').MatrixOscillator} osc
+ * @returns {{
+ *   eigenvalues: string[],
+ *   x1: string, v1: string, a1: string,
+ *   x2: string, v2: string, a2: string
+ * }}
+ */
+export function generateMatrixLatex(osc) {
+  const expr = (terms, i) => termsToLatex(terms, i);
+  let count = 0;
+  const eigenvalues = osc.modes.map(({ gamma, omegaD, regime, multiplicity }) => {
+    const pair = omegaD > 0;
+    const indices = Array.from({ length: (pair ? 2 : 1) * multiplicity }, (_, i) => count + i + 1);
+    const label = `s_{${indices.join(',')}}`;
+    count += indices.length;
+    const re = gamma === 0 ? '' : `${gamma > 0 ? '-' : ''}${omegaExactLatex(Math.abs(gamma))}`;
+    const im = pair ? `${re ? ' ' : ''}\\pm ${omegaExactLatex(omegaD)}\\,i` : '';
+    return `${label} = ${re || im ? re + im : '0'}\\ (\\text{${REGIME_TEXT[regime] || regime}})`;
+  });
 
   return {
-    omega1: omegaLatex(w1),
-    omega2: omegaLatex(w2),
-    x1: sol1.x,
-    v1: sol1.v,
-    a1: sol1.a,
-    x2: sol2.x,
-    v2: sol2.v,
-    a2: sol2.a,
+    eigenvalues,
+    x1: expr(osc.terms, 0),
+    v1: expr(osc._velTerms, 0),
+    a1: expr(osc._accTerms, 0),
+    x2: expr(osc.terms, 1),
+    v2: expr(osc._velTerms, 1),
+    a2: expr(osc._accTerms, 1),
   };
 }
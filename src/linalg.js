@@ -0,0 +1,219 @@
+/**
+ * Small dense linear-algebra helpers used by the N-mass solvers.
+ *
+ * Matrices are plain arrays of rows (number[][]); vectors are number[].
+ * Everything here is sized for the handful of degrees of freedom the
+ * application deals with, so clarity is preferred over raw speed.
+ */
+
+// ── basic helpers ───────────────────────────────────────────────────────────
+
+/**
+ * n×n identity matrix.
+ * @param {number} n
+ * @returns {number[][]}
+ */
+export function identity(n) {
+  return Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+}
+
+/**
+ * Matrix–vector product A·x.
+ * @param {number[][]} A
+ * @param {number[]} x
+ * @returns {number[]}
+ */
+export function matVec(A, x) {
+  return A.map(row => row.reduce((s, a, j) => s + a * x[j], 0));
+}
+
+// ── Cholesky factorisation ─────────────────────────────────────────────────
+
+/**
+ * Lower-triangular L with A = L·Lᵀ for a symmetric positive-definite A.
+ * @param {number[][]} A
+ * @returns {number[][]}
+ * @throws {Error} when A is not positive definite
+ */
+export function cholesky(A) {
+  const n = A.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = A[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (!(s > 0)) throw new Error('Matrix is not positive definite');
+        L[i][i] = Math.sqrt(s);
+      } else {
+        L[i][j] = s / L[j][j];
+      }
+    }
+  }
+  return L;
+}
+
+/** Solve L·Lᵀ·x = b given the Cholesky factor L. */
+function choleskySubstitute(L, b) {
+  const n = b.length;
+  const y = new Array(n);
+  for (let i = 0; i < n; i++) {
+    let s = b[i];
+    for (let k = 0; k < i; k++) s -= L[i][k] * y[k];
+    y[i] = s / L[i][i];
+  }
+  const x = new Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    let s = y[i];
+    for (let k = i + 1; k < n; k++) s -= L[k][i] * x[k];
+    x[i] = s / L[i][i];
+  }
+  return x;
+}
+
+/**
+ * Solve A·x = b for a symmetric positive-definite A by Cholesky
+ * factorisation and forward / back substitution.
+ * @param {number[][]} A
+ * @param {number[]} b
+ * @returns {number[]}
+ * @throws {Error} when A is not positive definite
+ */
+export function solveSPD(A, b) {
+  return choleskySubstitute(cholesky(A), b);
+}
+
+/**
+ * Inverse of a symmetric positive-definite matrix.
+ * @param {number[][]} A
+ * @returns {number[][]}
+ * @throws {Error} when A is not positive definite
+ */
+export function inverseSPD(A) {
+  const L = cholesky(A);
+  // A⁻¹ is symmetric, so its columns double as rows
+  return identity(A.length).map(e => choleskySubstitute(L, e));
+}
+
+// ── symmetric eigenproblem ─────────────────────────────────────────────────
+
+/**
+ * Eigen-decomposition of a real symmetric matrix by cyclic Jacobi rotations.
+ *
+ * Eigenvalues are returned in ascending order; `vectors[j]` is the unit
+ * eigenvector belonging to `values[j]`.
+ *
+ * @param {number[][]} A
+ * @param {{ maxSweeps?: number, tol?: number }} [opts]
+ * @returns {{ values: number[], vectors: number[][] }}
+ */
+export function symmetricEigen(A, opts = {}) {
+  const { maxSweeps = 100, tol = 1e-15 } = opts;
+  const n = A.length;
+  const a = A.map(row => row.slice());
+  const V = identity(n);
+
+  const offNorm = () => {
+    let s = 0;
+    for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) s += a[i][j] ** 2;
+    return Math.sqrt(s);
+  };
+  let scale = 0;
+  for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) scale += a[i][j] ** 2;
+  scale = Math.sqrt(scale) || 1;
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    if (offNorm() <= tol * scale) break;
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (a[p][q] === 0) continue;
+        // Rotation angle that annihilates a[p][q]
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p], akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k], aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = V[k][p], vkq = V[k][q];
+          V[k][p] = c * vkp - s * vkq;
+          V[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[i][i] - a[j][j]);
+  return {
+    values:  order.map(i => a[i][i]),
+    vectors: order.map(i => V.map(row => row[i])),
+  };
+}
+
+/**
+ * Solve the symmetric generalized eigenproblem  K φ = λ M φ  with M
+ * symmetric positive definite.
+ *
+ * The problem is reduced to standard form with the Cholesky factor of M
+ * (A = L⁻¹ K L⁻ᵀ) and solved by Jacobi rotations.  Returned eigenvectors
+ * are mass-normalised: φⱼᵀ M φⱼ = 1 and φᵢᵀ M φⱼ = 0 for i ≠ j.
+ *
+ * @param {number[][]} K  – stiffness matrix (symmetric)
+ * @param {number[][]} M  – mass matrix (symmetric positive definite)
+ * @returns {{ values: number[], vectors: number[][] }}
+ * @throws {Error} when M is not positive definite
+ */
+export function generalizedSymmetricEigen(K, M) {
+  const n = K.length;
+  const L = cholesky(M);
+
+  // Y = L⁻¹ K  (forward substitution on each column)
+  const Y = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let c = 0; c < n; c++) {
+    for (let i = 0; i < n; i++) {
+      let s = K[i][c];
+      for (let k = 0; k < i; k++) s -= L[i][k] * Y[k][c];
+      Y[i][c] = s / L[i][i];
+    }
+  }
+  // A = Y L⁻ᵀ = (L⁻¹ Yᵀ)ᵀ; A is symmetric so we solve on rows of Y.
+  const A = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let r = 0; r < n; r++) {
+    for (let i = 0; i < n; i++) {
+      let s = Y[r][i];
+      for (let k = 0; k < i; k++) s -= L[i][k] * A[r][k];
+      A[r][i] = s / L[i][i];
+    }
+  }
+  // Symmetrise away round-off before the Jacobi sweep
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const avg = (A[i][j] + A[j][i]) / 2;
+      A[i][j] = avg; A[j][i] = avg;
+    }
+  }
+
+  const { values, vectors: ys } = symmetricEigen(A);
+
+  // φ = L⁻ᵀ y  (back substitution)
+  const vectors = ys.map(y => {
+    const phi = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+      let s = y[i];
+      for (let k = i + 1; k < n; k++) s -= L[k][i] * phi[k];
+      phi[i] = s / L[i][i];
+    }
+    return phi;
+  });
+
+  return { values, vectors };
+}
@@ -0,0 +1,251 @@
+/**
+ * MatrixOscillator – analytic solver for two degrees of freedom with
+ * general 2×2 mass, damping and stiffness matrices,
+ *
+ *   M ẍ + C ẋ + K x = 0
+ *
+ * covering what the wall–spring–mass line cannot: inertial coupling
+ * (M₁₂ ≠ 0), damper coupling, gyroscopic terms (C skew-symmetric) and
+ * circulatory forces (K asymmetric).  M must be symmetric positive
+ * definite; C and K are arbitrary.
+ *
+ * The solution is built from the state-space eigenvalues, the roots of
+ * det(s²M + sC + K) = 0 (see state-space.js), and stored as solution terms
+ * as on CoupledOscillator.
+ *
+ * Energy: with T = ½ vᵀMv and V = ½ xᵀK_s x (K_s, K_a the symmetric and
+ * skew parts of K, likewise for C),
+ *
+ *   d(T + V)/dt = −vᵀ C_s v − vᵀ K_a x
+ *
+ * so the system is conservative when C_s = 0 and K_a = 0.  Gyroscopic
+ * forces C_a v do no work; circulatory forces K_a x do, and can feed
+ * energy in (flutter).
+ */
+
+import { cholesky, matVec } from './linalg.js';
+import { cAbs } from './complex.js';
+import { evaluateTerms, mergeTerms, differentiateTerms, firstRootOfTerms, integrateProduct } from './solution-terms.js';
+import { dissipatedEnergy } from './energy.js';
+import { largestEntry, stateSpaceBasis, stateSpaceTerms } from './state-space.js';
+import { firstTimeTo } from './first-time.js';
+
+/** Entries below this (relative to the largest) count as zero. */
+const ENTRY_TOL = 1e-8;
+
+function checkMatrix(A, name) {
+  const ok = Array.isArray(A) && A.length === 2 &&
+    A.every(row => Array.isArray(row) && row.length === 2 && row.every(Number.isFinite));
+  if (!ok) throw new Error(`${name} must be a 2×2 matrix of finite numbers`);
+}
+
+/** ½(A + Aᵀ) and ½(A − Aᵀ). */
+function symmetricPart(A) {
+  const off = (A[0][1] + A[1][0]) / 2;
+  return [[A[0][0], off], [off, A[1][1]]];
+}
+
+function skewPart(A) {
+  const off = (A[0][1] - A[1][0]) / 2;
+  return [[0, off], [-off, 0]];
+}
+
+/** Whether A is zero next to `scale`. */
+function negligible(A, scale) {
+  return largestEntry(A) <= ENTRY_TOL * scale;
+}
+
+export class MatrixOscillator {
+  /**
+   * @param {{
+   *   M: number[][], C?: number[][], K: number[][],
+   *   x10: number, x20: number, v10: number, v20: number
+   * }} params  matrices as arrays of rows; C defaults to zero
+   * @throws {Error} for a matrix that is not 2×2 and finite, an M that is
+   *   not symmetric positive definite, a repeated eigenvalue with more
+   *   structure than one Jordan chain of length two per mode shape, or
+   *   eigenvalues too close to separate (see state-space.js)
+   */
+  constructor(params) {
+    const { M, C = [[0, 0], [0, 0]], K, x10, x20, v10, v20 } = params;
+    checkMatrix(M, 'The mass matrix M');
+    checkMatrix(C, 'The damping matrix C');
+    checkMatrix(K, 'The stiffness matrix K');
+    if (Math.abs(M[0][1] - M[1][0]) > ENTRY_TOL * largestEntry(M)) {
+      throw new Error('The mass matrix M must be symmetric');
+    }
+    try {
+      cholesky(M);
+    } catch (e) {
+      throw new Error('The mass matrix M is not positive definite');
+    }
+    this.M = M.map(row => row.slice());
+    this.C = C.map(row => row.slice());
+    this.K = K.map(row => row.slice());
+    this.x10 = x10; this.x20 = x20;
+    this.v10 = v10; this.v20 = v20;
+
+    // Which non-conservative (or energy-neutral) forces are present
+    const scale = Math.max(largestEntry(M), largestEntry(C), largestEntry(K));
+    this.isDamped = !negligible(symmetricPart(C), scale);
+    this.gyroscopic = !negligible(skewPart(C), scale);
+    this.circulatory = !negligible(skewPart(K), scale);
+    /** True when T + V is constant: no dissipative damping or circulatory forces. */
+    this.conservative = !this.isDamped && !this.circulatory;
+
+    this._computeStateSpace();
+    /** True when some mode grows without bound (an eigenvalue with Re s > 0). */
+    this.unstable = this.eigenvalues.some(s => s.re > 0);
+    this._velTerms = differentiateTerms(this.terms);
+    this._accTerms = differentiateTerms(this._velTerms);
+  }
+
+  /** The mass, damping and stiffness matrices, as on CoupledOscillator. */
+  matrices() {
+    return { M: this.M, C: this.C, K: this.K };
+  }
+
+  /**
+   * Fit the state-space basis to the initial conditions and write the real
+   * solution terms, the eigenvalues and the `modes` (see _modes).
+   */
+  _computeStateSpace() {
+    const { M, C, K, x10, x20, v10, v20 } = this;
+    const basis = stateSpaceBasis(M, C, K);
+    const terms = stateSpaceTerms(basis, [x10, x20], [v10, v20]);
+    this.modes = this._modes(basis);
+    this.eigenvalues = basis.map(b => b.s);
+    this.terms = mergeTerms(terms).sort((a, b) => a.omega - b.omega);
+  }
+
+  /**
+   * One description per distinct eigenvalue with Im s ≥ 0,
+   *   { omega, zeta, gamma, omegaD, multiplicity, regime, growthRate? }
+   * as on CoupledOscillator, with `multiplicity` the number of roots of
+   * det(s²M + sC + K) at s.  Roots with Re s > 0 are 'unstable' and s = 0
+   * is 'rigid'.  Without damping (C_s = 0) the four roots sum to zero, so
+   * a decaying root is the stable half of an unstable pair, not a damped
+   * mode: it is labelled 'unstable' with the largest growth rate.
+   */
+  _modes(basis) {
+    const roots = [];
+    basis.forEach(({ s }) => {
+      if (s.im < 0) return;
+      const same = roots.find(r => r.s.re === s.re && r.s.im === s.im);
+      if (same) same.multiplicity++;
+      else roots.push({ s, multiplicity: 1 });
+    });
+    const growthRate = Math.max(...basis.map(b => b.s.re));
+
+    return roots.map(({ s, multiplicity }) => {
+      const omega = cAbs(s);
+      const gamma = -s.re;
+      const mode = { omega, zeta: omega > 0 ? gamma / omega : Infinity, gamma, omegaD: s.im, multiplicity };
+      if (gamma < 0) Object.assign(mode, { regime: 'unstable', growthRate: -gamma });
+      else if (gamma > 0 && !this.isDamped) Object.assign(mode, { regime: 'unstable', growthRate });
+      else if (s.im > 0) mode.regime = gamma === 0 ? 'undamped' : 'underdamped';
+      else if (gamma === 0) mode.regime = 'rigid';
+      else mode.regime = multiplicity > 1 ? 'critical' : 'overdamped';
+      return mode;
+    }).sort((a, b) => a.omega - b.omega);
+  }
+
+  // ── evaluation helpers ──────────────────────────────────────────────────
+
+  /** Position of mass `mass` (1 or 2) at time `t`. */
+  position(mass, t) {
+    return evaluateTerms(this.terms, mass - 1, t);
+  }
+
+  /** Velocity of mass `mass` at time `t`. */
+  velocity(mass, t) {
+    return evaluateTerms(this._velTerms, mass - 1, t);
+  }
+
+  /** Acceleration of mass `mass` at time `t`. */
+  acceleration(mass, t) {
+    return evaluateTerms(this._accTerms, mass - 1, t);
+  }
+
+  /**
+   * Position, velocity, and acceleration of both masses at time `t`.
+   * @param {number} t
+   * @returns {{ x1, v1, a1, x2, v2, a2 }}
+   */
+  valueAtTime(t) {
+    return {
+      x1: this.position(1, t),
+      v1: this.velocity(1, t),
+      a1: this.acceleration(1, t),
+      x2: this.position(2, t),
+      v2: this.velocity(2, t),
+      a2: this.acceleration(2, t),
+    };
+  }
+
+  /**
+   * Energy at time `t`: each mass's share ½vᵢ(Mv)ᵢ of the kinetic energy,
+   * the potential energy ½xᵀK_s x (one entry), their total, the energy
+   * dissipated by C since t = 0 and the work done by the circulatory
+   * forces −K_a x since t = 0.  There are no uncoupled modal energies
+   * (`modes` is empty).  total(t) + dissipated(t) − circulatory(t) equals
+   * total(0).
+   * @param {number} t
+   * @returns {{ kinetic: number[], potential: number[], modes: number[],
+   *             total: number, dissipated: number, circulatory: number }}
+   */
+  energy(t) {
+    const x = [this.position(1, t), this.position(2, t)];
+    const v = [this.velocity(1, t), this.velocity(2, t)];
+    const Mv = matVec(this.M, v);
+    const Kx = matVec(symmetricPart(this.K), x);
+    const kinetic = v.map((vi, i) => 0.5 * vi * Mv[i]);
+    const potential = [0.5 * (x[0] * Kx[0] + x[1] * Kx[1])];
+    let circulatory = 0;
+    if (this.circulatory) {
+      const Ka = skewPart(this.K);
+      Ka.forEach((row, i) => row.forEach((kij, j) => {
+        if (kij !== 0) circulatory -= kij * integrateProduct(this._velTerms, i, this.terms, j, t);
+      }));
+    }
+    return {
+      kinetic,
+      potential,
+      modes: [],
+      total: kinetic[0] + kinetic[1] + potential[0],
+      dissipated: this.isDamped ? dissipatedEnergy(this._velTerms, this.C, t) : 0,
+      circulatory,
+    };
+  }
+
+  /**
+   * Find the first time t ∈ [tMin, tMax] where the specified quantity of
+   * the specified mass equals `target` (within `tolerance`).
+   *
+   * Coarse scan followed by bisection refinement (see first-time.js).
+   *
+   * @param {1|2} mass
+   * @param {'x'|'v'|'a'} quantity  – position, velocity, or acceleration
+   * @param {number} target
+   * @param {{ tMin?: number, tMax?: number, dt?: number, tolerance?: number }} [opts]
+   * @returns {number|null}  The first time, or null if not found.
+   */
+  firstTimeTo(mass, quantity, target, opts = {}) {
+    return firstTimeTo(this, mass, quantity, target, opts);
+  }
+
+  /**
+   * Like firstTimeTo, but certain not to miss a root (see
+   * CoupledOscillator#guaranteedTimeTo).
+   *
+   * @param {1|2} mass
+   * @param {'x'|'v'|'a'} quantity
+   * @param {number} target
+   * @param {{ tMin?: number, tMax?: number, tolerance?: number, maxIterations?: number }} [opts]
+   * @returns {{ t: number, bracket: [number, number], iterations: number } | null}
+   */
+  guaranteedTimeTo(mass, quantity, target, opts = {}) {
+    const terms = quantity === 'x' ? this.terms : quantity === 'v' ? this._velTerms : this._accTerms;
+    return firstRootOfTerms(terms, mass - 1, target, opts);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Normal coordinates of the two-mass system, and initial conditions given
+ * mode by mode.
+ *
+ * The undamped mode shapes φⱼ of K φ = λ M φ are mass-normalised on the
+ * oscillator classes (`modeShapes`).  Here each is rescaled so that its
+ * larger entry is 1,
+ *
+ *   ψⱼ = φⱼ / max|φⱼᵢ|,   x(t) = ψ₁ q₁(t) + ψ₂ q₂(t)
+ *
+ * so the normal coordinate qⱼ is the displacement, in mode j, of the mass
+ * that moves most in it.  The mode-shape ratio rⱼ = ψⱼ₂ / ψⱼ₁ is that of
+ * sweep.js.  Undamped, each qⱼ = Aⱼ cos(ωⱼt − φⱼ) runs on its own; damping
+ * that the mode shapes do not diagonalise couples them.
+ */
+
+import { CoupledOscillator } from './oscillator.js';
+
+/** Modes of the free system with the masses and springs of `params`. */
+function freeModes({ m1, m2, k1, k2, k3 }) {
+  return new CoupledOscillator({ m1, m2, k1, k2, k3, x10: 0, x20: 0, v10: 0, v20: 0 });
+}
+
+/**
+ * Mode shapes scaled to a larger entry of 1, in the order and sign of
+ * `modeShapes` (ascending ω, first non-zero entry positive).
+ *
+ * @param {number[][]} modeShapes  mass-normalised shapes φⱼ
+ * @returns {number[][]}
+ */
+export function scaledShapes(modeShapes) {
+  return modeShapes.map(phi => {
+    const size = Math.max(...phi.map(Math.abs));
+    return phi.map(p => p / size);
+  });
+}
+
+/**
+ * Normal coordinates and their rates at time t,
+ *   qⱼ = sⱼ φⱼᵀ M x,   q̇ⱼ = sⱼ φⱼᵀ M v,   sⱼ = max|φⱼᵢ|
+ * for any two-mass oscillator (closed form or numerical).
+ *
+ * @param {{ m1: number, m2: number, modeShapes: number[][],
+ *           position: Function, velocity: Function }} osc
+ * @param {number} t
+ * @returns {{ q: number[], qd: number[] }}
+ */
+export function normalCoordinates(osc, t) {
+  const { m1, m2 } = osc;
+  const x = [osc.position(1, t), osc.position(2, t)];
+  const v = [osc.velocity(1, t), osc.velocity(2, t)];
+  const q = [], qd = [];
+  osc.modeShapes.forEach(phi => {
+    const size = Math.max(...phi.map(Math.abs));
+    q.push(size * (phi[0] * m1 * x[0] + phi[1] * m2 * x[1]));
+    qd.push(size * (phi[0] * m1 * v[0] + phi[1] * m2 * v[1]));
+  });
+  return { q, qd };
+}
+
+/**
+ * Initial conditions for qⱼ(t) = Aⱼ cos(ωⱼt − φⱼ): qⱼ(0) = Aⱼ cos φⱼ and
+ * q̇ⱼ(0) = Aⱼωⱼ sin φⱼ.  A mode that does not oscillate (ωⱼ = 0, rigid or
+ * unstable) starts from Aⱼ cos φⱼ at rest.  Exciting one mode alone is
+ * Aⱼ = 1, φⱼ = 0 and the other amplitude 0, which starts from x = ψⱼ.
+ *
+ * @param {object} params  m1, m2, k1, k2, k3
+ * @param {number[]} amplitudes  [A₁, A₂]
+ * @param {number[]} phases  [φ₁, φ₂] in radians
+ * @returns {{ x10: number, x20: number, v10: number, v20: number }}
+ * @throws {Error} for a non-finite amplitude or phase
+ */
+export function modalInitialConditions(params, amplitudes, phases) {
+  if (![...amplitudes, ...phases].every(Number.isFinite)) {
+    throw new Error('Modal amplitudes and phases must be finite numbers');
+  }
+  const osc = freeModes(params);
+  const shapes = scaledShapes(osc.modeShapes);
+  const omegas = [osc.omega1, osc.omega2];
+  const x = [0, 0], v = [0, 0];
+  shapes.forEach((psi, j) => {
+    const q0 = amplitudes[j] * Math.cos(phases[j]);
+    const qd0 = amplitudes[j] * omegas[j] * Math.sin(phases[j]);
+    psi.forEach((p, i) => {
+      x[i] += p * q0;
+      v[i] += p * qd0;
+    });
+  });
+  return { x10: x[0], x20: x[1], v10: v[0], v20: v[1] };
+}
+
+/**
+ * Modal amplitudes Aⱼ ≥ 0 and phases φⱼ ∈ (−π, π] of the initial
+ * conditions in `params`, the inverse of modalInitialConditions.  A mode
+ * with ωⱼ = 0 keeps only its displacement (phase 0 or π); its initial
+ * rate cannot be written as Aⱼωⱼ sin φⱼ and is dropped.
+ *
+ * @param {object} params  m1 … k3 and x10, x20, v10, v20
+ * @returns {{ amplitudes: number[], phases: number[] }}
+ */
+export function modalAmplitudes(params) {
+  const osc = freeModes(params);
+  const omegas = [osc.omega1, osc.omega2];
+  const { x10 = 0, x20 = 0, v10 = 0, v20 = 0 } = params;
+  const { q, qd } = normalCoordinates(
+    { m1: osc.m1, m2: osc.m2, modeShapes: osc.modeShapes,
+      position: m => (m === 1 ? x10 : x20), velocity: m => (m === 1 ? v10 : v20) },
+    0,
+  );
+  const amplitudes = [], phases = [];
+  q.forEach((q0, j) => {
+    const s = omegas[j] > 0 ? qd[j] / omegas[j] : 0;
+    amplitudes.push(Math.hypot(q0, s));
+    phases.push(Math.atan2(s, q0));
+  });
+  return { amplitudes, phases };
+}
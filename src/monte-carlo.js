@@ -0,0 +1,165 @@
+/**
+ * Monte Carlo propagation of parameter tolerances.
+ *
+ * Each input may carry a tolerance ±tol with a distribution:
+ *   'uniform'   p + tol·U(−1, 1)
+ *   'normal'    p + tol·N(0, 1)      (tol is one standard deviation)
+ * Masses must stay positive and dampers non-negative; a draw that breaks
+ * this is redrawn, which truncates the distribution.
+ *
+ * The ensemble is driven by a seeded generator, and the inputs are drawn
+ * in the fixed order of TOLERANCE_PARAMETERS, so the same seed, samples
+ * and tolerances always give the same ensemble.
+ */
+
+import { CoupledOscillator } from './oscillator.js';
+
+/** Inputs that can carry a tolerance, in drawing order. */
+export const TOLERANCE_PARAMETERS = ['m1', 'm2', 'k1', 'k2', 'k3', 'c1', 'c2', 'c3', 'x10', 'x20', 'v10', 'v20'];
+
+/** Percentile levels of the time-chart bands. */
+export const BAND_PERCENTILES = [5, 50, 95];
+
+/** Attempts at a valid draw before giving up on a tolerance. */
+const MAX_REDRAWS = 1000;
+
+function valid(name, value) {
+  if (name === 'm1' || name === 'm2') return value > 0;
+  if (name[0] === 'c') return value >= 0;
+  return true;
+}
+
+/**
+ * Uniform generator on [0, 1) from a 32-bit seed (mulberry32).
+ *
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Standard normal deviate by Box–Muller. */
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Draw parameter sets around `params`.
+ *
+ * @param {object} params  nominal values (other keys are copied through)
+ * @param {Object<string, { tol: number, distribution: 'normal'|'uniform' }>} tolerances
+ *   by input name; a missing entry or tol of 0 keeps the input exact
+ * @param {{ seed?: number, samples?: number }} [opts]  defaults 1 and 200
+ * @returns {object[]}
+ * @throws {Error} for an unknown input or distribution, a negative
+ *   tolerance, too few samples, or a tolerance with no valid values
+ */
+export function sampleParameters(params, tolerances, { seed = 1, samples = 200 } = {}) {
+  if (!Number.isInteger(samples) || samples < 2) throw new Error('The ensemble needs at least two samples');
+  Object.entries(tolerances).forEach(([name, { tol, distribution }]) => {
+    if (!TOLERANCE_PARAMETERS.includes(name)) throw new Error(`No tolerance can be set on '${name}'`);
+    if (!(tol >= 0)) throw new Error(`${name}: the tolerance must be a non-negative number`);
+    if (distribution !== 'normal' && distribution !== 'uniform') {
+      throw new Error(`${name}: unknown distribution '${distribution}'`);
+    }
+  });
+  const varied = TOLERANCE_PARAMETERS.filter(name => tolerances[name] && tolerances[name].tol > 0);
+
+  const random = seededRandom(seed);
+  return Array.from({ length: samples }, () => {
+    const p = { ...params };
+    varied.forEach(name => {
+      const { tol, distribution } = tolerances[name];
+      const draw = () => params[name] + tol * (distribution === 'normal' ? gaussian(random) : 2 * random() - 1);
+      let value = draw();
+      for (let tries = 1; !valid(name, value); tries++) {
+        if (tries >= MAX_REDRAWS) throw new Error(`${name}: the tolerance leaves no valid values`);
+        value = draw();
+      }
+      p[name] = value;
+    });
+    return p;
+  });
+}
+
+/**
+ * The q-th percentile (0–100) of ascending values, interpolating linearly
+ * between order statistics.
+ *
+ * @param {number[]} sorted
+ * @param {number} q
+ * @returns {number}
+ */
+export function percentile(sorted, q) {
+  const pos = (sorted.length - 1) * q / 100;
+  const lo = Math.floor(pos);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (pos - lo) * (sorted[hi] - sorted[lo]);
+}
+
+/**
+ * Equal-width histogram of the finite values.
+ *
+ * @param {number[]} values
+ * @param {number} [bins=20]
+ * @returns {{ edges: number[], counts: number[] }}  bins + 1 edges
+ */
+export function histogram(values, bins = 20) {
+  const finite = values.filter(Number.isFinite);
+  if (!finite.length) return { edges: [], counts: [] };
+  let lo = Math.min(...finite), hi = Math.max(...finite);
+  if (lo === hi) { lo -= 0.5; hi += 0.5; }
+  const width = (hi - lo) / bins;
+  const edges = Array.from({ length: bins + 1 }, (_, i) => lo + i * width);
+  const counts = new Array(bins).fill(0);
+  finite.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - lo) / width))]++; });
+  return { edges, counts };
+}
+
+/**
+ * Run the ensemble: natural frequencies of every sample and percentile
+ * bands of position, velocity and acceleration over tArr.
+ *
+ * @param {object} params  nominal model parameters (as for `build`)
+ * @param {object} tolerances  as for sampleParameters
+ * @param {{ seed?: number, samples?: number, tArr?: number[],
+ *           build?: (params: object) => object }} [opts]
+ *   `build` makes the model of one sample (default CoupledOscillator); it
+ *   must provide position, velocity, acceleration and omega1, omega2
+ * @returns {{
+ *   samples: object[],
+ *   omegas: [number[], number[]],
+ *   bands: Object<'x'|'v'|'a', Object<string, [number[], number[]]>>
+ * }}  bands[quantity][`p${level}`][mass − 1][i] for each BAND_PERCENTILES
+ *   level and time tArr[i]
+ */
+export function monteCarlo(params, tolerances, opts = {}) {
+  const { tArr = [], build = p => new CoupledOscillator(p), ...sampling } = opts;
+  const samples = sampleParameters(params, tolerances, sampling);
+  const models = samples.map(build);
+
+  const methods = { x: 'position', v: 'velocity', a: 'acceleration' };
+  const bands = {};
+  Object.entries(methods).forEach(([quantity, method]) => {
+    const levels = Object.fromEntries(BAND_PERCENTILES.map(q => [`p${q}`, [[], []]]));
+    [1, 2].forEach(mass => tArr.forEach(t => {
+      const sorted = models.map(m => m[method](mass, t)).sort((a, b) => a - b);
+      BAND_PERCENTILES.forEach(q => levels[`p${q}`][mass - 1].push(percentile(sorted, q)));
+    }));
+    bands[quantity] = levels;
+  });
+
+  return {
+    samples,
+    omegas: [models.map(m => m.omega1), models.map(m => m.omega2)],
+    bands,
+  };
+}
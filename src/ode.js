@@ -0,0 +1,425 @@
+/**
+ * Initial-value problem solvers for y' = f(t, y), y a plain array.
+ *
+ * Each solver returns a solution object
+ *
+ *   { t: number[], y: number[][], at(t): number[], stats }
+ *
+ * where t, y are the accepted grid points, at(t) evaluates the solution
+ * anywhere in the integration range (clamped to its ends) and stats is
+ *
+ *   { method, accepted, rejected, evaluations, globalError }
+ *
+ * globalError is an estimate of the accumulated error in the max norm
+ * (the sum of the local error estimates), or null for fixed-step methods,
+ * which carry no error estimate.
+ *
+ * The symplectic schemes (velocityVerlet, yoshida4) need to know which
+ * components are positions and which are the matching velocities:
+ *
+ *   layout = { positions: number[], velocities: number[] }
+ *
+ * with y'[positions[i]] = y[velocities[i]].  Any other component is a
+ * quadrature (e.g. work done) integrated alongside.
+ */
+
+/** Index of the last grid point ≤ t (binary search, t within range). */
+function gridIndex(ts, t) {
+  let lo = 0, hi = ts.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (ts[mid] <= t) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** Solution object for a fixed-step method: linear interpolation between steps. */
+function fixedStepSolution(ts, ys, stats) {
+  const t0 = ts[0], tEnd = ts[ts.length - 1];
+  const steps = ts.length - 1;
+  const h = (tEnd - t0) / steps;
+  return {
+    t: ts,
+    y: ys,
+    at(t) {
+      if (t <= t0) return ys[0].slice();
+      if (t >= tEnd) return ys[steps].slice();
+      const i = Math.min(Math.floor((t - t0) / h), steps - 1);
+      const frac = (t - ts[i]) / h;
+      return ys[i].map((v, j) => v * (1 - frac) + ys[i + 1][j] * frac);
+    },
+    stats,
+  };
+}
+
+/**
+ * Classical fixed-step 4th-order Runge–Kutta.  Between grid points the
+ * solution is interpolated linearly.
+ *
+ * @param {(t: number, y: number[]) => number[]} f
+ * @param {number} t0
+ * @param {number[]} y0
+ * @param {number} tEnd
+ * @param {number} steps
+ */
+export function rungeKutta4(f, t0, y0, tEnd, steps) {
+  const h = (tEnd - t0) / steps;
+  const axpy = (y, k, dt) => y.map((yi, j) => yi + dt * k[j]);
+  const ts = [t0];
+  const ys = [y0.slice()];
+
+  let y = y0.slice();
+  for (let i = 0; i < steps; i++) {
+    const t = t0 + i * h;
+    const k1 = f(t,         y);
+    const k2 = f(t + h / 2, axpy(y, k1, h / 2));
+    const k3 = f(t + h / 2, axpy(y, k2, h / 2));
+    const k4 = f(t + h,     axpy(y, k3, h));
+    y = y.map((yi, j) => yi + h / 6 * (k1[j] + 2 * k2[j] + 2 * k3[j] + k4[j]));
+    ts.push(t0 + (i + 1) * h);
+    ys.push(y);
+  }
+
+  return fixedStepSolution(ts, ys,
+    { method: 'rk4', accepted: steps, rejected: 0, evaluations: 4 * steps, globalError: null });
+}
+
+/** Solution object on an uneven grid: linear interpolation between points. */
+function gridSolution(ts, ys, stats) {
+  const tEnd = ts[ts.length - 1];
+  return {
+    t: ts,
+    y: ys,
+    at(t) {
+      if (t <= ts[0]) return ys[0].slice();
+      if (t >= tEnd) return ys[ys.length - 1].slice();
+      const i = gridIndex(ts, t);
+      const frac = (t - ts[i]) / (ts[i + 1] - ts[i]);
+      return ys[i].map((v, j) => v * (1 - frac) + ys[i + 1][j] * frac);
+    },
+    stats,
+  };
+}
+
+/** One classical RK4 step of length h from (t, y). */
+function rk4Step(f, t, y, h) {
+  const axpy = (k, dt) => y.map((yi, j) => yi + dt * k[j]);
+  const k1 = f(t,         y);
+  const k2 = f(t + h / 2, axpy(k1, h / 2));
+  const k3 = f(t + h / 2, axpy(k2, h / 2));
+  const k4 = f(t + h,     axpy(k3, h));
+  return y.map((yi, j) => yi + h / 6 * (k1[j] + 2 * k2[j] + 2 * k3[j] + k4[j]));
+}
+
+/**
+ * Classical RK4 for a switched system: one whose right-hand side changes
+ * at events, such as a mass sticking under dry friction.
+ *
+ * Each guard gᵢ(t, y) is positive while the current right-hand side
+ * holds.  A step after which some guard has dropped from > 0 to ≤ 0 is
+ * cut back by bisection to the first such crossing, to `tolerance` in
+ * time, and onEvent(t, y, i) is called with the index of the guard at
+ * the last point found before it, where the guard is still positive; it
+ * returns the state to continue from, after switching f (and the guards)
+ * as it needs.  Steps end on the grid t₀ + jh as for rungeKutta4, with
+ * the event times added in between; the solution is interpolated
+ * linearly; stats.events counts the events.  A guard that dips below zero
+ * and recovers within one step goes unseen, and one that starts a step at
+ * zero is watched from the next step on.
+ *
+ * @param {(t: number, y: number[]) => number[]} f
+ * @param {number} t0
+ * @param {number[]} y0
+ * @param {number} tEnd
+ * @param {number} steps
+ * @param {{ guards: (t: number, y: number[]) => number[],
+ *           onEvent: (t: number, y: number[], index: number) => number[],
+ *           tolerance?: number, maxEvents?: number }} opts
+ *   tolerance defaults to 1e-10 and maxEvents to 10000
+ * @throws {Error} after maxEvents events, e.g. for chattering guards or
+ *   impacts piling up without end (ForcedOscillatorImpact rests a contact
+ *   before that happens)
+ */
+export function switchedRungeKutta4(f, t0, y0, tEnd, steps, opts) {
+  const { guards, onEvent, tolerance = 1e-10, maxEvents = 10000 } = opts;
+  const h = (tEnd - t0) / steps;
+  const ts = [t0];
+  const ys = [y0.slice()];
+  let evaluations = 0, events = 0;
+
+  let t = t0, y = y0.slice();
+  for (let i = 1; i <= steps; i++) {
+    const target = i === steps ? tEnd : t0 + i * h;
+    while (t < target) {
+      const g0 = guards(t, y);
+      const crossed = (tt, yy) => {
+        const g = guards(tt, yy);
+        return g.findIndex((gi, j) => g0[j] > 0 && gi <= 0);
+      };
+      const yNext = rk4Step(f, t, y, target - t);
+      evaluations += 4;
+      if (crossed(target, yNext) < 0) {
+        t = target;
+        y = yNext;
+        break;
+      }
+      let lo = 0, hi = target - t;
+      while (hi - lo > tolerance) {
+        const mid = (lo + hi) / 2;
+        evaluations += 4;
+        if (crossed(t + mid, rk4Step(f, t, y, mid)) < 0) lo = mid;
+        else hi = mid;
+      }
+      const index = crossed(t + hi, rk4Step(f, t, y, hi));
+      const yEvent = lo > 0 ? rk4Step(f, t, y, lo) : y;
+      evaluations += lo > 0 ? 8 : 4;
+      if (++events > maxEvents) throw new Error(`More than ${maxEvents} events by t = ${t + lo}`);
+      t += lo;
+      y = onEvent(t, yEvent, index);
+      ts.push(t);
+      ys.push(y.slice());
+    }
+    if (ts[ts.length - 1] < t) {
+      ts.push(t);
+      ys.push(y.slice());
+    }
+  }
+
+  return gridSolution(ts, ys, { method: 'rk4-events', accepted: steps, rejected: 0, evaluations, globalError: null, events });
+}
+
+// ── symplectic schemes ──────────────────────────────────────────────────────
+
+/**
+ * Fixed-step integration built from kick–drift–kick Verlet substeps of
+ * length wₖh, one sequence of weights per step.
+ *
+ * Each substep is
+ *   v ← v + ½wh·a(t, x, v);  x ← x + wh·v;  v ← v + ½wh·a(t + wh, x, v)
+ * with quadrature components advanced by the trapezoid rule.  When the
+ * acceleration depends on v (damping) the closing half-kick takes one
+ * fixed-point correction, which leaves the undamped scheme – and its
+ * symplecticity – unchanged.  The derivative at the end of a substep is
+ * reused to open the next (first same as last), so a substep costs two
+ * evaluations.
+ */
+function composedVerlet(method, weights, f, t0, y0, tEnd, steps, layout) {
+  const { positions, velocities } = layout;
+  const h = (tEnd - t0) / steps;
+  const isState = new Set([...positions, ...velocities]);
+  const quads = y0.map((_, j) => j).filter(j => !isState.has(j));
+  const ts = [t0];
+  const ys = [y0.slice()];
+
+  let y = y0.slice();
+  let t = t0;
+  let dy = f(t, y);
+  let evaluations = 1;
+
+  for (let i = 0; i < steps; i++) {
+    for (const w of weights) {
+      const dt = w * h;
+      const next = y.slice();
+      velocities.forEach(j => { next[j] = y[j] + 0.5 * dt * dy[j]; });
+      positions.forEach((j, k) => { next[j] = y[j] + dt * next[velocities[k]]; });
+      const half = velocities.map(j => next[j]);
+
+      // Closing half-kick, corrected once for velocity-dependent forces
+      let dNext = f(t + dt, next);
+      velocities.forEach((j, k) => { next[j] = half[k] + 0.5 * dt * dNext[j]; });
+      dNext = f(t + dt, next);
+      velocities.forEach((j, k) => { next[j] = half[k] + 0.5 * dt * dNext[j]; });
+      evaluations += 2;
+
+      quads.forEach(j => { next[j] = y[j] + 0.5 * dt * (dy[j] + dNext[j]); });
+      y = next;
+      dy = dNext;
+      t += dt;
+    }
+    t = t0 + (i + 1) * h;
+    ts.push(t);
+    ys.push(y.slice());
+  }
+
+  return fixedStepSolution(ts, ys,
+    { method, accepted: steps, rejected: 0, evaluations, globalError: null });
+}
+
+/**
+ * Velocity Verlet: 2nd order, symplectic for conservative forces, so the
+ * energy error stays bounded instead of drifting.
+ *
+ * @param {(t: number, y: number[]) => number[]} f
+ * @param {number} t0
+ * @param {number[]} y0
+ * @param {number} tEnd
+ * @param {number} steps
+ * @param {{ positions: number[], velocities: number[] }} layout
+ */
+export function velocityVerlet(f, t0, y0, tEnd, steps, layout) {
+  return composedVerlet('verlet', [1], f, t0, y0, tEnd, steps, layout);
+}
+
+/** Yoshida's triple-jump weights: w₁, w₀, w₁ with 2w₁ + w₀ = 1. */
+const CBRT2 = Math.cbrt(2);
+const YOSHIDA_WEIGHTS = [1 / (2 - CBRT2), -CBRT2 / (2 - CBRT2), 1 / (2 - CBRT2)];
+
+/**
+ * 4th-order Yoshida composition of three Verlet substeps (the middle one
+ * backwards in time); symplectic like velocityVerlet.
+ *
+ * @param {(t: number, y: number[]) => number[]} f
+ * @param {number} t0
+ * @param {number[]} y0
+ * @param {number} tEnd
+ * @param {number} steps
+ * @param {{ positions: number[], velocities: number[] }} layout
+ */
+export function yoshida4(f, t0, y0, tEnd, steps, layout) {
+  return composedVerlet('yoshida4', YOSHIDA_WEIGHTS, f, t0, y0, tEnd, steps, layout);
+}
+
+// ── Dormand–Prince 5(4) tableau ─────────────────────────────────────────────
+
+const C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+];
+/** 5th-order weights minus 4th-order weights: the local error estimate. */
+const E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+/** Dense-output weights of the 4th-order continuous extension (Hairer). */
+const D = [
+  -12715105075 / 11282082432, 0, 87487479700 / 32700410799, -10690763975 / 1880347072,
+  701980252875 / 199316789632, -1453857185 / 822651844, 69997945 / 29380423,
+];
+
+/**
+ * Adaptive Dormand–Prince 5(4) integration with dense output.
+ *
+ * A step is accepted when the scaled error norm
+ *   ‖e‖ = √(mean (eᵢ / (atol + rtol·max(|yᵢ|, |ŷᵢ|)))²)
+ * is at most 1, and the next step is scaled by 0.9‖e‖^{−1/5} (limited to
+ * [0.2, 10], and to at most 1 straight after a rejection).  at(t) uses
+ * the 4th-order continuous extension, so it is accurate between steps.
+ *
+ * @param {(t: number, y: number[]) => number[]} f
+ * @param {number} t0
+ * @param {number[]} y0
+ * @param {number} tEnd
+ * @param {{ atol?: number, rtol?: number, h0?: number, hMax?: number,
+ *           maxSteps?: number }} [opts]
+ * @throws {Error} when rejected steps shrink the step size to round-off,
+ *   or maxSteps is exceeded
+ */
+export function dormandPrince(f, t0, y0, tEnd, opts = {}) {
+  const {
+    atol = 1e-8,
+    rtol = 1e-6,
+    hMax = tEnd - t0,
+    maxSteps = 100000,
+  } = opts;
+  const n = y0.length;
+  const scale = (a, b) => a.map((ai, i) => atol + rtol * Math.max(Math.abs(ai), Math.abs(b[i])));
+
+  let t = t0;
+  let y = y0.slice();
+  let k1 = f(t, y);
+  let evaluations = 1;
+
+  // Initial step from the size of y and y' (Hairer–Nørsett–Wanner, simplified)
+  let h = opts.h0;
+  if (!h) {
+    const sc = scale(y, y);
+    const rms = v => Math.sqrt(v.reduce((s, vi, i) => s + (vi / sc[i]) ** 2, 0) / n);
+    const d0 = rms(y), d1 = rms(k1);
+    h = d0 < 1e-5 || d1 < 1e-5 ? 1e-6 : 0.01 * d0 / d1;
+  }
+  h = Math.min(h, hMax, tEnd - t0);
+
+  const ts = [t0];
+  const ys = [y.slice()];
+  const dense = [];
+  let accepted = 0, rejected = 0, globalError = 0;
+  let justRejected = false;
+
+  while (t < tEnd) {
+    if (accepted + rejected >= maxSteps) throw new Error('Maximum number of steps exceeded');
+    // A step that would stop a round-off distance short of tEnd is
+    // stretched to reach it
+    const roundOff = 1e-14 * Math.max(1, Math.abs(t));
+    const last = t + h > tEnd - roundOff;
+    if (last) h = tEnd - t;
+    if (last && h <= roundOff) {
+      // Already within round-off of tEnd
+      t = tEnd;
+      ts[ts.length - 1] = tEnd;
+      break;
+    }
+    if (h <= roundOff) throw new Error(`Step size underflow at t = ${t}`);
+
+    const k = [k1];
+    for (let s = 1; s < 7; s++) {
+      const ys_ = y.map((yi, i) => {
+        let acc = yi;
+        for (let j = 0; j < s; j++) acc += h * A[s][j] * k[j][i];
+        return acc;
+      });
+      k.push(f(t + C[s] * h, ys_));
+    }
+    evaluations += 6;
+    // Stage 7 is evaluated at the new point (FSAL), so y₁ = stage-7 input
+    const yNew = y.map((yi, i) => {
+      let acc = yi;
+      for (let j = 0; j < 6; j++) acc += h * A[6][j] * k[j][i];
+      return acc;
+    });
+    const err = y.map((_, i) => h * E.reduce((s, e, j) => s + e * k[j][i], 0));
+    const sc = scale(y, yNew);
+    const norm = Math.sqrt(err.reduce((s, e, i) => s + (e / sc[i]) ** 2, 0) / n);
+
+    const fac = norm === 0 ? 10 : 0.9 * norm ** -0.2;
+    if (norm <= 1) {
+      // Coefficients of y(t + θh) = r₀ + θ(r₁ + (1−θ)(r₂ + θ(r₃ + (1−θ) r₄)))
+      const r1 = yNew.map((v, i) => v - y[i]);
+      const r2 = r1.map((v, i) => h * k[0][i] - v);
+      const r3 = r1.map((v, i) => v - h * k[6][i] - r2[i]);
+      const r4 = y.map((_, i) => h * D.reduce((s, d, j) => s + d * k[j][i], 0));
+      dense.push({ h, r: [y, r1, r2, r3, r4] });
+
+      globalError += Math.max(...err.map(Math.abs));
+      t = last ? tEnd : t + h;
+      y = yNew;
+      k1 = k[6];
+      ts.push(t);
+      ys.push(y.slice());
+      accepted++;
+      h = Math.min(hMax, h * Math.min(justRejected ? 1 : 10, Math.max(0.2, fac)));
+      justRejected = false;
+    } else {
+      rejected++;
+      h *= Math.max(0.2, fac);
+      justRejected = true;
+    }
+  }
+
+  return {
+    t: ts,
+    y: ys,
+    at(tq) {
+      if (tq <= t0 || !dense.length) return ys[0].slice();
+      if (tq >= tEnd) return ys[ys.length - 1].slice();
+      const i = Math.min(gridIndex(ts, tq), dense.length - 1);
+      const { h: hi, r } = dense[i];
+      const th = (tq - ts[i]) / hi, th1 = 1 - th;
+      return r[0].map((r0, j) => r0 + th * (r[1][j] + th1 * (r[2][j] + th * (r[3][j] + th1 * r[4][j]))));
+    },
+    stats: { method: 'dopri5', accepted, rejected, evaluations, globalError },
+  };
+}
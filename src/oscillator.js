@@ -1,122 +1,265 @@
 /**
- * CoupledOscillator – analytic solver for an undamped two-mass spring system.
+ * CoupledOscillator – analytic solver for a two-mass spring system with
+ * optional viscous damping.
  *
  * Physical model (displacements x₁, x₂ from equilibrium):
  *
- *   Wall ──[k₁]── m₁ ──[k₂]── m₂ ──[k₃]── Wall
+ *   Wall ──[k₁,c₁]── m₁ ──[k₂,c₂]── m₂ ──[k₃,c₃]── Wall
  *
  * Equations of motion:
- *   m₁ ẍ₁ = -(k₁+k₂) x₁ + k₂ x₂
- *   m₂ ẍ₂ =  k₂ x₁  - (k₂+k₃) x₂
+ *   m₁ ẍ₁ = -(k₁+k₂) x₁ + k₂ x₂ - (c₁+c₂) ẋ₁ + c₂ ẋ₂
+ *   m₂ ẍ₂ =  k₂ x₁  - (k₂+k₃) x₂ + c₂ ẋ₁ - (c₂+c₃) ẋ₂
  *
- * Normal-mode decomposition yields two angular frequencies ω₁ ≤ ω₂ and
- * eigenvector ratios r₁, r₂.  The general solution is:
+ * Undamped: with mass-normalised mode shapes φⱼ of K φ = λ M φ the general
+ * solution is x(t) = Σⱼ φⱼ qⱼ(t), where each modal coordinate is
  *
- *   x₁(t) = A₁ cos(ω₁t) + B₁ sin(ω₁t) + A₂ cos(ω₂t) + B₂ sin(ω₂t)
- *   x₂(t) = r₁[A₁ cos(ω₁t) + B₁ sin(ω₁t)] + r₂[A₂ cos(ω₂t) + B₂ sin(ω₂t)]
+ *   λ > 0   qⱼ = Aⱼ cos(ωⱼt) + Bⱼ sin(ωⱼt),   ωⱼ = √λⱼ
+ *   λ = 0   qⱼ = Aⱼ + Bⱼ t                     (rigid-body drift)
+ *   λ < 0   qⱼ = Aⱼ cosh(μⱼt) + Bⱼ sinh(μⱼt), μⱼ = √−λⱼ  (unstable)
+ *
+ * Damped: when the damping matrix C is diagonalised by the undamped mode
+ * shapes (proportional damping) each mode obeys q̈ + 2γq̇ + λq = 0 and is
+ * classified as underdamped, critically damped, overdamped, rigid or
+ * unstable.  With a repeated λ every vector is a mode shape, and the pair
+ * that diagonalises C is used, so such systems are always proportional.
+ * Otherwise the quadratic eigenproblem det(s²M + sC + K) = 0 is solved directly and
+ * the solution is built from its four complex eigenvalues s = −γ ± iω_d
+ * (see state-space.js), a repeated one giving a t e^{st} term.
+ *
+ * Either way the result is stored as a list of solution terms (see
+ * solution-terms.js) from which position, velocity and acceleration are
+ * evaluated.  `modes` describes each mode as
+ *   { omega, zeta, gamma, omegaD, regime, growthRate? }
+ * with regime 'undamped' | 'underdamped' | 'critical' | 'overdamped' |
+ * 'rigid' | 'unstable'; growthRate is the positive exponent of an unstable
+ * mode.  `unstable` is true when any mode grows without bound.
  */
+
+import { generalizedSymmetricEigen } from './linalg.js';
+import { complex, cAbs } from './complex.js';
+import { evaluateTerms, mergeTerms, differentiateTerms, firstRootOfTerms } from './solution-terms.js';
+import { mechanicalEnergy, dissipatedEnergy } from './energy.js';
+import { firstTimeTo } from './first-time.js';
+import { stateSpaceBasis, stateSpaceTerms } from './state-space.js';
+
+/** Relative tolerance for |γ² − ω²| when classifying a mode as critical. */
+const CRITICAL_TOL = 1e-9;
+
+/** Eigenvalues λ below this (relative to the largest) count as rigid-body. */
+const ZERO_FREQ_TOL = 1e-10;
+
+/** |λ₁ − λ₂| below this (relative to the largest) counts as one repeated λ. */
+const REPEATED_TOL = 1e-10;
+
+/** Sign a mode shape so that its first non-zero entry is positive. */
+function leadPositive(phi) {
+  const lead = phi.find(p => Math.abs(p) > 1e-12) || 1;
+  return lead < 0 ? phi.map(p => -p) : phi;
+}
+
 export class CoupledOscillator {
   /**
    * @param {{
    *   m1: number, m2: number,
    *   k1: number, k2: number, k3: number,
+   *   c1?: number, c2?: number, c3?: number,
    *   x10: number, x20: number,
    *   v10: number, v20: number
    * }} params
    */
   constructor(params) {
-    const { m1, m2, k1, k2, k3, x10, x20, v10, v20 } = params;
+    const { m1, m2, k1, k2, k3, c1 = 0, c2 = 0, c3 = 0, x10, x20, v10, v20 } = params;
     this.m1 = m1; this.m2 = m2;
     this.k1 = k1; this.k2 = k2; this.k3 = k3;
+    this.c1 = c1; this.c2 = c2; this.c3 = c3;
     this.x10 = x10; this.x20 = x20;
     this.v10 = v10; this.v20 = v20;
+    this.isDamped = c1 !== 0 || c2 !== 0 || c3 !== 0;
+
     this._compute();
+    this._computeModeShapes();
+    if (this.isDamped) {
+      this._computeDamped();
+    } else {
+      this._computeProportional(this.lambdas, this.modeShapes, [0, 0]);
+      this.proportionalDamping = true;
+    }
+    /** True when some mode grows without bound (an eigenvalue with Re s > 0). */
+    this.unstable = this.eigenvalues.some(s => s.re > 0);
+    this._velTerms = differentiateTerms(this.terms);
+    this._accTerms = differentiateTerms(this._velTerms);
   }
 
   _compute() {
-    const { m1, m2, k1, k2, k3, x10, x20, v10, v20 } = this;
+    const { m1, m2, k1, k2, k3 } = this;
 
-    // ── eigenfrequencies ──────────────────────────────────────────────────
+    // Eigenvalues of M⁻¹K are λ = (lamSum ± √discSq) / 2; kept for exact
+    // (nested-radical) display of ω and of the growth rate of unstable modes
     const a = (k1 + k2) / m1;   // (k₁+k₂)/m₁
     const b = (k2 + k3) / m2;   // (k₂+k₃)/m₂
     const c2 = (k2 * k2) / (m1 * m2); // k₂²/(m₁m₂)
+    this._lamSum = a + b;
+    this._discSq = (a - b) ** 2 + 4 * c2;
+  }
 
-    const disc = Math.sqrt((a - b) ** 2 + 4 * c2);
-    const lam1 = ((a + b) - disc) / 2; // ω₁²
-    const lam2 = ((a + b) + disc) / 2; // ω₂²
-
-    this.omega1 = Math.sqrt(Math.max(0, lam1));
-    this.omega2 = Math.sqrt(Math.max(0, lam2));
-
-    // ── uncoupled special case (k₂ = 0) ──────────────────────────────────
-    // When k₂=0 the two masses oscillate independently at their natural
-    // frequencies ω₁=√(k₁/m₁) and ω₂=√(k₃/m₂).  The general normal-mode
-    // machinery produces 0/0 for the eigenvector ratios, so we solve
-    // each mass directly and return early.
-    if (Math.abs(k2) < 1e-14) {
-      const w1u = Math.sqrt(Math.max(0, k1 / m1));
-      const w2u = Math.sqrt(Math.max(0, k3 / m2));
-      this.omega1 = w1u;
-      this.omega2 = w2u;
-      this.r1 = 0;
-      this.r2 = 0;
-      this.A1 = x10; this.A2 = 0;
-      this.B1 = w1u > 1e-14 ? v10 / w1u : 0;
-      this.B2 = 0;
-      // Place mass-2 motion entirely in the ω₂ (cw2/sw2) slot so that
-      // the common position/velocity/acceleration evaluators work correctly.
-      this.coeffs1 = { cw1: x10, sw1: this.B1, cw2: 0, sw2: 0 };
-      this.coeffs2 = {
-        cw1: 0,
-        sw1: 0,
-        cw2: x20,
-        sw2: w2u > 1e-14 ? v20 / w2u : 0,
-      };
-      return;
-    }
+  /**
+   * Mass-normalised undamped mode shapes φⱼ (ascending λ, first non-zero
+   * entry positive) and their eigenvalues λⱼ = ωⱼ², as on CoupledChain.
+   * λ ≈ 0 is snapped to exactly 0 (a rigid-body mode); λ < 0 is kept, and
+   * marks a mode that grows as cosh/sinh.
+   *
+   * ω₁, ω₂ are the natural frequencies √λ, and 0 for rigid-body and
+   * unstable modes.
+   */
+  _computeModeShapes() {
+    const { M, K } = this.matrices();
+    const { values, vectors } = generalizedSymmetricEigen(K, M);
+    const lamScale = Math.max(1, ...values.map(Math.abs));
+    this.lambdas = values.map(l => (Math.abs(l) < ZERO_FREQ_TOL * lamScale ? 0 : l));
+    this.modeShapes = vectors.map(leadPositive);
+    [this.omega1, this.omega2] = this.lambdas.map(l => Math.sqrt(Math.max(0, l)));
+  }
 
-    // ── eigenvector ratios  r_i = (k₁+k₂ − ωᵢ²·m₁) / k₂ ────────────────
-    // Eigenvector for mode i: [1, rᵢ]ᵀ
-    this.r1 = (k1 + k2 - lam1 * m1) / k2;
-    this.r2 = (k1 + k2 - lam2 * m1) / k2;
+  /** Mass, stiffness and damping matrices of the two-mass system. */
+  matrices() {
+    const { m1, m2, k1, k2, k3, c1, c2, c3 } = this;
+    return {
+      M: [[m1, 0], [0, m2]],
+      K: [[k1 + k2, -k2], [-k2, k2 + k3]],
+      C: [[c1 + c2, -c2], [-c2, c2 + c3]],
+    };
+  }
 
-    const { r1, r2, omega1: w1, omega2: w2 } = this;
-    const denom = r1 - r2;
+  _computeDamped() {
+    const { M, K, C } = this.matrices();
+    const { lambdas: values } = this;
 
-    // ── solve for A₁, A₂ from x₁(0), x₂(0) ─────────────────────────────
-    if (Math.abs(denom) < 1e-14) {
-      // Degenerate case (equal eigenfrequencies)
-      this.A1 = x10;
-      this.A2 = 0;
-    } else {
-      this.A1 = (x20 - r2 * x10) / denom;
-      this.A2 = x10 - this.A1;
+    // A repeated λ (e.g. every spring k = 0) means K = λM: any basis is a
+    // set of mode shapes, so take the one that also diagonalises C
+    const lamScale = Math.max(1, ...values.map(Math.abs));
+    if (Math.abs(values[0] - values[1]) <= REPEATED_TOL * lamScale) {
+      this.modeShapes = generalizedSymmetricEigen(C, M).vectors.map(leadPositive);
     }
+    const vectors = this.modeShapes;
 
-    // ── solve for B₁, B₂ from v₁(0), v₂(0) ─────────────────────────────
-    if (Math.abs(denom) < 1e-14 || Math.abs(w1) < 1e-14) {
-      this.B1 = w1 > 1e-14 ? v10 / w1 : 0;
-      this.B2 = 0;
+    // Modal damping matrix Φᵀ C Φ (Φ mass-normalised)
+    const quad = (u, A, v) => u[0] * (A[0][0] * v[0] + A[0][1] * v[1]) +
+                              u[1] * (A[1][0] * v[0] + A[1][1] * v[1]);
+    const cDiag = vectors.map(phi => quad(phi, C, phi));
+    const cCross = quad(vectors[0], C, vectors[1]);
+    this.proportionalDamping =
+      Math.abs(cCross) <= 1e-9 * Math.max(Math.abs(cDiag[0]), Math.abs(cDiag[1]));
+
+    if (this.proportionalDamping) {
+      this._computeProportional(values, vectors, cDiag);
     } else {
-      this.B1 = (v20 - r2 * v10) / (w1 * denom);
-      this.B2 = w2 > 1e-14 ? (v10 - w1 * this.B1) / w2 : 0;
+      this._computeStateSpace(M, K, C);
     }
+  }
 
-    // ── store named coefficient groups ───────────────────────────────────
-    // x₁(t) = cw1·cos(ω₁t) + sw1·sin(ω₁t) + cw2·cos(ω₂t) + sw2·sin(ω₂t)
-    // x₂(t) = r₁·cw1·cos(ω₁t) + … (same pattern)
-    this.coeffs1 = {
-      cw1: this.A1,
-      sw1: this.B1,
-      cw2: this.A2,
-      sw2: this.B2,
-    };
-    this.coeffs2 = {
-      cw1: r1 * this.A1,
-      sw1: r1 * this.B1,
-      cw2: r2 * this.A2,
-      sw2: r2 * this.B2,
-    };
+  /**
+   * Proportional damping: each mode q̈ + 2γq̇ + λq = 0 is solved on its own.
+   * Also used with γ = 0 for the undamped system.  λ = 0 gives a rigid-body
+   * drift and λ < 0 a real exponential that grows.
+   */
+  _computeProportional(lambdas, shapes, cDiag) {
+    const { m1, m2, x10, x20, v10, v20 } = this;
+    const terms = [];
+    this.modes = [];
+    this.eigenvalues = [];
+
+    lambdas.forEach((lam, j) => {
+      const phi = shapes[j];
+      const omega = Math.sqrt(Math.max(0, lam));
+      const gamma = cDiag[j] / 2;
+      const q0  = phi[0] * m1 * x10 + phi[1] * m2 * x20;
+      const qd0 = phi[0] * m1 * v10 + phi[1] * m2 * v20;
+      const along = (k) => [phi[0] * k, phi[1] * k];
+
+      const disc = gamma * gamma - lam;
+      const mode = { omega, zeta: omega > 0 ? gamma / omega : Infinity, gamma, shape: phi };
+
+      if (lam === 0 && gamma === 0) {
+        // Rigid-body drift: q = q₀ + q̇₀ t
+        terms.push({ gamma: 0, omega: 0, power: 0, c: along(q0), s: [0, 0] });
+        terms.push({ gamma: 0, omega: 0, power: 1, c: along(qd0), s: [0, 0] });
+        Object.assign(mode, { omegaD: 0, regime: 'rigid' });
+        this.eigenvalues.push(complex(0), complex(0));
+      } else if (lam === 0) {
+        // Damped drift to rest: q = q₀ + q̇₀/(2γ) (1 − e^{−2γt})
+        const drift = qd0 / (2 * gamma);
+        terms.push({ gamma: 0, omega: 0, power: 0, c: along(q0 + drift), s: [0, 0] });
+        terms.push({ gamma: 2 * gamma, omega: 0, power: 0, c: along(-drift), s: [0, 0] });
+        Object.assign(mode, { omegaD: 0, regime: 'rigid' });
+        this.eigenvalues.push(complex(0), complex(-2 * gamma));
+      } else if (gamma === 0 && lam > 0) {
+        terms.push({ gamma: 0, omega, power: 0, c: along(q0), s: along(qd0 / omega) });
+        Object.assign(mode, { omegaD: omega, regime: 'undamped' });
+        this.eigenvalues.push(complex(0, omega), complex(0, -omega));
+      } else if (lam > 0 && Math.abs(disc) <= CRITICAL_TOL * Math.max(gamma * gamma, lam)) {
+        // q = e^{−γt} [q₀ + (q̇₀ + γq₀) t]
+        terms.push({ gamma, omega: 0, power: 0, c: along(q0), s: [0, 0] });
+        terms.push({ gamma, omega: 0, power: 1, c: along(qd0 + gamma * q0), s: [0, 0] });
+        Object.assign(mode, { omegaD: 0, regime: 'critical' });
+        this.eigenvalues.push(complex(-gamma), complex(-gamma));
+      } else if (disc < 0) {
+        // q = e^{−γt} [q₀ cos ω_d t + (q̇₀ + γq₀)/ω_d sin ω_d t]
+        const omegaD = Math.sqrt(-disc);
+        terms.push({ gamma, omega: omegaD, power: 0, c: along(q0), s: along((qd0 + gamma * q0) / omegaD) });
+        Object.assign(mode, { omegaD, regime: 'underdamped' });
+        this.eigenvalues.push(complex(-gamma, omegaD), complex(-gamma, -omegaD));
+      } else {
+        // q = a e^{s₁t} + b e^{s₂t},  s₁,₂ = −γ ± √(γ² − λ); with λ < 0, s₁ > 0
+        // (undamped: q = q₀ cosh μt + q̇₀/μ sinh μt, μ = √−λ)
+        const r = Math.sqrt(disc);
+        const s1 = -gamma + r, s2 = -gamma - r;
+        const a = (qd0 - s2 * q0) / (s1 - s2);
+        const b = q0 - a;
+        terms.push({ gamma: -s1, omega: 0, power: 0, c: along(a), s: [0, 0] });
+        terms.push({ gamma: -s2, omega: 0, power: 0, c: along(b), s: [0, 0] });
+        Object.assign(mode, { omegaD: 0, decayRates: [-s1, -s2] });
+        if (s1 > 0) Object.assign(mode, { regime: 'unstable', growthRate: s1 });
+        else mode.regime = 'overdamped';
+        this.eigenvalues.push(complex(s1), complex(s2));
+      }
+      this.modes.push(mode);
+    });
+
+    this.terms = mergeTerms(terms);
+  }
+
+  /**
+   * Non-proportional damping: solve det(s²M + sC + K) = 0 for the four
+   * state-space eigenvalues and fit the complex modal amplitudes to the
+   * initial conditions (see state-space.js).  A repeated root is one mode,
+   * 'critical' when real, with a t e^{st} term when it has a single mode
+   * shape.
+   */
+  _computeStateSpace(M, K, C) {
+    const { x10, x20, v10, v20 } = this;
+    const basis = stateSpaceBasis(M, C, K);
+    const terms = stateSpaceTerms(basis, [x10, x20], [v10, v20]);
+
+    this.modes = [];
+    basis.forEach(({ s }, k) => {
+      // conjugate partner, or a further copy, of an earlier root
+      if (s.im < 0 || basis.slice(0, k).some(b => b.s === s)) return;
+      const repeated = basis.filter(b => b.s === s).length > 1;
+      const gamma = -s.re;
+      if (s.im === 0) {
+        const mode = { omega: Math.abs(s.re), zeta: Infinity, gamma, omegaD: 0 };
+        if (s.re > 0) Object.assign(mode, { regime: 'unstable', growthRate: s.re });
+        else if (s.re === 0) mode.regime = 'rigid';
+        else mode.regime = repeated ? 'critical' : 'overdamped';
+        this.modes.push(mode);
+      } else {
+        const omega = cAbs(s);
+        this.modes.push({ omega, zeta: gamma / omega, gamma, omegaD: s.im, regime: 'underdamped' });
+      }
+    });
+    this.modes.sort((a, b) => a.omega - b.omega);
+    this.eigenvalues = basis.map(b => b.s);
+    this.terms = mergeTerms(terms).sort((a, b) => a.omega - b.omega);
   }
 
   // ── evaluation helpers ──────────────────────────────────────────────────
@@ -125,42 +268,21 @@ export class CoupledOscillator {
    * Position of mass `mass` (1 or 2) at time `t`.
    */
   position(mass, t) {
-    const c = mass === 1 ? this.coeffs1 : this.coeffs2;
-    const { omega1: w1, omega2: w2 } = this;
-    return (
-      c.cw1 * Math.cos(w1 * t) +
-      c.sw1 * Math.sin(w1 * t) +
-      c.cw2 * Math.cos(w2 * t) +
-      c.sw2 * Math.sin(w2 * t)
-    );
+    return evaluateTerms(this.terms, mass - 1, t);
   }
 
   /**
    * Velocity of mass `mass` at time `t`.
    */
   velocity(mass, t) {
-    const c = mass === 1 ? this.coeffs1 : this.coeffs2;
-    const { omega1: w1, omega2: w2 } = this;
-    return (
-      -c.cw1 * w1 * Math.sin(w1 * t) +
-       c.sw1 * w1 * Math.cos(w1 * t) +
-      -c.cw2 * w2 * Math.sin(w2 * t) +
-       c.sw2 * w2 * Math.cos(w2 * t)
-    );
+    return evaluateTerms(this._velTerms, mass - 1, t);
   }
 
   /**
    * Acceleration of mass `mass` at time `t`.
    */
   acceleration(mass, t) {
-    const c = mass === 1 ? this.coeffs1 : this.coeffs2;
-    const { omega1: w1, omega2: w2 } = this;
-    return (
-      -c.cw1 * w1 * w1 * Math.cos(w1 * t) -
-       c.sw1 * w1 * w1 * Math.sin(w1 * t) +
-      -c.cw2 * w2 * w2 * Math.cos(w2 * t) -
-       c.sw2 * w2 * w2 * Math.sin(w2 * t)
-    );
+    return evaluateTerms(this._accTerms, mass - 1, t);
   }
 
   /**
@@ -179,11 +301,31 @@ export class CoupledOscillator {
     };
   }
 
+  /**
+   * Energy at time `t`: kinetic energy of each mass, potential energy of
+   * each spring (k₁, k₂, k₃), energy in each normal mode (ascending
+   * frequency), their total, and the energy dissipated by the dampers
+   * since t = 0.  total(t) + dissipated(t) equals total(0).
+   * @param {number} t
+   * @returns {{ kinetic: number[], potential: number[], modes: number[],
+   *             total: number, dissipated: number }}
+   */
+  energy(t) {
+    const e = mechanicalEnergy(
+      [this.m1, this.m2], [this.k1, this.k2, this.k3],
+      { shapes: this.modeShapes, lambdas: this.lambdas },
+      [this.position(1, t), this.position(2, t)],
+      [this.velocity(1, t), this.velocity(2, t)],
+    );
+    e.dissipated = this.isDamped ? dissipatedEnergy(this._velTerms, this.matrices().C, t) : 0;
+    return e;
+  }
+
   /**
    * Find the first time t ∈ [tMin, tMax] where the specified quantity of
    * the specified mass equals `target` (within `tolerance`).
    *
-   * Uses a coarse scan followed by bisection refinement.
+   * Coarse scan followed by bisection refinement (see first-time.js).
    *
    * @param {1|2} mass
    * @param {'x'|'v'|'a'} quantity  – position, velocity, or acceleration
@@ -192,50 +334,24 @@ export class CoupledOscillator {
    * @returns {number|null}  The first time, or null if not found.
    */
   firstTimeTo(mass, quantity, target, opts = {}) {
-    const {
-      tMin = 0,
-      tMax = 100,
-      dt = 0.01,
-      tolerance = 1e-9,
-    } = opts;
-
-    const fn =
-      quantity === 'x'
-        ? (t) => this.position(mass, t)
-        : quantity === 'v'
-        ? (t) => this.velocity(mass, t)
-        : (t) => this.acceleration(mass, t);
-
-    let prevT = tMin;
-    let prevF = fn(tMin) - target;
-
-    // Quick exact-hit check
-    if (Math.abs(prevF) < tolerance) return tMin;
-
-    for (let t = tMin + dt; t <= tMax + dt * 0.5; t += dt) {
-      const curT = Math.min(t, tMax);
-      const curF = fn(curT) - target;
-
-      if (Math.abs(curF) < tolerance) return curT;
-
-      if (prevF * curF < 0) {
-        // Sign change – refine with bisection
-        let lo = prevT, hi = curT;
-        for (let i = 0; i < 60; i++) {
-          const mid = (lo + hi) / 2;
-          const mf = fn(mid) - target;
-          if (Math.abs(mf) < tolerance) return mid;
-          if (prevF * mf <= 0) hi = mid;
-          else { lo = mid; prevF = mf; }
-        }
-        return (lo + hi) / 2;
-      }
-
-      prevT = curT;
-      prevF = curF;
-      if (curT >= tMax) break;
-    }
+    return firstTimeTo(this, mass, quantity, target, opts);
+  }
 
-    return null;
+  /**
+   * Like firstTimeTo, but certain not to miss a root: the closed form is a
+   * sum of known terms whose derivative is bounded on any interval (see
+   * firstRootOfTerms), so tangent touches and narrow crossings are found
+   * too, whatever their width.
+   *
+   * @param {1|2} mass
+   * @param {'x'|'v'|'a'} quantity
+   * @param {number} target
+   * @param {{ tMin?: number, tMax?: number, tolerance?: number, maxIterations?: number }} [opts]
+   *   tolerance (default 1e-9) is the width of the returned bracket
+   * @returns {{ t: number, bracket: [number, number], iterations: number } | null}
+   */
+  guaranteedTimeTo(mass, quantity, target, opts = {}) {
+    const terms = quantity === 'x' ? this.terms : quantity === 'v' ? this._velTerms : this._accTerms;
+    return firstRootOfTerms(terms, mass - 1, target, opts);
   }
 }
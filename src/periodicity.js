@@ -0,0 +1,60 @@
+/**
+ * Does the free motion ever come back to its start?
+ *
+ * Undamped free motion is a sum of the two normal modes.  It repeats
+ * exactly when ω₂/ω₁ is rational: with ω₂/ω₁ = q/p in lowest terms, mode 1
+ * completes p cycles while mode 2 completes q, so
+ *
+ *   T = 2πp / ω₁ = 2πq / ω₂.
+ *
+ * The ratio is recognised with decimalToFraction, within a relative
+ * tolerance and a bound on p.  Otherwise the motion is quasi-periodic: it
+ * never repeats, but after n cycles of mode 1 mode 2 is only a fraction
+ * of a cycle away from whole cycles, and the best such n are the
+ * approximate recurrence times.
+ */
+
+import { decimalToFraction } from './fraction.js';
+
+/**
+ * Classify the two-mode motion as periodic or quasi-periodic.
+ *
+ * @param {number} omega1
+ * @param {number} omega2
+ * @param {{ tolerance?: number, maxDen?: number }} [opts]
+ *   tolerance (default 1e-9) is relative to ω₂/ω₁; maxDen (default 100)
+ *   bounds p, and the cycles searched for recurrences
+ * @returns {{ periodic: true, ratio: number, num: number, den: number, period: number }
+ *         | { periodic: false, ratio: number,
+ *             recurrences: Array<{ period: number, cycles: [number, number], phaseError: number }> }}
+ *   ratio is ω₂/ω₁.  Periodic: ω₂/ω₁ = num/den and period = 2π·den/ω₁.
+ *   Quasi-periodic: each recurrence is n cycles of mode 1 against the
+ *   nearest whole m of mode 2, phaseError = 2π|n ω₂/ω₁ − m| radians,
+ *   listed by increasing n, each closer than all before it.
+ * @throws {Error} unless both frequencies are positive and finite
+ */
+export function periodicity(omega1, omega2, { tolerance = 1e-9, maxDen = 100 } = {}) {
+  if (!(omega1 > 0 && omega2 > 0) || !Number.isFinite(omega1) || !Number.isFinite(omega2)) {
+    throw new Error('Periodicity needs two positive natural frequencies');
+  }
+  if (!(tolerance >= 0)) throw new Error('The tolerance must be non-negative');
+  if (!Number.isInteger(maxDen) || maxDen < 1) throw new Error('The denominator bound must be a whole number ≥ 1');
+
+  const ratio = omega2 / omega1;
+  const { num, den } = decimalToFraction(ratio, maxDen, tolerance * ratio);
+  if (Math.abs(ratio - num / den) <= tolerance * ratio) {
+    return { periodic: true, ratio, num, den, period: 2 * Math.PI * den / omega1 };
+  }
+
+  const recurrences = [];
+  let best = Infinity;
+  for (let n = 1; n <= maxDen; n++) {
+    const m = Math.round(n * ratio);
+    const miss = Math.abs(n * ratio - m);
+    if (miss < best) {
+      best = miss;
+      recurrences.push({ period: 2 * Math.PI * n / omega1, cycles: [n, m], phaseError: 2 * Math.PI * miss });
+    }
+  }
+  return { periodic: false, ratio, recurrences };
+}
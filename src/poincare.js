@@ -0,0 +1,139 @@
+/**
+ * Stroboscopic (Poincaré) sections and bifurcation diagrams of the
+ * harmonically driven system, for studying the nonlinear (Duffing) springs
+ * of ForcedOscillatorRK4.
+ *
+ * The state is sampled once per drive period T = 2π/ω, at t = nT.  A
+ * periodic response of period T gives one point, a subharmonic of period
+ * pT gives p points, a quasi-periodic response a closed curve and a
+ * chaotic one a fractal cloud.
+ *
+ * Runs integrate with RK4 using a whole number of steps per drive period,
+ * so every sample falls on a step and no interpolation blurs the section.
+ * Harmonic support motion is passed through unchanged, but only the
+ * applied force sets the period.
+ */
+
+import { CoupledOscillator } from './oscillator.js';
+import { ForcedOscillatorRK4 } from './forced-oscillator.js';
+
+/** Drive parameters a bifurcation diagram can sweep. */
+export const BIFURCATION_PARAMETERS = ['forceA', 'forceOmega'];
+
+/** RK4 steps per period of the fastest linearised motion, at least. */
+const STEPS_PER_CYCLE = 64;
+
+/** Relative spread under which two section points count as one. */
+const SAME_POINT_TOL = 1e-4;
+
+function drivePeriod({ forceType, forceOmega }) {
+  if ((forceType !== 'cos' && forceType !== 'sin') || !(forceOmega > 0) || !Number.isFinite(forceOmega)) {
+    throw new Error('A Poincaré section needs a cos or sin drive with ω > 0');
+  }
+  return 2 * Math.PI / forceOmega;
+}
+
+function wholeCount(value, name, min) {
+  if (!Number.isInteger(value) || value < min) throw new Error(`${name} must be a whole number ≥ ${min}`);
+  return value;
+}
+
+/**
+ * Sample the driven response once per drive period.
+ *
+ * @param {object} params  system, initial conditions and a 'cos' or 'sin'
+ *   drive, as for ForcedOscillatorRK4 (tMax and steps are set here)
+ * @param {{ transient?: number, periods?: number, stepsPerPeriod?: number }} [opts]
+ *   `transient` drive periods (default 100) are run and discarded before
+ *   `periods` (default 200) are sampled; stepsPerPeriod defaults to
+ *   STEPS_PER_CYCLE steps over a period of the drive or of the faster
+ *   linearised mode, whichever is shorter
+ * @returns {{
+ *   period: number,
+ *   points: Array<{ t: number, x1: number, v1: number, x2: number, v2: number }>,
+ *   end: { x10: number, v10: number, x20: number, v20: number }
+ * }}  points at t = nT for n = transient … transient + periods; `end` is
+ *   the final state, to continue from
+ * @throws {Error} without a harmonic drive, or for bad period counts
+ */
+export function poincareSection(params, opts = {}) {
+  const period = drivePeriod(params);
+  const transient = wholeCount(opts.transient === undefined ? 100 : opts.transient, 'The transient', 0);
+  const periods = wholeCount(opts.periods === undefined ? 200 : opts.periods, 'The number of periods', 1);
+  let { stepsPerPeriod } = opts;
+  if (stepsPerPeriod === undefined) {
+    const { omega2 } = new CoupledOscillator(params);
+    stepsPerPeriod = Math.ceil(STEPS_PER_CYCLE * Math.max(1, omega2 / params.forceOmega));
+  }
+  wholeCount(stepsPerPeriod, 'The steps per period', 4);
+
+  const total = transient + periods;
+  const osc = new ForcedOscillatorRK4({ ...params, tMax: total * period, steps: total * stepsPerPeriod });
+  const points = [];
+  for (let n = transient; n <= total; n++) {
+    const t = n * period;
+    points.push({ t, x1: osc.position(1, t), v1: osc.velocity(1, t), x2: osc.position(2, t), v2: osc.velocity(2, t) });
+  }
+  const { x1, v1, x2, v2 } = points[points.length - 1];
+  return { period, points, end: { x10: x1, v10: v1, x20: x2, v20: v2 } };
+}
+
+/**
+ * Number of distinct values in a section, to within SAME_POINT_TOL of
+ * their overall size: 1 for a response of the drive period, p for a
+ * period-p subharmonic, and up to the sample count for quasi-periodic or
+ * chaotic motion.
+ *
+ * @param {number[]} values
+ * @returns {number}
+ */
+export function distinctPoints(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const scale = sorted.reduce((m, x) => Math.max(m, Math.abs(x)), 1e-12);
+  let count = sorted.length ? 1 : 0;
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] - sorted[i - 1] > SAME_POINT_TOL * scale) count++;
+  }
+  return count;
+}
+
+/**
+ * Bifurcation diagram: the section of one mass's position against a drive
+ * parameter.  Each value starts from the final state of the one before,
+ * as when a real drive is turned slowly, so sweeping up and then down
+ * shows the jumps and hysteresis of coexisting responses.
+ *
+ * @param {object} params  as for poincareSection
+ * @param {'forceA'|'forceOmega'} name  drive parameter to sweep
+ * @param {{ from: number, to: number, points?: number, mass?: 1|2,
+ *           transient?: number, periods?: number, stepsPerPeriod?: number }} range
+ *   `points` (default 101) evenly spaced values from `from` to `to` in that
+ *   order; the period counts are per value, as for poincareSection
+ *   (defaults 100 and 50)
+ * @returns {{ values: number[], sections: number[][], distinct: number[] }}
+ *   sections[i] the sampled positions at values[i] and distinct[i] their
+ *   number of distinct values (see distinctPoints)
+ * @throws {Error} for an unknown parameter, a bad range, or a value that
+ *   leaves no harmonic drive
+ */
+export function bifurcationSweep(params, name, range) {
+  if (!BIFURCATION_PARAMETERS.includes(name)) throw new Error(`Cannot sweep '${name}'`);
+  const { from, to, points = 101, mass = 1, transient = 100, periods = 50, stepsPerPeriod } = range;
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from === to) {
+    throw new Error('The sweep needs two different finite end values');
+  }
+  wholeCount(points, 'The number of sweep points', 2);
+  if (name === 'forceOmega' && Math.min(from, to) <= 0) throw new Error('The drive ω must stay positive over the sweep');
+
+  const values = Array.from({ length: points }, (_, i) => from + (to - from) * i / (points - 1));
+  const sections = [], distinct = [];
+  let state = {};
+  values.forEach(value => {
+    const section = poincareSection({ ...params, ...state, [name]: value }, { transient, periods, stepsPerPeriod });
+    const xs = section.points.map(p => (mass === 1 ? p.x1 : p.x2));
+    sections.push(xs);
+    distinct.push(distinctPoints(xs));
+    state = section.end;
+  });
+  return { values, sections, distinct };
+}
@@ -0,0 +1,94 @@
+/**
+ * Sensitivity of the two-mass system to its masses and springs.
+ *
+ * Frequencies, by eigenvalue perturbation: for K φ = λ M φ with φ
+ * mass-normalised,
+ *
+ *   ∂λ/∂p = φᵀ (∂K/∂p − λ ∂M/∂p) φ,   ∂ω/∂p = (∂λ/∂p) / (2ω)
+ *
+ * which for the individual parameters reads
+ *
+ *   ∂λ/∂k₁ = φ₁²   ∂λ/∂k₂ = (φ₁ − φ₂)²   ∂λ/∂k₃ = φ₂²
+ *   ∂λ/∂m₁ = −λ φ₁²                      ∂λ/∂m₂ = −λ φ₂²
+ *
+ * At a repeated eigenvalue the mode shapes are not unique and the sorted
+ * frequencies have a kink; the derivatives returned there are the
+ * eigenvalues of the 2×2 matrix Φᵀ(∂K/∂p − λ ∂M/∂p)Φ, i.e. the rates as p
+ * increases.
+ *
+ * Trajectories, by central differences of the model at each time: the
+ * model is rebuilt with p ± h, so the same code serves damped and forced
+ * systems alike.
+ */
+
+import { CoupledOscillator } from './oscillator.js';
+
+/** Parameters whose sensitivities are reported. */
+export const SENSITIVITY_PARAMETERS = ['m1', 'm2', 'k1', 'k2', 'k3'];
+
+/** Relative gap below which two eigenvalues count as repeated. */
+const REPEATED_TOL = 1e-9;
+
+/** φᵀ (∂K/∂p − λ ∂M/∂p) ψ for the parameter p. */
+function perturbation(name, lambda, phi, psi) {
+  switch (name) {
+    case 'k1': return phi[0] * psi[0];
+    case 'k2': return (phi[0] - phi[1]) * (psi[0] - psi[1]);
+    case 'k3': return phi[1] * psi[1];
+    case 'm1': return -lambda * phi[0] * psi[0];
+    default:   return -lambda * phi[1] * psi[1];
+  }
+}
+
+/**
+ * ∂ω₁/∂p and ∂ω₂/∂p for every parameter p.
+ *
+ * @param {{ m1: number, m2: number, k1: number, k2: number, k3: number }} params
+ * @returns {Object<string, [number|null, number|null]>}  keyed by parameter
+ *   name; null where the mode has no frequency to perturb (rigid-body or
+ *   unstable, ω = 0)
+ */
+export function frequencySensitivities(params) {
+  const osc = new CoupledOscillator({ ...params, c1: 0, c2: 0, c3: 0, x10: 0, x20: 0, v10: 0, v20: 0 });
+  const { lambdas, modeShapes: [phi, psi] } = osc;
+  const omegas = [osc.omega1, osc.omega2];
+  const repeated = Math.abs(lambdas[1] - lambdas[0]) <= REPEATED_TOL * Math.max(1, ...lambdas.map(Math.abs));
+
+  const out = {};
+  SENSITIVITY_PARAMETERS.forEach(name => {
+    let dLambda;
+    if (repeated) {
+      // Eigenvalues of the symmetric 2×2 perturbation in the degenerate space
+      const a = perturbation(name, lambdas[0], phi, phi);
+      const b = perturbation(name, lambdas[0], phi, psi);
+      const d = perturbation(name, lambdas[0], psi, psi);
+      const r = Math.hypot((a - d) / 2, b);
+      dLambda = [(a + d) / 2 - r, (a + d) / 2 + r];
+    } else {
+      dLambda = [perturbation(name, lambdas[0], phi, phi), perturbation(name, lambdas[1], psi, psi)];
+    }
+    out[name] = dLambda.map((dl, j) => (omegas[j] > 0 ? dl / (2 * omegas[j]) : null));
+  });
+  return out;
+}
+
+/**
+ * ∂xᵢ(t)/∂p for both masses at each time, for every parameter p.
+ *
+ * @param {object} params  full model parameters (as for `build`)
+ * @param {number[]} tArr  times
+ * @param {{ build?: (params: object) => { position(mass: number, t: number): number } }} [opts]
+ *   `build` makes the model from parameters (default CoupledOscillator);
+ *   pass e.g. a ForcedOscillator factory to include the forced response
+ * @returns {Object<string, [number[], number[]]>}  keyed by parameter name
+ */
+export function trajectorySensitivities(params, tArr, { build = p => new CoupledOscillator(p) } = {}) {
+  const out = {};
+  SENSITIVITY_PARAMETERS.forEach(name => {
+    const h = 1e-6 * Math.max(1, Math.abs(params[name]));
+    const plus = build({ ...params, [name]: params[name] + h });
+    const minus = build({ ...params, [name]: params[name] - h });
+    out[name] = [1, 2].map(m => tArr.map(t => (plus.position(m, t) - minus.position(m, t)) / (2 * h)));
+  });
+  return out;
+}
@@ -0,0 +1,259 @@
+/**
+ * Solution terms – a common representation for closed-form trajectories.
+ *
+ * Every analytic solution in this project is a finite sum of terms
+ *
+ *   tᵖ · e^{−γt} · [ cᵢ cos(ωt) + sᵢ sin(ωt) ]
+ *
+ * where i indexes the mass.  Special cases cover every regime we need:
+ *
+ *   γ = 0, ω > 0, p = 0   undamped normal mode
+ *   γ > 0, ω > 0          underdamped mode (ω is the damped frequency)
+ *   ω = 0                 real exponential (overdamped) or, with γ = 0,
+ *                         a polynomial term (rigid-body drift)
+ *   p = 1                 critically damped or resonant (secular) term
+ *
+ * A term is { gamma, omega, power, c: number[], s: number[] }.  For ω = 0
+ * the sine coefficients are ignored.
+ */
+
+import { complex, cAdd, cSub, cMul, cDiv, cScale, cExp, cAbs } from './complex.js';
+
+/** Relative tolerance for treating two rates/frequencies as equal. */
+const MERGE_TOL = 1e-12;
+
+/** Relative error allowed for in evaluating a term sum. */
+const ROUND_OFF = 8 * Number.EPSILON;
+
+/**
+ * Value of sum of `terms` for component `index` (0-based) at time `t`.
+ * @param {Array<{gamma:number, omega:number, power:number, c:number[], s:number[]}>} terms
+ * @param {number} index
+ * @param {number} t
+ * @returns {number}
+ */
+export function evaluateTerms(terms, index, t) {
+  let sum = 0;
+  for (const { gamma, omega, power, c, s } of terms) {
+    const ci = c[index], si = s[index];
+    if (ci === 0 && (si === 0 || omega === 0)) continue;
+    let v = omega === 0 ? ci : ci * Math.cos(omega * t) + si * Math.sin(omega * t);
+    if (gamma !== 0) v *= Math.exp(-gamma * t);
+    if (power !== 0) v *= t ** power;
+    sum += v;
+  }
+  return sum;
+}
+
+/**
+ * Combine terms that share (γ, ω, p) by adding their coefficients, and drop
+ * terms whose coefficients are all zero.
+ */
+export function mergeTerms(terms) {
+  const out = [];
+  const same = (a, b) => Math.abs(a - b) <= MERGE_TOL * Math.max(1, Math.abs(a), Math.abs(b));
+  for (const term of terms) {
+    const hit = out.find(o => o.power === term.power && same(o.gamma, term.gamma) && same(o.omega, term.omega));
+    if (hit) {
+      hit.c = hit.c.map((v, i) => v + term.c[i]);
+      hit.s = hit.s.map((v, i) => v + term.s[i]);
+    } else {
+      out.push({ ...term, c: term.c.slice(), s: term.s.slice() });
+    }
+  }
+  return out.filter(t => t.c.some(v => v !== 0) || (t.omega !== 0 && t.s.some(v => v !== 0)));
+}
+
+/**
+ * Time derivative of a term list, itself expressed as a term list.
+ *
+ *   d/dt [tᵖ e^{−γt}(c cos ωt + s sin ωt)]
+ *     = p tᵖ⁻¹ e^{−γt}(c cos + s sin)
+ *     + tᵖ e^{−γt}((−γc + ωs) cos + (−γs − ωc) sin)
+ */
+export function differentiateTerms(terms) {
+  const out = [];
+  for (const { gamma, omega, power, c, s } of terms) {
+    const sIn = omega === 0 ? c.map(() => 0) : s;
+    if (power > 0) {
+      out.push({ gamma, omega, power: power - 1, c: c.map(v => power * v), s: sIn.map(v => power * v) });
+    }
+    out.push({
+      gamma, omega, power,
+      c: c.map((v, i) => -gamma * v + omega * sIn[i]),
+      s: c.map((v, i) => -gamma * sIn[i] - omega * v),
+    });
+  }
+  return mergeTerms(out);
+}
+
+/**
+ * Upper bound of |Σ terms| for component `index` over a ≤ t ≤ b: each term
+ * is bounded by its amplitude √(c² + s²) times the largest of e^{−γt} and
+ * |t|ᵖ on the interval.
+ *
+ * @param {Array<{gamma:number, omega:number, power:number, c:number[], s:number[]}>} terms
+ * @param {number} index
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function boundTerms(terms, index, a, b) {
+  let sum = 0;
+  for (const { gamma, omega, power, c, s } of terms) {
+    let amp = omega === 0 ? Math.abs(c[index]) : Math.hypot(c[index], s[index]);
+    if (amp === 0) continue;
+    if (gamma !== 0) amp *= Math.exp(-gamma * (gamma > 0 ? a : b));
+    if (power !== 0) amp *= Math.max(Math.abs(a), Math.abs(b)) ** power;
+    sum += amp;
+  }
+  return sum;
+}
+
+/**
+ * Envelope of component `index` at time t.  The oscillating terms (ω > 0)
+ * are the real part of Σ Zₖ e^{iωₖt} with Zₖ = tᵖe^{−γt}(cₖ − i sₖ); the
+ * motion stays within center ± |Σ Zₖ e^{iωₖt}|, where center is the sum of
+ * the non-oscillating terms.  For two modes this is the beat envelope
+ * |A₁φ₁ + A₂φ₂ e^{iΔωt}|.
+ *
+ * @param {Array<{gamma:number, omega:number, power:number, c:number[], s:number[]}>} terms
+ * @param {number} index
+ * @param {number} t
+ * @returns {{ center: number, amplitude: number }}
+ */
+export function envelopeOfTerms(terms, index, t) {
+  let center = 0, re = 0, im = 0;
+  for (const { gamma, omega, power, c, s } of terms) {
+    let scale = 1;
+    if (gamma !== 0) scale *= Math.exp(-gamma * t);
+    if (power !== 0) scale *= t ** power;
+    if (omega === 0) {
+      center += scale * c[index];
+      continue;
+    }
+    const cos = Math.cos(omega * t), sin = Math.sin(omega * t);
+    re += scale * (c[index] * cos + s[index] * sin);
+    im += scale * (c[index] * sin - s[index] * cos);
+  }
+  return { center, amplitude: Math.hypot(re, im) };
+}
+
+/**
+ * First time in [tMin, tMax] where component `index` of the terms equals
+ * `target`, found without missing any root.
+ *
+ * With g = Σ terms − target, bounds L ≥ |g′| and M ≥ |g″| on an interval
+ * (boundTerms of the derivatives) give two lower bounds on |g| there:
+ *   (|g(a)| + |g(b)| − L(b − a)) / 2       when g(a), g(b) share a sign
+ *   |g(m)| − |g′(m)|·r − M r² / 2           about the midpoint m, r = (b − a)/2
+ * An interval where either is positive (beyond round-off in evaluating g)
+ * holds no root.  Intervals are split in half, leftmost first, until they
+ * are excluded or narrower than `tolerance`; the first that survives
+ * brackets the first root.  Unlike a scan for sign changes this also
+ * catches a target that is touched without being crossed (a double root),
+ * and roots closer together than any scan step.
+ *
+ * @param {Array<{gamma:number, omega:number, power:number, c:number[], s:number[]}>} terms
+ * @param {number} index
+ * @param {number} target
+ * @param {{ tMin?: number, tMax?: number, tolerance?: number, maxIterations?: number }} [opts]
+ *   defaults 0, 100, 1e-9 (bracket width) and 100000 (intervals examined)
+ * @returns {{ t: number, bracket: [number, number], iterations: number } | null}
+ *   no root lies before bracket[0], and g is zero to within round-off
+ *   somewhere in the bracket; t is its midpoint.  null when the target is
+ *   provably never reached.
+ * @throws {Error} for a bad interval or tolerance, or when maxIterations
+ *   intervals do not settle the search
+ */
+export function firstRootOfTerms(terms, index, target, opts = {}) {
+  const { tMin = 0, tMax = 100, tolerance = 1e-9, maxIterations = 100000 } = opts;
+  if (!(tMax >= tMin)) throw new Error('The search interval needs tMin ≤ tMax');
+  if (!(tolerance > 0)) throw new Error('The tolerance must be positive');
+  const slope = differentiateTerms(terms);
+  const curvature = differentiateTerms(slope);
+  const g = t => evaluateTerms(terms, index, t) - target;
+
+  // Intervals [a, g(a), b, g(b)] still to examine, leftmost on top
+  const stack = [[tMin, g(tMin), tMax, g(tMax)]];
+  let iterations = 0;
+  while (stack.length) {
+    const [a, ga, b, gb] = stack.pop();
+    if (++iterations > maxIterations) {
+      throw new Error(`No bracket after ${maxIterations} iterations; widen the tolerance or shorten the interval`);
+    }
+    if (ga === 0) return { t: a, bracket: [a, a], iterations };
+    const m = (a + b) / 2, r = (b - a) / 2;
+    const gm = g(m);
+    const roundOff = ROUND_OFF * (boundTerms(terms, index, a, b) + Math.abs(target));
+    const chord = Math.sign(ga) === Math.sign(gb)
+      ? (Math.abs(ga) + Math.abs(gb)) / 2 - boundTerms(slope, index, a, b) * r : -Infinity;
+    const taylor = Math.abs(gm) - Math.abs(evaluateTerms(slope, index, m)) * r -
+                   boundTerms(curvature, index, a, b) * r * r / 2;
+    if (Math.max(chord, taylor) > roundOff) continue;
+    if (b - a <= tolerance) return { t: m, bracket: [a, b], iterations };
+    stack.push([m, gm, b, gb], [a, ga, m, gm]);
+  }
+  return null;
+}
+
+/**
+ * ∫₀ᵗ sⁿ e^{λs} ds for complex λ.
+ *
+ * Uses the recurrence I(n) = (tⁿe^{λt} − n·I(n−1)) / λ, or the power
+ * series in λt when |λt| < 1 where the recurrence would cancel.
+ */
+function momentIntegral(n, lam, t) {
+  const z = cScale(lam, t);
+  if (cAbs(z) < 1) {
+    // Σₖ λᵏ t^{n+k+1} / (k! (n+k+1))
+    let sum = complex(0);
+    let zk = complex(1);            // (λt)ᵏ / k!
+    for (let k = 0; k < 30; k++) {
+      sum = cAdd(sum, cScale(zk, 1 / (n + k + 1)));
+      zk = cScale(cMul(zk, z), 1 / (k + 1));
+      if (cAbs(zk) < 1e-17) break;
+    }
+    return cScale(sum, t ** (n + 1));
+  }
+  const e = cExp(z);
+  let I = cDiv(cSub(e, complex(1)), lam);
+  for (let m = 1; m <= n; m++) {
+    I = cDiv(cSub(cScale(e, t ** m), cScale(I, m)), lam);
+  }
+  return I;
+}
+
+/**
+ * Exact value of ∫₀ᵗ f(s) g(s) ds, where f is component `ia` of term list
+ * `a` and g is component `ib` of term list `b`.
+ *
+ * Each product of two terms is written with
+ *   (c cos ωs + s sin ωs) = Re[(c − is) e^{iωs}]
+ * and Re(A)·Re(B) = ½ Re(AB + AB̄), which reduces it to integrals of
+ * sⁿ e^{λs}.  Used for work done by forces and energy lost in dampers.
+ *
+ * @param {Array<{gamma:number, omega:number, power:number, c:number[], s:number[]}>} a
+ * @param {number} ia
+ * @param {Array<{gamma:number, omega:number, power:number, c:number[], s:number[]}>} b
+ * @param {number} ib
+ * @param {number} t
+ * @returns {number}
+ */
+export function integrateProduct(a, ia, b, ib, t) {
+  let sum = 0;
+  for (const ta of a) {
+    const A = complex(ta.c[ia], ta.omega === 0 ? 0 : -ta.s[ia]);
+    if (A.re === 0 && A.im === 0) continue;
+    for (const tb of b) {
+      const B = complex(tb.c[ib], tb.omega === 0 ? 0 : -tb.s[ib]);
+      if (B.re === 0 && B.im === 0) continue;
+      const n = ta.power + tb.power;
+      const decay = -(ta.gamma + tb.gamma);
+      const sumPart  = cMul(cMul(A, B), momentIntegral(n, complex(decay, ta.omega + tb.omega), t));
+      const diffPart = cMul(cMul(A, complex(B.re, -B.im)), momentIntegral(n, complex(decay, ta.omega - tb.omega), t));
+      sum += 0.5 * (sumPart.re + diffPart.re);
+    }
+  }
+  return sum;
+}
@@ -0,0 +1,109 @@
+/**
+ * Amplitude spectrum of a uniformly sampled signal.
+ *
+ * The samples have their mean removed, are multiplied by a window and
+ * zero-padded to a power of two, then transformed with a radix-2 FFT.  The
+ * one-sided amplitudes are scaled by the window's coherent gain, so a
+ * component A·cos(ωt + φ) shows as a peak of height ≈ A at ω, whichever
+ * window is used.  Frequencies are angular (rad per unit time), to match
+ * ω₁, ω₂ and the drive frequency Ω elsewhere in the app.
+ *
+ * Windows trade peak sharpness against leakage:
+ *   rectangular  narrowest peak, strongest leakage from a non-integer
+ *                number of cycles
+ *   hann         the usual compromise
+ *   hamming      lower first sidelobe than hann, slower sidelobe decay
+ *   blackman     widest peak, lowest leakage; for small peaks near big ones
+ */
+
+/** Window name → w(n, N) for n = 0 … N − 1 (symmetric windows). */
+export const WINDOWS = {
+  rectangular: () => 1,
+  hann:     (n, N) => 0.5 - 0.5 * Math.cos(2 * Math.PI * n / (N - 1)),
+  hamming:  (n, N) => 0.54 - 0.46 * Math.cos(2 * Math.PI * n / (N - 1)),
+  blackman: (n, N) => 0.42 - 0.5 * Math.cos(2 * Math.PI * n / (N - 1)) + 0.08 * Math.cos(4 * Math.PI * n / (N - 1)),
+};
+
+/**
+ * The N coefficients of a window.
+ *
+ * @param {string} name  a key of WINDOWS
+ * @param {number} N
+ * @returns {number[]}
+ * @throws {Error} for an unknown window
+ */
+export function windowCoefficients(name, N) {
+  if (!Object.prototype.hasOwnProperty.call(WINDOWS, name)) throw new Error(`Unknown window '${name}'`);
+  if (N === 1) return [1];
+  return Array.from({ length: N }, (_, n) => WINDOWS[name](n, N));
+}
+
+/** In-place iterative radix-2 FFT; re.length must be a power of two. */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = -2 * Math.PI / len;
+    for (let start = 0; start < n; start += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(angle * k), wi = Math.sin(angle * k);
+        const a = start + k, b = a + len / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr;        im[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * One-sided amplitude spectrum of samples taken every dt.
+ *
+ * @param {number[]} samples
+ * @param {number} dt  sample spacing
+ * @param {{ window?: string, oversample?: number }} [opts]
+ *   window (default 'hann') is a key of WINDOWS; the samples are
+ *   zero-padded to the power of two at or above oversample·N (default 4),
+ *   which interpolates the spectrum between the natural bins 2π/(N·dt)
+ *   without sharpening the peaks
+ * @returns {{ omegas: number[], amplitudes: number[], resolution: number }}
+ *   omegas from 0 to the Nyquist frequency π/dt; resolution is the natural
+ *   bin spacing 2π/(N·dt), the closest two peaks can be and still separate
+ * @throws {Error} for fewer than two samples, a non-finite sample, a
+ *   non-positive dt or oversampling factor, or an unknown window
+ */
+export function amplitudeSpectrum(samples, dt, { window = 'hann', oversample = 4 } = {}) {
+  const N = samples.length;
+  if (N < 2) throw new Error('The spectrum needs at least two samples');
+  if (!(dt > 0) || !Number.isFinite(dt)) throw new Error('The sample spacing dt must be positive');
+  if (!(oversample >= 1)) throw new Error('The oversampling factor must be at least 1');
+  if (!samples.every(Number.isFinite)) throw new Error('The samples must be finite numbers');
+  const w = windowCoefficients(window, N);
+
+  let size = 1;
+  while (size < oversample * N) size <<= 1;
+  const mean = samples.reduce((s, x) => s + x, 0) / N;
+  const re = new Float64Array(size), im = new Float64Array(size);
+  samples.forEach((x, n) => { re[n] = (x - mean) * w[n]; });
+  fft(re, im);
+
+  const gain = w.reduce((s, x) => s + x, 0);
+  const half = size / 2;
+  const omegas = [], amplitudes = [];
+  for (let k = 0; k <= half; k++) {
+    // Every bin but DC and Nyquist folds in its negative-frequency twin
+    const scale = k === 0 || k === half ? 1 : 2;
+    omegas.push(2 * Math.PI * k / (size * dt));
+    amplitudes.push(scale * Math.hypot(re[k], im[k]) / gain);
+  }
+  return { omegas, amplitudes, resolution: 2 * Math.PI / (N * dt) };
+}
@@ -0,0 +1,252 @@
+/**
+ * State-space solution of two degrees of freedom,
+ *
+ *   M ẍ + C ẋ + K x = 0,
+ *
+ * shared by MatrixOscillator and the non-proportionally damped
+ * CoupledOscillator.
+ *
+ * The state-space eigenvalues are the four roots of det(s²M + sC + K) = 0
+ * and each contributes u e^{st}, with u the null vector of s²M + sC + K.
+ * A repeated root with a single mode shape (rigid-body drift, critical
+ * damping) contributes e^{st}(t u + w) as well, where
+ * (s²M + sC + K) w = −(2sM + C) u.  The complex amplitudes are fitted to
+ * the initial conditions and returned as solution terms (see
+ * solution-terms.js).
+ */
+
+import { complex, cAbs, cAdd, cSub, cMul, cDiv, cScale, cConj, solveComplex, polynomialRoots } from './complex.js';
+import { evaluateTerms, differentiateTerms } from './solution-terms.js';
+
+/** Real parts below this (relative to the largest root) count as zero. */
+const ZERO_RATE_TOL = 1e-10;
+
+/**
+ * Round-off splits a root of multiplicity m by about ε^{1/m} (relative to
+ * the largest root): roots within this multiple of that are tried as one.
+ */
+const SPLIT_FACTOR = 4096;
+
+/** |p⁽ʲ⁾(s)| below this (relative to its terms) counts as zero. */
+const VANISH_TOL = 1e-10;
+
+/** Largest error in x(0), ẋ(0) (relative to the largest) of a fitted solution. */
+const FIT_TOL = 1e-6;
+
+/** Entries below this (relative to the largest) count as zero. */
+const ENTRY_TOL = 1e-8;
+
+/** Product of two real polynomials given leading coefficient first. */
+export function polyMul(a, b) {
+  const out = new Array(a.length + b.length - 1).fill(0);
+  a.forEach((x, i) => b.forEach((y, j) => { out[i + j] += x * y; }));
+  return out;
+}
+
+/** Derivative of a real polynomial given leading coefficient first. */
+function polyDerivative(p) {
+  const n = p.length - 1;
+  return p.slice(0, -1).map((c, i) => c * (n - i));
+}
+
+/** Value of a real polynomial (leading coefficient first) at a complex z. */
+function polyValue(p, z) {
+  return p.reduce((v, c) => cAdd(cMul(v, z), complex(c)), complex(0));
+}
+
+/** Newton steps from z on the polynomial p with derivative dp. */
+function newton(p, dp, z) {
+  for (let k = 0; k < 6; k++) {
+    const d = polyValue(dp, z);
+    if (cAbs(d) === 0) break;
+    z = cSub(z, cDiv(polyValue(p, z), d));
+  }
+  return z;
+}
+
+/** Whether p(z) is zero to within VANISH_TOL of the size of its terms. */
+function vanishes(p, z) {
+  const size = p.reduce((v, c) => v * cAbs(z) + Math.abs(c), 0);
+  return cAbs(polyValue(p, z)) <= VANISH_TOL * size;
+}
+
+/**
+ * Group the roots of `charPoly` into repeated roots, highest multiplicity
+ * first.  m roots within SPLIT_FACTOR·ε^{1/m} of each other are one root
+ * s when p, p′, …, p⁽ᵐ⁻¹⁾ all vanish at s, found by Newton on p⁽ᵐ⁻¹⁾ (where
+ * it is a simple root) from their mean; otherwise they stay distinct.
+ * Groups keep the order of their first root.
+ *
+ * @returns {Array<{ roots: object[], s: {re:number, im:number} }>}
+ */
+function clusterRoots(charPoly, raw, scale) {
+  const derivatives = [charPoly];
+  raw.forEach(() => derivatives.push(polyDerivative(derivatives[derivatives.length - 1])));
+  let rest = raw.slice();
+  const groups = [];
+  for (let m = raw.length; m > 1; m--) {
+    const reach = SPLIT_FACTOR * Number.EPSILON ** (1 / m) * scale;
+    raw.forEach(r => {
+      if (!rest.includes(r)) return;
+      const near = rest.filter(z => cAbs(cSub(z, r)) <= reach)
+        .sort((a, b) => cAbs(cSub(a, r)) - cAbs(cSub(b, r)))
+        .slice(0, m);
+      if (near.length < m) return;
+      const mean = cScale(near.reduce(cAdd, complex(0)), 1 / m);
+      const s = newton(derivatives[m - 1], derivatives[m], mean);
+      if (cAbs(cSub(s, mean)) <= reach && derivatives.slice(0, m - 1).every(p => vanishes(p, s))) {
+        groups.push({ roots: near, s });
+        rest = rest.filter(z => !near.includes(z));
+      }
+    });
+  }
+  rest.forEach(z => groups.push({ roots: [z], s: z }));
+  const first = g => Math.min(...g.roots.map(z => raw.indexOf(z)));
+  return groups.sort((a, b) => first(a) - first(b));
+}
+
+/** Largest |entry| of a real matrix. */
+export function largestEntry(A) {
+  return Math.max(...A.flat().map(Math.abs));
+}
+
+/** s²M + sC + K and its derivative 2sM + C at a complex s. */
+function pencil(M, C, K, s) {
+  const s2 = cMul(s, s);
+  const at = (i, j) => cAdd(cAdd(cScale(s2, M[i][j]), cScale(s, C[i][j])), complex(K[i][j]));
+  const slope = (i, j) => cAdd(cScale(s, 2 * M[i][j]), complex(C[i][j]));
+  return {
+    Q: [[at(0, 0), at(0, 1)], [at(1, 0), at(1, 1)]],
+    dQ: [[slope(0, 0), slope(0, 1)], [slope(1, 0), slope(1, 1)]],
+  };
+}
+
+/**
+ * Eigenvalues grouped by multiplicity, and one basis solution per
+ * eigenvalue: { s, u } for u e^{st}, or { s, u, w } for e^{st}(t u + w).
+ * A root within round-off of the real axis is made real and a repeated
+ * root shares one `s`, so the conjugate partners are exactly the entries
+ * with Im s < 0.
+ *
+ * @param {number[][]} M  symmetric positive definite
+ * @param {number[][]} C
+ * @param {number[][]} K
+ * @returns {Array<{ s: {re:number, im:number}, u: object[], w?: object[] }>}
+ * @throws {Error} for a repeated eigenvalue with more structure than one
+ *   Jordan chain of length two per mode shape
+ */
+export function stateSpaceBasis(M, C, K) {
+  const row = i => [M[i][i], C[i][i], K[i][i]];
+  const entry = (i, j) => [M[i][j], C[i][j], K[i][j]];
+  const diagonal = polyMul(row(0), row(1));
+  const cross = polyMul(entry(0, 1), entry(1, 0));
+  const charPoly = diagonal.map((v, i) => v - cross[i]);
+  const raw = polynomialRoots(charPoly);
+  const rootScale = Math.max(1, ...raw.map(cAbs));
+  const size = A => Math.max(...A.flat().map(cAbs));
+  const pencilScale = s => cAbs(s) ** 2 * largestEntry(M) + cAbs(s) * largestEntry(C) + largestEntry(K);
+  const unit = [[complex(1), complex(0)], [complex(0), complex(1)]];
+
+  // s²M + sC + K = (s − s₀)² M: a fourfold root, which the root finder
+  // gets only to about the fourth root of round-off, so s₀ is taken as
+  // the mean of the roots from the coefficients; it gives e^{s₀t}(a + bt)
+  // for each mass
+  const mean = -charPoly[1] / (4 * charPoly[0]);
+  const shared = pencil(M, C, K, complex(mean));
+  if (size(shared.Q) <= ENTRY_TOL * pencilScale(complex(mean)) &&
+      size(shared.dQ) <= ENTRY_TOL * pencilScale(complex(mean))) {
+    const s = complex(mean);
+    return [...unit.map(u => ({ s, u })), ...unit.map(u => ({ s, u, w: [complex(0), complex(0)] }))];
+  }
+
+  // A repeated root comes back split by round-off (see clusterRoots), and
+  // a real one can come back just off the real axis
+  const realTol = Math.sqrt(Number.EPSILON) * rootScale;
+  const basis = [];
+  clusterRoots(charPoly, raw, rootScale).forEach(({ roots, s: root }) => {
+    const s = complex(Math.abs(root.re) < ZERO_RATE_TOL * rootScale ? 0 : root.re,
+                      Math.abs(root.im) <= realTol ? 0 : root.im);
+    const { Q, dQ } = pencil(M, C, K, s);
+    const singular = size(Q) <= ENTRY_TOL * pencilScale(s);
+
+    if (roots.length === 1 || (roots.length === 2 && !singular)) {
+      const [q11, q12] = Q[0], [q21, q22] = Q[1];
+      const u = cAbs(q11) + cAbs(q12) >= cAbs(q21) + cAbs(q22)
+        ? [cScale(q12, -1), q11]
+        : [q22, cScale(q21, -1)];
+      basis.push({ s, u });
+      if (roots.length === 2) {
+        // Jordan chain: solve the better-conditioned row of Q w = −Q′u
+        // by the minimum-norm w
+        const r = cAbs(q11) + cAbs(q12) >= cAbs(q21) + cAbs(q22) ? 0 : 1;
+        const rhs = cScale(cAdd(cMul(dQ[r][0], u[0]), cMul(dQ[r][1], u[1])), -1);
+        const norm = cAbs(Q[r][0]) ** 2 + cAbs(Q[r][1]) ** 2;
+        basis.push({ s, u, w: Q[r].map(q => cDiv(cMul(cConj(q), rhs), complex(norm))) });
+      }
+    } else if (roots.length === 2) {
+      // Two independent mode shapes share the eigenvalue
+      unit.forEach(u => basis.push({ s, u }));
+    } else {
+      throw new Error(`The eigenvalue s = ${s.re.toPrecision(4)} + ${s.im.toPrecision(4)}i ` +
+                      `of multiplicity ${roots.length} is not supported`);
+    }
+  });
+  return basis;
+}
+
+/**
+ * Fit a state-space basis to x(0) = x0, ẋ(0) = v0 and write the real
+ * solution terms (unmerged: one or two per eigenvalue with Im s ≥ 0).
+ *
+ * @param {ReturnType<typeof stateSpaceBasis>} basis
+ * @param {number[]} x0
+ * @param {number[]} v0
+ * @returns {Array<{gamma:number, omega:number, power:number, c:number[], s:number[]}>}
+ * @throws {Error} when the basis does not span the initial conditions, or
+ *   the fitted solution misses them by more than FIT_TOL
+ */
+export function stateSpaceTerms(basis, x0, v0) {
+  // x(0) and ẋ(0) of each basis solution
+  const A = [
+    basis.map(({ u, w }) => (w ? w[0] : u[0])),
+    basis.map(({ u, w }) => (w ? w[1] : u[1])),
+    basis.map(({ s, u, w }) => (w ? cAdd(u[0], cMul(s, w[0])) : cMul(s, u[0]))),
+    basis.map(({ s, u, w }) => (w ? cAdd(u[1], cMul(s, w[1])) : cMul(s, u[1]))),
+  ];
+  let amps;
+  try {
+    amps = solveComplex(A, [...x0, ...v0].map(v => complex(v)));
+  } catch (e) {
+    throw new Error('The state-space eigenvectors do not span the initial conditions');
+  }
+
+  const terms = [];
+  basis.forEach(({ s, u, w }, k) => {
+    if (s.im < 0) return; // conjugate partner of an earlier solution
+    // a v e^{st} + conj = e^{−γt} [2Re(av) cos ω_d t − 2Im(av) sin ω_d t]
+    const twice = s.im > 0 ? 2 : 1;
+    const push = (vector, power) => {
+      const av = vector.map(z => cMul(amps[k], z));
+      terms.push({ gamma: -s.re, omega: s.im, power,
+                   c: av.map(z => twice * z.re), s: av.map(z => -twice * z.im) });
+    };
+    if (w) {
+      push(u, 1);
+      push(w, 0);
+    } else {
+      push(u, 0);
+    }
+  });
+
+  // Round-off in a nearly repeated root can leave the basis too close to
+  // singular for solveComplex to notice
+  const vel = differentiateTerms(terms);
+  const fitted = [0, 1].map(i => evaluateTerms(terms, i, 0)).concat([0, 1].map(i => evaluateTerms(vel, i, 0)));
+  const wanted = [...x0, ...v0];
+  const miss = Math.max(...fitted.map((f, i) => Math.abs(f - wanted[i])));
+  if (!(miss <= FIT_TOL * Math.max(...wanted.map(Math.abs)))) {
+    throw new Error('The state-space solution does not reproduce the initial conditions ' +
+                    '(eigenvalues too close to separate)');
+  }
+  return terms;
+}
@@ -0,0 +1,98 @@
+/**
+ * Natural frequencies and mode shapes of the two-mass system as one
+ * parameter is varied – the data for an eigenfrequency (avoided-crossing)
+ * diagram.
+ *
+ * Sweeping the coupling spring k₂ through the point where the uncoupled
+ * frequencies
+ *
+ *   ω₁⁰ = √((k₁+k₂)/m₁)   (mass 2 held still),   ω₂⁰ = √((k₂+k₃)/m₂)
+ *
+ * cross shows the two branches repelling instead of crossing; the closest
+ * approach is reported as `gap`.
+ *
+ * The mode-shape ratio rⱼ = φⱼ₂/φⱼ₁ is the amplitude of mass 2 per unit
+ * amplitude of mass 1 in mode j.  At k₂ = 0 the masses are independent
+ * and each mode moves one mass only (r = 0, or no ratio), which is where
+ * the coupled branches tend.  But when also ω₁⁰ = ω₂⁰ any pair of
+ * orthogonal shapes is a valid answer.  There the shapes are taken as
+ * the limit k₂ → 0 from the neighbouring sweep points, and the ratio
+ * curves join the coupled branch continuously.
+ */
+
+import { CoupledOscillator } from './oscillator.js';
+
+/** Parameters a sweep can vary: only masses and springs set the undamped modes. */
+export const SWEEP_PARAMETERS = ['m1', 'm2', 'k1', 'k2', 'k3'];
+
+/** |k₂| below this counts as uncoupled. */
+const UNCOUPLED_TOL = 1e-14;
+
+/** Undamped oscillator at rest: only its modes are used. */
+function modesOf(params) {
+  return new CoupledOscillator({ ...params, c1: 0, c2: 0, c3: 0, x10: 0, x20: 0, v10: 0, v20: 0 });
+}
+
+/**
+ * Vary one parameter over [from, to] and record ω₁, ω₂ and the mode-shape
+ * ratios at each point.
+ *
+ * @param {{ m1: number, m2: number, k1: number, k2: number, k3: number }} params
+ *   the fixed values of the other parameters
+ * @param {'m1'|'m2'|'k1'|'k2'|'k3'} name  parameter to vary
+ * @param {{ from: number, to: number, points?: number }} range
+ *   `points` (default 201) evenly spaced values including both ends
+ * @returns {{
+ *   values: number[],
+ *   omegas: [(number|null)[], (number|null)[]],
+ *   uncoupled: [(number|null)[], (number|null)[]],
+ *   ratios: [(number|null)[], (number|null)[]],
+ *   gap: { value: number, omega: number, at: number }|null
+ * }}  ω is null where the mode is unstable (λ < 0) and a ratio is null
+ *   where the mode leaves mass 1 still.  `gap` is the smallest ω₂ − ω₁,
+ *   its mid frequency and the parameter value where it occurs.
+ * @throws {Error} for an unknown parameter, a bad range, or a mass that
+ *   is not positive somewhere in the range
+ */
+export function parameterSweep(params, name, { from, to, points = 201 }) {
+  if (!SWEEP_PARAMETERS.includes(name)) throw new Error(`Cannot sweep '${name}'`);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from === to) {
+    throw new Error('The sweep needs two different finite end values');
+  }
+  if (!Number.isInteger(points) || points < 2) throw new Error('The sweep needs at least two points');
+  if (name[0] === 'm' && Math.min(from, to) <= 0) throw new Error(`${name} must stay positive over the sweep`);
+
+  const values = Array.from({ length: points }, (_, i) => from + (to - from) * i / (points - 1));
+  const omegas = [[], []], uncoupled = [[], []], ratios = [[], []];
+  let gap = null;
+
+  values.forEach((value, i) => {
+    const p = { ...params, [name]: value };
+    const osc = modesOf(p);
+    let shapes = osc.modeShapes;
+    const [l1, l2] = osc.lambdas;
+    if (Math.abs(p.k2) < UNCOUPLED_TOL && Math.abs(l2 - l1) <= 1e-9 * Math.max(1, Math.abs(l1), Math.abs(l2))) {
+      // Equal uncoupled frequencies: take the limit k₂ → 0 from the side
+      // the neighbouring points lie on
+      const neighbour = name === 'k2' ? values[i === 0 ? 1 : i - 1] : 1;
+      const scale = Math.max(1, Math.abs(p.k1), Math.abs(p.k3));
+      shapes = modesOf({ ...p, k2: Math.sign(neighbour || 1) * 1e-9 * scale }).modeShapes;
+    }
+
+    osc.lambdas.forEach((lambda, j) => {
+      omegas[j].push(lambda >= 0 ? Math.sqrt(lambda) : null);
+      const [a, b] = shapes[j];
+      ratios[j].push(Math.abs(a) > 1e-12 * Math.hypot(a, b) ? b / a : null);
+    });
+    [(p.k1 + p.k2) / p.m1, (p.k2 + p.k3) / p.m2].forEach((lambda, j) => {
+      uncoupled[j].push(lambda >= 0 ? Math.sqrt(lambda) : null);
+    });
+
+    const [w1, w2] = [omegas[0][i], omegas[1][i]];
+    if (w1 !== null && w2 !== null && (gap === null || w2 - w1 < gap.value)) {
+      gap = { value: w2 - w1, omega: (w1 + w2) / 2, at: value };
+    }
+  });
+
+  return { values, omegas, uncoupled, ratios, gap };
+}
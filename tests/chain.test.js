@@ -0,0 +1,159 @@
+/**
+ * Tests for CoupledChain in src/chain.js
+ * Covers: agreement with CoupledOscillator, N-mass equations of motion,
+ * free ends and rigid-body drift, interface parity.
+ */
+
+import { CoupledChain }      from '../src/chain.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+
+// ── helpers ───────────────────────────────────────────────────────────────
+function makeChain(n, overrides = {}) {
+  return new CoupledChain({
+    masses:  Array(n).fill(1),
+    springs: Array(n + 1).fill(1),
+    x0: [1], v0: [],
+    ...overrides,
+  });
+}
+
+// ── two-mass chain matches CoupledOscillator ──────────────────────────────
+describe('two-mass chain reproduces CoupledOscillator', () => {
+  const p = { m1: 2, m2: 3, k1: 1.5, k2: 0.8, k3: 2, x10: 1, x20: 0.5, v10: -0.2, v20: 0.3 };
+  const osc = new CoupledOscillator(p);
+  const chain = new CoupledChain({
+    masses: [p.m1, p.m2], springs: [p.k1, p.k2, p.k3],
+    x0: [p.x10, p.x20], v0: [p.v10, p.v20],
+  });
+
+  test('same normal-mode frequencies', () => {
+    expect(chain.omegas[0]).toBeCloseTo(osc.omega1, 10);
+    expect(chain.omegas[1]).toBeCloseTo(osc.omega2, 10);
+    expect(chain.omega1).toBeCloseTo(osc.omega1, 10);
+    expect(chain.omega2).toBeCloseTo(osc.omega2, 10);
+  });
+
+  for (const t of [0, 0.7, 2.5, 9.1]) {
+    test(`same trajectory at t=${t}`, () => {
+      for (const m of [1, 2]) {
+        expect(chain.position(m, t)).toBeCloseTo(osc.position(m, t), 9);
+        expect(chain.velocity(m, t)).toBeCloseTo(osc.velocity(m, t), 9);
+        expect(chain.acceleration(m, t)).toBeCloseTo(osc.acceleration(m, t), 9);
+      }
+    });
+  }
+});
+
+// ── N-mass chain ──────────────────────────────────────────────────────────
+describe('five-mass chain', () => {
+  const masses  = [1, 2, 1.5, 0.5, 1];
+  const springs = [1, 0.7, 2, 1.2, 0.4, 1];
+  const x0 = [0.3, -0.1, 0.5, 0, 0.2];
+  const v0 = [0, 0.4, 0, -0.3, 0.1];
+  const chain = new CoupledChain({ masses, springs, x0, v0 });
+
+  test('initial conditions reproduced', () => {
+    for (let m = 1; m <= 5; m++) {
+      expect(chain.position(m, 0)).toBeCloseTo(x0[m - 1], 10);
+      expect(chain.velocity(m, 0)).toBeCloseTo(v0[m - 1], 10);
+    }
+  });
+
+  test('equations of motion M ẍ = −K x satisfied', () => {
+    const K = chain.stiffnessMatrix();
+    for (const t of [0.4, 3.3, 12]) {
+      const x = masses.map((_, i) => chain.position(i + 1, t));
+      for (let i = 0; i < 5; i++) {
+        const rhs = -K[i].reduce((s, k, j) => s + k * x[j], 0);
+        expect(masses[i] * chain.acceleration(i + 1, t)).toBeCloseTo(rhs, 8);
+      }
+    }
+  });
+
+  test('frequencies are ascending and positive', () => {
+    for (let j = 1; j < 5; j++) expect(chain.omegas[j]).toBeGreaterThan(chain.omegas[j - 1]);
+    expect(chain.omegas[0]).toBeGreaterThan(0);
+  });
+
+  test('uniform fixed–fixed chain has ω_j = 2 sin(jπ / 2(N+1))', () => {
+    const uniform = makeChain(5);
+    uniform.omegas.forEach((w, j) => {
+      expect(w).toBeCloseTo(2 * Math.sin((j + 1) * Math.PI / 12), 10);
+    });
+  });
+});
+
+// ── free ends ─────────────────────────────────────────────────────────────
+describe('free ends', () => {
+  test('free right end ignores the last spring', () => {
+    const a = makeChain(3, { rightEnd: 'free', springs: [1, 1, 1, 99] });
+    const b = makeChain(3, { rightEnd: 'fixed', springs: [1, 1, 1, 0] });
+    a.omegas.forEach((w, j) => expect(w).toBeCloseTo(b.omegas[j], 10));
+  });
+
+  test('free–free chain has a rigid-body mode that drifts', () => {
+    const chain = makeChain(3, { leftEnd: 'free', rightEnd: 'free', x0: [0, 0, 0], v0: [1, 1, 1] });
+    expect(chain.omegas[0]).toBe(0);
+    for (const t of [1, 5, 10]) {
+      for (let m = 1; m <= 3; m++) {
+        expect(chain.position(m, t)).toBeCloseTo(t, 9);
+        expect(chain.velocity(m, t)).toBeCloseTo(1, 9);
+      }
+    }
+  });
+
+  test('momentum is conserved in a free–free chain', () => {
+    const chain = makeChain(4, { leftEnd: 'free', rightEnd: 'free', x0: [1, 0, 0, 0], v0: [0, 0.5, 0, 0] });
+    const p = t => chain.masses.reduce((s, m, i) => s + m * chain.velocity(i + 1, t), 0);
+    for (const t of [0, 2, 7]) expect(p(t)).toBeCloseTo(0.5, 9);
+  });
+});
+
+// ── negative stiffness ────────────────────────────────────────────────────
+describe('negative stiffness', () => {
+  test('single mass on a negative spring grows as cosh/sinh', () => {
+    const chain = new CoupledChain({ masses: [1], springs: [-4, 0], rightEnd: 'free', x0: [1], v0: [1] });
+    expect(chain.unstable).toBe(true);
+    expect(chain.growthRates[0]).toBeCloseTo(2, 12);
+    for (const t of [0, 0.7, 2]) {
+      expect(chain.position(1, t)).toBeCloseTo(Math.cosh(2 * t) + Math.sinh(2 * t) / 2, 9);
+      expect(chain.acceleration(1, t)).toBeCloseTo(4 * chain.position(1, t), 9);
+    }
+  });
+
+  test('two-mass chain matches CoupledOscillator', () => {
+    const p = { m1: 1, m2: 2, k1: 1, k2: -0.8, k3: 1, x10: 0.1, x20: -0.2, v10: 0, v20: 0.3 };
+    const osc = new CoupledOscillator(p);
+    const chain = new CoupledChain({ masses: [1, 2], springs: [1, -0.8, 1], x0: [0.1, -0.2], v0: [0, 0.3] });
+    expect(chain.unstable).toBe(osc.unstable);
+    for (const t of [0.5, 4]) {
+      expect(chain.position(1, t)).toBeCloseTo(osc.position(1, t), 9);
+      expect(chain.velocity(2, t)).toBeCloseTo(osc.velocity(2, t), 9);
+    }
+  });
+});
+
+// ── interface ─────────────────────────────────────────────────────────────
+describe('interface', () => {
+  const chain = makeChain(3, { x0: [1, 1.4142135623730951, 1] });
+
+  test('valueAtTime returns keyed values for every mass', () => {
+    const v = chain.valueAtTime(1.3);
+    for (let m = 1; m <= 3; m++) {
+      expect(v[`x${m}`]).toBeCloseTo(chain.position(m, 1.3), 12);
+      expect(v[`v${m}`]).toBeCloseTo(chain.velocity(m, 1.3), 12);
+      expect(v[`a${m}`]).toBeCloseTo(chain.acceleration(m, 1.3), 12);
+    }
+  });
+
+  test('firstTimeTo finds the first zero of a pure mode', () => {
+    // [1, √2, 1] is the lowest mode of the uniform 3-mass chain, ω = √(2−√2)
+    const w = Math.sqrt(2 - Math.SQRT2);
+    const t = chain.firstTimeTo(2, 'x', 0, { tMax: 20, dt: 0.01 });
+    expect(t).toBeCloseTo(Math.PI / (2 * w), 6);
+  });
+
+  test('rejects a spring count that does not match', () => {
+    expect(() => new CoupledChain({ masses: [1, 1], springs: [1, 1] })).toThrow('needs 3 springs');
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for complex arithmetic helpers in src/complex.js
+ */
+
+import {
+  complex, cAdd, cSub, cMul, cDiv, cAbs, cArg, cExp, cConj,
+  solveComplex,
+  polynomialRoots,
+} from '../src/complex.js';
+
+// ── arithmetic ────────────────────────────────────────────────────────────
+describe('arithmetic', () => {
+  const a = complex(1, 2), b = complex(3, -1);
+
+  test('add / sub', () => {
+    expect(cAdd(a, b)).toEqual({ re: 4, im: 1 });
+    expect(cSub(a, b)).toEqual({ re: -2, im: 3 });
+  });
+
+  test('mul / div are inverse', () => {
+    expect(cMul(a, b)).toEqual({ re: 5, im: 5 });
+    const q = cDiv(cMul(a, b), b);
+    expect(q.re).toBeCloseTo(1, 14);
+    expect(q.im).toBeCloseTo(2, 14);
+  });
+
+  test('abs, arg, conj', () => {
+    expect(cAbs(complex(3, 4))).toBe(5);
+    expect(cArg(complex(0, 1))).toBeCloseTo(Math.PI / 2, 14);
+    expect(cConj(a)).toEqual({ re: 1, im: -2 });
+  });
+
+  test('exp(iπ) = −1', () => {
+    const z = cExp(complex(0, Math.PI));
+    expect(z.re).toBeCloseTo(-1, 14);
+    expect(z.im).toBeCloseTo(0, 14);
+  });
+});
+
+// ── solveComplex ──────────────────────────────────────────────────────────
+describe('solveComplex', () => {
+  test('solves a 2×2 complex system', () => {
+    const A = [[complex(1, 1), complex(2)], [complex(0, -1), complex(1, 3)]];
+    const x = [complex(0.5, -2), complex(1, 1)];
+    const b = A.map(row => row.reduce((s, z, j) => cAdd(s, cMul(z, x[j])), complex(0)));
+    const sol = solveComplex(A, b);
+    sol.forEach((z, i) => {
+      expect(z.re).toBeCloseTo(x[i].re, 12);
+      expect(z.im).toBeCloseTo(x[i].im, 12);
+    });
+  });
+
+  test('throws for a singular matrix', () => {
+    const A = [[complex(1), complex(2)], [complex(2), complex(4)]];
+    expect(() => solveComplex(A, [complex(1), complex(1)])).toThrow('Singular');
+  });
+});
+
+// ── polynomialRoots ───────────────────────────────────────────────────────
+describe('polynomialRoots', () => {
+  test('real roots of (z−1)(z−2)(z+3)', () => {
+    const r = polynomialRoots([1, 0, -7, 6]);
+    expect(r.map(z => z.re)).toEqual([expect.closeTo(-3, 10), expect.closeTo(1, 10), expect.closeTo(2, 10)]);
+    r.forEach(z => expect(z.im).toBe(0));
+  });
+
+  test('complex conjugate pair of z² + 2z + 5', () => {
+    const r = polynomialRoots([1, 2, 5]);
+    expect(r[0].re).toBeCloseTo(-1, 12);
+    expect(r[0].im).toBeCloseTo(-2, 12);
+    expect(r[1].im).toBeCloseTo(2, 12);
+  });
+
+  test('quartic with two conjugate pairs', () => {
+    // (z² + 1)(z² + 0.2z + 4)
+    const r = polynomialRoots([1, 0.2, 5, 0.2, 4]);
+    const ims = r.map(z => Math.abs(z.im)).sort((a, b) => a - b);
+    expect(ims[0]).toBeCloseTo(1, 10);
+    expect(ims[3]).toBeCloseTo(Math.sqrt(4 - 0.01), 10);
+  });
+
+  test('double root is found', () => {
+    const r = polynomialRoots([1, 2, 1]);
+    r.forEach(z => expect(z.re).toBeCloseTo(-1, 6));
+  });
+});
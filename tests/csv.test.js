@@ -0,0 +1,47 @@
+/**
+ * Tests for the trajectory CSV reader in src/csv.js
+ */
+
+import { parseTrajectoryCsv } from '../src/csv.js';
+
+// ── layouts ───────────────────────────────────────────────────────────────
+describe('parseTrajectoryCsv', () => {
+  test('headerless comma-separated t, x1, x2', () => {
+    expect(parseTrajectoryCsv('0,1,0\n0.1,0.98,0.01\n0.2,0.93,0.04\n')).toEqual({
+      t: [0, 0.1, 0.2], x1: [1, 0.98, 0.93], x2: [0, 0.01, 0.04],
+    });
+  });
+
+  test('header picks and orders the columns', () => {
+    const text = 'time (s);X2;x1\n0;0.5;1\n1;0.25;0.75';
+    expect(parseTrajectoryCsv(text)).toEqual({ t: [0, 1], x1: [1, 0.75], x2: [0.5, 0.25] });
+  });
+
+  test('whitespace or tab separators, comments, blank lines and CRLF', () => {
+    const text = '# air track run 3\r\nt\tx₁\r\n\r\n0\t1e-1\r\n0.5\t-2.5E-2\r\n';
+    expect(parseTrajectoryCsv(text)).toEqual({ t: [0, 0.5], x1: [0.1, -0.025], x2: [null, null] });
+    expect(parseTrajectoryCsv('0  1  2\n1  3  4').x2).toEqual([2, 4]);
+  });
+
+  test('empty fields are missing samples', () => {
+    expect(parseTrajectoryCsv('t,x1,x2\n0,1,\n1,,2\n2,3,4')).toEqual({
+      t: [0, 1, 2], x1: [1, null, 3], x2: [null, 2, 4],
+    });
+  });
+});
+
+// ── errors ────────────────────────────────────────────────────────────────
+describe('parseTrajectoryCsv errors', () => {
+  test.each([
+    ['', 'The file contains no data'],
+    ['0,1\n', 'At least two samples are needed'],
+    ['t,y\n0,1\n1,2', "Line 1: unknown column 'y'"],
+    ['x1,x2\n0,1\n1,2', 'Line 1: no time column'],
+    ['0,1,2\n1,abc,2', "Line 2: 'abc' is not a number"],
+    ['0,1\n# note\n0,2', 'Line 3: time 0 does not increase'],
+    ['0,1,2,3\n1,2,3', 'Line 1: 4 fields, expected at most 3'],
+    ['t,x1\n0,1\n,2', 'Line 3: missing time'],
+  ])('%j', (text, message) => {
+    expect(() => parseTrajectoryCsv(text)).toThrow(message);
+  });
+});
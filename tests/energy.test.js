@@ -0,0 +1,127 @@
+/**
+ * Tests for energy accounting across the oscillator classes
+ * (src/energy.js and the energy() methods built on it).
+ */
+
+import { mechanicalEnergy } from '../src/energy.js';
+import { generalizedSymmetricEigen } from '../src/linalg.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+import { ForcedOscillator, ForcedOscillatorRK4 } from '../src/forced-oscillator.js';
+import { CoupledChain } from '../src/chain.js';
+
+const sum = (arr) => arr.reduce((s, v) => s + v, 0);
+const BASE = { m1: 1, m2: 2, k1: 1, k2: 0.5, k3: 1.5, x10: 1, x20: -0.3, v10: 0.2, v20: 0.6 };
+
+// ── mechanicalEnergy ──────────────────────────────────────────────────────
+describe('mechanicalEnergy', () => {
+  const M = [[1, 0], [0, 2]], K = [[1.5, -0.5], [-0.5, 2]];
+  const { values, vectors } = generalizedSymmetricEigen(K, M);
+  const modes = { shapes: vectors, lambdas: values };
+  const e = mechanicalEnergy([1, 2], [1, 0.5, 1.5], modes, [0.4, -0.1], [1, 0.5]);
+
+  test('kinetic and per-spring potential energy', () => {
+    expect(e.kinetic).toEqual([0.5, 0.25]);
+    expect(e.potential[0]).toBeCloseTo(0.5 * 1 * 0.16, 14);
+    expect(e.potential[1]).toBeCloseTo(0.5 * 0.5 * 0.25, 14);
+    expect(e.potential[2]).toBeCloseTo(0.5 * 1.5 * 0.01, 14);
+  });
+
+  test('modal energies add up to the total', () => {
+    expect(sum(e.modes)).toBeCloseTo(e.total, 12);
+  });
+});
+
+// ── free oscillators ──────────────────────────────────────────────────────
+describe('CoupledOscillator.energy', () => {
+  test('undamped: total and each modal energy are conserved', () => {
+    const osc = new CoupledOscillator(BASE);
+    const e0 = osc.energy(0);
+    expect(e0.total).toBeCloseTo(0.5 * 0.04 + 0.5 * 2 * 0.36 + 0.5 * 1 + 0.5 * 0.5 * 1.69 + 0.5 * 1.5 * 0.09, 12);
+    for (const t of [1.3, 7, 25]) {
+      const e = osc.energy(t);
+      expect(e.total).toBeCloseTo(e0.total, 10);
+      expect(e.modes[0]).toBeCloseTo(e0.modes[0], 10);
+      expect(e.modes[1]).toBeCloseTo(e0.modes[1], 10);
+      expect(e.dissipated).toBe(0);
+    }
+  });
+
+  test('energy sloshes between the masses of a weakly coupled pair', () => {
+    const osc = new CoupledOscillator({ m1: 1, m2: 1, k1: 1, k2: 0.05, k3: 1, x10: 1, x20: 0, v10: 0, v20: 0 });
+    // Beat period 2π/(ω₂ − ω₁); half-way through, mass 2 holds nearly all the energy
+    const tHalf = Math.PI / (osc.omega2 - osc.omega1);
+    const e = osc.energy(tHalf);
+    const mass2 = e.kinetic[1] + e.potential[2];
+    expect(mass2 / e.total).toBeGreaterThan(0.9);
+  });
+
+  for (const [name, c] of Object.entries({
+    proportional: { c1: 0.2, c2: 0, c3: 0.3 },
+    'non-proportional': { c1: 0.4, c2: 0.1, c3: 0 },
+  })) {
+    test(`${name} damping: lost energy equals dissipated energy`, () => {
+      const osc = new CoupledOscillator({ ...BASE, ...c });
+      const e0 = osc.energy(0).total;
+      for (const t of [0.5, 4, 20]) {
+        const e = osc.energy(t);
+        expect(e.total + e.dissipated).toBeCloseTo(e0, 9);
+        expect(e.dissipated).toBeGreaterThan(0);
+      }
+    });
+  }
+});
+
+// ── forced oscillators ────────────────────────────────────────────────────
+describe('forced energy balance', () => {
+  const forcing = { forceType: 'sin', forceTarget: 'both', forceA: 0.8, forceOmega: 1.3, forcePhi: 0.4 };
+
+  test('analytic: total + dissipated − work is constant', () => {
+    const f = new ForcedOscillator({ ...BASE, c1: 0.3, c2: 0.1, ...forcing });
+    const e0 = f.energy(0);
+    expect(e0.work).toEqual([0, 0]);
+    for (const t of [0.7, 6, 30]) {
+      const e = f.energy(t);
+      expect(e.total + e.dissipated - sum(e.work)).toBeCloseTo(e0.total, 9);
+    }
+  });
+
+  test('analytic: work grows without bound at resonance', () => {
+    const f = new ForcedOscillator({ ...BASE, m2: 1, k3: 1, x10: 0, x20: 0, v10: 0, v20: 0,
+                                     forceTarget: 'both', forceA: 1, forceOmega: 1 });
+    expect(f.resonance).toEqual([1]);
+    const e = f.energy(40);
+    expect(sum(e.work)).toBeCloseTo(e.total, 9);
+    expect(e.total).toBeGreaterThan(100);
+  });
+
+  test('RK4: accumulated work and dissipation balance the energy', () => {
+    const p = { ...BASE, c1: 0.3, c2: 0.1, ...forcing };
+    const rk = new ForcedOscillatorRK4({ ...p, tMax: 20, steps: 4000 });
+    const exact = new ForcedOscillator(p);
+    const e0 = rk.energy(0).total;
+    for (const t of [5, 20]) {
+      const e = rk.energy(t);
+      expect(e.total + e.dissipated - sum(e.work)).toBeCloseTo(e0, 6);
+      expect(e.work[0]).toBeCloseTo(exact.energy(t).work[0], 5);
+      expect(e.dissipated).toBeCloseTo(exact.energy(t).dissipated, 5);
+    }
+  });
+});
+
+// ── chain ─────────────────────────────────────────────────────────────────
+describe('CoupledChain.energy', () => {
+  test('total and modal energies are conserved, free end springs carry none', () => {
+    const chain = new CoupledChain({
+      masses: [1, 2, 1.5], springs: [1, 0.7, 0.3, 2], rightEnd: 'free',
+      x0: [0.5, 0, -0.4], v0: [0, 0.3, 0],
+    });
+    const e0 = chain.energy(0);
+    expect(sum(e0.modes)).toBeCloseTo(e0.total, 12);
+    for (const t of [2, 11]) {
+      const e = chain.energy(t);
+      expect(e.total).toBeCloseTo(e0.total, 10);
+      e.modes.forEach((m, j) => expect(m).toBeCloseTo(e0.modes[j], 10));
+      expect(e.potential[3]).toBe(0);
+    }
+  });
+});
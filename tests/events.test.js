@@ -0,0 +1,134 @@
+/**
+ * Tests for event detection in src/events.js
+ *
+ * Strategy: pure normal-mode motions of the symmetric system are plain
+ * cosines, so every event time is known in closed form.
+ */
+
+import { findEvents, EVENT_QUANTITIES } from '../src/events.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+import { ForcedOscillatorRK4 } from '../src/forced-oscillator.js';
+
+// Symmetric system: m1=m2=1, k1=k3=1, k2=0.5  →  ω₁=1, ω₂=√2
+const SYM = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1 };
+// In-phase mode: x₁ = x₂ = cos t
+const inPhase = new CoupledOscillator({ ...SYM, x10: 1, x20: 1, v10: 0, v20: 0 });
+// Anti-phase mode: x₁ = −x₂ = cos √2 t
+const antiPhase = new CoupledOscillator({ ...SYM, x10: 1, x20: -1, v10: 0, v20: 0 });
+
+const times = events => events.map(e => e.t);
+
+// ── crossings ─────────────────────────────────────────────────────────────
+describe('findEvents: crossings', () => {
+  test('every zero of cos t, with alternating direction', () => {
+    const ev = findEvents(inPhase, { kinds: ['crossing'], tMax: 10 });
+    const expected = [0.5, 1.5, 2.5].map(n => n * Math.PI);
+    expect(ev).toHaveLength(3);
+    ev.forEach((e, i) => expect(e.t).toBeCloseTo(expected[i], 9));
+    expect(ev.map(e => e.direction)).toEqual(['down', 'up', 'down']);
+    ev.forEach(e => expect(e.value).toBeCloseTo(0, 9));
+  });
+
+  test('crossings of a target level within [tMin, tMax]', () => {
+    const ev = findEvents(inPhase, { kinds: ['crossing'], target: 0.5, tMin: 1, tMax: 7 });
+    expect(times(ev)).toHaveLength(2);
+    expect(ev[0].t).toBeCloseTo(Math.PI / 3, 9);
+    expect(ev[1].t).toBeCloseTo(2 * Math.PI - Math.PI / 3, 9);
+    expect(ev.map(e => e.direction)).toEqual(['down', 'up']);
+  });
+
+  test('gap x₂ − x₁ = d', () => {
+    // x₂ − x₁ = −2 cos √2 t reaches 1 where cos √2 t = −½
+    const [first] = findEvents(antiPhase, { quantity: 'gap', kinds: ['crossing'], target: 1, tMax: 5 });
+    expect(first.t).toBeCloseTo(2 * Math.PI / 3 / Math.SQRT2, 9);
+    expect(first.quantity).toBe('gap');
+  });
+});
+
+// ── extrema and turning points ────────────────────────────────────────────
+describe('findEvents: extrema and turning points', () => {
+  test('maxima and minima of cos t', () => {
+    const ev = findEvents(inPhase, { kinds: ['maximum', 'minimum'], tMax: 13 });
+    expect(ev.map(e => e.kind)).toEqual(['minimum', 'maximum', 'minimum', 'maximum']);
+    ev.forEach((e, i) => expect(e.t).toBeCloseTo((i + 1) * Math.PI, 8));
+    expect(ev[0].value).toBeCloseTo(-1, 12);
+  });
+
+  test('extrema of velocity use the acceleration', () => {
+    const [first] = findEvents(inPhase, { quantity: 'v1', kinds: ['minimum'], tMax: 4 });
+    expect(first.t).toBeCloseTo(Math.PI / 2, 8);
+    expect(first.value).toBeCloseTo(-1, 12);
+  });
+
+  test('extrema of acceleration by numerical derivative', () => {
+    const [first] = findEvents(inPhase, { quantity: 'a1', kinds: ['maximum'], tMax: 4 });
+    expect(first.t).toBeCloseTo(Math.PI, 6);
+  });
+
+  test('turning points of both masses', () => {
+    const ev = findEvents(antiPhase, { kinds: ['turning'], tMax: 5 });
+    const T = Math.PI / Math.SQRT2;
+    expect(ev.map(e => e.mass)).toEqual([1, 2, 1, 2]);
+    expect(ev[0].t).toBeCloseTo(T, 8);
+    expect(ev[2].t).toBeCloseTo(2 * T, 8);
+    expect(ev[0].value).toBeCloseTo(-1, 10);
+    expect(ev[1].value).toBeCloseTo(1, 10);
+  });
+
+  test('events come sorted by time across kinds', () => {
+    const ev = findEvents(inPhase, { tMax: 7 });
+    const t = times(ev);
+    expect(t).toEqual([...t].sort((a, b) => a - b));
+    expect(new Set(ev.map(e => e.kind))).toEqual(new Set(['crossing', 'maximum', 'minimum', 'turning']));
+  });
+});
+
+// ── energy quantities ─────────────────────────────────────────────────────
+describe('findEvents: energy transfer', () => {
+  test('E₁ + E₂ is the total mechanical energy', () => {
+    const osc = new CoupledOscillator({ ...SYM, x10: 0.7, x20: -0.2, v10: 0.3, v20: 0.1 });
+    const [, e1] = EVENT_QUANTITIES.E1;
+    const [, e2] = EVENT_QUANTITIES.E2;
+    [0, 1.3, 4].forEach(t => expect(e1(osc, t) + e2(osc, t)).toBeCloseTo(osc.energy(t).total, 12));
+  });
+
+  test('E₁ + E₂ includes the quartic energy of cubic springs', () => {
+    const osc = new ForcedOscillatorRK4({ ...SYM, beta1: 0.5, beta2: 0.3, beta3: 0.2, x10: 0.7, x20: -0.2,
+                                          forceA: 0, tMax: 5, steps: 500 });
+    const [, e1] = EVENT_QUANTITIES.E1;
+    const [, e2] = EVENT_QUANTITIES.E2;
+    [0, 2.2].forEach(t => expect(e1(osc, t) + e2(osc, t)).toBeCloseTo(osc.energy(t).total, 12));
+  });
+
+  test('weak coupling: the energy beats between the masses', () => {
+    // Beat half-period π / (ω₂ − ω₁): mass 1 holds the least energy there
+    const weak = { m1: 1, m2: 1, k1: 1, k2: 0.05, k3: 1 };
+    const osc = new CoupledOscillator({ ...weak, x10: 1, x20: 0, v10: 0, v20: 0 });
+    const half = Math.PI / (osc.omega2 - osc.omega1);
+    const minima = findEvents(osc, { quantity: 'transfer', kinds: ['minimum'], tMax: 1.5 * half, dt: 0.05 });
+    const deepest = minima.reduce((a, b) => (b.value < a.value ? b : a));
+    expect(Math.abs(deepest.t - half)).toBeLessThan(1);
+    expect(deepest.value).toBeLessThan(0.05);
+    const [halfway] = findEvents(osc, { quantity: 'transfer', kinds: ['crossing'], target: 0.5, tMax: half });
+    expect(halfway.direction).toBe('down');
+  });
+});
+
+// ── other models and validation ───────────────────────────────────────────
+describe('findEvents: models and validation', () => {
+  test('works on a numerical solution', () => {
+    const rk4 = new ForcedOscillatorRK4({ ...SYM, x10: 1, x20: 1, forceA: 0, tMax: 10, steps: 4000 });
+    const ev = findEvents(rk4, { kinds: ['crossing'], tMax: 10 });
+    expect(ev[0].t).toBeCloseTo(Math.PI / 2, 4);
+  });
+
+  test.each([
+    [{ quantity: 'x3', tMax: 1 }, "Unknown quantity 'x3'"],
+    [{ kinds: ['peak'], tMax: 1 }, "Unknown event kind 'peak'"],
+    [{ tMax: 0 }, 'finite tMin < tMax'],
+    [{ tMax: 1, dt: 0 }, 'dt must be positive'],
+    [{ tMax: 1, target: NaN }, 'target must be a finite number'],
+  ])('rejects %j', (opts, message) => {
+    expect(() => findEvents(inPhase, opts)).toThrow(message);
+  });
+});
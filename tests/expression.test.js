@@ -0,0 +1,118 @@
+/**
+ * Tests for the forcing-expression parser in src/expression.js
+ */
+
+import { compileExpression, compileWithDerivative } from '../src/expression.js';
+
+const at = (src, t = 0) => compileExpression(src)(t);
+
+// ── arithmetic ────────────────────────────────────────────────────────────
+describe('arithmetic', () => {
+  test('precedence and associativity', () => {
+    expect(at('1 + 2 * 3')).toBe(7);
+    expect(at('(1 + 2) * 3')).toBe(9);
+    expect(at('8 / 4 / 2')).toBe(1);
+    expect(at('2 ^ 3 ^ 2')).toBe(512);
+    expect(at('-t^2', 3)).toBe(-9);
+    expect(at('2^-1')).toBe(0.5);
+  });
+
+  test('number formats, constants and functions', () => {
+    expect(at('.5e1 + 1.25E-2')).toBeCloseTo(5.0125, 14);
+    expect(at('cos(pi) + log(e)')).toBeCloseTo(0, 14);
+    expect(at('2*exp(-t)*sin(3*t)', 1)).toBeCloseTo(2 * Math.exp(-1) * Math.sin(3), 14);
+    expect(at('max(1, t, 3)', 5)).toBe(5);
+  });
+
+  test('comparisons give 1 or 0', () => {
+    expect(at('t < 2', 1)).toBe(1);
+    expect(at('t >= 2', 1)).toBe(0);
+    expect(at('1 + 1 <= 2')).toBe(1);
+  });
+});
+
+// ── forcing shapes ────────────────────────────────────────────────────────
+describe('forcing shapes', () => {
+  test('step switches on at zero', () => {
+    const f = compileExpression('step(t - 2)');
+    expect([f(1.99), f(2), f(5)]).toEqual([0, 1, 1]);
+  });
+
+  test('impulse has unit area', () => {
+    const f = compileExpression('impulse(t - 1, 0.2)');
+    expect([f(0.99), f(1), f(1.19), f(1.25)]).toEqual([0, 5, 5, 0]);
+  });
+
+  test('square wave follows the sign of sin, with a duty cycle', () => {
+    const f = compileExpression('square(t)');
+    for (const t of [0.3, 2, 4, 6, 7]) expect(f(t)).toBe(Math.sign(Math.sin(t)));
+    expect(at('square(t, 0.25)', 2)).toBe(-1);
+  });
+
+  test('chirp frequency sweeps linearly from w0 to w1', () => {
+    const f = compileExpression('chirp(t, 1, 3, 10)');
+    // phase φ(t) = t + t²/10, so φ'(10) = 3
+    const h = 1e-4;
+    const phase = t => t + t * t / 10;
+    expect(f(10)).toBeCloseTo(Math.sin(phase(10)), 12);
+    expect((phase(10 + h) - phase(10 - h)) / (2 * h)).toBeCloseTo(3, 6);
+  });
+
+  test('piecewise takes the first true branch, else the fallback', () => {
+    const f = compileExpression('piecewise(t < 5, 1, t < 10, -1, 0)');
+    expect([f(0), f(7), f(12)]).toEqual([1, -1, 0]);
+    expect(at('piecewise(t > 1, 2)', 0)).toBe(0);
+  });
+});
+
+// ── derivative ────────────────────────────────────────────────────────────
+describe('compileWithDerivative', () => {
+  const numeric = (f, t, h = 1e-5) => (f(t + h) - f(t - h)) / (2 * h);
+
+  test.each([
+    '2*exp(-t)*sin(3*t)',
+    't^3 - 2/t',
+    '(1 + t)^t',
+    'sqrt(t) * log(t) + atan(t^2)',
+    'tanh(t) / cosh(t)',
+    'chirp(t, 0.5, 2, 30)',
+    'max(sin(t), cos(t))',
+    'piecewise(t < 1, t^2, 3*t)',
+  ])('%s', src => {
+    const { f, df } = compileWithDerivative(src);
+    for (const t of [0.4, 1.7, 2.9]) expect(df(t)).toBeCloseTo(numeric(f, t), 6);
+  });
+
+  test('powers with a constant exponent work for negative bases', () => {
+    expect(compileWithDerivative('t^3').df(-2)).toBe(12);
+  });
+
+  test('jumps contribute nothing', () => {
+    const { df } = compileWithDerivative('0.5*step(t - 1) + square(t)');
+    expect([df(0.5), df(1), df(4)]).toEqual([0, 0, 0]);
+  });
+});
+
+// ── errors ────────────────────────────────────────────────────────────────
+describe('errors', () => {
+  test.each([
+    ['', 'Empty expression'],
+    ['2t', "Unexpected 't' at column 2 (missing '*'?)"],
+    ['1 +', 'Unexpected end of expression'],
+    ['(1 + 2', "Expected ')' but found end of expression"],
+    ['3 $ 4', "Unexpected character '$' at column 3"],
+    ['x + 1', "Unknown name 'x' at column 1"],
+    ['foo(1)', "Unknown function 'foo' at column 1"],
+    ['sin', "'sin' at column 1 is a function: write sin(…)"],
+    ['sin(1, 2)', 'sin() at column 1 takes 1 argument, got 2'],
+    ['t * chirp(t)', 'chirp() at column 5 takes 4 arguments, got 1'],
+  ])('%j', (src, message) => {
+    expect(() => compileExpression(src)).toThrow(message);
+  });
+
+  test('does not reach JavaScript globals or prototypes', () => {
+    for (const src of ['constructor', 'toString(1)', '__proto__', 'Math', 'eval(1)']) {
+      expect(() => compileExpression(src)).toThrow(/Unknown/);
+    }
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for extreme values and envelopes in src/extremes.js
+ */
+
+import { extremeValues, beatEnvelope } from '../src/extremes.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+import { ForcedOscillator, ForcedOscillatorRK4 } from '../src/forced-oscillator.js';
+
+// Symmetric system: m1=m2=1, k1=k3=1, k2=0.5  →  ω₁=1, ω₂=√2
+const SYM = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1 };
+// In-phase mode: x₁ = x₂ = cos t
+const inPhase = new CoupledOscillator({ ...SYM, x10: 1, x20: 1, v10: 0, v20: 0 });
+// Beating: x₁ = (cos t + cos √2 t)/2, x₂ = (cos t − cos √2 t)/2
+const beating = new CoupledOscillator({ ...SYM, x10: 1, x20: 0, v10: 0, v20: 0 });
+
+// ── extremeValues ─────────────────────────────────────────────────────────
+describe('extremeValues', () => {
+  test('cos t over whole periods', () => {
+    const e = extremeValues(inPhase, 1, 'x', { tMin: 0.5, tMax: 0.5 + 4 * Math.PI });
+    expect(e.max.value).toBeCloseTo(1, 12);
+    expect(e.max.t).toBeCloseTo(2 * Math.PI, 8);
+    expect(e.min.value).toBeCloseTo(-1, 12);
+    expect(e.min.t).toBeCloseTo(Math.PI, 8);
+    expect(e.rms).toBeCloseTo(Math.SQRT1_2, 8);
+    expect(e.peakToPeak).toBeCloseTo(2, 12);
+  });
+
+  test('an end point can be the extreme', () => {
+    const e = extremeValues(inPhase, 2, 'x', { tMin: 0.2, tMax: 1 });
+    expect(e.max).toEqual({ t: 0.2, value: inPhase.position(2, 0.2) });
+    expect(e.min).toEqual({ t: 1, value: inPhase.position(2, 1) });
+  });
+
+  test('velocity and acceleration', () => {
+    const v = extremeValues(inPhase, 1, 'v', { tMax: 7 });
+    expect(v.max.t).toBeCloseTo(1.5 * Math.PI, 8);
+    expect(v.max.value).toBeCloseTo(1, 12);
+    const a = extremeValues(inPhase, 1, 'a', { tMax: 7 });
+    expect(a.min.t).toBe(0);
+    expect(a.min.value).toBeCloseTo(-1, 12);
+  });
+
+  test('worst case of the beating mass matches a dense scan', () => {
+    const e = extremeValues(beating, 2, 'x', { tMax: 40 });
+    let max = -Infinity, min = Infinity;
+    for (let i = 0; i <= 400000; i++) {
+      const x = beating.position(2, i * 1e-4);
+      max = Math.max(max, x);
+      min = Math.min(min, x);
+    }
+    expect(e.max.value).toBeGreaterThanOrEqual(max - 1e-12);
+    expect(e.max.value).toBeCloseTo(max, 8);
+    expect(e.min.value).toBeCloseTo(min, 8);
+  });
+
+  test('works on a numerical solution', () => {
+    const rk4 = new ForcedOscillatorRK4({ ...SYM, x10: 1, x20: 1, forceA: 0, tMax: 10, steps: 4000 });
+    const e = extremeValues(rk4, 1, 'x', { tMin: 1, tMax: 10 });
+    expect(e.max.t).toBeCloseTo(2 * Math.PI, 3);
+    expect(e.rms).toBeCloseTo(extremeValues(inPhase, 1, 'x', { tMin: 1, tMax: 10 }).rms, 5);
+  });
+
+  test.each([
+    [3, 'x', {}, 'Unknown mass 3'],
+    [1, 'j', {}, "Unknown quantity 'j'"],
+    [1, 'x', { tMin: 2, tMax: 1 }, 'finite tMin < tMax'],
+  ])('rejects mass %d, quantity %s, %j', (mass, quantity, opts, message) => {
+    expect(() => extremeValues(inPhase, mass, quantity, { tMax: 1, ...opts })).toThrow(message);
+  });
+});
+
+// ── beatEnvelope ──────────────────────────────────────────────────────────
+describe('beatEnvelope', () => {
+  const tArr = Array.from({ length: 301 }, (_, i) => i * 0.1);
+
+  test('two equal modes: |cos(Δω t / 2)|', () => {
+    const { upper, lower, amplitude } = beatEnvelope(beating, 1, tArr);
+    const dw = Math.SQRT2 - 1;
+    tArr.forEach((t, i) => {
+      expect(amplitude[i]).toBeCloseTo(Math.abs(Math.cos(dw * t / 2)), 12);
+      expect(upper[i]).toBeCloseTo(amplitude[i], 12);
+      expect(lower[i]).toBeCloseTo(-amplitude[i], 12);
+    });
+  });
+
+  test('bounds a damped, forced response', () => {
+    const f = new ForcedOscillator({ ...SYM, c1: 0.1, c3: 0.05, x10: 1, x20: -0.3, v10: 0, v20: 0.4,
+                                     forceA: 0.5, forceOmega: 1.7 });
+    [1, 2].forEach(mass => {
+      const { upper, lower } = beatEnvelope(f, mass, tArr);
+      tArr.forEach((t, i) => {
+        const x = f.position(mass, t);
+        expect(x).toBeLessThanOrEqual(upper[i] + 1e-12);
+        expect(x).toBeGreaterThanOrEqual(lower[i] - 1e-12);
+      });
+    });
+  });
+
+  test('a single mode touches its envelope at every peak', () => {
+    const { upper } = beatEnvelope(inPhase, 1, [0, 2 * Math.PI]);
+    expect(upper[0]).toBeCloseTo(1, 12);
+    expect(upper[1]).toBeCloseTo(1, 12);
+  });
+
+  test('numerical solutions have no closed form', () => {
+    const rk4 = new ForcedOscillatorRK4({ ...SYM, x10: 1, x20: 1, forceA: 0, tMax: 1, steps: 10 });
+    expect(() => beatEnvelope(rk4, 1, tArr)).toThrow('closed-form solution');
+  });
+});
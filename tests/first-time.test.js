@@ -0,0 +1,47 @@
+/**
+ * Tests for the shared scan-and-bisect search in src/first-time.js
+ *
+ * Strategy: plain functions with known roots, then a stub model to check
+ * the quantity dispatch that every oscillator class delegates to.
+ */
+
+import { firstCrossing, firstTimeTo } from '../src/first-time.js';
+
+// ── firstCrossing ─────────────────────────────────────────────────────────
+describe('firstCrossing', () => {
+  test('first zero of cos t', () => {
+    expect(firstCrossing(Math.cos, 0)).toBeCloseTo(Math.PI / 2, 8);
+  });
+
+  test('first crossing of a level after tMin', () => {
+    expect(firstCrossing(Math.sin, 0.5, { tMin: 2, tMax: 10 })).toBeCloseTo(5 * Math.PI / 6, 8);
+  });
+
+  test('exact hit at tMin', () => {
+    expect(firstCrossing(t => t - 1, 0, { tMin: 1, tMax: 2 })).toBe(1);
+  });
+
+  test('null when the level is never reached, or only touched', () => {
+    expect(firstCrossing(Math.cos, 2, { tMax: 20 })).toBeNull();
+    expect(firstCrossing(t => (t - 1.005) ** 2, 0, { tMax: 2 })).toBeNull();
+  });
+});
+
+// ── firstTimeTo ───────────────────────────────────────────────────────────
+describe('firstTimeTo', () => {
+  // mass m moves as x = cos(m t)
+  const stub = {
+    position: (m, t) => Math.cos(m * t),
+    velocity: (m, t) => -m * Math.sin(m * t),
+    acceleration: (m, t) => -m * m * Math.cos(m * t),
+  };
+
+  test.each([
+    ['x', 1, 0, Math.PI / 2],
+    ['x', 2, 0, Math.PI / 4],
+    ['v', 1, 0, Math.PI],
+    ['a', 2, 0, Math.PI / 4],
+  ])('%s of mass %d', (quantity, mass, target, expected) => {
+    expect(firstTimeTo(stub, mass, quantity, target, { tMin: 0.1, tMax: 10 })).toBeCloseTo(expected, 8);
+  });
+});
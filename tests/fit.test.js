@@ -0,0 +1,97 @@
+/**
+ * Tests for least-squares parameter identification in src/fit.js
+ *
+ * Strategy: sample a known CoupledOscillator, optionally add seeded
+ * Gaussian noise, and check that the fit recovers the parameters.
+ */
+
+import { fitTrajectory, FIT_PARAMETERS } from '../src/fit.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+
+// ── helpers ───────────────────────────────────────────────────────────────
+const truth = { m1: 1, m2: 1.6, k1: 2, k2: 0.7, k3: 1.3, c1: 0.05, c2: 0, c3: 0,
+                x10: 0.8, x20: -0.2, v10: 0.1, v20: 0.3 };
+const trueValues = { ...truth, massRatio: 1.6 };
+const guess = { m1: 1, m2: 1.3, k1: 1.6, k2: 0.5, k3: 1.1, c1: 0.05 };
+
+// Park–Miller generator with Box–Muller, so the noise is reproducible
+function gaussian(seed) {
+  let s = seed;
+  const uniform = () => { s = (s * 16807) % 2147483647; return s / 2147483647; };
+  return () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+function sample(params, { noise = 0, n = 301, dt = 0.1, seed = 1 } = {}) {
+  const osc = new CoupledOscillator(params);
+  const g = gaussian(seed);
+  const t = Array.from({ length: n }, (_, i) => i * dt);
+  return {
+    t,
+    x1: t.map(s => osc.position(1, s) + noise * g()),
+    x2: t.map(s => osc.position(2, s) + noise * g()),
+  };
+}
+
+// ── recovery ──────────────────────────────────────────────────────────────
+describe('fitTrajectory', () => {
+  test('recovers exact parameters from noise-free data', () => {
+    const fit = fitTrajectory(sample(truth), guess);
+    expect(fit.converged).toBe(true);
+    for (const name of FIT_PARAMETERS) expect(fit.values[name]).toBeCloseTo(trueValues[name], 6);
+    expect(fit.params.m2).toBeCloseTo(1.6, 6);
+    expect(fit.rms).toBeLessThan(1e-8);
+  });
+
+  test('noisy data: estimates lie within a few standard deviations', () => {
+    const fit = fitTrajectory(sample(truth, { noise: 0.01 }), guess);
+    expect(fit.rms).toBeCloseTo(0.01, 2);
+    for (const name of FIT_PARAMETERS) {
+      expect(fit.uncertainties[name]).toBeGreaterThan(0);
+      expect(Math.abs(fit.values[name] - trueValues[name])).toBeLessThan(4 * fit.uncertainties[name]);
+    }
+    const osc = new CoupledOscillator(truth);
+    expect(Math.abs(fit.omegas[0] - osc.omega1)).toBeLessThan(4 * fit.omegaUncertainties[0]);
+    expect(Math.abs(fit.omegas[1] - osc.omega2)).toBeLessThan(4 * fit.omegaUncertainties[1]);
+  });
+
+  test('more noise gives proportionally larger uncertainties', () => {
+    const a = fitTrajectory(sample(truth, { noise: 0.01 }), guess);
+    const b = fitTrajectory(sample(truth, { noise: 0.04 }), guess);
+    expect(b.uncertainties.k2 / a.uncertainties.k2).toBeGreaterThan(3);
+    expect(b.uncertainties.k2 / a.uncertainties.k2).toBeLessThan(5);
+  });
+
+  test('fits a subset, holding the rest at the starting values', () => {
+    const fit = fitTrajectory(sample(truth), { ...truth, k2: 0.4 }, { fit: ['k2'] });
+    expect(Object.keys(fit.values)).toEqual(['k2']);
+    expect(fit.values.k2).toBeCloseTo(0.7, 8);
+    expect(fit.params.k1).toBe(2);
+  });
+
+  test('works with one measured mass and gaps', () => {
+    const data = sample(truth);
+    data.x2 = data.x2.map(() => null);
+    data.x1[10] = null;
+    // x₁ alone shows two frequencies, too few to pin down every stiffness
+    const fit = fitTrajectory(data, { ...truth, k2: 0.5, x20: 0, v20: 0 },
+      { fit: ['k2', 'x10', 'x20', 'v10', 'v20'] });
+    expect(fit.values.k2).toBeCloseTo(0.7, 5);
+    expect(fit.residuals.x1[10]).toBeNull();
+    expect(fit.residuals.x2.every(v => v === null)).toBe(true);
+  });
+
+  test('reports residuals per sample', () => {
+    const data = sample(truth, { n: 51 });
+    const fit = fitTrajectory(data, truth, { fit: [] });
+    expect(fit.iterations).toBe(0);
+    expect(fit.residuals.t).toEqual(data.t);
+    fit.residuals.x1.forEach(r => expect(Math.abs(r)).toBeLessThan(1e-12));
+  });
+
+  test('no uncertainties when the data cannot determine the parameters', () => {
+    // At rest nothing depends on the stiffnesses
+    const still = { ...truth, x10: 0, x20: 0, v10: 0, v20: 0 };
+    const fit = fitTrajectory(sample(still, { n: 20 }), still, { fit: ['k1', 'k2'] });
+    expect(fit.uncertainties).toBeNull();
+  });
+});
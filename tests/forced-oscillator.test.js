@@ -1,13 +1,17 @@
 /**
- * Tests for ForcedOscillatorRK4 in src/forced-oscillator.js
+ * Tests for ForcedOscillatorRK4 and ForcedOscillator in src/forced-oscillator.js
  *
  * Strategy: compare the RK4 numerical solution against the known analytic
  * solution of the unforced system (zero forcing = forcing with A=0), and
  * verify the forced equations of motion for a simple driven case.
  */
 
-import { ForcedOscillatorRK4 } from '../src/forced-oscillator.js';
+import {
+  ForcedOscillatorRK4, ForcedOscillatorVerlet, ForcedOscillatorYoshida, ForcedOscillatorDP, ForcedOscillator,
+  ForcedOscillatorFriction, ForcedOscillatorImpact, compareIntegrators,
+} from '../src/forced-oscillator.js';
 import { CoupledOscillator }    from '../src/oscillator.js';
+import { evaluateTerms }        from '../src/solution-terms.js';
 
 // ── helpers ───────────────────────────────────────────────────────────────
 const nearly = (a, b, eps = 1e-4) => Math.abs(a - b) < eps;
@@ -188,3 +192,603 @@ describe('two-spring model (k3=0)', () => {
     expect(f.acceleration(2, t)).toBeCloseTo(rhs2, 5);
   });
 });
+
+// ── damping ───────────────────────────────────────────────────────────────
+describe('damped forced system', () => {
+  test('zero forcing matches the damped analytic solution', () => {
+    const p = { m1:1, m2:2, k1:1, k2:0.5, k3:1, c1:0.3, c2:0.1, c3:0, x10:1, x20:0, v10:0, v20:0.5 };
+    const osc = new CoupledOscillator(p);
+    const f = new ForcedOscillatorRK4({ ...p, tMax: 20, steps: 4000, forceA: 0 });
+    for (const t of [1, 5, 12, 19]) {
+      expect(f.position(1, t)).toBeCloseTo(osc.position(1, t), 3);
+      expect(f.position(2, t)).toBeCloseTo(osc.position(2, t), 3);
+    }
+  });
+
+  test('acceleration includes the damper forces', () => {
+    const p = { m1:1, m2:1, k1:1, k2:0.5, k3:1, c1:0.4, c2:0.2, c3:0.1, x10:0, x20:0, v10:1, v20:0,
+                tMax: 10, steps: 5000, forceType: 'cos', forceTarget: 'mass1',
+                forceA: 1, forceOmega: 1.2, forcePhi: 0 };
+    const f = new ForcedOscillatorRK4(p);
+    const t = 3;
+    const x1 = f.position(1, t), x2 = f.position(2, t);
+    const v1 = f.velocity(1, t), v2 = f.velocity(2, t);
+    const rhs1 = -(1.5) * x1 + 0.5 * x2 - 0.6 * v1 + 0.2 * v2 + Math.cos(1.2 * t);
+    const rhs2 = 0.5 * x1 - 1.5 * x2 + 0.2 * v1 - 0.3 * v2;
+    expect(f.acceleration(1, t)).toBeCloseTo(rhs1, 10);
+    expect(f.acceleration(2, t)).toBeCloseTo(rhs2, 10);
+  });
+});
+
+// ── adaptive Dormand–Prince ───────────────────────────────────────────────
+describe('ForcedOscillatorDP', () => {
+  const p = { m1:1, m2:2, k1:1, k2:0.5, k3:1, c1:0.3, c2:0.1, c3:0, x10:1, x20:0, v10:0, v20:0.5,
+              forceType:'cos', forceTarget:'both', forceA:1, forceOmega:1.3, forcePhi:0.5, tMax:20 };
+
+  test('matches the closed-form solution between steps', () => {
+    const exact = new ForcedOscillator(p);
+    const dp = new ForcedOscillatorDP({ ...p, atol: 1e-10, rtol: 1e-10 });
+    for (const t of [0.123, 4.567, 11.11, 19.99]) {
+      expect(dp.position(1, t)).toBeCloseTo(exact.position(1, t), 8);
+      expect(dp.velocity(2, t)).toBeCloseTo(exact.velocity(2, t), 8);
+    }
+  });
+
+  test('beats fixed-step RK4 with linear interpolation at a high drive frequency', () => {
+    const q = { ...p, forceOmega: 40, forceA: 200 };
+    const exact = new ForcedOscillator(q);
+    const dp = new ForcedOscillatorDP(q);
+    const rk = new ForcedOscillatorRK4({ ...q, steps: 2000 });
+    const err = f => Math.max(...[3.333, 7.77, 15.05].map(t => Math.abs(f.position(1, t) - exact.position(1, t))));
+    expect(err(dp)).toBeLessThan(1e-5);
+    expect(err(rk)).toBeGreaterThan(10 * err(dp));
+  });
+
+  test('reports integrator statistics', () => {
+    const dp = new ForcedOscillatorDP(p);
+    expect(dp.stats.method).toBe('dopri5');
+    expect(dp.stats.accepted).toBeGreaterThan(0);
+    expect(dp.stats.globalError).toBeGreaterThan(0);
+    expect(new ForcedOscillatorRK4({ ...p, steps: 100 }).stats.accepted).toBe(100);
+  });
+
+  test('energy balance holds to the tolerance', () => {
+    const dp = new ForcedOscillatorDP({ ...p, atol: 1e-10, rtol: 1e-10 });
+    const e0 = dp.energy(0).total;
+    const e = dp.energy(17.3);
+    expect(e.total + e.dissipated - e.work[0] - e.work[1]).toBeCloseTo(e0, 7);
+  });
+});
+
+// ── expression forcing ────────────────────────────────────────────────────
+describe('expression forcing', () => {
+  const base = { m1: 1, m2: 2, k1: 1, k2: 0.5, k3: 1, c1: 0.1, x10: 0.5, x20: 0, v10: 0, v20: 0, tMax: 20 };
+
+  test('an expression equal to the harmonic force gives the same motion', () => {
+    const exact = new ForcedOscillator({ ...base, forceType: 'sin', forceTarget: 'mass2', forceA: 2, forceOmega: 1.3, forcePhi: 0.4 });
+    const dp = new ForcedOscillatorDP({ ...base, forceType: 'expr', forceExpr: ['', '2*sin(1.3*t - 0.4)'],
+                                        atol: 1e-10, rtol: 1e-10 });
+    for (const t of [2.5, 9, 17.7]) {
+      expect(dp.position(1, t)).toBeCloseTo(exact.position(1, t), 7);
+      expect(dp.position(2, t)).toBeCloseTo(exact.position(2, t), 7);
+    }
+  });
+
+  test('each mass takes its own force, seen in the accelerations', () => {
+    const f = new ForcedOscillatorRK4({ ...base, forceType: 'expr', forceExpr: ['step(t - 1)', '-3*t'], steps: 400 });
+    const { x1, x2, v1, v2 } = f.valueAtTime(4);
+    expect(f.acceleration(1, 4)).toBeCloseTo((-(1.5) * x1 + 0.5 * x2 - 0.1 * v1 + 1) / 1, 10);
+    expect(f.acceleration(2, 4)).toBeCloseTo((0.5 * x1 - 1.5 * x2 - 12) / 2, 10);
+  });
+
+  test('a static step load settles at K⁻¹F', () => {
+    const f = new ForcedOscillatorDP({ ...base, c1: 0.5, c3: 0.5, x10: 0, tMax: 200,
+                                       forceType: 'expr', forceExpr: ['step(t - 1)', ''] });
+    // K = [[1.5, −0.5], [−0.5, 1.5]]  →  K⁻¹[1, 0] = [3/4, 1/4]
+    expect(f.position(1, 200)).toBeCloseTo(0.75, 5);
+    expect(f.position(2, 200)).toBeCloseTo(0.25, 5);
+  });
+
+  test('the work done balances the energy', () => {
+    const f = new ForcedOscillatorDP({ ...base, forceType: 'expr', forceExpr: ['chirp(t, 0.5, 2, 20)', 'square(t)'],
+                                       atol: 1e-10, rtol: 1e-10 });
+    const e = f.energy(20);
+    expect(e.total + e.dissipated - e.work[0] - e.work[1]).toBeCloseTo(f.energy(0).total, 5);
+  });
+
+  test('syntax errors surface from the constructor', () => {
+    expect(() => new ForcedOscillatorRK4({ ...base, forceType: 'expr', forceExpr: ['sin(t', ''] }))
+      .toThrow("Expected ')' but found end of expression");
+  });
+});
+
+// ── support motion ────────────────────────────────────────────────────────
+describe('support motion', () => {
+  const base = { m1: 1, m2: 2, k1: 1, k2: 0.5, k3: 1, c1: 0.2, c2: 0.1, c3: 0.3,
+                 x10: 0.1, x20: 0, v10: 0, v20: 0.2, forceA: 0, tMax: 20 };
+  const shake = { baseType: 'cos', baseTarget: 'both', baseU: 0.5, baseOmega: 1.5, basePhi: 0.3 };
+
+  test('numerical and closed-form solutions agree', () => {
+    const exact = new ForcedOscillator({ ...base, ...shake });
+    const dp = new ForcedOscillatorDP({ ...base, ...shake, atol: 1e-10, rtol: 1e-10 });
+    for (const t of [1.1, 8.4, 19.5]) {
+      expect(dp.position(1, t)).toBeCloseTo(exact.position(1, t), 7);
+      expect(dp.velocity(2, t)).toBeCloseTo(exact.velocity(2, t), 7);
+    }
+  });
+
+  test('equations of motion use the spring and damper stretch to the wall', () => {
+    const f = new ForcedOscillator({ ...base, ...shake, baseTarget: 'left', forceA: 0.7, forceTarget: 'mass2' });
+    const t = 3.7;
+    const { x1, v1, x2, v2 } = f.valueAtTime(t);
+    const u = 0.5 * Math.cos(1.5 * t - 0.3), du = -0.75 * Math.sin(1.5 * t - 0.3);
+    expect(f.wallDisplacement(t)).toEqual([u, 0]);
+    expect(f.acceleration(1, t)).toBeCloseTo(-1 * (x1 - u) - 0.5 * (x1 - x2) - 0.2 * (v1 - du) - 0.1 * (v1 - v2), 10);
+    expect(2 * f.acceleration(2, t)).toBeCloseTo(-0.5 * (x2 - x1) - x2 - 0.1 * (v2 - v1) - 0.3 * v2 + 0.7 * Math.cos(t), 10);
+  });
+
+  test('an expression wall input uses its exact velocity', () => {
+    const harmonic = new ForcedOscillatorDP({ ...base, ...shake, atol: 1e-10, rtol: 1e-10 });
+    const expr = new ForcedOscillatorDP({ ...base, baseType: 'expr', baseTarget: 'both',
+                                          baseExpr: '0.5*cos(1.5*t - 0.3)', atol: 1e-10, rtol: 1e-10 });
+    expect(expr.position(2, 13)).toBeCloseTo(harmonic.position(2, 13), 9);
+    expect(expr.wallDisplacement(13)).toEqual(harmonic.wallDisplacement(13));
+  });
+
+  test('the walls do work that balances the energy', () => {
+    const f = new ForcedOscillator({ ...base, ...shake });
+    const e = f.energy(12);
+    expect(e.total + e.dissipated - e.work[0] - e.work[1]).toBeCloseTo(f.energy(0).total, 10);
+  });
+
+  test('a constant wall offset carries a free-ended pair along', () => {
+    // Two-spring model with the left wall stepped to u = 1 at t = 0
+    const f = new ForcedOscillator({ ...base, k3: 0, c3: 0, x10: 0, v20: 0, baseType: 'cos', baseTarget: 'left',
+                                     baseU: 1, baseOmega: 0 });
+    expect(f.resonance).toEqual([]);
+    expect(evaluateTerms(f.steadyTerms, 0, 7)).toBeCloseTo(1, 12);
+    expect(evaluateTerms(f.steadyTerms, 1, 7)).toBeCloseTo(1, 12);
+    expect(f.position(2, 400)).toBeCloseTo(1, 2);
+  });
+
+  test('expression support motion has no closed form', () => {
+    expect(() => new ForcedOscillator({ ...base, baseType: 'expr', baseExpr: 't' })).toThrow('numerical solver');
+  });
+});
+
+// ── cubic (Duffing) springs ───────────────────────────────────────────────
+describe('cubic springs', () => {
+  const base = { m1: 1, m2: 2, k1: 1, k2: 0.5, k3: 1, x10: 0.8, x20: -0.3, v10: 0, v20: 0.4,
+                 forceA: 0, tMax: 20, atol: 1e-10, rtol: 1e-10 };
+  const cubic = { beta1: 0.6, beta2: -0.2, beta3: 1.5 };
+
+  test('β = 0 leaves the linear motion unchanged', () => {
+    const linear = new ForcedOscillatorRK4({ ...base, steps: 800 });
+    const zero = new ForcedOscillatorRK4({ ...base, beta1: 0, beta2: 0, beta3: 0, steps: 800 });
+    expect(zero.position(2, 17.3)).toBe(linear.position(2, 17.3));
+  });
+
+  test('acceleration includes the cubic tension of each spring', () => {
+    const f = new ForcedOscillatorDP({ ...base, ...cubic, forceA: 0.7, forceOmega: 1.3 });
+    const t = 6.2;
+    const { x1, x2 } = f.valueAtTime(t);
+    const d2 = x2 - x1;
+    expect(f.acceleration(1, t)).toBeCloseTo(-x1 - 0.6 * x1 ** 3 + 0.5 * d2 - 0.2 * d2 ** 3 + 0.7 * Math.cos(1.3 * t), 10);
+    expect(2 * f.acceleration(2, t)).toBeCloseTo(-0.5 * d2 + 0.2 * d2 ** 3 - x2 - 1.5 * x2 ** 3, 10);
+  });
+
+  test('the quartic potential conserves energy when free', () => {
+    const f = new ForcedOscillatorDP({ ...base, ...cubic });
+    const e0 = f.energy(0);
+    expect(e0.potential[0]).toBeCloseTo(0.5 * 0.64 + 0.25 * 0.6 * 0.8 ** 4, 12);
+    expect(f.energy(20).total).toBeCloseTo(e0.total, 8);
+    expect(f.energyDrift()).toBeCloseTo(0, 8);
+  });
+
+  test('moving walls stretch the cubic springs, and their work balances', () => {
+    const shake = { baseType: 'sin', baseTarget: 'both', baseU: 0.4, baseOmega: 1.1 };
+    const f = new ForcedOscillatorDP({ ...base, ...cubic, ...shake, c2: 0.1 });
+    const t = 4.4;
+    const { x1, x2 } = f.valueAtTime(t);
+    const u = 0.4 * Math.sin(1.1 * t);
+    const d2 = x2 - x1;
+    expect(f.acceleration(1, t)).toBeCloseTo(-(x1 - u) - 0.6 * (x1 - u) ** 3 + 0.5 * d2 - 0.2 * d2 ** 3
+                                             - 0.1 * (f.velocity(1, t) - f.velocity(2, t)), 10);
+    expect(f.energyDrift()).toBeCloseTo(0, 7);
+  });
+
+  test('a stiffening spring raises the frequency with amplitude', () => {
+    // Uncoupled mass 1: ẍ + x + βx³ = 0, ω ≈ 1 + 3βa²/8 for small βa²
+    const f = new ForcedOscillatorDP({ ...base, k2: 0, beta1: 0.1, x10: 1, tMax: 10 });
+    const quarter = f.firstTimeTo(1, 'x', 0);
+    expect(Math.PI / 2 / quarter).toBeCloseTo(1 + 3 * 0.1 / 8, 2);
+  });
+});
+
+// ── dry friction ──────────────────────────────────────────────────────────
+describe('ForcedOscillatorFriction', () => {
+  // Mass 1 on its own (k₂ = 0): ẍ + x = −μk N sign(ẋ), sticking once |x| < μs N
+  const single = { m1: 1, m2: 1, k1: 1, k2: 0, k3: 1, forceA: 0, muS1: 0.3, muK1: 0.2, normal1: 1, tMax: 30, steps: 600 };
+
+  test('each half-swing loses 2μk N / k and the mass sticks inside the band', () => {
+    const f = new ForcedOscillatorFriction({ ...single, x10: 3 });
+    // Turning points every π at 3, −2.6, 2.2, … until |x| < 0.3 at −0.2
+    [3, -2.6, 2.2, -1.8].forEach((x, n) => expect(f.position(1, n * Math.PI)).toBeCloseTo(x, 6));
+    expect(f.transitions).toHaveLength(1);
+    const [stick] = f.transitions;
+    expect(stick).toMatchObject({ mass: 1, kind: 'stick' });
+    expect(stick.t).toBeCloseTo(7 * Math.PI, 5);
+    expect(stick.x).toBeCloseTo(-0.2, 6);
+    expect(f.restPositions()[0]).toBeCloseTo(-0.2, 6);
+    expect(f.restPositions()[1]).toBeNull();
+    expect(f.stuck(1, 21)).toBe(false);
+    expect(f.stuck(1, 23)).toBe(true);
+    expect(f.velocity(1, 25)).toBe(0);
+  });
+
+  test('kinetic friction enters the acceleration and the energy balance', () => {
+    const f = new ForcedOscillatorFriction({ ...single, x10: 3, v20: 0.5, c2: 0.1, k2: 0.5 });
+    // Sliding towards −x in the first half-swing: ẍ = −(k₁ + k₂)x + k₂x₂ + μk N
+    const t = 1;
+    const expected = -1.5 * f.position(1, t) + 0.5 * f.position(2, t) - 0.1 * f.velocity(1, t) + 0.1 * f.velocity(2, t) + 0.2;
+    expect(f.acceleration(1, t)).toBeCloseTo(expected, 10);
+    expect(f.energy(30).dissipated).toBeGreaterThan(0);
+    expect(f.energyDrift()).toBeCloseTo(0, 5);
+  });
+
+  test('a mass released inside the band never moves', () => {
+    const f = new ForcedOscillatorFriction({ ...single, x10: 0.25 });
+    expect(f.transitions).toEqual([]);
+    expect(f.stuck(1, 0)).toBe(true);
+    expect(f.position(1, 30)).toBe(0.25);
+    expect(f.acceleration(1, 10)).toBe(0);
+  });
+
+  test('a ramp force breaks the mass away when it reaches μs N', () => {
+    const f = new ForcedOscillatorFriction({ ...single, forceType: 'expr', forceExpr: ['0.1 * t', ''], tMax: 10 });
+    const [slip] = f.transitions;
+    expect(slip).toMatchObject({ mass: 1, kind: 'slip' });
+    expect(slip.t).toBeCloseTo(3, 8);
+    expect(f.position(1, 2.9)).toBe(0);
+    expect(f.velocity(1, 3.5)).toBeGreaterThan(0);
+  });
+
+  test('without friction it matches ForcedOscillatorRK4', () => {
+    const p = { m1: 1, m2: 2, k1: 1, k2: 0.5, k3: 1, x10: 1, v20: 0.3, forceA: 0.5, forceOmega: 1.3, tMax: 20, steps: 400 };
+    const f = new ForcedOscillatorFriction({ ...p, muS1: 0.5, muK1: 0.4, normal1: 1 });
+    const rk4 = new ForcedOscillatorRK4(p);
+    const plain = new ForcedOscillatorFriction(p);
+    expect(plain.position(2, 13.3)).toBeCloseTo(rk4.position(2, 13.3), 12);
+    expect(plain.restPositions()).toEqual([null, null]);
+    expect(f.position(2, 13.3)).not.toBeCloseTo(rk4.position(2, 13.3), 2);
+    expect(f.stats.method).toBe('rk4-events');
+  });
+
+  test.each([
+    [{ muS1: 0.1, muK1: 0.2 }, 'Mass 1 needs 0 ≤ μk ≤ μs'],
+    [{ muS2: 0.3, muK2: -0.1 }, 'Mass 2 needs 0 ≤ μk ≤ μs'],
+    [{ muS2: 0.3, normal2: -1 }, 'normal force on mass 2 must be ≥ 0'],
+  ])('rejects %j', (friction, message) => {
+    expect(() => new ForcedOscillatorFriction({ ...single, ...friction })).toThrow(message);
+  });
+});
+
+// ── impacts ───────────────────────────────────────────────────────────────
+describe('ForcedOscillatorImpact', () => {
+  // No springs: bodies fly freely between impacts
+  const free = { m1: 1, m2: 1, k1: 0, k2: 0, k3: 0, forceA: 0, length2: 1, tMax: 3, steps: 30 };
+
+  test('equal masses exchange velocities in an elastic impact', () => {
+    const f = new ForcedOscillatorImpact({ ...free, v10: 1 });
+    expect(f.collisions).toHaveLength(1);
+    const [hit] = f.collisions;
+    expect(hit.t).toBeCloseTo(1, 8);
+    expect(hit.contact).toBe('1-2');
+    expect(hit.impulse).toBeCloseTo(1, 12);
+    expect(f.velocity(1, 2)).toBeCloseTo(0, 12);
+    expect(f.velocity(2, 2)).toBeCloseTo(1, 12);
+    expect(f.position(2, 3)).toBeCloseTo(2, 8);
+  });
+
+  test('restitution: momentum kept, closing speed scaled by e, loss dissipated', () => {
+    const f = new ForcedOscillatorImpact({ ...free, m2: 2, v10: 1, restitution: 0.5 });
+    const [v1, v2] = f.collisions[0].velocities;
+    expect(v1).toBeCloseTo(0, 12);
+    expect(v2).toBeCloseTo(0.5, 12);
+    expect(v1 + 2 * v2).toBeCloseTo(1, 12);
+    // ½·1·1² − ½·2·0.5²
+    expect(f.energy(3).dissipated).toBeCloseTo(0.25, 10);
+    expect(f.energyDrift()).toBeCloseTo(0, 10);
+  });
+
+  test('a wall reflects the mass and takes the impulse', () => {
+    const f = new ForcedOscillatorImpact({ ...free, length1: 1, length2: Infinity, v10: -1, restitution: 0.5 });
+    const [hit] = f.collisions;
+    expect(hit).toMatchObject({ contact: 'wall-1' });
+    expect(hit.t).toBeCloseTo(1, 8);
+    expect(hit.impulse).toBeCloseTo(1.5, 12);
+    expect(f.velocity(1, 2)).toBeCloseTo(0.5, 12);
+  });
+
+  test('springs and walls: the gaps never close and energy balances', () => {
+    const f = new ForcedOscillatorImpact({
+      m1: 1, m2: 2, k1: 1, k2: 0.5, k3: 1, x10: 0.8, v10: 2, forceA: 0,
+      length1: 1.5, length2: 1, length3: 1.5, restitution: 0.8, tMax: 30, steps: 600,
+    });
+    expect(f.collisions.length).toBeGreaterThan(3);
+    expect(new Set(f.collisions.map(c => c.contact))).toEqual(new Set(['wall-1', '1-2']));
+    f.collisions.forEach(c => expect(c.impulse).toBeGreaterThan(0));
+    for (let t = 0; t <= 30; t += 0.01) {
+      const x1 = f.position(1, t), x2 = f.position(2, t);
+      expect(Math.min(1.5 + x1, 1 + x2 - x1, 1.5 - x2)).toBeGreaterThan(-1e-6);
+    }
+    expect(f.energyDrift()).toBeCloseTo(0, 5);
+  });
+
+  test('a moving wall does work through its impulse', () => {
+    const f = new ForcedOscillatorImpact({
+      m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1, v10: -1, forceA: 0, length1: 0.5,
+      baseType: 'cos', baseTarget: 'left', baseU: 0.2, baseOmega: 3, tMax: 20, steps: 2000,
+    });
+    expect(f.collisions.some(c => c.contact === 'wall-1')).toBe(true);
+    expect(f.energyDrift()).toBeCloseTo(0, 5);
+  });
+
+  test('an impact sets a stuck mass sliding', () => {
+    const f = new ForcedOscillatorImpact({ ...free, v10: 1, muS2: 0.5, muK2: 0.3, normal2: 1, tMax: 5, steps: 50 });
+    expect(f.stuck(2, 0.5)).toBe(true);
+    expect(f.transitions.map(e => e.kind)).toEqual(['slip', 'stick']);
+    expect(f.transitions[0].t).toBeCloseTo(1, 8);
+    // Sliding from v = 1 under μk N = 0.3 stops after 1 / 0.3
+    expect(f.transitions[1].t).toBeCloseTo(1 + 1 / 0.3, 6);
+    expect(f.restPositions()[1]).toBeCloseTo(0.5 / 0.3, 6);
+  });
+
+  test('e = 0 under load: the mass rests on the wall until the force pulls it away', () => {
+    // F₁ = −cos t: lands at 1 − cos t = L₁, lets go at t = π/2, then
+    // x₁ = −L₁ + cos t + t − π/2
+    const f = new ForcedOscillatorImpact({
+      ...free, length1: 0.2, length2: Infinity, forceType: 'expr', forceExpr: ['-cos(t)', ''], restitution: 0,
+    });
+    expect(f.collisions).toHaveLength(1);
+    expect(f.rests.map(r => r.kind)).toEqual(['rest', 'release']);
+    expect(f.rests[0].t).toBeCloseTo(Math.acos(0.8), 6);
+    expect(f.rests[1].t).toBeCloseTo(Math.PI / 2, 8);
+    expect(f.resting('wall-1', 1)).toBe(true);
+    expect(f.position(1, 1)).toBeCloseTo(-0.2, 10);
+    expect(f.acceleration(1, 1)).toBe(0);
+    expect(f.position(1, 3)).toBeCloseTo(-0.2 + Math.cos(3) + 3 - Math.PI / 2, 6);
+  });
+
+  test('e < 1 pressed against a wall settles instead of chattering', () => {
+    const f = new ForcedOscillatorImpact({
+      m1: 1, m2: 2, k1: 1, k2: 0.5, k3: 1, x10: 0.5, length1: 0.3, length2: 1, length3: 1.5,
+      forceA: -2, forceOmega: 0, restitution: 0.7, tMax: 20, steps: 400,
+    });
+    expect(f.rests[0]).toMatchObject({ contact: 'wall-1', kind: 'rest' });
+    expect(f.collisions.length).toBeLessThan(50);
+    expect(f.resting('wall-1', 20)).toBe(true);
+    expect(f.position(1, 20)).toBeCloseTo(-0.3, 8);
+    expect(f.energyDrift()).toBeCloseTo(0, 5);
+  });
+
+  test('e = 0 between the masses: they move on as one', () => {
+    const f = new ForcedOscillatorImpact({
+      ...free, length2: 0.5, forceType: 'expr', forceExpr: ['1', ''], restitution: 0, tMax: 4, steps: 100,
+    });
+    expect(f.rests).toEqual([{ t: expect.closeTo(1, 8), contact: '1-2', kind: 'rest' }]);
+    // Hit at v₁ = 1, then v = ½ and a = ½ for the pair
+    expect(f.position(1, 4)).toBeCloseTo(0.5 + 1.5 + 0.25 * 9, 8);
+    expect(f.position(2, 4) - f.position(1, 4)).toBeCloseTo(-0.5, 8);
+    expect(f.acceleration(2, 3)).toBeCloseTo(0.5, 10);
+  });
+
+  test('with infinite rest lengths nothing collides', () => {
+    const p = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1, x10: 5, forceA: 0, tMax: 10, steps: 200 };
+    const f = new ForcedOscillatorImpact(p);
+    expect(f.collisions).toEqual([]);
+    expect(f.position(2, 7)).toBeCloseTo(new ForcedOscillatorRK4(p).position(2, 7), 12);
+  });
+
+  test.each([
+    [{ restitution: 1.5 }, 'restitution e must be between 0 and 1'],
+    [{ length1: 0 }, 'rest length L1 must be positive'],
+    [{ x10: 1.2 }, "no gap at contact '1-2'"],
+  ])('rejects %j', (bad, message) => {
+    expect(() => new ForcedOscillatorImpact({ ...free, ...bad })).toThrow(message);
+  });
+});
+
+// ── symplectic integrators and energy drift ──────────────────────────────
+describe('symplectic integrators', () => {
+  const p = { m1:1, m2:2, k1:1, k2:0.5, k3:1, x10:1, x20:0, v10:0, v20:0.5,
+              forceType:'cos', forceTarget:'both', forceA:0, forceOmega:1, forcePhi:0, tMax:200 };
+
+  test('Yoshida follows the closed-form solution', () => {
+    const exact = new ForcedOscillator({ ...p, forceA: 1, forceOmega: 1.3, c1: 0.2 });
+    const y = new ForcedOscillatorYoshida({ ...p, forceA: 1, forceOmega: 1.3, c1: 0.2, tMax: 20, steps: 2000 });
+    for (const t of [3, 11, 20]) expect(y.position(2, t)).toBeCloseTo(exact.position(2, t), 4);
+  });
+
+  test('energyDrift: symplectic schemes stay bounded, RK4 decays', () => {
+    const drift = Cls => new Cls({ ...p, steps: 400 }).energyDrift();
+    expect(drift(ForcedOscillatorRK4)).toBeLessThan(-0.01);
+    expect(Math.abs(drift(ForcedOscillatorVerlet))).toBeLessThan(0.05);
+    expect(Math.abs(drift(ForcedOscillatorYoshida))).toBeLessThan(Math.abs(drift(ForcedOscillatorRK4)) / 10);
+  });
+
+  test('energyDrift accounts for damping and is null from rest', () => {
+    expect(new ForcedOscillatorDP({ ...p, c2: 0.4, atol: 1e-10, rtol: 1e-10 }).energyDrift()).toBeCloseTo(0, 6);
+    expect(new ForcedOscillatorRK4({ ...p, x10: 0, v20: 0 }).energyDrift()).toBeNull();
+  });
+
+  test('compareIntegrators runs each fixed-step scheme unforced', () => {
+    const rows = compareIntegrators({ ...p, forceA: 5 }, { tMax: 200, steps: 400 });
+    expect(rows.map(r => r.method)).toEqual(['rk4', 'verlet', 'yoshida4']);
+    expect(rows[0].drift).toBeCloseTo(new ForcedOscillatorRK4({ ...p, steps: 400 }).energyDrift(), 12);
+    expect(rows[2].evaluations).toBeGreaterThan(rows[1].evaluations);
+  });
+});
+
+// ── analytic ForcedOscillator ─────────────────────────────────────────────
+describe('analytic ForcedOscillator', () => {
+  const base = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1, x10: 1, x20: 0, v10: 0, v20: 0,
+                 forceType: 'cos', forceTarget: 'mass1', forceA: 1, forceOmega: 0.7, forcePhi: 0 };
+
+  // Residuals of M ẍ + C ẋ + K x − F(t) for both masses at time t
+  function residuals(f, t) {
+    const { m1, m2, k1, k2, k3, c1, c2, c3, forceType, forceTarget, forceA, forceOmega, forcePhi } = f;
+    const F = forceA * (forceType === 'sin' ? Math.sin : Math.cos)(forceOmega * t - forcePhi);
+    const F1 = forceTarget === 'mass2' ? 0 : F;
+    const F2 = forceTarget === 'mass1' ? 0 : F;
+    const { x1, v1, a1, x2, v2, a2 } = f.valueAtTime(t);
+    return [
+      m1 * a1 + (c1 + c2) * v1 - c2 * v2 + (k1 + k2) * x1 - k2 * x2 - F1,
+      m2 * a2 - c2 * v1 + (c2 + c3) * v2 - k2 * x1 + (k2 + k3) * x2 - F2,
+    ];
+  }
+
+  const cases = {
+    'undamped, cos on mass 1':        {},
+    'undamped, sin with phase, both': { forceType: 'sin', forceTarget: 'both', forcePhi: 0.4, forceOmega: 1.9 },
+    'proportional damping':           { c1: 0.2, c3: 0.2, forceTarget: 'mass2' },
+    'non-proportional damping':       { m2: 2, c1: 0.3, forceOmega: 1.1, forcePhi: -1 },
+    'uncoupled (k2 = 0)':             { k2: 0, k3: 2, forceTarget: 'both' },
+    'resonant with ω₁':               { forceOmega: 1, forceTarget: 'both' },
+    'resonant with ω₂':               { forceOmega: Math.SQRT2, forceType: 'sin', forcePhi: 0.3 },
+    'free-floating (k1 = k3 = 0)':    { k1: 0, k3: 0 },
+    'static load, damped free pair':  { k1: 0, k3: 0, c1: 0.3, c3: 0.3, forceOmega: 0, forceTarget: 'both' },
+    'static load, non-proportional':  { k1: 0, k3: 0, c1: 0.5, forceOmega: 0 },
+  };
+
+  for (const [name, over] of Object.entries(cases)) {
+    const f = new ForcedOscillator({ ...base, ...over });
+
+    test(`${name}: initial conditions reproduced`, () => {
+      expect(f.position(1, 0)).toBeCloseTo(base.x10, 10);
+      expect(f.position(2, 0)).toBeCloseTo(base.x20, 10);
+      expect(f.velocity(1, 0)).toBeCloseTo(base.v10, 10);
+      expect(f.velocity(2, 0)).toBeCloseTo(base.v20, 10);
+    });
+
+    test(`${name}: forced equations of motion satisfied`, () => {
+      for (const t of [0.3, 2, 7.5, 40, 120]) {
+        const [r1, r2] = residuals(f, t);
+        expect(r1).toBeCloseTo(0, 8);
+        expect(r2).toBeCloseTo(0, 8);
+      }
+    });
+  }
+
+  test('agrees with the RK4 integrator', () => {
+    const p = { ...base, m2: 2, c1: 0.3, c2: 0.1, forceOmega: 1.3, forcePhi: 0.5, forceTarget: 'both' };
+    const f = new ForcedOscillator(p);
+    const rk = new ForcedOscillatorRK4({ ...p, tMax: 20, steps: 4000 });
+    for (const t of [1, 6, 13, 19]) {
+      expect(f.position(1, t)).toBeCloseTo(rk.position(1, t), 4);
+      expect(f.position(2, t)).toBeCloseTo(rk.position(2, t), 4);
+    }
+  });
+
+  test('off resonance the steady state is the undamped response (K − Ω²M)⁻¹F', () => {
+    const f = new ForcedOscillator({ ...base, x10: 0 });
+    // det = (1.5 − 0.49)² − 0.25
+    const d = (1.5 - 0.49) ** 2 - 0.25;
+    expect(f.resonance).toEqual([]);
+    expect(f.steadyTerms).toHaveLength(1);
+    expect(f.steadyTerms[0].c[0]).toBeCloseTo((1.5 - 0.49) / d, 12);
+    expect(f.steadyTerms[0].c[1]).toBeCloseTo(0.5 / d, 12);
+  });
+
+  test('damped transient dies out, leaving the steady state', () => {
+    const f = new ForcedOscillator({ ...base, c1: 0.5, c2: 0.2, c3: 0.5 });
+    const t = 150;
+    expect(f.position(1, t)).toBeCloseTo(evaluateTerms(f.steadyTerms, 0, t), 8);
+    expect(f.position(2, t)).toBeCloseTo(evaluateTerms(f.steadyTerms, 1, t), 8);
+  });
+
+  test('exact resonance produces a secular t·sin(ωt) term', () => {
+    const f = new ForcedOscillator({ ...base, x10: 0, forceOmega: 1, forceTarget: 'both' });
+    expect(f.resonance).toEqual([1]);
+    // In-phase mode: q̈ + q = cos t  →  x₁ = x₂ = t sin t / 2
+    for (const t of [1, 10, 50]) {
+      expect(f.position(1, t)).toBeCloseTo(t * Math.sin(t) / 2, 10);
+      expect(f.position(2, t)).toBeCloseTo(t * Math.sin(t) / 2, 10);
+    }
+  });
+
+  test('resonance is the continuous limit of near-resonant drive', () => {
+    const exact = new ForcedOscillator({ ...base, forceOmega: Math.SQRT2 });
+    const near  = new ForcedOscillator({ ...base, forceOmega: Math.SQRT2 * (1 + 1e-7) });
+    expect(exact.resonance).toEqual([2]);
+    expect(near.resonance).toEqual([]);
+    for (const t of [2, 9]) expect(near.position(1, t)).toBeCloseTo(exact.position(1, t), 4);
+  });
+
+  test('damping removes the resonance', () => {
+    const f = new ForcedOscillator({ ...base, c1: 0.1, c3: 0.1, forceOmega: 1 });
+    expect(f.resonance).toEqual([]);
+    expect(f.terms.every(t => t.power === 0)).toBe(true);
+  });
+
+  test('firstTimeTo is not capped at a tMax', () => {
+    const f = new ForcedOscillator(base);
+    const t = f.firstTimeTo(1, 'x', 0, { tMin: 200, tMax: 220 });
+    expect(t).not.toBeNull();
+    expect(t).toBeGreaterThanOrEqual(200);
+    expect(f.position(1, t)).toBeCloseTo(0, 8);
+  });
+
+  test('static load on a damped free pair drifts at terminal velocity', () => {
+    const f = new ForcedOscillator({ ...base, k1: 0, k3: 0, c1: 0.3, c3: 0.3, forceOmega: 0, forceTarget: 'both' });
+    expect(f.resonance).toEqual([1]);
+    // ẍ + 0.3 ẋ = 1 on the rigid-body mode → terminal velocity 1/0.3
+    expect(f.velocity(1, 200)).toBeCloseTo(1 / 0.3, 8);
+  });
+
+  test('static load on a non-proportionally damped free pair matches ForcedOscillatorDP', () => {
+    const p = { ...base, k1: 0, k3: 0, c1: 0.5, forceOmega: 0, v10: 0.3, tMax: 30 };
+    const f = new ForcedOscillator(p);
+    const dp = new ForcedOscillatorDP({ ...p, atol: 1e-11, rtol: 1e-11 });
+    expect(f.proportionalDamping).toBe(false);
+    expect(f.resonance).toEqual([1]);
+    expect(f.steadyTerms.some(t => t.power === 1)).toBe(true);
+    for (const t of [3, 17.5, 29]) {
+      expect(f.position(1, t)).toBeCloseTo(dp.position(1, t), 8);
+      expect(f.position(2, t)).toBeCloseTo(dp.position(2, t), 8);
+    }
+    // Only c₁ holds back the pair: terminal velocity F / c₁ = 2
+    expect(f.velocity(1, 200)).toBeCloseTo(2, 8);
+    expect(f.velocity(2, 200)).toBeCloseTo(2, 8);
+  });
+
+  test('negative stiffness: unstable flag and equations of motion', () => {
+    const f = new ForcedOscillator({ ...base, k1: -1, k2: 0.2, c1: 0.1 });
+    expect(f.unstable).toBe(true);
+    for (const t of [0.5, 3]) {
+      const [r1, r2] = residuals(f, t);
+      expect(r1).toBeCloseTo(0, 8);
+      expect(r2).toBeCloseTo(0, 8);
+    }
+  });
+
+  test('exposes the natural frequencies of the unforced system', () => {
+    const f = new ForcedOscillator(base);
+    expect(f.omega1).toBeCloseTo(1, 12);
+    expect(f.omega2).toBeCloseTo(Math.SQRT2, 12);
+  });
+});
+
+// ── guaranteedTimeTo ──────────────────────────────────────────────────────
+describe('ForcedOscillator.guaranteedTimeTo', () => {
+  test('finds the peak of the steady state, touched but not crossed', () => {
+    // Pure steady state x = X cos 2t from matching initial conditions
+    const params = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1, forceA: 1, forceOmega: 2 };
+    const probe = new ForcedOscillator(params);
+    const [x10, x20] = [0, 1].map(i => evaluateTerms(probe.steadyTerms, i, 0));
+    const f = new ForcedOscillator({ ...params, x10, x20, v10: 0, v20: 0 });
+    const r = f.guaranteedTimeTo(1, 'x', x10, { tMin: 0.1, tMax: 10 });
+    expect(r).not.toBeNull();
+    expect(r.t).toBeCloseTo(Math.PI, 4);
+  });
+});
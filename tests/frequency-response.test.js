@@ -0,0 +1,153 @@
+/**
+ * Tests for the frequency-response helpers in src/frequency-response.js
+ */
+
+import { frequencyResponse, receptance, antiResonances, transmissibility } from '../src/frequency-response.js';
+import { ForcedOscillator } from '../src/forced-oscillator.js';
+
+// Symmetric system: m1=m2=1, k1=k3=1, k2=0.5  →  ω₁=1, ω₂=√2
+const SYM = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1 };
+
+// ── receptance ────────────────────────────────────────────────────────────
+describe('receptance', () => {
+  test('undamped: (K − Ω²M)⁻¹ f', () => {
+    const W = 0.7;
+    const d = (1.5 - W * W) ** 2 - 0.25;
+    const [X1, X2] = receptance(SYM, 'mass1', W);
+    expect(X1.re).toBeCloseTo((1.5 - W * W) / d, 12);
+    expect(X2.re).toBeCloseTo(0.5 / d, 12);
+    expect(X1.im).toBeCloseTo(0, 12);
+  });
+
+  test('matches the steady state of the analytic ForcedOscillator', () => {
+    const p = { ...SYM, m2: 2, c1: 0.3, c2: 0.1 };
+    const W = 1.2;
+    const X = receptance(p, 'both', W);
+    const f = new ForcedOscillator({ ...p, forceTarget: 'both', forceA: 1, forceOmega: W });
+    // x_p = Re(X) cos Ωt − Im(X) sin Ωt
+    f.steadyTerms[0].c.forEach((c, i) => expect(c).toBeCloseTo(X[i].re, 12));
+    f.steadyTerms[0].s.forEach((s, i) => expect(s).toBeCloseTo(-X[i].im, 12));
+  });
+
+  test('undamped resonance gives infinite amplitude', () => {
+    const [X1] = receptance(SYM, 'mass1', 1);
+    expect(X1.re).toBe(Infinity);
+  });
+});
+
+// ── antiResonances ────────────────────────────────────────────────────────
+describe('antiResonances', () => {
+  test('driven mass stands still at √((k₂+k₃)/m₂)', () => {
+    expect(antiResonances(SYM, 'mass1')).toEqual([{ mass: 1, omega: Math.sqrt(1.5) }]);
+    expect(antiResonances(SYM, 'mass2')).toEqual([{ mass: 2, omega: Math.sqrt(1.5) }]);
+  });
+
+  test('tuned vibration absorber (two-spring model)', () => {
+    const p = { m1: 1, m2: 0.25, k1: 1, k2: 0.25, k3: 0 };
+    expect(antiResonances(p, 'mass1')).toEqual([{ mass: 1, omega: 1 }]);
+    const [X1] = receptance(p, 'mass1', 1);
+    expect(X1.re).toBeCloseTo(0, 12);
+  });
+
+  test('both masses driven', () => {
+    // N₁ = (2k₂ + k₃) − Ω²m₂ → Ω² = 2
+    const anti = antiResonances(SYM, 'both');
+    expect(anti.map(a => a.mass)).toEqual([1, 2]);
+    anti.forEach(a => expect(a.omega).toBeCloseTo(Math.SQRT2, 12));
+  });
+});
+
+// ── frequencyResponse ─────────────────────────────────────────────────────
+describe('frequencyResponse', () => {
+  const damped = { ...SYM, c1: 0.05, c3: 0.05 };
+  const fr = frequencyResponse(damped, { forceTarget: 'mass1', points: 2000 });
+
+  test('grid spans 0 … 2 × highest characteristic frequency', () => {
+    expect(fr.omega[0]).toBe(0);
+    expect(fr.omega[fr.omega.length - 1]).toBeCloseTo(2 * Math.SQRT2, 12);
+    expect(fr.amplitude[0]).toHaveLength(2001);
+  });
+
+  test('reports natural and anti-resonance frequencies', () => {
+    expect(fr.naturalFrequencies[0]).toBeCloseTo(1, 12);
+    expect(fr.naturalFrequencies[1]).toBeCloseTo(Math.SQRT2, 12);
+    expect(fr.antiResonances).toEqual([{ mass: 1, omega: Math.sqrt(1.5) }]);
+  });
+
+  test('lightly damped peaks sit at ω₁ and ω₂', () => {
+    const amp = fr.amplitude[1];
+    const peaks = [];
+    for (let i = 1; i < amp.length - 1; i++) {
+      if (amp[i] > amp[i - 1] && amp[i] > amp[i + 1]) peaks.push(fr.omega[i]);
+    }
+    expect(peaks).toHaveLength(2);
+    expect(peaks[0]).toBeCloseTo(1, 2);
+    expect(peaks[1]).toBeCloseTo(Math.SQRT2, 2);
+  });
+
+  test('static response equals K⁻¹ f with zero phase', () => {
+    // K⁻¹ = [[1.5, 0.5], [0.5, 1.5]] / 2
+    expect(fr.amplitude[0][0]).toBeCloseTo(0.75, 12);
+    expect(fr.amplitude[1][0]).toBeCloseTo(0.25, 12);
+    expect(fr.phase[0][0]).toBeCloseTo(0, 12);
+  });
+
+  test('phase of the far mass lags through −π to −2π', () => {
+    const ph = fr.phase[1];
+    expect(ph[ph.length - 1]).toBeCloseTo(-2 * Math.PI, 1);
+    for (let i = 1; i < ph.length; i++) expect(ph[i]).toBeLessThanOrEqual(ph[i - 1] + 1e-12);
+  });
+
+  test('undamped phase lags π at resonance and recovers at anti-resonance', () => {
+    const u = frequencyResponse(SYM, { forceTarget: 'mass2', omegaMax: 1.3, points: 130 });
+    const at = (W) => u.phase[1][Math.round(W * 100)];
+    expect(at(0.9)).toBeCloseTo(0, 12);
+    expect(at(1.1)).toBeCloseTo(-Math.PI, 12);   // past ω₁ = 1
+    expect(at(1.3)).toBeCloseTo(0, 12);          // past the anti-resonance √1.5
+  });
+});
+
+// ── support motion ────────────────────────────────────────────────────────
+describe('transmissibility', () => {
+  const p = { m1: 1, m2: 2, k1: 1, k2: 0.5, k3: 1, c1: 0.2, c2: 0.1, c3: 0.3 };
+
+  test('a free-ended pair follows the wall at low frequency', () => {
+    const T = transmissibility({ ...p, k3: 0, c3: 0 }, 'left', 0);
+    expect(T[0].re).toBeCloseTo(1, 12);
+    expect(T[1].re).toBeCloseTo(1, 12);
+    // Shaking both walls of the three-spring system moves everything with them
+    const both = transmissibility(p, 'both', 0);
+    expect(both.map(z => z.re)).toEqual([expect.closeTo(1, 12), expect.closeTo(1, 12)]);
+  });
+
+  test('equals the receptance to the wall forces k + iΩc', () => {
+    const W = 1.3;
+    const T = transmissibility(p, 'right', W);
+    // Force on mass 2 only: (k₃ + iΩc₃) times the receptance column
+    const H = receptance(p, 'mass2', W);
+    const f = { re: p.k3, im: W * p.c3 };
+    H.forEach((h, i) => {
+      expect(T[i].re).toBeCloseTo(h.re * f.re - h.im * f.im, 12);
+      expect(T[i].im).toBeCloseTo(h.re * f.im + h.im * f.re, 12);
+    });
+  });
+
+  test('matches the steady state of a shaken ForcedOscillator', () => {
+    const W = 0.8, U = 0.3;
+    const f = new ForcedOscillator({ ...p, x10: 0, x20: 0, v10: 0, v20: 0, forceA: 0,
+                                     baseType: 'cos', baseTarget: 'left', baseU: U, baseOmega: W });
+    const T = transmissibility(p, 'left', W);
+    // x_ss = Re[T U e^{iΩt}]  →  cos coefficient Re T·U, sin coefficient −Im T·U
+    const [term] = f.steadyTerms;
+    expect(term.omega).toBe(W);
+    expect(term.c[0]).toBeCloseTo(T[0].re * U, 12);
+    expect(term.s[1]).toBeCloseTo(-T[1].im * U, 12);
+  });
+
+  test('frequencyResponse sweeps the transmissibility', () => {
+    const fr = frequencyResponse(p, { support: 'left', points: 10, omegaMax: 2 });
+    const T = transmissibility(p, 'left', fr.omega[7]);
+    expect(fr.amplitude[1][7]).toBeCloseTo(Math.hypot(T[1].re, T[1].im), 12);
+    expect(fr.amplitude[0][0]).toBeCloseTo(Math.hypot(...['re', 'im'].map(k => transmissibility(p, 'left', 0)[0][k])), 12);
+  });
+});
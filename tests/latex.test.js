@@ -0,0 +1,213 @@
+/**
+ * Tests for LaTeX generation in src/latex.js
+ */
+
+import {
+  generateLatex, generateDampingLatex, generateForcingLatex, generatePeriodLatex, generateMatrixLatex,
+  omegaExactLatex, termsToLatex,
+} from '../src/latex.js';
+import { periodicity } from '../src/periodicity.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+import { ForcedOscillator } from '../src/forced-oscillator.js';
+import { MatrixOscillator } from '../src/matrix-oscillator.js';
+
+// ── omegaExactLatex ───────────────────────────────────────────────────────
+describe('omegaExactLatex', () => {
+  test('integers and fractions', () => {
+    expect(omegaExactLatex(2)).toBe('2');
+    expect(omegaExactLatex(0.5)).toBe('\\frac{1}{2}');
+  });
+
+  test('square roots', () => {
+    expect(omegaExactLatex(Math.sqrt(2))).toBe('\\sqrt{2}');
+    expect(omegaExactLatex(Math.sqrt(1.5))).toBe('\\sqrt{\\frac{3}{2}}');
+  });
+
+  test('nested radical from the two-mass eigenvalue formula', () => {
+    // λ = (3 ± √5)/2
+    const w = Math.sqrt((3 + Math.sqrt(5)) / 2);
+    expect(omegaExactLatex(w, 3, 5)).toBe('\\sqrt{\\dfrac{3 + \\sqrt{5}}{2}}');
+  });
+
+  test('does not snap a nearby irrational value to a radical', () => {
+    // 964/915 lies within 1e-7 of 1.05355198
+    expect(omegaExactLatex(Math.sqrt(1.05355198))).toBe('1.0264');
+  });
+
+  test('falls back to decimals when the radical does not match', () => {
+    expect(omegaExactLatex(1.2345678, 3, 5)).toBe('1.2346');
+  });
+});
+
+// ── termsToLatex ──────────────────────────────────────────────────────────
+describe('termsToLatex', () => {
+  test('damped term carries an e^{−γt} factor', () => {
+    const latex = termsToLatex([{ gamma: 0.5, omega: 2, power: 0, c: [1], s: [0] }], 0);
+    expect(latex).toBe('e^{-\\frac{1}{2}t}\\cos\\!\\left(2\\, t\\right)');
+  });
+
+  test('constant and linear terms', () => {
+    const latex = termsToLatex([
+      { gamma: 0, omega: 0, power: 0, c: [1], s: [0] },
+      { gamma: 0, omega: 0, power: 1, c: [-2], s: [0] },
+    ], 0);
+    expect(latex).toBe('1 -2t\\,');
+  });
+});
+
+// ── generateLatex ─────────────────────────────────────────────────────────
+describe('generateLatex', () => {
+  test('undamped symmetric system', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:1, k2:0.5, k3:1, x10:1, x20:1, v10:0, v20:0 });
+    const lt = generateLatex(osc);
+    expect(lt.omega1).toBe('1');
+    expect(lt.omega2).toBe('\\sqrt{2}');
+    expect(lt.x1).toBe('\\cos\\!\\left(1\\, t\\right)');
+    expect(lt.v1).toBe('-\\sin\\!\\left(1\\, t\\right)');
+    expect(lt.a2).toBe('-\\cos\\!\\left(1\\, t\\right)');
+  });
+
+  test('damped system produces decaying terms', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:1, k2:0.5, k3:1, c1:0.2, c2:0, c3:0.2,
+                                        x10:1, x20:1, v10:0, v20:0 });
+    const lt = generateLatex(osc);
+    expect(lt.x1).toContain('e^{-\\frac{1}{10}t}\\cos');
+    expect(lt.x2).toContain('e^{-\\frac{1}{10}t}');
+  });
+
+  test('free-floating system drifts linearly', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:0, k2:2, k3:0, x10:0, x20:0, v10:1, v20:1 });
+    const lt = generateLatex(osc);
+    expect(lt.omega1).toBe('0');
+    expect(lt.x1).toBe('t\\,');
+  });
+
+  test('negative stiffness gives growing exponentials and an imaginary ω', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:-1, k2:0, k3:4, x10:1, x20:0, v10:0, v20:0 });
+    const lt = generateLatex(osc);
+    expect(lt.omega1).toBe('i');
+    expect(lt.x1).toBe('\\frac{1}{2}e^{t} +\\frac{1}{2}e^{-t}');
+  });
+
+  test('unstable coupled mode keeps the exact radical', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:-1, k2:1, k3:0, x10:1, x20:0, v10:0, v20:0 });
+    const lt = generateLatex(osc);
+    // λ = (−1 ± √5)/2
+    expect(lt.omega1).toBe('i\\,\\sqrt{\\dfrac{\\sqrt{5} - 1}{2}}');
+    expect(lt.omega2).toBe('\\sqrt{\\dfrac{1 + \\sqrt{5}}{2}}');
+    expect(lt.x1).toContain('e^{\\sqrt{\\dfrac{\\sqrt{5} - 1}{2}}t}');
+  });
+});
+
+// ── generateDampingLatex ──────────────────────────────────────────────────
+describe('generateDampingLatex', () => {
+  test('undamped oscillator has no damping lines', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:1, k2:0.5, k3:1, x10:1, x20:0, v10:0, v20:0 });
+    expect(generateDampingLatex(osc)).toEqual([]);
+  });
+
+  test('one line per mode with γ, ω_d and regime', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:1, k2:0, k3:4, c1:2, c2:0, c3:1,
+                                        x10:1, x20:0, v10:0, v20:0 });
+    expect(generateDampingLatex(osc)).toEqual([
+      '\\gamma_{1} = 1\\ (\\text{critical})',
+      '\\gamma_{2} = \\frac{1}{2},\\ \\omega_{d,2} = \\sqrt{\\frac{15}{4}}\\ (\\text{underdamped})',
+    ]);
+  });
+
+  test('undamped rigid-body and unstable modes are listed', () => {
+    const free = new CoupledOscillator({ m1:1, m2:1, k1:0, k2:2, k3:0, x10:0, x20:0, v10:1, v20:0 });
+    expect(generateDampingLatex(free)).toEqual(['\\text{mode 1}\\ (\\text{rigid body})']);
+    const neg = new CoupledOscillator({ m1:1, m2:1, k1:-4, k2:0, k3:1, x10:1, x20:0, v10:0, v20:0 });
+    expect(generateDampingLatex(neg)).toEqual(['\\mu_{1} = 2\\ (\\text{unstable})']);
+  });
+});
+
+// ── forced systems ────────────────────────────────────────────────────────
+describe('forced oscillator LaTeX', () => {
+  const base = { m1:1, m2:1, k1:1, k2:0.5, k3:1, x10:0, x20:0, v10:0, v20:0,
+                 forceType: 'cos', forceTarget: 'both', forceA: 1, forcePhi: 0 };
+
+  test('resonant solution shows the secular t sin(ωt) term', () => {
+    const f = new ForcedOscillator({ ...base, forceOmega: 1 });
+    expect(generateLatex(f).x1).toBe('\\frac{1}{2}t\\,\\sin\\!\\left(1\\, t\\right)');
+    expect(generateForcingLatex(f)).toBe('\\Omega = 1\\ (\\text{resonant with } \\omega_{1})');
+  });
+
+  test('off-resonance drive frequency', () => {
+    const f = new ForcedOscillator({ ...base, forceOmega: 0.5 });
+    expect(generateForcingLatex(f)).toBe('\\Omega = \\frac{1}{2}');
+    expect(generateLatex(f).x1).toContain('\\cos\\!\\left(\\frac{1}{2}\\, t\\right)');
+  });
+
+  test('support motion adds its own drive frequency', () => {
+    const shake = { baseType: 'sin', baseTarget: 'left', baseU: 0.2, baseOmega: Math.sqrt(2), basePhi: 0 };
+    const both = new ForcedOscillator({ ...base, forceOmega: 0.5, ...shake });
+    expect(generateForcingLatex(both))
+      .toBe('\\Omega = \\frac{1}{2},\\quad \\Omega_u = \\sqrt{2}\\ (\\text{resonant with } \\omega_{2})');
+    const wallsOnly = new ForcedOscillator({ ...base, forceA: 0, ...shake });
+    expect(generateForcingLatex(wallsOnly)).toMatch(/^\\Omega_u = /);
+  });
+});
+
+// ── generatePeriodLatex ───────────────────────────────────────────────────
+describe('generatePeriodLatex', () => {
+  const latexFor = params => {
+    const osc = new CoupledOscillator({ m1: 1, m2: 1, k1: 1, k3: 1, x10: 1, x20: 0, v10: 0, v20: 0, ...params });
+    return generatePeriodLatex(osc, periodicity(osc.omega1, osc.omega2));
+  };
+
+  test('ω₁ = 1, ω₂ = 2: one cycle of mode 1', () => {
+    expect(latexFor({ k2: 1.5 })).toBe('\\frac{\\omega_2}{\\omega_1} = 2,\\quad T = \\frac{2\\pi}{\\omega_1} = 2\\pi');
+  });
+
+  test('irrational ω₁ keeps the radical', () => {
+    // k₁ = k₃ = 2, k₂ = 3: ω₁ = √2, ω₂ = √8 = 2ω₁
+    expect(latexFor({ k1: 2, k3: 2, k2: 3 })).toBe(
+      '\\frac{\\omega_2}{\\omega_1} = 2,\\quad T = \\frac{2\\pi}{\\omega_1} = \\frac{2\\pi}{\\sqrt{2}}');
+  });
+
+  test('p > 1 and a fractional ω₁', () => {
+    // m = 4/9: ω₁ = 3/2, and k₂ chosen so ω₂ = 5/2
+    expect(latexFor({ m1: 4 / 9, m2: 4 / 9, k2: (25 / 4 * 4 / 9 - 1) / 2 }))
+      .toBe('\\frac{\\omega_2}{\\omega_1} = \\frac{5}{3},\\quad T = \\frac{2\\pi \\cdot 3}{\\omega_1} = 4\\pi');
+  });
+
+  test('quasi-periodic', () => {
+    expect(latexFor({ k2: 0.5 })).toBe('\\frac{\\omega_2}{\\omega_1} \\approx 1.414214\\ (\\text{quasi-periodic})');
+  });
+});
+
+// ── generateMatrixLatex ───────────────────────────────────────────────────
+describe('generateMatrixLatex', () => {
+  const I = [[1, 0], [0, 1]];
+
+  test('conjugate pairs on one line, numbered by |s|', () => {
+    const osc = new MatrixOscillator({ M: I, K: [[4, 0], [0, 1]], x10: 1, x20: 1, v10: 0, v20: 0 });
+    const lt = generateMatrixLatex(osc);
+    expect(lt.eigenvalues).toEqual([
+      's_{1,2} = \\pm 1\\,i\\ (\\text{undamped})',
+      's_{3,4} = \\pm 2\\,i\\ (\\text{undamped})',
+    ]);
+    expect(lt.x1).toBe('\\cos\\!\\left(2\\, t\\right)');
+    expect(lt.x2).toBe('\\cos\\!\\left(1\\, t\\right)');
+  });
+
+  test('decay rates, real roots and regimes', () => {
+    const osc = new MatrixOscillator({ M: I, C: [[1, 0], [0, 5]], K: [[1, 0], [0, 4]], x10: 1, x20: 1, v10: 0, v20: 0 });
+    // s² + s + 1 and (s + 1)(s + 4)
+    expect(generateMatrixLatex(osc).eigenvalues).toEqual([
+      's_{1} = -1\\ (\\text{overdamped})',
+      's_{2,3} = -\\frac{1}{2} \\pm \\sqrt{\\frac{3}{4}}\\,i\\ (\\text{underdamped})',
+      's_{4} = -4\\ (\\text{overdamped})',
+    ]);
+  });
+
+  test('a repeated root is numbered once per multiplicity', () => {
+    const osc = new MatrixOscillator({ M: I, K: [[1, -1], [-1, 1]], x10: 1, x20: 0, v10: 0, v20: 0 });
+    expect(generateMatrixLatex(osc).eigenvalues).toEqual([
+      's_{1,2} = 0\\ (\\text{rigid body})',
+      's_{3,4} = \\pm \\sqrt{2}\\,i\\ (\\text{undamped})',
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for the dense linear-algebra helpers in src/linalg.js
+ */
+
+import {
+  identity,
+  matVec,
+  cholesky,
+  solveSPD,
+  inverseSPD,
+  symmetricEigen,
+  generalizedSymmetricEigen,
+} from '../src/linalg.js';
+
+// ── helpers ───────────────────────────────────────────────────────────────
+const dot = (a, b) => a.reduce((s, x, i) => s + x * b[i], 0);
+
+// ── basic helpers ─────────────────────────────────────────────────────────
+describe('identity / matVec', () => {
+  test('identity(3) has ones on the diagonal', () => {
+    expect(identity(3)).toEqual([[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+  });
+
+  test('matVec multiplies rows by the vector', () => {
+    expect(matVec([[1, 2], [3, 4]], [1, -1])).toEqual([-1, -1]);
+  });
+});
+
+// ── cholesky ──────────────────────────────────────────────────────────────
+describe('cholesky', () => {
+  test('L·Lᵀ reproduces the input', () => {
+    const A = [[4, 2, 0], [2, 5, 1], [0, 1, 3]];
+    const L = cholesky(A);
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        expect(dot(L[i], L[j])).toBeCloseTo(A[i][j], 12);
+      }
+    }
+  });
+
+  test('throws for an indefinite matrix', () => {
+    expect(() => cholesky([[1, 2], [2, 1]])).toThrow('not positive definite');
+  });
+
+  test('solveSPD and inverseSPD', () => {
+    const A = [[4, 2, 0], [2, 5, 1], [0, 1, 3]];
+    const x = solveSPD(A, [1, -2, 3]);
+    matVec(A, x).forEach((v, i) => expect(v).toBeCloseTo([1, -2, 3][i], 12));
+    const inv = inverseSPD(A);
+    A.forEach((row, i) => inv.forEach((_, j) => {
+      expect(dot(row, inv.map(r => r[j]))).toBeCloseTo(i === j ? 1 : 0, 12);
+    }));
+  });
+});
+
+// ── symmetricEigen ────────────────────────────────────────────────────────
+describe('symmetricEigen', () => {
+  test('2×2 matrix with eigenvalues 1 and 3', () => {
+    const { values, vectors } = symmetricEigen([[2, 1], [1, 2]]);
+    expect(values[0]).toBeCloseTo(1, 12);
+    expect(values[1]).toBeCloseTo(3, 12);
+    expect(Math.abs(vectors[0][0])).toBeCloseTo(Math.SQRT1_2, 12);
+    expect(vectors[0][0]).toBeCloseTo(-vectors[0][1], 12);
+  });
+
+  test('A v = λ v for a 4×4 tridiagonal matrix', () => {
+    const A = [[2, -1, 0, 0], [-1, 2, -1, 0], [0, -1, 2, -1], [0, 0, -1, 2]];
+    const { values, vectors } = symmetricEigen(A);
+    values.forEach((lam, j) => {
+      const Av = matVec(A, vectors[j]);
+      Av.forEach((x, i) => expect(x).toBeCloseTo(lam * vectors[j][i], 10));
+    });
+    // Known spectrum: 2 − 2cos(jπ/5)
+    values.forEach((lam, j) => expect(lam).toBeCloseTo(2 - 2 * Math.cos((j + 1) * Math.PI / 5), 10));
+  });
+
+  test('eigenvalues are sorted ascending', () => {
+    const { values } = symmetricEigen([[5, 0, 0], [0, -1, 0], [0, 0, 2]]);
+    expect(values).toEqual([-1, 2, 5]);
+  });
+});
+
+// ── generalizedSymmetricEigen ─────────────────────────────────────────────
+describe('generalizedSymmetricEigen', () => {
+  const K = [[1.5, -0.5], [-0.5, 1.5]];
+  const M = [[2, 0], [0, 1]];
+  const { values, vectors } = generalizedSymmetricEigen(K, M);
+
+  test('K φ = λ M φ', () => {
+    values.forEach((lam, j) => {
+      const Kp = matVec(K, vectors[j]);
+      const Mp = matVec(M, vectors[j]);
+      Kp.forEach((x, i) => expect(x).toBeCloseTo(lam * Mp[i], 10));
+    });
+  });
+
+  test('mode shapes are mass-normalised and M-orthogonal', () => {
+    expect(dot(vectors[0], matVec(M, vectors[0]))).toBeCloseTo(1, 12);
+    expect(dot(vectors[1], matVec(M, vectors[1]))).toBeCloseTo(1, 12);
+    expect(dot(vectors[0], matVec(M, vectors[1]))).toBeCloseTo(0, 12);
+  });
+
+  test('works with a non-diagonal mass matrix', () => {
+    const Mc = [[2, 0.5], [0.5, 1]];
+    const r = generalizedSymmetricEigen(K, Mc);
+    r.values.forEach((lam, j) => {
+      const Kp = matVec(K, r.vectors[j]);
+      const Mp = matVec(Mc, r.vectors[j]);
+      Kp.forEach((x, i) => expect(x).toBeCloseTo(lam * Mp[i], 10));
+    });
+  });
+});
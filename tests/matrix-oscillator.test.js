@@ -0,0 +1,164 @@
+/**
+ * Tests for MatrixOscillator in src/matrix-oscillator.js
+ *
+ * Strategy: matrices of the wall–spring–mass line must reproduce
+ * CoupledOscillator; otherwise every trajectory must satisfy
+ * M ẍ + C ẋ + K x = 0 and the energy balance, and systems with known
+ * eigenvalues (gyroscopic, circulatory, repeated roots) are checked in
+ * closed form.
+ */
+
+import { MatrixOscillator } from '../src/matrix-oscillator.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+import { generalizedSymmetricEigen } from '../src/linalg.js';
+
+const IC = { x10: 0.7, x20: -0.3, v10: 0.2, v20: 0.5 };
+const I = [[1, 0], [0, 1]];
+
+function residual(osc, t) {
+  const { M, C, K } = osc.matrices();
+  const x = [osc.position(1, t), osc.position(2, t)];
+  const v = [osc.velocity(1, t), osc.velocity(2, t)];
+  const a = [osc.acceleration(1, t), osc.acceleration(2, t)];
+  return [0, 1].map(i => [0, 1].reduce((s, j) => s + M[i][j] * a[j] + C[i][j] * v[j] + K[i][j] * x[j], 0));
+}
+
+function expectInitialConditions(osc) {
+  expect(osc.position(1, 0)).toBeCloseTo(IC.x10, 10);
+  expect(osc.position(2, 0)).toBeCloseTo(IC.x20, 10);
+  expect(osc.velocity(1, 0)).toBeCloseTo(IC.v10, 10);
+  expect(osc.velocity(2, 0)).toBeCloseTo(IC.v20, 10);
+}
+
+// ── agreement with the spring–mass line ───────────────────────────────────
+describe('MatrixOscillator: matrices of CoupledOscillator', () => {
+  test.each([
+    ['undamped', { m1: 2, m2: 1, k1: 1.5, k2: 0.8, k3: 2 }],
+    ['non-proportional damping', { m1: 1, m2: 3, k1: 1, k2: 0.5, k3: 2, c1: 0.3, c2: 0.1 }],
+    ['overdamped', { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1, c1: 4, c3: 3 }],
+  ])('%s: same trajectory', (_, p) => {
+    const ref = new CoupledOscillator({ ...p, ...IC });
+    const osc = new MatrixOscillator({ ...ref.matrices(), ...IC });
+    [0, 0.8, 3.1, 9].forEach(t => {
+      [1, 2].forEach(m => {
+        expect(osc.position(m, t)).toBeCloseTo(ref.position(m, t), 9);
+        expect(osc.velocity(m, t)).toBeCloseTo(ref.velocity(m, t), 9);
+        expect(osc.acceleration(m, t)).toBeCloseTo(ref.acceleration(m, t), 9);
+      });
+    });
+    expect(osc.energy(3.1).total).toBeCloseTo(ref.energy(3.1).total, 9);
+    expect(osc.energy(3.1).dissipated).toBeCloseTo(ref.energy(3.1).dissipated, 9);
+  });
+});
+
+// ── general matrices ──────────────────────────────────────────────────────
+describe('MatrixOscillator: coupling the line cannot express', () => {
+  test('inertial coupling: frequencies of K φ = ω² M φ, energy conserved', () => {
+    const M = [[2, 0.5], [0.5, 1]], K = [[3, -1], [-1, 2]];
+    const osc = new MatrixOscillator({ M, K, ...IC });
+    const { values } = generalizedSymmetricEigen(K, M);
+    expect(osc.modes.map(m => m.omegaD)).toEqual(values.map(v => expect.closeTo(Math.sqrt(v), 10)));
+    expect(osc.modes.map(m => m.regime)).toEqual(['undamped', 'undamped']);
+    expect(osc.conservative).toBe(true);
+    expectInitialConditions(osc);
+    const e0 = osc.energy(0).total;
+    [1.3, 7.7].forEach(t => expect(osc.energy(t).total).toBeCloseTo(e0, 10));
+  });
+
+  test('gyroscopic coupling splits the frequencies and does no work', () => {
+    // M = I, K = I, C = [[0, g], [−g, 0]]: s = ±i(√(1 + g²/4) ± g/2)
+    const g = 0.6;
+    const osc = new MatrixOscillator({ M: I, C: [[0, g], [-g, 0]], K: I, ...IC });
+    const root = Math.sqrt(1 + g * g / 4);
+    expect(osc.modes.map(m => m.omegaD)).toEqual([expect.closeTo(root - g / 2, 10), expect.closeTo(root + g / 2, 10)]);
+    expect(osc.gyroscopic).toBe(true);
+    expect(osc.isDamped).toBe(false);
+    expect(osc.conservative).toBe(true);
+    [2, 6].forEach(t => expect(osc.energy(t).total).toBeCloseTo(osc.energy(0).total, 10));
+  });
+
+  test('circulatory stiffness causes flutter, and its work closes the energy balance', () => {
+    // M = I, K = [[1, a], [−a, 1]]: s² = −1 ± ia has a root with Re s > 0
+    const osc = new MatrixOscillator({ M: I, K: [[1, 0.4], [-0.4, 1]], ...IC });
+    expect(osc.circulatory).toBe(true);
+    expect(osc.conservative).toBe(false);
+    expect(osc.unstable).toBe(true);
+    expect(osc.modes.some(m => m.regime === 'unstable' && m.omegaD > 0)).toBe(true);
+    const e0 = osc.energy(0).total;
+    [1, 4.5].forEach(t => {
+      const e = osc.energy(t);
+      expect(e.total - e.circulatory).toBeCloseTo(e0, 9);
+    });
+  });
+
+  test('negative stiffness without damping: s = ±1 are both unstable, not overdamped', () => {
+    const osc = new MatrixOscillator({ M: I, K: [[-1, 0], [0, 4]], ...IC });
+    expect(osc.modes.map(m => m.regime)).toEqual(['unstable', 'unstable', 'undamped']);
+    expect(osc.modes.map(m => m.growthRate)).toEqual([expect.closeTo(1, 12), expect.closeTo(1, 12), undefined]);
+    expect(osc.modes[2].omegaD).toBeCloseTo(2, 12);
+    [0.5, 2].forEach(t => expect(osc.position(1, t)).toBeCloseTo(IC.x10 * Math.cosh(t) + IC.v10 * Math.sinh(t), 9));
+  });
+
+  test('coupled asymmetric damping: equations of motion and dissipation', () => {
+    const osc = new MatrixOscillator({
+      M: [[1.5, 0.3], [0.3, 0.8]], C: [[0.2, 0.35], [-0.1, 0.15]], K: [[2, -0.7], [-0.4, 1.2]], ...IC,
+    });
+    expectInitialConditions(osc);
+    [0.4, 2.9, 8].forEach(t => residual(osc, t).forEach(r => expect(r).toBeCloseTo(0, 9)));
+    const e = osc.energy(5);
+    expect(e.total + e.dissipated - e.circulatory).toBeCloseTo(osc.energy(0).total, 9);
+    expect(osc.isDamped && osc.gyroscopic && osc.circulatory).toBe(true);
+  });
+
+  test('firstTimeTo and guaranteedTimeTo agree', () => {
+    const osc = new MatrixOscillator({ M: [[2, 0.5], [0.5, 1]], K: [[3, -1], [-1, 2]], ...IC });
+    const t = osc.firstTimeTo(1, 'x', 0, { tMax: 20 });
+    expect(osc.position(1, t)).toBeCloseTo(0, 8);
+    expect(osc.guaranteedTimeTo(1, 'x', 0, { tMax: 20 }).t).toBeCloseTo(t, 7);
+    expect(osc.valueAtTime(t).x1).toBeCloseTo(0, 8);
+  });
+});
+
+// ── repeated eigenvalues ──────────────────────────────────────────────────
+describe('MatrixOscillator: repeated eigenvalues', () => {
+  test('two modes of one frequency: x = x₀ cos t + v₀ sin t', () => {
+    const osc = new MatrixOscillator({ M: I, K: I, ...IC });
+    expect(osc.modes.map(m => [m.regime, m.multiplicity])).toEqual([['undamped', 2]]);
+    [0.5, 3].forEach(t => {
+      expect(osc.position(1, t)).toBeCloseTo(IC.x10 * Math.cos(t) + IC.v10 * Math.sin(t), 9);
+      expect(osc.position(2, t)).toBeCloseTo(IC.x20 * Math.cos(t) + IC.v20 * Math.sin(t), 9);
+    });
+  });
+
+  test('rigid-body drift matches the free–free line', () => {
+    const p = { m1: 1, m2: 2, k1: 0, k2: 1.5, k3: 0 };
+    const ref = new CoupledOscillator({ ...p, ...IC });
+    const osc = new MatrixOscillator({ ...ref.matrices(), ...IC });
+    expect(osc.modes.map(m => [m.regime, m.multiplicity])).toEqual([['rigid', 2], ['undamped', 1]]);
+    [1, 6].forEach(t => [1, 2].forEach(m => expect(osc.position(m, t)).toBeCloseTo(ref.position(m, t), 8)));
+  });
+
+  test('identical critically damped masses: x = e^{−t}(x₀ + (v₀ + x₀)t)', () => {
+    const osc = new MatrixOscillator({ M: I, C: [[2, 0], [0, 2]], K: I, ...IC });
+    expect(osc.modes.map(m => [m.regime, m.multiplicity])).toEqual([['critical', 4]]);
+    [0.5, 2].forEach(t => {
+      expect(osc.position(1, t)).toBeCloseTo(Math.exp(-t) * (IC.x10 + (IC.v10 + IC.x10) * t), 9);
+      expect(osc.position(2, t)).toBeCloseTo(Math.exp(-t) * (IC.x20 + (IC.v20 + IC.x20) * t), 9);
+    });
+  });
+});
+
+// ── validation ────────────────────────────────────────────────────────────
+describe('MatrixOscillator: validation', () => {
+  test.each([
+    [{ M: [[1, 0.2], [0.3, 1]], K: I }, 'M must be symmetric'],
+    [{ M: [[1, 2], [2, 1]], K: I }, 'M is not positive definite'],
+    [{ M: [[-1, 0], [0, 1]], K: I }, 'M is not positive definite'],
+    [{ M: [[1, 0]], K: I }, 'M must be a 2×2 matrix of finite numbers'],
+    [{ M: I, K: [[1, NaN], [0, 1]] }, 'K must be a 2×2 matrix of finite numbers'],
+    [{ M: I, C: [[0, 0], [0]], K: I }, 'C must be a 2×2 matrix of finite numbers'],
+    [{ M: I, C: [[0.5, -0.5], [-0.5, 2.5]], K: [[0, 0], [0, 2]] }, 'multiplicity 3 is not supported'],
+  ])('rejects %j', (matrices, message) => {
+    expect(() => new MatrixOscillator({ ...matrices, ...IC })).toThrow(message);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for normal coordinates and modal initial conditions in src/modes.js
+ *
+ * Strategy: the symmetric system has ψ₁ = (1, 1) at ω₁ = 1 and
+ * ψ₂ = (1, −1) at ω₂ = √2, so each normal coordinate is a known cosine.
+ */
+
+import { scaledShapes, normalCoordinates, modalInitialConditions, modalAmplitudes } from '../src/modes.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+import { ForcedOscillatorRK4 } from '../src/forced-oscillator.js';
+
+// Symmetric system: m1=m2=1, k1=k3=1, k2=0.5  →  ω₁=1, ω₂=√2
+const SYM = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1 };
+// Unequal masses, so the shapes are not orthogonal without M
+const UNEQUAL = { m1: 1, m2: 3, k1: 2, k2: 1, k3: 0.5 };
+
+// ── scaledShapes ──────────────────────────────────────────────────────────
+describe('scaledShapes', () => {
+  test('in-phase and anti-phase shapes of the symmetric system', () => {
+    const { modeShapes } = new CoupledOscillator({ ...SYM, x10: 0, x20: 0, v10: 0, v20: 0 });
+    const [psi1, psi2] = scaledShapes(modeShapes);
+    expect(psi1[0]).toBeCloseTo(1, 12);
+    expect(psi1[1]).toBeCloseTo(1, 12);
+    expect(psi2[0]).toBeCloseTo(1, 12);
+    expect(psi2[1]).toBeCloseTo(-1, 12);
+  });
+
+  test('the larger entry is 1 and the ratio is kept', () => {
+    const { modeShapes } = new CoupledOscillator({ ...UNEQUAL, x10: 0, x20: 0, v10: 0, v20: 0 });
+    scaledShapes(modeShapes).forEach((psi, j) => {
+      expect(Math.max(...psi.map(Math.abs))).toBeCloseTo(1, 12);
+      expect(psi[1] / psi[0]).toBeCloseTo(modeShapes[j][1] / modeShapes[j][0], 12);
+    });
+  });
+});
+
+// ── normalCoordinates ─────────────────────────────────────────────────────
+describe('normalCoordinates', () => {
+  test('x = ψ₁q₁ + ψ₂q₂ at any time', () => {
+    const osc = new CoupledOscillator({ ...UNEQUAL, x10: 0.4, x20: -0.3, v10: 0.2, v20: 0.5 });
+    const shapes = scaledShapes(osc.modeShapes);
+    [0, 1.7, 6].forEach(t => {
+      const { q, qd } = normalCoordinates(osc, t);
+      [1, 2].forEach(m => {
+        expect(shapes[0][m - 1] * q[0] + shapes[1][m - 1] * q[1]).toBeCloseTo(osc.position(m, t), 12);
+        expect(shapes[0][m - 1] * qd[0] + shapes[1][m - 1] * qd[1]).toBeCloseTo(osc.velocity(m, t), 12);
+      });
+    });
+  });
+
+  test('each coordinate of the free system is a cosine of its own frequency', () => {
+    // x₁(0) = 1 splits evenly: q₁ = ½ cos t, q₂ = ½ cos √2 t
+    const osc = new CoupledOscillator({ ...SYM, x10: 1, x20: 0, v10: 0, v20: 0 });
+    [0.5, 3, 8].forEach(t => {
+      const { q } = normalCoordinates(osc, t);
+      expect(q[0]).toBeCloseTo(0.5 * Math.cos(t), 12);
+      expect(q[1]).toBeCloseTo(0.5 * Math.cos(Math.SQRT2 * t), 12);
+    });
+  });
+
+  test('works on a numerical solution', () => {
+    const rk4 = new ForcedOscillatorRK4({ ...SYM, x10: 1, x20: -1, forceA: 0, tMax: 5, steps: 2000 });
+    const { q } = normalCoordinates(rk4, 4);
+    expect(q[0]).toBeCloseTo(0, 8);
+    expect(q[1]).toBeCloseTo(Math.cos(4 * Math.SQRT2), 6);
+  });
+});
+
+// ── modal initial conditions ──────────────────────────────────────────────
+describe('modalInitialConditions', () => {
+  test('exciting one mode starts from its shape at rest', () => {
+    expect(modalInitialConditions(SYM, [0, 2], [0, 0])).toEqual({ x10: 2, x20: -2, v10: 0, v20: 0 });
+  });
+
+  test('the motion is Aⱼ cos(ωⱼt − φⱼ) mode by mode', () => {
+    const A = [0.7, 0.3], phi = [0.4, -1.1];
+    const osc = new CoupledOscillator({ ...UNEQUAL, ...modalInitialConditions(UNEQUAL, A, phi) });
+    const omegas = [osc.omega1, osc.omega2];
+    [0, 2.5, 9].forEach(t => {
+      const { q } = normalCoordinates(osc, t);
+      q.forEach((qj, j) => expect(qj).toBeCloseTo(A[j] * Math.cos(omegas[j] * t - phi[j]), 12));
+    });
+  });
+
+  test('modalAmplitudes inverts it', () => {
+    const A = [0.7, 0.3], phi = [0.4, -1.1];
+    const { amplitudes, phases } = modalAmplitudes({ ...UNEQUAL, ...modalInitialConditions(UNEQUAL, A, phi) });
+    amplitudes.forEach((a, j) => expect(a).toBeCloseTo(A[j], 12));
+    phases.forEach((p, j) => expect(p).toBeCloseTo(phi[j], 12));
+  });
+
+  test('a rigid-body mode keeps its displacement and drops its rate', () => {
+    // k₁ = k₃ = 0: mode 1 is the rigid drift ψ₁ = (1, 1) with ω₁ = 0
+    const free = { m1: 1, m2: 1, k1: 0, k2: 1, k3: 0 };
+    expect(modalInitialConditions(free, [0.5, 0], [1, 0]).v10).toBe(0);
+    const { amplitudes, phases } = modalAmplitudes({ ...free, x10: -0.5, x20: -0.5, v10: 1, v20: 1 });
+    expect(amplitudes[0]).toBeCloseTo(0.5, 12);
+    expect(Math.abs(phases[0])).toBeCloseTo(Math.PI, 12);
+    expect(amplitudes[1]).toBeCloseTo(0, 12);
+  });
+
+  test('rejects non-finite input', () => {
+    expect(() => modalInitialConditions(SYM, [1, NaN], [0, 0])).toThrow('must be finite numbers');
+  });
+});
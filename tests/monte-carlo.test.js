@@ -0,0 +1,148 @@
+/**
+ * Tests for Monte Carlo tolerance propagation in src/monte-carlo.js
+ */
+
+import {
+  seededRandom, sampleParameters, percentile, histogram, monteCarlo, TOLERANCE_PARAMETERS,
+} from '../src/monte-carlo.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+import { ForcedOscillatorRK4 } from '../src/forced-oscillator.js';
+
+// Symmetric system: m1=m2=1, k1=k3=1, k2=0.5  →  ω₁=1, ω₂=√2
+const SYM = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1, c1: 0, c2: 0, c3: 0, x10: 1, x20: 0, v10: 0, v20: 0 };
+
+const mean = xs => xs.reduce((s, x) => s + x, 0) / xs.length;
+const sd = xs => Math.sqrt(mean(xs.map(x => (x - mean(xs)) ** 2)));
+
+// ── seededRandom ──────────────────────────────────────────────────────────
+describe('seededRandom', () => {
+  test('the same seed repeats the sequence', () => {
+    const a = seededRandom(42), b = seededRandom(42);
+    for (let i = 0; i < 10; i++) expect(a()).toBe(b());
+  });
+
+  test('different seeds differ', () => {
+    expect(seededRandom(1)()).not.toBe(seededRandom(2)());
+  });
+
+  test('uniform on [0, 1)', () => {
+    const r = seededRandom(7);
+    const xs = Array.from({ length: 5000 }, r);
+    expect(xs.every(x => x >= 0 && x < 1)).toBe(true);
+    expect(mean(xs)).toBeCloseTo(0.5, 1);
+  });
+});
+
+// ── sampleParameters ──────────────────────────────────────────────────────
+describe('sampleParameters', () => {
+  test('exact inputs stay at their nominal values', () => {
+    const s = sampleParameters(SYM, { k2: { tol: 0.1, distribution: 'uniform' } }, { samples: 50 });
+    expect(s).toHaveLength(50);
+    s.forEach(p => {
+      expect(p.k1).toBe(1);
+      expect(p.x10).toBe(1);
+      expect(Math.abs(p.k2 - 0.5)).toBeLessThanOrEqual(0.1);
+    });
+  });
+
+  test('uniform and normal spreads', () => {
+    const n = 4000;
+    const u = sampleParameters(SYM, { k1: { tol: 0.3, distribution: 'uniform' } }, { samples: n }).map(p => p.k1);
+    expect(mean(u)).toBeCloseTo(1, 1);
+    expect(sd(u)).toBeCloseTo(0.3 / Math.sqrt(3), 2);
+    const g = sampleParameters(SYM, { k1: { tol: 0.2, distribution: 'normal' } }, { samples: n }).map(p => p.k1);
+    expect(mean(g)).toBeCloseTo(1, 1);
+    expect(sd(g)).toBeCloseTo(0.2, 2);
+  });
+
+  test('reproducible from the seed', () => {
+    const tol = { m2: { tol: 0.1, distribution: 'normal' }, v20: { tol: 0.5, distribution: 'uniform' } };
+    expect(sampleParameters(SYM, tol, { seed: 9, samples: 20 }))
+      .toEqual(sampleParameters(SYM, tol, { seed: 9, samples: 20 }));
+    expect(sampleParameters(SYM, tol, { seed: 10, samples: 20 }))
+      .not.toEqual(sampleParameters(SYM, tol, { seed: 9, samples: 20 }));
+  });
+
+  test('masses stay positive and dampers non-negative', () => {
+    const s = sampleParameters({ ...SYM, m1: 0.1 }, {
+      m1: { tol: 1, distribution: 'uniform' },
+      c2: { tol: 0.5, distribution: 'normal' },
+    }, { samples: 500 });
+    expect(s.every(p => p.m1 > 0 && p.c2 >= 0)).toBe(true);
+  });
+
+  test.each([
+    [{ q: { tol: 1, distribution: 'normal' } }, {}, "No tolerance can be set on 'q'"],
+    [{ k1: { tol: -1, distribution: 'normal' } }, {}, 'non-negative'],
+    [{ k1: { tol: 1, distribution: 'cauchy' } }, {}, "unknown distribution 'cauchy'"],
+    [{}, { samples: 1 }, 'at least two samples'],
+    [{ m1: { tol: 1e-3, distribution: 'uniform' } }, {}, 'm1: the tolerance leaves no valid values'],
+  ])('rejects %j %j', (tolerances, opts, message) => {
+    const params = { ...SYM, m1: -1 };
+    expect(() => sampleParameters(params, tolerances, opts)).toThrow(message);
+  });
+
+  test('every readParams input can carry a tolerance', () => {
+    expect(TOLERANCE_PARAMETERS).toEqual(Object.keys(SYM));
+  });
+});
+
+// ── percentile and histogram ──────────────────────────────────────────────
+describe('percentile', () => {
+  test.each([[0, 1], [50, 2.5], [100, 4], [25, 1.75]])('q = %d', (q, expected) => {
+    expect(percentile([1, 2, 3, 4], q)).toBeCloseTo(expected, 12);
+  });
+});
+
+describe('histogram', () => {
+  test('counts every finite value once', () => {
+    const { edges, counts } = histogram([0, 0.1, 0.5, 0.9, 1, NaN], 4);
+    expect(edges).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(counts).toEqual([2, 0, 1, 2]);
+  });
+
+  test('identical values get one unit-wide range', () => {
+    const { edges, counts } = histogram([2, 2, 2], 2);
+    expect(edges).toEqual([1.5, 2, 2.5]);
+    expect(counts).toEqual([0, 3]);
+  });
+});
+
+// ── monteCarlo ────────────────────────────────────────────────────────────
+describe('monteCarlo', () => {
+  const tArr = [0, 1, 2.5, 6];
+
+  test('no tolerances: every band is the nominal trajectory', () => {
+    const osc = new CoupledOscillator(SYM);
+    const mc = monteCarlo(SYM, {}, { samples: 5, tArr });
+    expect(mc.omegas[0]).toEqual(new Array(5).fill(osc.omega1));
+    tArr.forEach((t, i) => {
+      ['p5', 'p50', 'p95'].forEach(level => {
+        expect(mc.bands.x[level][0][i]).toBeCloseTo(osc.position(1, t), 12);
+        expect(mc.bands.v[level][1][i]).toBeCloseTo(osc.velocity(2, t), 12);
+        expect(mc.bands.a[level][0][i]).toBeCloseTo(osc.acceleration(1, t), 12);
+      });
+    });
+  });
+
+  test('bands are ordered and the frequencies spread', () => {
+    const mc = monteCarlo(SYM, { k2: { tol: 0.1, distribution: 'normal' } }, { samples: 100, tArr, seed: 3 });
+    // k₂ leaves the in-phase mode alone
+    mc.omegas[0].forEach(w => expect(w).toBeCloseTo(1, 10));
+    expect(sd(mc.omegas[1])).toBeGreaterThan(0.02);
+    tArr.forEach((_, i) => {
+      expect(mc.bands.x.p5[1][i]).toBeLessThanOrEqual(mc.bands.x.p50[1][i]);
+      expect(mc.bands.x.p50[1][i]).toBeLessThanOrEqual(mc.bands.x.p95[1][i]);
+    });
+  });
+
+  test('reproducible with a numerical model', () => {
+    const forced = { ...SYM, forceA: 1, forceOmega: 0.8, tMax: 6, steps: 120 };
+    const build = p => new ForcedOscillatorRK4(p);
+    const tol = { k1: { tol: 0.05, distribution: 'uniform' } };
+    const a = monteCarlo(forced, tol, { samples: 10, tArr, build, seed: 5 });
+    const b = monteCarlo(forced, tol, { samples: 10, tArr, build, seed: 5 });
+    expect(a.bands).toEqual(b.bands);
+    expect(a.omegas).toEqual(b.omegas);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Tests for the initial-value solvers in src/ode.js
+ */
+
+import { rungeKutta4, switchedRungeKutta4, velocityVerlet, yoshida4, dormandPrince } from '../src/ode.js';
+
+// Harmonic oscillator y'' = −y, y(0) = 1, y'(0) = 0  →  y = cos t
+const harmonic = (t, [y, v]) => [v, -y];
+
+// ── rungeKutta4 ───────────────────────────────────────────────────────────
+describe('rungeKutta4', () => {
+  test('is 4th order: halving the step cuts the error ~16×', () => {
+    const err = steps => Math.abs(rungeKutta4(harmonic, 0, [1, 0], 10, steps).at(10)[0] - Math.cos(10));
+    const ratio = err(100) / err(200);
+    expect(ratio).toBeGreaterThan(14);
+    expect(ratio).toBeLessThan(18);
+  });
+
+  test('reports fixed-step statistics without an error estimate', () => {
+    const sol = rungeKutta4(harmonic, 0, [1, 0], 1, 50);
+    expect(sol.t).toHaveLength(51);
+    expect(sol.stats).toEqual({ method: 'rk4', accepted: 50, rejected: 0, evaluations: 200, globalError: null });
+  });
+});
+
+// ── switchedRungeKutta4 ───────────────────────────────────────────────────
+describe('switchedRungeKutta4', () => {
+  // Ball dropped from height 1 under unit gravity, bouncing with restitution ½:
+  // impacts at √2, then after flights 2v/g = √2, √2/2, √2/4
+  const fall = (t, [, v]) => [v, -1];
+  const bounce = opts => switchedRungeKutta4(fall, 0, [1, 0], 4, 40, {
+    guards: (t, [y]) => [y],
+    onEvent: (t, [y, v]) => [y, -0.5 * v],
+    ...opts,
+  });
+
+  test('locates each event and continues from the new state', () => {
+    const sol = bounce();
+    const impacts = [1, 2, 2.5, 2.75].map(n => n * Math.SQRT2);
+    expect(sol.stats.events).toBe(4);
+    impacts.forEach(t => {
+      const i = sol.t.findIndex(ti => Math.abs(ti - t) < 1e-8);
+      expect(i).toBeGreaterThan(0);
+      expect(sol.y[i][0]).toBeCloseTo(0, 8);
+      expect(sol.y[i][1]).toBeGreaterThan(0);
+    });
+    // On the grid during the first bounce, which leaves at v = √2/2
+    const s = 2 - Math.SQRT2;
+    expect(sol.at(2)[0]).toBeCloseTo(Math.SQRT1_2 * s - s * s / 2, 8);
+  });
+
+  test('keeps the regular grid between events', () => {
+    const sol = bounce();
+    expect(sol.t).toHaveLength(41 + 4);
+    expect(sol.stats).toMatchObject({ method: 'rk4-events', accepted: 40, rejected: 0, globalError: null });
+    expect(sol.t.every((t, i) => i === 0 || t > sol.t[i - 1])).toBe(true);
+  });
+
+  test('without events it matches rungeKutta4', () => {
+    const plain = rungeKutta4(harmonic, 0, [1, 0], 5, 50);
+    const sol = switchedRungeKutta4(harmonic, 0, [1, 0], 5, 50, { guards: () => [1], onEvent: (t, y) => y });
+    expect(sol.at(3.3)[0]).toBeCloseTo(plain.at(3.3)[0], 12);
+    expect(sol.stats.evaluations).toBe(plain.stats.evaluations);
+  });
+
+  test('throws after maxEvents events', () => {
+    expect(() => bounce({ maxEvents: 2 })).toThrow('More than 2 events');
+  });
+});
+
+// ── symplectic schemes ────────────────────────────────────────────────────
+describe('velocityVerlet and yoshida4', () => {
+  const layout = { positions: [0], velocities: [1] };
+  const energy = ([y, v]) => 0.5 * (y * y + v * v);
+
+  test('orders 2 and 4', () => {
+    const err = (scheme, steps) => Math.abs(scheme(harmonic, 0, [1, 0], 10, steps, layout).at(10)[0] - Math.cos(10));
+    const r2 = err(velocityVerlet, 100) / err(velocityVerlet, 200);
+    const r4 = err(yoshida4, 100) / err(yoshida4, 200);
+    expect(r2).toBeGreaterThan(3.5);
+    expect(r2).toBeLessThan(4.5);
+    expect(r4).toBeGreaterThan(14);
+    expect(r4).toBeLessThan(18);
+  });
+
+  test('energy error stays bounded where RK4 drifts', () => {
+    const tEnd = 1000, steps = 2000;
+    const drift = scheme => energy(scheme(harmonic, 0, [1, 0], tEnd, steps, layout).at(tEnd)) / 0.5 - 1;
+    expect(Math.abs(drift(rungeKutta4))).toBeGreaterThan(0.1);
+    expect(Math.abs(drift(velocityVerlet))).toBeLessThan(0.05);
+    expect(Math.abs(drift(yoshida4))).toBeLessThan(1e-3);
+  });
+
+  test('integrates quadrature components alongside', () => {
+    // y'' = −y with w' = y² ⇒ w(t) = t/2 + sin 2t / 4
+    const f = (t, [y, v]) => [v, -y, y * y];
+    const layout3 = { positions: [0], velocities: [1] };
+    const w = yoshida4(f, 0, [1, 0, 0], 5, 500, layout3).at(5)[2];
+    expect(w).toBeCloseTo(2.5 + Math.sin(10) / 4, 4);
+  });
+
+  test('costs two evaluations per Verlet substep', () => {
+    expect(velocityVerlet(harmonic, 0, [1, 0], 1, 50, layout).stats)
+      .toEqual({ method: 'verlet', accepted: 50, rejected: 0, evaluations: 101, globalError: null });
+    expect(yoshida4(harmonic, 0, [1, 0], 1, 50, layout).stats.method).toBe('yoshida4');
+  });
+});
+
+// ── dormandPrince ─────────────────────────────────────────────────────────
+describe('dormandPrince', () => {
+  test('meets the requested tolerance at the end point', () => {
+    for (const tol of [1e-5, 1e-9]) {
+      const sol = dormandPrince(harmonic, 0, [1, 0], 20, { atol: tol, rtol: tol });
+      expect(Math.abs(sol.at(20)[0] - Math.cos(20))).toBeLessThan(100 * tol);
+      expect(sol.t[sol.t.length - 1]).toBe(20);
+    }
+  });
+
+  test('dense output is accurate between steps', () => {
+    const sol = dormandPrince(harmonic, 0, [1, 0], 20, { atol: 1e-10, rtol: 1e-10 });
+    let worst = 0;
+    for (let i = 0; i <= 1000; i++) {
+      const t = i * 0.02;
+      const [y, v] = sol.at(t);
+      worst = Math.max(worst, Math.abs(y - Math.cos(t)), Math.abs(v + Math.sin(t)));
+    }
+    expect(worst).toBeLessThan(1e-8);
+  });
+
+  test('tighter tolerances take more steps and shrink the error estimate', () => {
+    const loose = dormandPrince(harmonic, 0, [1, 0], 20, { atol: 1e-4, rtol: 1e-4 });
+    const tight = dormandPrince(harmonic, 0, [1, 0], 20, { atol: 1e-10, rtol: 1e-10 });
+    expect(tight.stats.accepted).toBeGreaterThan(loose.stats.accepted);
+    expect(tight.stats.globalError).toBeLessThan(loose.stats.globalError);
+    // The estimate bounds the actual error here
+    expect(Math.abs(loose.at(20)[0] - Math.cos(20))).toBeLessThan(loose.stats.globalError);
+  });
+
+  test('rejects steps across a sudden change and counts them', () => {
+    // y' = −50 (y − cos t) with a stiff-ish transient from y(0) = 5
+    const f = (t, [y]) => [-50 * (y - Math.cos(t))];
+    const sol = dormandPrince(f, 0, [5], 5, { atol: 1e-8, rtol: 1e-8, h0: 0.5 });
+    expect(sol.stats.rejected).toBeGreaterThan(0);
+    expect(sol.stats.evaluations).toBe(1 + 6 * (sol.stats.accepted + sol.stats.rejected));
+  });
+
+  test('reaches tEnd when hMax-limited steps stop a round-off short of it', () => {
+    // 179 steps of 0.1 sum to 17.90999999999999
+    const sol = dormandPrince(harmonic, 0, [1, 0], 17.91, { hMax: 0.1 });
+    expect(sol.t[sol.t.length - 1]).toBe(17.91);
+    expect(sol.at(17.91)[0]).toBeCloseTo(Math.cos(17.91), 5);
+  });
+
+  test('throws when maxSteps is exceeded', () => {
+    expect(() => dormandPrince(harmonic, 0, [1, 0], 1000, { atol: 1e-12, rtol: 1e-12, maxSteps: 10 }))
+      .toThrow('Maximum number of steps exceeded');
+  });
+});
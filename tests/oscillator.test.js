@@ -203,6 +203,49 @@ describe('firstTimeTo', () => {
   });
 });
 
+// ── guaranteedTimeTo ──────────────────────────────────────────────────────
+describe('guaranteedTimeTo', () => {
+  const osc = makeSymmetric(1, 1, 0, 0); // x1 = cos t
+
+  test('agrees with firstTimeTo on a crossing, with a bracket', () => {
+    const r = osc.guaranteedTimeTo(1, 'x', 0, { tMin: 0.1, tMax: 10 });
+    expect(r.t).toBeCloseTo(osc.firstTimeTo(1, 'x', 0, { tMin: 0.1, tMax: 10 }), 8);
+    expect(r.bracket[1] - r.bracket[0]).toBeLessThanOrEqual(1e-9);
+    expect(r.iterations).toBeGreaterThan(0);
+  });
+
+  test('finds x₁ reaching its own amplitude, which the scan misses', () => {
+    expect(osc.firstTimeTo(1, 'x', 1, { tMin: 0.1, tMax: 10 })).toBeNull();
+    const r = osc.guaranteedTimeTo(1, 'x', 1, { tMin: 0.1, tMax: 10 });
+    expect(r.t).toBeCloseTo(2 * Math.PI, 6);
+  });
+
+  test('finds a crossing narrower than the scan step', () => {
+    // cos t > 0.999 only for |t − 2π| < 0.0447
+    expect(osc.firstTimeTo(1, 'x', 0.999, { tMin: 0.1, tMax: 10, dt: 0.5 })).toBeNull();
+    const r = osc.guaranteedTimeTo(1, 'x', 0.999, { tMin: 0.1, tMax: 10 });
+    expect(r.t).toBeCloseTo(2 * Math.PI - Math.acos(0.999), 8);
+  });
+
+  test('no root is missed in a damped two-mode response', () => {
+    const damped = new CoupledOscillator({ m1: 1, m2: 2, k1: 1, k2: 0.3, k3: 2, c1: 0.05, c2: 0.02,
+                                           x10: 1, x20: -0.5, v10: 0.2, v20: 0 });
+    // Dense reference scan for the first sign change of v₂ − 0.1
+    const g = t => damped.velocity(2, t) - 0.1;
+    let first = null;
+    for (let i = 1; i <= 200000 && first === null; i++) {
+      if (Math.sign(g((i - 1) * 1e-4)) !== Math.sign(g(i * 1e-4))) first = i * 1e-4;
+    }
+    const r = damped.guaranteedTimeTo(2, 'v', 0.1, { tMax: 20 });
+    expect(r.t).toBeLessThanOrEqual(first);
+    expect(r.t).toBeGreaterThan(first - 1e-4);
+  });
+
+  test('null when the target is out of reach', () => {
+    expect(osc.guaranteedTimeTo(1, 'a', 2, { tMax: 30 })).toBeNull();
+  });
+});
+
 // ── uncoupled limit ───────────────────────────────────────────────────────
 describe('uncoupled limit (k2=0)', () => {
   test('masses oscillate independently', () => {
@@ -213,3 +256,242 @@ describe('uncoupled limit (k2=0)', () => {
     expect(osc.position(2, 0)).toBeCloseTo(2, 6);
   });
 });
+
+// ── viscous damping ───────────────────────────────────────────────────────
+describe('viscous damping', () => {
+  // Residuals of M ẍ + C ẋ + K x = 0 for both masses at time t
+  function residuals(osc, t) {
+    const { m1, m2, k1, k2, k3, c1, c2, c3 } = osc;
+    const [x1, x2] = [osc.position(1, t), osc.position(2, t)];
+    const [v1, v2] = [osc.velocity(1, t), osc.velocity(2, t)];
+    const [a1, a2] = [osc.acceleration(1, t), osc.acceleration(2, t)];
+    return [
+      m1 * a1 + (c1 + c2) * v1 - c2 * v2 + (k1 + k2) * x1 - k2 * x2,
+      m2 * a2 - c2 * v1 + (c2 + c3) * v2 - k2 * x1 + (k2 + k3) * x2,
+    ];
+  }
+
+  const cases = {
+    'proportional, light':        { m1:1, m2:1, k1:1, k2:0.5, k3:1, c1:0.2, c2:0,   c3:0.2 },
+    'proportional, overdamped':   { m1:1, m2:1, k1:1, k2:0.5, k3:1, c1:5,   c2:1,   c3:5 },
+    'non-proportional':           { m1:1, m2:2, k1:1, k2:0.5, k3:1, c1:0.3, c2:0,   c3:0 },
+    'non-proportional, heavy':    { m1:2, m2:1, k1:3, k2:1,   k3:0, c1:4,   c2:0.5, c3:0 },
+    'non-proportional, critical': { m1:1, m2:1, k1:0, k2:1,   k3:0.5, c1:1, c2:1,   c3:1 },
+  };
+
+  for (const [name, p] of Object.entries(cases)) {
+    const osc = new CoupledOscillator({ ...p, x10: 1, x20: -0.4, v10: 0.3, v20: 0.8 });
+
+    test(`${name}: initial conditions reproduced`, () => {
+      expect(osc.position(1, 0)).toBeCloseTo(1,    9);
+      expect(osc.position(2, 0)).toBeCloseTo(-0.4, 9);
+      expect(osc.velocity(1, 0)).toBeCloseTo(0.3,  9);
+      expect(osc.velocity(2, 0)).toBeCloseTo(0.8,  9);
+    });
+
+    test(`${name}: damped equations of motion satisfied`, () => {
+      for (const t of [0.2, 1.5, 4, 9]) {
+        const [r1, r2] = residuals(osc, t);
+        expect(r1).toBeCloseTo(0, 8);
+        expect(r2).toBeCloseTo(0, 8);
+      }
+    });
+
+    test(`${name}: motion decays`, () => {
+      const late = Math.abs(osc.position(1, 200)) + Math.abs(osc.position(2, 200));
+      expect(late).toBeLessThan(0.05);
+    });
+  }
+
+  test('zero damping keeps the undamped solution', () => {
+    const a = makeSymmetric(1, 0.5, 0.2, 0);
+    const b = new CoupledOscillator({ m1:1, m2:1, k1:1, k2:0.5, k3:1, c1:0, c2:0, c3:0,
+                                      x10:1, x20:0.5, v10:0.2, v20:0 });
+    expect(b.isDamped).toBe(false);
+    for (const t of [0.5, 3]) expect(b.position(1, t)).toBeCloseTo(a.position(1, t), 12);
+    expect(b.modes.map(m => m.regime)).toEqual(['undamped', 'undamped']);
+  });
+
+  test('symmetric dampers are proportional and underdamped', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:1, k2:0.5, k3:1, c1:0.2, c2:0, c3:0.2,
+                                        x10:1, x20:0, v10:0, v20:0 });
+    expect(osc.proportionalDamping).toBe(true);
+    expect(osc.modes.map(m => m.regime)).toEqual(['underdamped', 'underdamped']);
+    // γ = c/2m for both modes, ω_d = √(ω² − γ²)
+    expect(osc.modes[0].gamma).toBeCloseTo(0.1, 12);
+    expect(osc.modes[0].omegaD).toBeCloseTo(Math.sqrt(1 - 0.01), 12);
+    expect(osc.modes[1].omegaD).toBeCloseTo(Math.sqrt(2 - 0.01), 12);
+  });
+
+  test('critical damping gives (A + Bt) e^{−γt}', () => {
+    // Uncoupled: mode 1 has ω = 1 and γ = c₁/2 = 1 → critical
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:1, k2:0, k3:4, c1:2, c2:0, c3:0,
+                                        x10:1, x20:0, v10:0, v20:0 });
+    expect(osc.modes[0].regime).toBe('critical');
+    expect(osc.modes[1].regime).toBe('undamped');
+    for (const t of [0.5, 2, 5]) {
+      expect(osc.position(1, t)).toBeCloseTo((1 + t) * Math.exp(-t), 12);
+    }
+  });
+
+  test('overdamped modes report two real decay rates', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:1, k2:0.5, k3:1, c1:5, c2:0, c3:5,
+                                        x10:1, x20:1, v10:0, v20:0 });
+    const mode = osc.modes[0];
+    expect(mode.regime).toBe('overdamped');
+    // s² + 5s + 1 = 0
+    const r = Math.sqrt(25 - 4) / 2;
+    expect(mode.decayRates[0]).toBeCloseTo(2.5 - r, 10);
+    expect(mode.decayRates[1]).toBeCloseTo(2.5 + r, 10);
+  });
+
+  test('non-proportional damping is detected and eigenvalues come in conjugate pairs', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:2, k1:1, k2:0.5, k3:1, c1:0.3, c2:0, c3:0,
+                                        x10:1, x20:0, v10:0, v20:0 });
+    expect(osc.proportionalDamping).toBe(false);
+    expect(osc.eigenvalues).toHaveLength(4);
+    expect(osc.modes.every(m => m.regime === 'underdamped' && m.gamma > 0)).toBe(true);
+    // Sum of eigenvalues = −tr(M⁻¹C) = −0.3
+    const sum = osc.eigenvalues.reduce((s, z) => s + z.re, 0);
+    expect(sum).toBeCloseTo(-0.3, 10);
+  });
+
+  test('non-proportional repeated root: one critical mode with a t e^{−t} term', () => {
+    // det(s²M + sC + K) = (s + 1)²(s² + 2s + 1/2); the double root comes
+    // back from the root finder split off the real axis
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:0, k2:1, k3:0.5, c1:1, c2:1, c3:1,
+                                        x10:1, x20:0, v10:0, v20:0 });
+    expect(osc.proportionalDamping).toBe(false);
+    expect(osc.modes.map(m => m.regime)).toEqual(['overdamped', 'critical', 'overdamped']);
+    expect(osc.modes[1].gamma).toBeCloseTo(1, 12);
+    expect(osc.eigenvalues.filter(z => z.re === -osc.modes[1].gamma && z.im === 0)).toHaveLength(2);
+    expect(osc.terms.some(term => term.power === 1)).toBe(true);
+    expect(osc.position(1, 0)).toBeCloseTo(1, 12);
+    expect(osc.position(2, 0)).toBeCloseTo(0, 12);
+    expect(osc.velocity(1, 0)).toBeCloseTo(0, 12);
+    expect(osc.velocity(2, 0)).toBeCloseTo(0, 12);
+  });
+
+  test('a non-proportional triple root is reported, not fitted', () => {
+    // det(s²M + sC + K) = s(s + 1)³
+    expect(() => new CoupledOscillator({ m1:1, m2:1, k1:0, k2:0, k3:2, c1:0, c2:0.5, c3:2,
+                                         x10:1, x20:0, v10:0, v20:0 }))
+      .toThrow(/multiplicity 3 is not supported/);
+  });
+
+  test('free masses joined by a damper: momentum kept, the gap settles', () => {
+    // K = 0: the relative motion decays at c(1/m₁ + 1/m₂) = 0.75
+    const osc = new CoupledOscillator({ m1:1, m2:2, k1:0, k2:0, k3:0, c1:0, c2:0.5, c3:0,
+                                        x10:1, x20:0, v10:0.3, v20:0 });
+    expect(osc.proportionalDamping).toBe(true);
+    expect(osc.modes.map(m => m.regime)).toEqual(['rigid', 'rigid']);
+    for (const t of [0, 2, 50]) {
+      const centre = (osc.position(1, t) + 2 * osc.position(2, t)) / 3;
+      expect(centre).toBeCloseTo(1 / 3 + 0.1 * t, 10);
+      const gap = osc.position(2, t) - osc.position(1, t);
+      expect(gap).toBeCloseTo(-1.4 + 0.4 * Math.exp(-0.75 * t), 10);
+    }
+  });
+
+  test('equal uncoupled frequencies with a coupling damper', () => {
+    // λ = 1 twice; in the basis that diagonalises C the in-phase mode is undamped
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:1, k2:0, k3:1, c1:0, c2:0.4, c3:0,
+                                        x10:1, x20:1, v10:0, v20:0 });
+    expect(osc.proportionalDamping).toBe(true);
+    for (const t of [1, 7]) {
+      expect(osc.position(1, t)).toBeCloseTo(Math.cos(t), 10);
+      expect(osc.position(2, t)).toBeCloseTo(Math.cos(t), 10);
+    }
+  });
+});
+
+// ── mode shapes ───────────────────────────────────────────────────────────
+describe('modeShapes', () => {
+  test('symmetric system: in-phase and anti-phase, mass-normalised', () => {
+    const osc = makeSymmetric(1, 0, 0, 0);
+    const h = Math.SQRT1_2;
+    expect(osc.lambdas[0]).toBeCloseTo(1, 12);
+    expect(osc.lambdas[1]).toBeCloseTo(2, 12);
+    expect(osc.modeShapes[0][0]).toBeCloseTo(h, 12);
+    expect(osc.modeShapes[0][1]).toBeCloseTo(h, 12);
+    expect(osc.modeShapes[1][0]).toBeCloseTo(h, 12);
+    expect(osc.modeShapes[1][1]).toBeCloseTo(-h, 12);
+  });
+
+  test('pure-mode initial conditions stay on the mode axis', () => {
+    const p = { m1: 1, m2: 2, k1: 1, k2: 0.5, k3: 1.5, v10: 0, v20: 0 };
+    const phi = new CoupledOscillator({ ...p, x10: 0, x20: 0 }).modeShapes[1];
+    const osc = new CoupledOscillator({ ...p, x10: phi[0], x20: phi[1] });
+    for (const t of [0.7, 3.1]) {
+      // x is parallel to φ: cross product vanishes
+      expect(osc.position(1, t) * phi[1] - osc.position(2, t) * phi[0]).toBeCloseTo(0, 12);
+    }
+  });
+});
+
+// ── rigid-body and unstable modes ─────────────────────────────────────────
+describe('rigid-body and unstable modes', () => {
+  // Residuals of M ẍ + C ẋ + K x = 0
+  const residuals = (osc, t) => {
+    const { M, K, C } = osc.matrices();
+    const x = [osc.position(1, t), osc.position(2, t)];
+    const v = [osc.velocity(1, t), osc.velocity(2, t)];
+    const a = [osc.acceleration(1, t), osc.acceleration(2, t)];
+    return [0, 1].map(i => M[i][i] * a[i] +
+      C[i][0] * v[0] + C[i][1] * v[1] + K[i][0] * x[0] + K[i][1] * x[1]);
+  };
+
+  test('free-floating pair drifts as A + Bt with the initial momentum', () => {
+    // Two-spring config with k1 = 0: only the coupling spring remains
+    const osc = new CoupledOscillator({ m1:1, m2:3, k1:0, k2:2, k3:0, x10:0.5, x20:0, v10:1, v20:0.2 });
+    expect(osc.lambdas[0]).toBe(0);
+    expect(osc.omega1).toBe(0);
+    expect(osc.modes[0].regime).toBe('rigid');
+    expect(osc.unstable).toBe(false);
+    // Centre of mass moves at (m1 v10 + m2 v20)/(m1 + m2) = 0.4
+    for (const t of [0, 2.5, 40]) {
+      const xc = (osc.position(1, t) + 3 * osc.position(2, t)) / 4;
+      expect(xc).toBeCloseTo(0.125 + 0.4 * t, 10);
+      residuals(osc, t).forEach(r => expect(r).toBeCloseTo(0, 9));
+    }
+  });
+
+  test('a damped free-floating pair coasts to a stop', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:0, k2:1, k3:0, c1:0.5, c2:0, c3:0.5,
+                                        x10:0, x20:0, v10:1, v20:1 });
+    expect(osc.modes[0].regime).toBe('rigid');
+    // q̈ + 2γq̇ = 0 with 2γ = 0.5 → x → v₀/(2γ) = 2
+    expect(osc.position(1, 60)).toBeCloseTo(2, 8);
+    residuals(osc, 1.3).forEach(r => expect(r).toBeCloseTo(0, 10));
+  });
+
+  test('negative stiffness grows as cosh/sinh', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:1, k1:-1, k2:0, k3:4, x10:1, x20:0, v10:2, v20:0 });
+    expect(osc.lambdas[0]).toBeCloseTo(-1, 12);
+    expect(osc.unstable).toBe(true);
+    expect(osc.modes[0].regime).toBe('unstable');
+    expect(osc.modes[0].growthRate).toBeCloseTo(1, 12);
+    for (const t of [0, 0.5, 3]) {
+      expect(osc.position(1, t)).toBeCloseTo(Math.cosh(t) + 2 * Math.sinh(t), 9);
+      expect(osc.velocity(1, t)).toBeCloseTo(Math.sinh(t) + 2 * Math.cosh(t), 9);
+    }
+  });
+
+  test('unstable coupled modes satisfy the equations of motion', () => {
+    for (const c of [0, 0.3]) {
+      const osc = new CoupledOscillator({ m1:1, m2:2, k1:1, k2:-0.8, k3:1, c1:c, c2:0, c3:c,
+                                          x10:0.1, x20:-0.2, v10:0, v20:0.3 });
+      expect(osc.unstable).toBe(true);
+      for (const t of [0.4, 2]) residuals(osc, t).forEach(r => expect(r).toBeCloseTo(0, 8));
+    }
+  });
+
+  test('non-proportional damping with a rigid-body mode', () => {
+    const osc = new CoupledOscillator({ m1:1, m2:2, k1:0, k2:1, k3:0, c1:0.4, c2:0, c3:0,
+                                        x10:0, x20:0, v10:1, v20:0 });
+    expect(osc.proportionalDamping).toBe(false);
+    expect(osc.modes.some(m => m.regime === 'rigid')).toBe(true);
+    expect(osc.unstable).toBe(false);
+    residuals(osc, 1.1).forEach(r => expect(r).toBeCloseTo(0, 9));
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for periodicity detection in src/periodicity.js
+ */
+
+import { periodicity } from '../src/periodicity.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+
+// ── periodic motion ───────────────────────────────────────────────────────
+describe('periodicity: rational ratios', () => {
+  test('ω₂ = 2ω₁ repeats after one cycle of mode 1', () => {
+    const p = periodicity(1, 2);
+    expect(p).toEqual({ periodic: true, ratio: 2, num: 2, den: 1, period: 2 * Math.PI });
+  });
+
+  test('ω₂/ω₁ = 5/3: T = 2π·3/ω₁', () => {
+    const p = periodicity(1.2, 2);
+    expect(p.periodic).toBe(true);
+    expect([p.num, p.den]).toEqual([5, 3]);
+    expect(p.period).toBeCloseTo(2 * Math.PI * 3 / 1.2, 12);
+  });
+
+  test('the motion really returns to its start after T', () => {
+    // k₂ = 1.5: ω₁ = 1, ω₂ = 2
+    const osc = new CoupledOscillator({ m1: 1, m2: 1, k1: 1, k2: 1.5, k3: 1, x10: 1, x20: 0.3, v10: -0.2, v20: 0.5 });
+    const { period } = periodicity(osc.omega1, osc.omega2);
+    [1, 2].forEach(m => {
+      expect(osc.position(m, period)).toBeCloseTo(osc.position(m, 0), 10);
+      expect(osc.velocity(m, period)).toBeCloseTo(osc.velocity(m, 0), 10);
+    });
+  });
+
+  test('a ratio only close to rational needs a looser tolerance', () => {
+    const r = 1.5 + 1e-7;
+    expect(periodicity(1, r).periodic).toBe(false);
+    const loose = periodicity(1, r, { tolerance: 1e-6 });
+    expect(loose.periodic).toBe(true);
+    expect([loose.num, loose.den]).toEqual([3, 2]);
+  });
+
+  test('the denominator bound', () => {
+    expect(periodicity(1, 101 / 67).periodic).toBe(true);
+    expect(periodicity(1, 101 / 67, { maxDen: 50 }).periodic).toBe(false);
+  });
+});
+
+// ── quasi-periodic motion ─────────────────────────────────────────────────
+describe('periodicity: irrational ratios', () => {
+  test('√2: recurrences at the Pell denominators', () => {
+    const p = periodicity(1, Math.SQRT2);
+    expect(p.periodic).toBe(false);
+    expect(p.recurrences.map(r => r.cycles)).toEqual([[1, 1], [2, 3], [5, 7], [12, 17], [29, 41], [70, 99]]);
+    const last = p.recurrences[p.recurrences.length - 1];
+    expect(last.period).toBeCloseTo(140 * Math.PI, 10);
+    expect(last.phaseError).toBeCloseTo(2 * Math.PI * Math.abs(70 * Math.SQRT2 - 99), 12);
+  });
+
+  test('each recurrence is closer than the last', () => {
+    const { recurrences } = periodicity(1.3, 1.3 * Math.PI, { maxDen: 500 });
+    for (let i = 1; i < recurrences.length; i++) {
+      expect(recurrences[i].phaseError).toBeLessThan(recurrences[i - 1].phaseError);
+      expect(recurrences[i].period).toBeGreaterThan(recurrences[i - 1].period);
+    }
+  });
+
+  test('the state nearly recurs after the best time', () => {
+    // k₂ = 0.5: ω₁ = 1, ω₂ = √2
+    const osc = new CoupledOscillator({ m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1, x10: 1, x20: 0, v10: 0, v20: 0 });
+    const { recurrences } = periodicity(osc.omega1, osc.omega2);
+    const { period } = recurrences[recurrences.length - 1];
+    expect(Math.abs(osc.position(1, period) - 1)).toBeLessThan(1e-3);
+  });
+});
+
+// ── validation ────────────────────────────────────────────────────────────
+describe('periodicity: validation', () => {
+  test.each([
+    [0, 1, {}, 'two positive natural frequencies'],
+    [1, NaN, {}, 'two positive natural frequencies'],
+    [1, 2, { tolerance: -1 }, 'non-negative'],
+    [1, 2, { maxDen: 0 }, 'whole number ≥ 1'],
+  ])('rejects ω₁ = %p, ω₂ = %p, %j', (w1, w2, opts, message) => {
+    expect(() => periodicity(w1, w2, opts)).toThrow(message);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for Poincaré sections and bifurcation sweeps in src/poincare.js
+ *
+ * Strategy: a damped linear system settles on the closed-form steady
+ * state, one point per period; an uncoupled mass with a cubic spring is
+ * the textbook Duffing oscillator, with its jump and its chaotic regime.
+ */
+
+import { poincareSection, bifurcationSweep, distinctPoints } from '../src/poincare.js';
+import { ForcedOscillator } from '../src/forced-oscillator.js';
+
+const DRIVE = { forceType: 'cos', forceTarget: 'mass1', forcePhi: 0 };
+// Symmetric system: m1=m2=1, k1=k3=1, k2=0.5  →  ω₁=1, ω₂=√2
+const LINEAR = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1, c1: 0.3, c2: 0.1, c3: 0.3,
+                 x10: 1, x20: 0, v10: 0, v20: 0, ...DRIVE, forceA: 1, forceOmega: 1.2 };
+// Mass 1 alone: ẍ + 0.1ẋ + x + x³ = A cos ωt
+const DUFFING = { ...LINEAR, k2: 0, c1: 0.1, c2: 0, c3: 0.1, beta1: 1, x10: 0, forceA: 0.5 };
+
+// ── poincareSection ───────────────────────────────────────────────────────
+describe('poincareSection', () => {
+  test('a damped linear system settles on its steady state', () => {
+    const { period, points } = poincareSection(LINEAR, { transient: 60, periods: 20 });
+    expect(period).toBeCloseTo(2 * Math.PI / 1.2, 12);
+    expect(points).toHaveLength(21);
+    expect(points[0].t).toBeCloseTo(60 * period, 9);
+    const exact = new ForcedOscillator(LINEAR);
+    points.forEach(p => {
+      expect(p.x1).toBeCloseTo(exact.position(1, p.t), 5);
+      expect(p.v2).toBeCloseTo(exact.velocity(2, p.t), 5);
+    });
+    expect(distinctPoints(points.map(p => p.x1))).toBe(1);
+  });
+
+  test('the end state continues the run', () => {
+    const a = poincareSection(LINEAR, { transient: 0, periods: 10, stepsPerPeriod: 64 });
+    const b = poincareSection({ ...LINEAR, ...a.end }, { transient: 0, periods: 5, stepsPerPeriod: 64 });
+    const whole = poincareSection(LINEAR, { transient: 0, periods: 15, stepsPerPeriod: 64 });
+    expect(b.points[5].x1).toBeCloseTo(whole.points[15].x1, 8);
+  });
+
+  test('the hardening Duffing oscillator is chaotic under a strong drive', () => {
+    // Ueda's system ẍ + 0.05ẋ + x³ = 7.5 cos t
+    const { points } = poincareSection({ ...DUFFING, k1: 0, c1: 0.05, forceA: 7.5, forceOmega: 1 },
+                                        { transient: 100, periods: 200 });
+    expect(distinctPoints(points.map(p => p.x1))).toBeGreaterThan(150);
+  });
+
+  test.each([
+    [{ ...LINEAR, forceType: 'expr' }, {}, 'cos or sin drive'],
+    [{ ...LINEAR, forceOmega: 0 }, {}, 'ω > 0'],
+    [LINEAR, { periods: 0 }, 'number of periods must be a whole number ≥ 1'],
+    [LINEAR, { transient: 1.5 }, 'transient must be a whole number'],
+    [LINEAR, { stepsPerPeriod: 2 }, 'steps per period'],
+  ])('rejects %#', (params, opts, message) => {
+    expect(() => poincareSection(params, opts)).toThrow(message);
+  });
+});
+
+// ── distinctPoints ────────────────────────────────────────────────────────
+describe('distinctPoints', () => {
+  test.each([
+    [[1, 1 + 1e-7, 1 - 1e-7], 1],
+    [[0.5, -0.3, 0.5, -0.3], 2],
+    [[], 0],
+  ])('%j → %d', (values, expected) => {
+    expect(distinctPoints(values)).toBe(expected);
+  });
+});
+
+// ── bifurcationSweep ──────────────────────────────────────────────────────
+describe('bifurcationSweep', () => {
+  test('a linear system responds in proportion to the drive amplitude', () => {
+    const sweep = bifurcationSweep(LINEAR, 'forceA', { from: 0.5, to: 2, points: 4, transient: 60, periods: 5 });
+    expect(sweep.values).toEqual([0.5, 1, 1.5, 2]);
+    expect(sweep.distinct).toEqual([1, 1, 1, 1]);
+    expect(sweep.sections[3][0]).toBeCloseTo(4 * sweep.sections[0][0], 5);
+  });
+
+  test('sweeping the drive frequency up and down shows the jump', () => {
+    const opts = { points: 8, transient: 100, periods: 5 };
+    const up = bifurcationSweep(DUFFING, 'forceOmega', { from: 1, to: 1.7, ...opts });
+    const down = bifurcationSweep(DUFFING, 'forceOmega', { from: 1.7, to: 1, ...opts });
+    const size = xs => Math.max(...xs.map(Math.abs));
+    // At ω = 1.7 the large response survives on the way up; coming down
+    // the system starts on the small one
+    expect(up.values[7]).toBeCloseTo(1.7, 12);
+    expect(size(up.sections[7])).toBeGreaterThan(1);
+    expect(size(down.sections[0])).toBeLessThan(0.4);
+    expect(size(down.sections[7])).toBeCloseTo(size(up.sections[0]), 3);
+  });
+
+  test('records the chosen mass', () => {
+    const sweep = bifurcationSweep(LINEAR, 'forceA', { from: 0, to: 1, points: 2, mass: 2, transient: 10, periods: 1 });
+    const direct = poincareSection({ ...LINEAR, forceA: 0 }, { transient: 10, periods: 1 });
+    expect(sweep.sections[0]).toEqual(direct.points.map(p => p.x2));
+  });
+
+  test.each([
+    ['k1', { from: 0, to: 1 }, "Cannot sweep 'k1'"],
+    ['forceA', { from: 1, to: 1 }, 'two different finite end values'],
+    ['forceA', { from: 0, to: 1, points: 1 }, 'sweep points must be a whole number ≥ 2'],
+    ['forceOmega', { from: 0, to: 1 }, 'must stay positive'],
+  ])('rejects %s %j', (name, range, message) => {
+    expect(() => bifurcationSweep(LINEAR, name, range)).toThrow(message);
+  });
+});
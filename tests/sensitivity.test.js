@@ -0,0 +1,85 @@
+/**
+ * Tests for the sensitivity analysis in src/sensitivity.js
+ *
+ * Strategy: compare the perturbation formulas with finite differences of
+ * CoupledOscillator, and check closed-form cases of the symmetric system.
+ */
+
+import { frequencySensitivities, trajectorySensitivities, SENSITIVITY_PARAMETERS } from '../src/sensitivity.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+import { ForcedOscillator } from '../src/forced-oscillator.js';
+
+// Symmetric system: m1=m2=1, k1=k3=1, k2=0.5  →  ω₁=1, ω₂=√2
+const SYM = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1 };
+const REST = { x10: 0, x20: 0, v10: 0, v20: 0 };
+
+// ── frequencySensitivities ────────────────────────────────────────────────
+describe('frequencySensitivities', () => {
+  test.each(SENSITIVITY_PARAMETERS)('∂ω/∂%s matches a finite difference', name => {
+    const p = { m1: 1.3, m2: 0.8, k1: 2, k2: 0.6, k3: 1.1 };
+    const h = 1e-5;
+    const at = v => new CoupledOscillator({ ...p, ...REST, [name]: v });
+    const hi = at(p[name] + h), lo = at(p[name] - h);
+    const [d1, d2] = frequencySensitivities(p)[name];
+    expect(d1).toBeCloseTo((hi.omega1 - lo.omega1) / (2 * h), 7);
+    expect(d2).toBeCloseTo((hi.omega2 - lo.omega2) / (2 * h), 7);
+  });
+
+  test('symmetric system: k₂ only moves the anti-phase mode', () => {
+    const s = frequencySensitivities(SYM);
+    expect(s.k2[0]).toBeCloseTo(0, 12);
+    expect(s.k2[1]).toBeCloseTo(1 / Math.SQRT2, 12);  // ω₂² = k₁ + 2k₂
+    expect(s.k1[0]).toBeCloseTo(0.25, 12);            // ω₁² = (k₁ + k₃)/2 per unit mass
+    expect(s.m1[0]).toBeCloseTo(-0.25, 12);
+  });
+
+  test('repeated frequency: rates as the parameter increases', () => {
+    // Uncoupled identical masses, ω = 1 twice; raising k₂ lifts only the anti-phase mode
+    const s = frequencySensitivities({ ...SYM, k2: 0 });
+    expect(s.k2[0]).toBeCloseTo(0, 10);
+    expect(s.k2[1]).toBeCloseTo(1, 10);
+    // Raising k₁ lifts mass 1 alone: one rate is zero, the other that of a single oscillator
+    expect(s.k1[0]).toBeCloseTo(0, 10);
+    expect(s.k1[1]).toBeCloseTo(0.5, 10);
+  });
+
+  test('rigid-body mode has no frequency sensitivity', () => {
+    const s = frequencySensitivities({ ...SYM, k1: 0, k3: 0 });
+    expect(s.k2[0]).toBeNull();
+    expect(s.k2[1]).toBeCloseTo(1, 10);  // ω₂² = 2k₂ = 1
+  });
+});
+
+// ── trajectorySensitivities ───────────────────────────────────────────────
+describe('trajectorySensitivities', () => {
+  const p = { ...SYM, m2: 1.4, c1: 0.1, x10: 1, x20: 0, v10: 0, v20: 0.5 };
+  const tArr = [0, 0.5, 2, 7.5];
+
+  test('matches a coarser finite difference of the free response', () => {
+    const s = trajectorySensitivities(p, tArr);
+    for (const name of SENSITIVITY_PARAMETERS) {
+      const h = 1e-4;
+      const hi = new CoupledOscillator({ ...p, [name]: p[name] + h });
+      const lo = new CoupledOscillator({ ...p, [name]: p[name] - h });
+      [1, 2].forEach(m => tArr.forEach((t, i) => {
+        expect(s[name][m - 1][i]).toBeCloseTo((hi.position(m, t) - lo.position(m, t)) / (2 * h), 5);
+      }));
+    }
+  });
+
+  test('initial positions do not depend on the parameters', () => {
+    const s = trajectorySensitivities(p, [0]);
+    for (const name of SENSITIVITY_PARAMETERS) expect(s[name][0][0]).toBeCloseTo(0, 8);
+  });
+
+  test('uses the given model builder', () => {
+    const forced = { ...p, forceA: 1, forceOmega: 0.7, forceTarget: 'mass1' };
+    const build = q => new ForcedOscillator(q);
+    const s = trajectorySensitivities(forced, [40], { build });
+    const free = trajectorySensitivities(p, [40]);
+    expect(s.k1[0][0]).not.toBeCloseTo(free.k1[0][0], 3);
+    const h = 1e-4;
+    const d = (build({ ...forced, k1: 1 + h }).position(1, 40) - build({ ...forced, k1: 1 - h }).position(1, 40)) / (2 * h);
+    expect(s.k1[0][0]).toBeCloseTo(d, 5);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for the solution-term helpers in src/solution-terms.js
+ */
+
+import {
+  evaluateTerms, mergeTerms, differentiateTerms, integrateProduct, boundTerms, envelopeOfTerms, firstRootOfTerms,
+} from '../src/solution-terms.js';
+
+const term = (gamma, omega, power, c, s = c.map(() => 0)) => ({ gamma, omega, power, c, s });
+
+// ── evaluateTerms ─────────────────────────────────────────────────────────
+describe('evaluateTerms', () => {
+  test('undamped cosine / sine', () => {
+    const terms = [term(0, 2, 0, [1, 0], [0, 3])];
+    expect(evaluateTerms(terms, 0, 0.4)).toBeCloseTo(Math.cos(0.8), 14);
+    expect(evaluateTerms(terms, 1, 0.4)).toBeCloseTo(3 * Math.sin(0.8), 14);
+  });
+
+  test('damped, polynomial and exponential factors', () => {
+    const terms = [term(0.5, 1, 1, [2], [1]), term(-0.1, 0, 0, [4])];
+    const t = 1.7;
+    const expected = t * Math.exp(-0.5 * t) * (2 * Math.cos(t) + Math.sin(t)) + 4 * Math.exp(0.1 * t);
+    expect(evaluateTerms(terms, 0, t)).toBeCloseTo(expected, 12);
+  });
+
+  test('empty list evaluates to zero', () => {
+    expect(evaluateTerms([], 0, 3)).toBe(0);
+  });
+});
+
+// ── mergeTerms ────────────────────────────────────────────────────────────
+describe('mergeTerms', () => {
+  test('adds coefficients of matching terms and drops zeros', () => {
+    const merged = mergeTerms([term(1, 2, 0, [1], [1]), term(1, 2, 0, [2], [-1]), term(0, 0, 0, [0])]);
+    expect(merged).toEqual([term(1, 2, 0, [3], [0])]);
+  });
+});
+
+// ── differentiateTerms ────────────────────────────────────────────────────
+describe('differentiateTerms', () => {
+  const h = 1e-6;
+  const cases = {
+    'undamped':        [term(0, 1.3, 0, [1], [0.5])],
+    'underdamped':     [term(0.2, 1.3, 0, [1], [-0.5])],
+    'critical':        [term(0.7, 0, 0, [1]), term(0.7, 0, 1, [2])],
+    'secular':         [term(0, 2, 1, [0.3], [1])],
+    'rigid-body drift':[term(0, 0, 0, [1]), term(0, 0, 1, [0.25])],
+  };
+
+  for (const [name, terms] of Object.entries(cases)) {
+    test(`${name}: derivative matches finite difference`, () => {
+      const d = differentiateTerms(terms);
+      for (const t of [0.3, 2.1, 5]) {
+        const fd = (evaluateTerms(terms, 0, t + h) - evaluateTerms(terms, 0, t - h)) / (2 * h);
+        expect(evaluateTerms(d, 0, t)).toBeCloseTo(fd, 6);
+      }
+    });
+  }
+
+  test('derivative of a constant is empty', () => {
+    expect(differentiateTerms([term(0, 0, 0, [5])])).toEqual([]);
+  });
+});
+
+// ── integrateProduct ──────────────────────────────────────────────────────
+describe('integrateProduct', () => {
+  // Composite Simpson reference
+  function simpson(f, t, n = 20000) {
+    const h = t / n;
+    let s = f(0) + f(t);
+    for (let i = 1; i < n; i++) s += (i % 2 ? 4 : 2) * f(i * h);
+    return s * h / 3;
+  }
+
+  const a = [term(0.3, 1.1, 0, [1, 0.5], [0.2, -1]), term(0, 0, 1, [0.4, 0]), term(0.1, 0, 0, [-2, 1])];
+  const b = [term(0, 1.1, 0, [0.7, 0], [-0.3, 2]), term(0.2, 2.5, 1, [1, 1], [1, 0])];
+
+  for (const [ia, ib] of [[0, 0], [0, 1], [1, 1]]) {
+    test(`matches quadrature for components ${ia}, ${ib}`, () => {
+      for (const t of [0.01, 0.8, 6]) {
+        const ref = simpson(s => evaluateTerms(a, ia, s) * evaluateTerms(b, ib, s), t);
+        expect(integrateProduct(a, ia, b, ib, t)).toBeCloseTo(ref, 9);
+      }
+    });
+  }
+
+  test('∫ cos² ωs ds = t/2 + sin 2ωt / 4ω', () => {
+    const c = [term(0, 2, 0, [1])];
+    const t = 3.3;
+    expect(integrateProduct(c, 0, c, 0, t)).toBeCloseTo(t / 2 + Math.sin(4 * t) / 8, 13);
+  });
+});
+
+// ── boundTerms ────────────────────────────────────────────────────────────
+describe('boundTerms', () => {
+  const terms = [term(0.3, 1.1, 0, [1], [0.2]), term(0, 0, 1, [0.4]), term(-0.1, 2, 1, [-2], [1])];
+
+  test('bounds every sampled value on the interval', () => {
+    for (const [a, b] of [[0, 1], [2, 2.5], [0.5, 10]]) {
+      const bound = boundTerms(terms, 0, a, b);
+      for (let i = 0; i <= 200; i++) {
+        expect(Math.abs(evaluateTerms(terms, 0, a + (b - a) * i / 200))).toBeLessThanOrEqual(bound);
+      }
+    }
+  });
+
+  test('tight for a single undamped mode', () => {
+    expect(boundTerms([term(0, 3, 0, [3], [4])], 0, 0, 1)).toBeCloseTo(5, 14);
+  });
+});
+
+// ── envelopeOfTerms ───────────────────────────────────────────────────────
+describe('envelopeOfTerms', () => {
+  test('a single damped sinusoid: amplitude e^{−γt}√(c² + s²)', () => {
+    const terms = [term(0.2, 3, 0, [3], [4]), term(0.5, 0, 0, [1])];
+    const t = 1.3;
+    const env = envelopeOfTerms(terms, 0, t);
+    expect(env.amplitude).toBeCloseTo(5 * Math.exp(-0.2 * t), 12);
+    expect(env.center).toBeCloseTo(Math.exp(-0.5 * t), 12);
+  });
+
+  test('bounds the sum of two frequencies', () => {
+    const terms = [term(0, 1, 0, [1], [0.3]), term(0, 1.2, 1, [0.1], [-0.2])];
+    for (let t = 0; t < 30; t += 0.37) {
+      const { center, amplitude } = envelopeOfTerms(terms, 0, t);
+      expect(Math.abs(evaluateTerms(terms, 0, t) - center)).toBeLessThanOrEqual(amplitude + 1e-12);
+    }
+  });
+});
+
+// ── firstRootOfTerms ──────────────────────────────────────────────────────
+describe('firstRootOfTerms', () => {
+  const cos = [term(0, 1, 0, [1])];
+
+  test('a crossing is bracketed to the tolerance', () => {
+    const r = firstRootOfTerms(cos, 0, 0, { tMin: 0.1, tMax: 10, tolerance: 1e-10 });
+    expect(r.bracket[0]).toBeLessThanOrEqual(Math.PI / 2);
+    expect(r.bracket[1]).toBeGreaterThanOrEqual(Math.PI / 2);
+    expect(r.bracket[1] - r.bracket[0]).toBeLessThanOrEqual(1e-10);
+    expect(r.t).toBeCloseTo(Math.PI / 2, 10);
+    expect(r.iterations).toBeGreaterThan(0);
+  });
+
+  test('a tangent touch is found', () => {
+    // cos t reaches 1 at 2π without crossing it
+    const r = firstRootOfTerms(cos, 0, 1, { tMin: 0.1, tMax: 10 });
+    expect(r.t).toBeCloseTo(2 * Math.PI, 6);
+    expect(r.iterations).toBeLessThan(1000);
+  });
+
+  test('the earliest of several close roots', () => {
+    // cos 40t + 0.999 dips below zero for 0.0022 around each odd multiple of π/40
+    const narrow = [term(0, 40, 0, [1]), term(0, 0, 0, [0.999])];
+    const r = firstRootOfTerms(narrow, 0, 0, { tMin: 0, tMax: 1 });
+    expect(r.t).toBeCloseTo(Math.acos(-0.999) / 40, 8);
+  });
+
+  test('null when the target is never reached', () => {
+    const decaying = [term(0.5, 2, 0, [1], [1])];
+    expect(firstRootOfTerms(decaying, 0, 2, { tMax: 50 })).toBeNull();
+  });
+
+  test('an exact zero at tMin', () => {
+    const r = firstRootOfTerms([term(0, 1, 0, [0], [1])], 0, 0, { tMin: 0, tMax: 5 });
+    expect(r).toEqual({ t: 0, bracket: [0, 0], iterations: 1 });
+  });
+
+  test.each([
+    [{ tMin: 2, tMax: 1 }, 'tMin ≤ tMax'],
+    [{ tolerance: 0 }, 'tolerance must be positive'],
+    [{ tolerance: 1e-15, maxIterations: 10 }, 'No bracket after 10 iterations'],
+  ])('rejects %j', (opts, message) => {
+    expect(() => firstRootOfTerms(cos, 0, 0, opts)).toThrow(message);
+  });
+});
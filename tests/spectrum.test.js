@@ -0,0 +1,99 @@
+/**
+ * Tests for the amplitude spectrum in src/spectrum.js
+ *
+ * Strategy: sums of cosines have known peaks; the normal modes of the
+ * symmetric system put them at ω₁ = 1 and ω₂ = √2.
+ */
+
+import { amplitudeSpectrum, windowCoefficients, WINDOWS } from '../src/spectrum.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+import { ForcedOscillatorRK4 } from '../src/forced-oscillator.js';
+
+// Symmetric system: m1=m2=1, k1=k3=1, k2=0.5  →  ω₁=1, ω₂=√2
+const SYM = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1 };
+
+const sampled = (f, dt, N) => Array.from({ length: N }, (_, n) => f(n * dt));
+
+/** Local maxima above `floor`, as [omega, amplitude], largest first. */
+function peaks({ omegas, amplitudes }, floor) {
+  const out = [];
+  for (let k = 1; k < amplitudes.length - 1; k++) {
+    const a = amplitudes[k];
+    if (a > floor && a >= amplitudes[k - 1] && a > amplitudes[k + 1]) out.push([omegas[k], a]);
+  }
+  return out.sort((p, q) => q[1] - p[1]);
+}
+
+// ── windows ───────────────────────────────────────────────────────────────
+describe('windowCoefficients', () => {
+  test.each(Object.keys(WINDOWS))('%s is symmetric and peaks at the centre', name => {
+    const w = windowCoefficients(name, 101);
+    w.forEach((x, n) => expect(x).toBeCloseTo(w[100 - n], 12));
+    expect(w[50]).toBeCloseTo(1, 12);
+  });
+
+  test('hann and blackman vanish at the ends, hamming does not', () => {
+    expect(windowCoefficients('hann', 9)[0]).toBeCloseTo(0, 12);
+    expect(windowCoefficients('blackman', 9)[8]).toBeCloseTo(0, 12);
+    expect(windowCoefficients('hamming', 9)[0]).toBeCloseTo(0.08, 12);
+  });
+
+  test('rejects an unknown window', () => {
+    expect(() => windowCoefficients('kaiser', 8)).toThrow("Unknown window 'kaiser'");
+  });
+});
+
+// ── amplitudeSpectrum ─────────────────────────────────────────────────────
+describe('amplitudeSpectrum', () => {
+  const dt = 0.05, N = 2000;  // 100 time units
+
+  test('frequency axis runs from 0 to the Nyquist frequency', () => {
+    const { omegas, resolution } = amplitudeSpectrum(sampled(Math.cos, dt, N), dt);
+    expect(omegas[0]).toBe(0);
+    expect(omegas[omegas.length - 1]).toBeCloseTo(Math.PI / dt, 12);
+    expect(resolution).toBeCloseTo(2 * Math.PI / (N * dt), 12);
+  });
+
+  test.each(Object.keys(WINDOWS))('%s: a cosine peaks at its frequency with its amplitude', name => {
+    const x = sampled(t => 1.5 * Math.cos(2.3 * t + 0.4) + 0.7, dt, N);
+    const spec = amplitudeSpectrum(x, dt, { window: name });
+    const [[omega, amplitude]] = peaks(spec, 0.1);
+    expect(Math.abs(omega - 2.3)).toBeLessThan(spec.resolution / 2);
+    expect(amplitude).toBeCloseTo(1.5, 1);
+  });
+
+  test('the mean is removed', () => {
+    const spec = amplitudeSpectrum(new Array(N).fill(3), dt);
+    spec.amplitudes.forEach(a => expect(a).toBeCloseTo(0, 12));
+  });
+
+  test('normal modes of the free response show at ω₁ and ω₂', () => {
+    const osc = new CoupledOscillator({ ...SYM, x10: 1, x20: 0, v10: 0, v20: 0 });
+    // x₁ = ½ cos t + ½ cos √2 t
+    const spec = amplitudeSpectrum(sampled(t => osc.position(1, t), dt, N), dt, { window: 'blackman' });
+    const found = peaks(spec, 0.1).map(([w]) => w).sort((a, b) => a - b);
+    expect(found).toHaveLength(2);
+    expect(Math.abs(found[0] - 1)).toBeLessThan(spec.resolution / 2);
+    expect(Math.abs(found[1] - Math.SQRT2)).toBeLessThan(spec.resolution / 2);
+  });
+
+  test('a numerical forced run shows the drive frequency', () => {
+    const rk4 = new ForcedOscillatorRK4({
+      ...SYM, c1: 0.05, x10: 0, x20: 0, v10: 0, v20: 0,
+      forceType: 'cos', forceTarget: 'mass1', forceA: 1, forceOmega: 2.5, tMax: 100, steps: N,
+    });
+    const spec = amplitudeSpectrum(sampled(t => rk4.position(1, t), dt, N + 1), dt);
+    const omegas = peaks(spec, 0.02).map(([w]) => w);
+    expect(omegas.some(w => Math.abs(w - 2.5) < spec.resolution)).toBe(true);
+  });
+
+  test.each([
+    [[1], 0.1, {}, 'at least two samples'],
+    [[1, 2], 0, {}, 'dt must be positive'],
+    [[1, NaN], 0.1, {}, 'finite numbers'],
+    [[1, 2], 0.1, { window: 'flat' }, "Unknown window 'flat'"],
+    [[1, 2], 0.1, { oversample: 0 }, 'at least 1'],
+  ])('rejects %j, dt = %d', (samples, step, opts, message) => {
+    expect(() => amplitudeSpectrum(samples, step, opts)).toThrow(message);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the state-space basis and fit in src/state-space.js
+ */
+
+import { polyMul, stateSpaceBasis, stateSpaceTerms } from '../src/state-space.js';
+import { complex } from '../src/complex.js';
+import { evaluateTerms, differentiateTerms } from '../src/solution-terms.js';
+
+const I = [[1, 0], [0, 1]];
+
+// ── polyMul ───────────────────────────────────────────────────────────────
+describe('polyMul', () => {
+  test('(s + 1)(s² − 2) = s³ + s² − 2s − 2', () => {
+    expect(polyMul([1, 1], [1, 0, -2])).toEqual([1, 1, -2, -2]);
+  });
+});
+
+// ── stateSpaceBasis ───────────────────────────────────────────────────────
+describe('stateSpaceBasis', () => {
+  test('simple roots: one solution each, conjugates marked by Im s < 0', () => {
+    const basis = stateSpaceBasis(I, [[0, 0], [0, 0]], [[1, 0], [0, 4]]);
+    expect(basis).toHaveLength(4);
+    expect(basis.every(b => !b.w)).toBe(true);
+    expect(basis.filter(b => b.s.im > 0)).toHaveLength(2);
+  });
+
+  test('a split repeated real root is merged into a real Jordan chain', () => {
+    // line model k₁ = 0, k₂ = 1, k₃ = ½, c₁ = c₂ = c₃ = 1: (s + 1)²(s² + 2s + ½)
+    const basis = stateSpaceBasis(I, [[2, -1], [-1, 2]], [[1, -1], [-1, 1.5]]);
+    const double = basis.filter(b => Math.abs(b.s.re + 1) < 1e-6);
+    expect(double).toHaveLength(2);
+    expect(double[0].s).toBe(double[1].s);
+    expect(double[0].s.im).toBe(0);
+    expect(double[0].s.re).toBeCloseTo(-1, 12);
+    expect(double.filter(b => b.w)).toHaveLength(1);
+  });
+
+  test('a double root split wider than √ε is still merged', () => {
+    // 4s⁴ + 13s³ + 18s² + 13s + 4 = (s + 1)²(4s² + 5s + 4): the root finder
+    // returns the double root about 2e-5 apart
+    const M = [[2, 0], [0, 2]], C = [[4, -2], [-2, 2.5]], K = [[2, -2], [-2, 4]];
+    const double = stateSpaceBasis(M, C, K).filter(b => Math.abs(b.s.re + 1) < 1e-3);
+    expect(double).toHaveLength(2);
+    expect(double[0].s).toBe(double[1].s);
+    expect(double[0].s.im).toBe(0);
+    expect(double[0].s.re).toBeCloseTo(-1, 14);
+  });
+
+  test('a triple root is reported, not fitted', () => {
+    // det(s²I + sC + K) = s(s + 1)³
+    expect(() => stateSpaceBasis(I, [[0.5, -0.5], [-0.5, 2.5]], [[0, 0], [0, 2]]))
+      .toThrow(/multiplicity 3 is not supported/);
+  });
+});
+
+// ── stateSpaceTerms ───────────────────────────────────────────────────────
+describe('stateSpaceTerms', () => {
+  test('terms reproduce the initial conditions', () => {
+    const C = [[2, -1], [-1, 2]], K = [[1, -1], [-1, 1.5]];
+    const terms = stateSpaceTerms(stateSpaceBasis(I, C, K), [1, -0.5], [0.3, 0.7]);
+    const vel = differentiateTerms(terms);
+    expect(evaluateTerms(terms, 0, 0)).toBeCloseTo(1, 12);
+    expect(evaluateTerms(terms, 1, 0)).toBeCloseTo(-0.5, 12);
+    expect(evaluateTerms(vel, 0, 0)).toBeCloseTo(0.3, 12);
+    expect(evaluateTerms(vel, 1, 0)).toBeCloseTo(0.7, 12);
+  });
+
+  test('a basis too close to singular to fit is rejected', () => {
+    const basis = [
+      { s: complex(-1), u: [complex(1), complex(0)] },
+      { s: complex(-1 - 1e-11), u: [complex(1), complex(1e-11)] },
+      { s: complex(-2), u: [complex(0), complex(1)] },
+      { s: complex(-3), u: [complex(1), complex(1)] },
+    ];
+    expect(() => stateSpaceTerms(basis, [1, 0], [0, 1])).toThrow(/does not reproduce the initial conditions/);
+  });
+});
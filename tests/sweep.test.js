@@ -0,0 +1,80 @@
+/**
+ * Tests for the eigenfrequency sweep in src/sweep.js
+ */
+
+import { parameterSweep, SWEEP_PARAMETERS } from '../src/sweep.js';
+import { CoupledOscillator } from '../src/oscillator.js';
+
+// Symmetric system: m1=m2=1, k1=k3=1, k2=0.5  →  ω₁=1, ω₂=√2
+const SYM = { m1: 1, m2: 1, k1: 1, k2: 0.5, k3: 1 };
+
+// ── frequencies ───────────────────────────────────────────────────────────
+describe('parameterSweep', () => {
+  test.each(SWEEP_PARAMETERS)('ω and uncoupled ω follow CoupledOscillator while sweeping %s', name => {
+    const base = { ...SYM, m2: 1.7, k3: 1.4 };
+    const { values, omegas, uncoupled } = parameterSweep(base, name, { from: 0.5, to: 2, points: 7 });
+    expect(values).toHaveLength(7);
+    expect(values[0]).toBe(0.5);
+    expect(values[6]).toBe(2);
+    values.forEach((v, i) => {
+      const p = { ...base, [name]: v };
+      const osc = new CoupledOscillator({ ...p, x10: 0, x20: 0, v10: 0, v20: 0 });
+      expect(omegas[0][i]).toBeCloseTo(osc.omega1, 12);
+      expect(omegas[1][i]).toBeCloseTo(osc.omega2, 12);
+      expect(uncoupled[0][i]).toBeCloseTo(Math.sqrt((p.k1 + p.k2) / p.m1), 12);
+      expect(uncoupled[1][i]).toBeCloseTo(Math.sqrt((p.k2 + p.k3) / p.m2), 12);
+    });
+  });
+
+  test('avoided crossing: the closest approach is at equal uncoupled frequencies', () => {
+    const k2 = 0.05;
+    const { gap } = parameterSweep({ ...SYM, k2 }, 'k1', { from: 0.5, to: 1.5, points: 101 });
+    expect(gap.at).toBeCloseTo(1, 12);
+    expect(gap.value).toBeCloseTo(Math.sqrt(1 + 2 * k2) - 1, 12);
+    expect(gap.value).toBeGreaterThan(0);
+  });
+
+  test('unstable modes have no frequency', () => {
+    const { omegas, gap } = parameterSweep(SYM, 'k1', { from: -3, to: -2, points: 3 });
+    expect(omegas[0]).toEqual([null, null, null]);
+    expect(omegas[1].every(w => w > 0)).toBe(true);
+    expect(gap).toBeNull();
+  });
+
+  // ── mode-shape ratios ───────────────────────────────────────────────────
+  test('ratios are the mode shapes φ₂/φ₁', () => {
+    const { ratios } = parameterSweep(SYM, 'k2', { from: 0.25, to: 1, points: 4 });
+    ratios[0].forEach(r => expect(r).toBeCloseTo(1, 10));
+    ratios[1].forEach(r => expect(r).toBeCloseTo(-1, 10));
+  });
+
+  test('equal uncoupled frequencies: the k₂ = 0 point joins the coupled branch', () => {
+    const up = parameterSweep(SYM, 'k2', { from: 0, to: 1, points: 5 });
+    expect(up.ratios[0][0]).toBeCloseTo(1, 6);
+    expect(up.ratios[1][0]).toBeCloseTo(-1, 6);
+    // Below zero the in-phase mode is the faster one
+    const down = parameterSweep(SYM, 'k2', { from: 0, to: -0.2, points: 3 });
+    expect(down.ratios[0][0]).toBeCloseTo(-1, 6);
+    expect(down.ratios[1][0]).toBeCloseTo(1, 6);
+  });
+
+  test('unequal uncoupled frequencies: each mode moves one mass at k₂ = 0', () => {
+    // ω⁰ = 1 for mass 1, 1/√2 for mass 2: the slow mode leaves mass 1 still
+    const { ratios, omegas } = parameterSweep({ ...SYM, m2: 2 }, 'k2', { from: 0, to: 1, points: 3 });
+    expect(omegas[0][0]).toBeCloseTo(Math.SQRT1_2, 12);
+    expect(ratios[0][0]).toBeNull();
+    expect(ratios[1][0]).toBe(0);
+    expect(ratios[0][1]).toBeGreaterThan(1);
+  });
+
+  // ── validation ──────────────────────────────────────────────────────────
+  test.each([
+    ['c2', { from: 0, to: 1 }, "Cannot sweep 'c2'"],
+    ['k2', { from: 1, to: 1 }, 'two different finite end values'],
+    ['k2', { from: 0, to: NaN }, 'two different finite end values'],
+    ['k2', { from: 0, to: 1, points: 1 }, 'at least two points'],
+    ['m1', { from: 0, to: 1 }, 'm1 must stay positive'],
+  ])('rejects sweeping %s over %j', (name, range, message) => {
+    expect(() => parameterSweep(SYM, name, range)).toThrow(message);
+  });
+});